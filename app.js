@@ -0,0 +1,454 @@
+/**
+ * app.js
+ * MarketHub app factory: builds the Express app, its routes and background workers from injected
+ * dependencies. It neither reads the environment nor listens; server.js does that, and the test
+ * harness (test/helpers.js) builds one per test file around an in-memory store.
+ *
+ *   createApp({ config, store?, now?, fetch? }) -> { app, store, realtime, workers, start, stop, close }
+ *     config  lib/config.js loadConfig() result
+ *     store   repositories (lib/storage); default: createStorage(config, { now })
+ *     now     clock for tokens, initData age, rate limits, idempotency keys, premium, the workers,
+ *             and every router: end times, expiry checks and the p_now of the storage procedures
+ *     fetch   node-fetch compatible client for t.me/nft pages, NFT images, the Bot API and toncenter
+ *   start()  starts the background workers; stop() stops them and the realtime timers;
+ *   close()  stop() and flush the store
+ *   workers  { auctions, giveaways, payments, referrals }: run one pass directly (settleDue, drawDue,
+ *            checkOpen, processDue)
+ *
+ * - Serves static files from /public
+ * - Endpoints:
+ *    POST /api/auth/verify      -> validate Telegram initData (hash or Ed25519 signature, auth_date age), issue access + refresh tokens
+ *    POST /api/auth/dev-initdata -> sign initData for any user, DEV_AUTH=1 only (lib/telegram/initData.js)
+ *    POST /api/auth/refresh     -> exchange refresh token for a new token pair
+ *    GET  /api/nfts             -> catalog: search, filters, sort, cursor pages (routes/catalog.js)
+ *    GET  /api/nfts/:id, /api/nfts/collections, /api/collections/:id -> NFT detail, collections + traits
+ *    GET  /api/events?token=    -> Server-Sent Events: card changes for everyone, balance for the user (lib/realtime.js)
+ *    POST /api/nft/buy          -> buy NFT using internal balance or stars     [auth]
+ *    GET  /api/me               -> profile, role, balance, stars, premium state, wallet (routes/account.js) [auth]
+ *    POST /api/sync-nfts        -> (manual) sync incoming NFT gift -> t.me/nft link + pending gift [admin]
+ *    GET  /api/admin/sync       -> sync worker status, cursor, recent transfers  [admin]
+ *    POST /api/admin/sync/run   -> poll the sync source now                     [admin]
+ *    /api/market/*, GET /api/nfts/:id/sales -> secondary market (routes/market.js)
+ *    /api/offers/*, GET /api/nfts/:id/offers -> offers with escrow on user-owned NFTs (routes/offers.js)
+ *    /api/auctions/*                        -> timed auctions (routes/auctions.js, settled by lib/auctions.js)
+ *    /api/gifts/*                           -> My Gifts: received/sent, claim, re-gift (routes/gifts.js)
+ *    /api/payments/*                        -> stars/premium paid in TON, verified on-chain (routes/payments.js);
+ *                                              replaces the removed POST /api/ton/purchase (410 'endpoint removed')
+ *    /api/stars/*, /api/admin/stars/rate    -> stars: balance history, TON conversion, fees in stars (routes/stars.js)
+ *    /api/premium/plans, /api/admin/plans   -> premium plans; perks are applied by lib/premium.js (routes/account.js)
+ *    /api/wallet/*, /api/admin/withdrawals  -> TonConnect wallet, deposits, withdrawal queue (routes/wallet.js)
+ *    /api/giveaways/*, /api/admin/giveaways -> giveaways with a commit-reveal draw (routes/giveaways.js, lib/giveaways.js)
+ *    /api/notifications                     -> per-user notifications: sales, outbid, gifts, giveaway wins (routes/notifications.js)
+ *    GET  /api/referrals                    -> invite link, invitees, earnings; attribution in /api/auth/verify (routes/referrals.js)
+ *    /api/watchlist/*, /api/alerts/*        -> watchlist and collection price alerts, checked on card changes (lib/alerts.js)
+ *    GET  /api/activity                     -> per-user feed: purchases, sales, gifts, balance changes (routes/watchlist.js)
+ *    /api/analytics/*, /api/admin/analytics -> price history, daily volume/floor series, top traders, CSV/JSON export
+ *                                              (routes/analytics.js, floors sampled by lib/analytics.js)
+ *    POST /api/telegram/webhook             -> bot commands, /api/admin/bot/webhook registers it (routes/telegram.js, lib/telegram)
+ *    /api/admin/*                           -> admin console: stats, users, balance adjustments, NFT lots,
+ *                                              audit log + CSV (routes/admin.js)
+ *
+ *  [auth]  requires `Authorization: Bearer <token>`; user identity comes from the token only.
+ *  [admin] additionally requires role `admin` (ADMIN_TELEGRAM_IDS or `admins` table).
+ *
+ * NOTE:
+ *  - Use SUPABASE_SERVICE_ROLE_KEY only on server & never publish it publicly.
+ *  - Tables/functions come from db/migrations (`npm run migrate`, demo data: `npm run seed`).
+ *  - Balances are derived from the append-only `ledger` (see db/migrations/002_ledger.sql).
+ *    All amounts (balances, NFT prices) are integer nanoTON; request bodies take TON.
+ *  - Admin actions are recorded in the append-only `audit_log` (db/migrations/010_admin.sql).
+ *  - Error responses keep their `error` code and carry a translated `message` (en/ru by
+ *    Accept-Language, lib/i18n.js); the Mini App's own strings live in public/i18n.js.
+ *  - /api is rate limited (lib/rateLimit.js); money-moving endpoints accept an `Idempotency-Key`
+ *    header and replay the first response to retries (lib/idempotency.js).
+ *  - Incoming NFT gifts are ingested by the sync worker (lib/sync); a chain/indexer source plugs in
+ *    next to the file fake in lib/sync/sources.
+ *  - `npm test` runs the integration suite (test/*.test.js, node --test) against in-memory stores.
+ */
+
+const path = require('path')
+const express = require('express')
+const cors = require('cors')
+const cookieParser = require('cookie-parser')
+
+const { createStorage } = require('./lib/storage')
+const { createAuth } = require('./lib/auth')
+const { createAuctionSettler } = require('./lib/auctions')
+const { createGiveawayDrawer } = require('./lib/giveaways')
+const { createSyncWorker, createSource, SYNC_PRICE } = require('./lib/sync')
+const { createPaymentVerifier, createTonClient } = require('./lib/payments')
+const { createEntitlements } = require('./lib/premium')
+const { createRealtime } = require('./lib/realtime')
+const { createImageCache } = require('./lib/images')
+const { createApiLimits } = require('./lib/rateLimit')
+const { createIdempotency } = require('./lib/idempotency')
+const { createReferralWorker, parseStartParam, ipHash } = require('./lib/referrals')
+const { createAlerts, inAppChannel } = require('./lib/alerts')
+const { createFloorTracker } = require('./lib/analytics')
+const { validateBody } = require('./lib/validation')
+const { localizeErrors } = require('./lib/i18n')
+const { createBot } = require('./lib/telegram')
+const { createBotApi } = require('./lib/telegram/api')
+const { verifyInitData, signInitData } = require('./lib/telegram/initData')
+const { nftLink, fetchNftPage } = require('./lib/sync/preview')
+const { createCatalogRouter } = require('./routes/catalog')
+const { createMarketRouter } = require('./routes/market')
+const { createOffersRouter } = require('./routes/offers')
+const { createAuctionsRouter } = require('./routes/auctions')
+const { createGiftsRouter } = require('./routes/gifts')
+const { createPaymentsRouter } = require('./routes/payments')
+const { createWalletRouter } = require('./routes/wallet')
+const { createAdminRouter } = require('./routes/admin')
+const { createGiveawaysRouter } = require('./routes/giveaways')
+const { createNotificationsRouter } = require('./routes/notifications')
+const { createAccountRouter } = require('./routes/account')
+const { createStarsRouter } = require('./routes/stars')
+const { createTelegramRouter } = require('./routes/telegram')
+const { createReferralsRouter } = require('./routes/referrals')
+const { createWatchlistRouter } = require('./routes/watchlist')
+const { createAnalyticsRouter } = require('./routes/analytics')
+
+const PUBLIC_DIR = path.join(__dirname, 'public')
+
+function createApp({ config, now = () => new Date(), store = createStorage(config, { now }), fetch }) {
+  const app = express()
+  if (config.trustProxy) app.set('trust proxy', config.trustProxy)
+  app.use(cors())
+  app.use(express.json({ limit: '1mb' }))
+  app.use(cookieParser())
+
+  // ========= Roles / auth =========
+  async function resolveRole(userId) {
+    const id = String(userId)
+    if (config.adminIds.includes(id)) return 'admin'
+    try {
+      return (await store.admins.roleOf(id)) || 'user'
+    } catch (e) {
+      console.warn('admins lookup failed', e)
+      return 'user'
+    }
+  }
+
+  const auth = createAuth({ secret: config.jwtSecret, resolveRole, now })
+  const { requireAuth, requireRole } = auth
+
+  // premium perks: fees, listing limit, early access to drops (lib/premium.js)
+  const entitlements = createEntitlements({ store, config, now })
+
+  // push channel: catalog card changes + balances (lib/realtime.js)
+  const realtime = createRealtime({ store, auth, config })
+
+  // abuse protection: /api rate limits; money-moving routes add a per-user limit and Idempotency-Key replay
+  const limits = createApiLimits({ auth, config, now })
+  const idempotency = createIdempotency({ store, config, now })
+  const moneyGuard = (scope) => [limits.money, idempotency.guard(scope)]
+  const images = createImageCache({ store, config, fetch, now })
+
+  // ========= Telegram initData (lib/telegram/initData.js) =========
+  function checkInitData(initData) {
+    return verifyInitData(initData, {
+      botToken: config.initDataToken,
+      botId: config.telegramBotId,
+      maxAgeSec: config.initDataMaxAgeSec,
+      testEnv: config.telegramTestEnv,
+      now
+    })
+  }
+
+  // ============= Serve static files =============
+  app.use('/', express.static(PUBLIC_DIR, { extensions: ['html'] }))
+  app.use('/assets', express.static(path.join(PUBLIC_DIR, 'assets')))
+  // cached NFT thumbnails (lib/images.js); the placeholder until the download succeeded
+  app.get('/assets/nft/:id.webp', images.serve)
+
+  // error codes get a `message` in the caller's language (lib/i18n.js)
+  app.use('/api', localizeErrors())
+
+  // every API request counts against its ip and, with a valid token, its user (lib/rateLimit.js)
+  app.use('/api', limits.api)
+
+  // TonConnect app manifest: wallets show this name/icon and sign proofs for the url's host
+  app.get('/tonconnect-manifest.json', (req, res) => {
+    const url = config.publicUrl || `${req.protocol}://${req.get('host')}`
+    res.json({ url, name: 'MarketHub', iconUrl: url + '/icon.png' })
+  })
+
+  // ============= API: auth verify =============
+  app.post('/api/auth/verify', async (req, res) => {
+    const { initData } = req.body
+    if (!initData) return res.status(400).json({ ok: false, error: 'missing initData' })
+
+    // hash (or Ed25519 signature) and auth_date freshness
+    const checked = checkInitData(initData)
+    if (!checked.ok) return res.status(401).json({ ok: false, error: 'invalid initData', reason: checked.error })
+
+    const user = checked.user
+    if (!user || typeof user.id === 'undefined') return res.status(400).json({ ok: false, error: 'missing user' })
+
+    // upsert basic profile on server; a profile created here is attributed to the invite it came
+    // through (start_param ref_<code>, lib/referrals.js)
+    const ip_hash = ipHash(req.ip, config.jwtSecret)
+    let referral = null
+    try {
+      const { created } = await store.profiles.ensure({ id: user.id, first_name: user.first_name || null, username: user.username || null, last_ip_hash: ip_hash })
+      const code = parseStartParam(checked.params.start_param)
+      if (created && code) referral = await store.referrals.attach({ referee_id: user.id, code, ip_hash })
+    } catch (e) {
+      console.warn('profile upsert failed', e)
+    }
+
+    // app access JWT (short-lived) + refresh token
+    const { token, refresh_token, role } = await auth.issueTokens(user.id)
+
+    return res.json({ ok: true, user, role, token, refresh_token, referral })
+  })
+
+  // ============= API: dev initData signer (DEV_AUTH=1 only) =============
+  /**
+   * body: { user: { id, first_name?, username? }, start_param? } -> { initData }
+   * Lets local runs and automated tests sign in as any user without a real bot token.
+   */
+  app.post('/api/auth/dev-initdata', (req, res) => {
+    if (!config.devAuth) return res.status(404).json({ ok: false, error: 'not found' })
+    const user = req.body.user
+    if (!user || typeof user !== 'object' || !/^\d+$/.test(String(user.id))) return res.status(400).json({ ok: false, error: 'invalid user' })
+    const fields = req.body.start_param ? { start_param: String(req.body.start_param) } : {}
+    const initData = signInitData({
+      botToken: config.initDataToken,
+      user: { id: Number(user.id), first_name: user.first_name || 'Dev', username: user.username || undefined },
+      authDate: Math.floor(now().getTime() / 1000),
+      fields
+    })
+    return res.json({ ok: true, initData })
+  })
+
+  // ============= API: auth refresh =============
+  /**
+   * body: { refresh_token }
+   * Returns a fresh access token (with re-resolved role) and a rotated refresh token.
+   */
+  app.post('/api/auth/refresh', async (req, res) => {
+    const { refresh_token } = req.body
+    if (!refresh_token) return res.status(400).json({ ok: false, error: 'missing refresh_token' })
+    try {
+      const tokens = await auth.refreshTokens(refresh_token)
+      return res.json({ ok: true, ...tokens })
+    } catch (e) {
+      return res.status(401).json({ ok: false, error: 'invalid refresh_token' })
+    }
+  })
+
+  // ============= API: NFT catalog (routes/catalog.js) + live updates =============
+  app.use('/api', createCatalogRouter({ store }))
+  app.get('/api/events', realtime.stream)
+
+  // ============= API: buy NFT (using internal balance) =============
+  /**
+   * body: { nft_id, currency? }  currency: 'ton' (default) | 'stars'
+   * - Buyer is the authenticated user (bearer token)
+   * - NFT must be for sale: unowned (primary) or listed by its owner (secondary)
+   * - Primary drops (available_at) open early for premium plans with early access
+   * - In one transaction: debit buyer, credit seller price minus MARKET_FEE_BPS, set owner_id, record sale
+   * - Paid in stars: price / star rate, rounded up, converted into TON first (purchase_nft_stars)
+   * - Returns the new balance (nanoTON), for stars also the stars spent and left
+   * - With an Idempotency-Key header a retried request gets the first response instead of buying again
+   */
+  const BUY_SCHEMA = {
+    nft_id: { type: 'id', required: true },
+    currency: { type: 'enum', values: ['ton', 'stars'], default: 'ton' }
+  }
+  app.post('/api/nft/buy', requireAuth, validateBody(BUY_SCHEMA), moneyGuard('nft.buy'), async (req, res) => {
+    const { nft_id, currency } = req.valid
+
+    try {
+      const early = await entitlements.checkAvailable(await store.nfts.get(nft_id), req.user.id)
+      if (early) return res.status(403).json(early)
+      // balance check, debit and owner change happen atomically (RPC / synchronous mock)
+      const result = await store.nfts.purchase({
+        buyer_id: req.user.id,
+        nft_id,
+        fee_bps: config.marketFeeBps,
+        treasury_id: config.treasuryId,
+        currency,
+        now: now().toISOString()
+      })
+      if (!result.ok) {
+        if (result.error === 'nft not found') return res.status(404).json(result)
+        if (result.error === 'already owned' || result.error === 'own nft') return res.status(400).json(result)
+        if (result.error === 'rate unavailable') return res.status(503).json(result)
+        return res.json(result)
+      }
+      realtime.nftChanged(result.nft.id, 'sale')
+      if (currency === 'stars') return res.json({ ok: true, balance: result.balance, stars: result.stars, stars_spent: result.stars_spent })
+      return res.json({ ok: true, balance: result.balance })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  // ============= API: secondary market (list/delist/reprice, sale history) =============
+  app.use('/api', createMarketRouter({ store, auth, entitlements, realtime, now }))
+
+  // ============= API: offers + auctions (escrowed bids) =============
+  app.use('/api', createOffersRouter({ store, auth, config, realtime, moneyGuard, now }))
+  app.use('/api', createAuctionsRouter({ store, auth, config, entitlements, realtime, now }))
+
+  // ============= API: gifts =============
+  app.use('/api', createGiftsRouter({ store, auth, realtime, now }))
+
+  // ============= API: admin console (routes/admin.js) ============
+  app.use('/api', createAdminRouter({ store, auth, config, realtime, images, moneyGuard, now }))
+
+  // ============= API: NFT sync ============
+  /**
+   * Incoming NFT gifts normally arrive through the background sync worker (lib/sync), which polls
+   * the SYNC_SOURCE and creates a pending gift per transfer. These admin endpoints inspect it and
+   * trigger a poll without waiting for the next interval.
+   */
+  const syncSource = createSource(config)
+  const syncWorker = syncSource ? createSyncWorker({ store, config, source: syncSource, fetch, images, now }) : null
+
+  app.get('/api/admin/sync', requireAuth, requireRole('admin'), async (req, res) => {
+    if (!syncWorker) return res.json({ ok: true, enabled: false })
+    try {
+      const cursor = await store.sync.cursor(syncSource.name)
+      const transfers = await store.sync.transfers({ source: syncSource.name, limit: 20 })
+      return res.json({ ok: true, enabled: true, cursor, ...syncWorker.status(), transfers })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  app.post('/api/admin/sync/run', requireAuth, requireRole('admin'), async (req, res) => {
+    if (!syncWorker) return res.status(409).json({ ok: false, error: 'sync disabled' })
+    try {
+      const stats = await syncWorker.pollOnce()
+      if (!stats) return res.status(409).json({ ok: false, error: 'sync in progress' })
+      await store.audit.record({ actor_id: req.user.id, action: 'sync.run', target_type: 'sync', target_id: syncSource.name, details: stats })
+      return res.json({ ok: true, ...stats })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  /**
+   * Manual ingestion of a single gift (no transfer hash, so not deduplicated): converts the payload
+   * into a t.me/nft link, fetches its preview image (og:image, through the image cache) and traits, and creates a pending gift that the
+   * receiver claims from the My Gifts tab (routes/gifts.js).
+   *
+   * body: { name, number, sender_id, receiver_id }
+   */
+  app.post('/api/sync-nfts', requireAuth, requireRole('admin'), async (req, res) => {
+    const { name, number, sender_id, receiver_id } = req.body
+    if (!name || typeof number === 'undefined' || !sender_id || !receiver_id) {
+      return res.status(400).json({ ok: false, error: 'missing params' })
+    }
+
+    const link = nftLink(name, number)
+    const page = await fetchNftPage(link, { fetch })
+
+    try {
+      const result = await store.gifts.receive({
+        name,
+        number,
+        link,
+        image_url: await images.localUrl(page.image_url),
+        price: SYNC_PRICE,
+        sender_id,
+        receiver_id,
+        now: now().toISOString()
+      })
+      if (!result.ok) return res.status(409).json(result)
+      if (page.attributes.length) result.nft = await store.nfts.setAttributes(result.nft.id, page.attributes)
+      await store.audit.record({
+        actor_id: req.user.id,
+        action: 'gift.ingest',
+        target_type: 'nft',
+        target_id: result.nft.id,
+        details: { name, number, sender_id, receiver_id, gift_id: result.gift.id }
+      })
+      return res.json(result)
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  // ============= API: TON payments for stars/premium (routes/payments.js) =============
+  const tonClient = createTonClient(config, { fetch })
+  const payments = createPaymentVerifier({ store, config, client: tonClient, now })
+  app.use('/api', createPaymentsRouter({ store, auth, payments, moneyGuard, now }))
+
+  // ============= API: account, premium plans (routes/account.js) =============
+  app.use('/api', createAccountRouter({ store, auth, entitlements }))
+  app.use('/api', createStarsRouter({ store, auth, moneyGuard, now }))
+
+  // ============= API: linked TON wallet, deposits, withdrawals (routes/wallet.js) =============
+  app.use('/api', createWalletRouter({ store, auth, config, payments, tonClient, moneyGuard, now }))
+
+  // ============= API: giveaways + notifications (routes/giveaways.js, drawn by lib/giveaways.js) =============
+  const giveawayDrawer = createGiveawayDrawer({ store, config, realtime, now })
+  app.use('/api', createGiveawaysRouter({ store, auth, config, drawer: giveawayDrawer, realtime, now }))
+  app.use('/api', createNotificationsRouter({ store, auth, now }))
+
+  // ============= API: referral program =============
+  const referralWorker = createReferralWorker({ store, config, now })
+  app.use('/api', createReferralsRouter({ store, auth, config }))
+
+  // ============= API: watchlist, price alerts, activity feed =============
+  // every card change is checked against watchers and collection alerts; matches become notifications
+  const alerts = createAlerts({ store, channels: [inAppChannel({ store, realtime })], now })
+  realtime.onNftChanged((nftId, type) => {
+    alerts.nftChanged(nftId, type).catch(e => console.error('alerts', nftId, e.message))
+  })
+  app.use('/api', createWatchlistRouter({ store, auth }))
+
+  // ============= API: market analytics (sales aggregates, collection floors) =============
+  const floorTracker = createFloorTracker({ store, config, now })
+  realtime.onNftChanged((nftId) => {
+    floorTracker.nftChanged(nftId).catch(e => console.error('analytics', nftId, e.message))
+  })
+  app.use('/api', createAnalyticsRouter({ store, auth, now }))
+
+  // ============= Telegram bot: webhook commands, notification delivery (lib/telegram) =============
+  const botApi = config.telegramBotToken ? createBotApi({ token: config.telegramBotToken, url: config.telegramApiUrl, fetch }) : null
+  const bot = botApi ? createBot({ store, config, api: botApi, now }) : null
+  app.use('/api', createTelegramRouter({ store, auth, config, bot, api: botApi }))
+
+  // ============= Background workers =============
+  const auctionSettler = createAuctionSettler({ store, config, realtime, now })
+
+  function start() {
+    auctionSettler.start()
+    images.start()
+    idempotency.start()
+    giveawayDrawer.start()
+    referralWorker.start()
+    floorTracker.start()
+    if (config.tonWallet) payments.start()
+    if (bot && config.botNotify) bot.start()
+    if (syncWorker) syncWorker.start()
+  }
+
+  function stop() {
+    auctionSettler.stop()
+    images.stop()
+    idempotency.stop()
+    giveawayDrawer.stop()
+    referralWorker.stop()
+    floorTracker.stop()
+    payments.stop()
+    if (bot) bot.stop()
+    realtime.close()
+    if (syncWorker) syncWorker.stop()
+  }
+
+  async function close() {
+    stop()
+    await store.close()
+  }
+
+  const workers = { auctions: auctionSettler, giveaways: giveawayDrawer, payments, referrals: referralWorker }
+  return { app, store, realtime, workers, start, stop, close }
+}
+
+module.exports = { createApp }
@@ -0,0 +1,30 @@
+/**
+ * db/migrate.js
+ * Migration files and the local-store migration step, shared by scripts/migrate.js and the test
+ * harness (test/helpers.js), which migrates a fresh in-memory store for every test app.
+ *
+ * Local store: tables are created on first write, so migrating records the schema version and runs
+ * the optional `NNN_name.local.js` sibling (data backfills) of each .sql file. Applied files are
+ * tracked in `schema_migrations`.
+ */
+
+const fs = require('fs')
+const path = require('path')
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations')
+
+function migrationFiles() {
+  return fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql')).sort()
+}
+
+async function migrateLocal(store, { log = console.log } = {}) {
+  for (const file of migrationFiles()) {
+    if (await store.db.get('schema_migrations', { name: file })) continue
+    const localStep = path.join(MIGRATIONS_DIR, file.replace(/\.sql$/, '.local.js'))
+    if (fs.existsSync(localStep)) await require(localStep)(store.db)
+    await store.db.insert('schema_migrations', { name: file, applied_at: new Date().toISOString() })
+    log(`applied ${file} (local)`)
+  }
+}
+
+module.exports = { MIGRATIONS_DIR, migrationFiles, migrateLocal }
@@ -0,0 +1,40 @@
+-- 001_init.sql
+-- Core tables: profiles, admins, nfts, gifts.
+
+create table if not exists profiles (
+  id             text primary key,            -- Telegram user id
+  first_name     text,
+  username       text,
+  premium_until  timestamptz,
+  stars_balance  bigint not null default 0,
+  created_at     timestamptz not null default now()
+);
+
+-- role overrides on top of ADMIN_TELEGRAM_IDS
+create table if not exists admins (
+  user_id     text primary key,
+  role        text not null default 'admin',
+  created_at  timestamptz not null default now()
+);
+
+create table if not exists nfts (
+  id           bigserial primary key,
+  name         text   not null,
+  number       bigint not null,
+  price        bigint not null default 0,       -- nanoTON
+  link         text,
+  image_url    text,
+  owner_id     text,
+  sender_id    text,
+  receiver_id  text,
+  created_at   timestamptz not null default now()
+);
+create index if not exists nfts_owner_idx on nfts (owner_id);
+
+create table if not exists gifts (
+  id           bigserial primary key,
+  nft_id       bigint references nfts (id) on delete set null,
+  sender_id    text,
+  receiver_id  text,
+  created_at   timestamptz not null default now()
+);
@@ -0,0 +1,99 @@
+-- 002_ledger.sql
+-- Append-only balance ledger (nanoTON) + atomic purchase for MarketHub.
+-- Local equivalents of the functions: lib/storage/procedures/ledger.js
+
+create table if not exists ledger (
+  id          bigserial primary key,
+  user_id     text        not null,
+  amount      bigint      not null check (amount <> 0), -- nanoTON: + credit, - debit
+  reason      text        not null,                     -- 'admin_credit', 'nft_purchase', 'migration', ...
+  ref         text,                                     -- e.g. 'nft:42'
+  actor_id    text,                                     -- who caused the entry
+  created_at  timestamptz not null default now()
+);
+create index if not exists ledger_user_idx on ledger (user_id, id);
+
+-- ledger is append-only
+create or replace function ledger_immutable() returns trigger language plpgsql as $$
+begin
+  raise exception 'ledger is append-only';
+end $$;
+drop trigger if exists ledger_no_update on ledger;
+create trigger ledger_no_update before update or delete on ledger
+  for each row execute function ledger_immutable();
+
+-- one-off: move the old read-modify-write `balances` table into the ledger
+do $$
+begin
+  if exists (select 1 from information_schema.tables where table_name = 'balances' and table_type = 'BASE TABLE') then
+    insert into ledger (user_id, amount, reason)
+      select user_id, round(amount * 1000000000)::bigint, 'migration'
+      from balances where round(amount * 1000000000) <> 0;
+    alter table balances rename to balances_legacy;
+  end if;
+end $$;
+
+-- nfts.price: TON float -> nanoTON integer
+do $$
+begin
+  if exists (select 1 from information_schema.columns
+             where table_name = 'nfts' and column_name = 'price' and data_type <> 'bigint') then
+    alter table nfts alter column price type bigint using round(price * 1000000000)::bigint;
+  end if;
+end $$;
+
+create or replace view balances as
+  select user_id, sum(amount)::bigint as amount from ledger group by user_id;
+
+create or replace function ledger_balance(p_user text) returns bigint
+language sql stable as $$
+  select coalesce(sum(amount), 0)::bigint from ledger where user_id = p_user;
+$$;
+
+-- Credit/debit a user. Debits never take the balance below zero.
+-- The advisory lock serialises all balance changes of one user.
+create or replace function ledger_post(p_user text, p_amount bigint, p_reason text, p_ref text, p_actor text)
+returns json language plpgsql as $$
+declare
+  v_balance bigint;
+  v_id bigint;
+begin
+  perform pg_advisory_xact_lock(hashtext('ledger:' || p_user));
+  v_balance := ledger_balance(p_user);
+  if v_balance + p_amount < 0 then
+    return json_build_object('ok', false, 'error', 'insufficient_balance', 'balance', v_balance);
+  end if;
+  insert into ledger (user_id, amount, reason, ref, actor_id)
+    values (p_user, p_amount, p_reason, p_ref, p_actor)
+    returning id into v_id;
+  return json_build_object('ok', true, 'balance', v_balance + p_amount, 'entry_id', v_id);
+end $$;
+
+-- Buy an unowned NFT: debit buyer + set owner in one transaction.
+create or replace function purchase_nft(p_buyer text, p_nft bigint)
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_balance bigint;
+begin
+  select * into v_nft from nfts where id = p_nft for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'nft not found');
+  end if;
+  if v_nft.owner_id is not null then
+    return json_build_object('ok', false, 'error', 'already owned');
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('ledger:' || p_buyer));
+  v_balance := ledger_balance(p_buyer);
+  if v_balance < v_nft.price then
+    return json_build_object('ok', false, 'error', 'insufficient_balance', 'balance', v_balance);
+  end if;
+
+  if v_nft.price > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_buyer, -v_nft.price, 'nft_purchase', 'nft:' || p_nft, p_buyer);
+  end if;
+  update nfts set owner_id = p_buyer where id = p_nft returning * into v_nft;
+  return json_build_object('ok', true, 'balance', v_balance - v_nft.price, 'nft', row_to_json(v_nft));
+end $$;
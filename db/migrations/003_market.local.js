@@ -0,0 +1,6 @@
+// Local-store counterpart of 003_market.sql: backfill listing state on existing NFTs.
+module.exports = async function up(db) {
+  for (const nft of await db.select('nfts')) {
+    if (nft.for_sale === undefined) await db.update('nfts', { id: nft.id }, { for_sale: !nft.owner_id, listed_at: null })
+  }
+}
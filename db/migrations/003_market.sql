@@ -0,0 +1,74 @@
+-- 003_market.sql
+-- Secondary market: listings on nfts, sale history, purchase with seller payout + marketplace fee.
+-- Local equivalents: lib/storage/procedures/market.js
+
+alter table nfts add column if not exists for_sale  boolean not null default true;
+alter table nfts add column if not exists listed_at timestamptz;
+update nfts set for_sale = false where owner_id is not null;
+
+create table if not exists sales (
+  id          bigserial primary key,
+  nft_id      bigint not null references nfts (id) on delete cascade,
+  seller_id   text,                 -- null for primary sales
+  buyer_id    text   not null,
+  price       bigint not null,      -- nanoTON paid by the buyer
+  fee         bigint not null default 0,
+  created_at  timestamptz not null default now()
+);
+create index if not exists sales_nft_idx on sales (nft_id, id);
+
+drop function if exists purchase_nft(text, bigint);
+
+-- Buy an NFT that is for sale. Primary (no owner): buyer is debited.
+-- Secondary: buyer is debited, seller credited price - fee, fee credited to p_treasury.
+create or replace function purchase_nft(p_buyer text, p_nft bigint, p_fee_bps int default 0, p_treasury text default 'treasury')
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_seller text;
+  v_balance bigint;
+  v_fee bigint := 0;
+  v_sale_id bigint;
+begin
+  select * into v_nft from nfts where id = p_nft for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'nft not found');
+  end if;
+  if v_nft.owner_id = p_buyer then
+    return json_build_object('ok', false, 'error', 'own nft');
+  end if;
+  if not v_nft.for_sale then
+    return json_build_object('ok', false, 'error', 'already owned');
+  end if;
+
+  v_seller := v_nft.owner_id;
+  perform pg_advisory_xact_lock(hashtext('ledger:' || p_buyer));
+  v_balance := ledger_balance(p_buyer);
+  if v_balance < v_nft.price then
+    return json_build_object('ok', false, 'error', 'insufficient_balance', 'balance', v_balance);
+  end if;
+
+  if v_nft.price > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_buyer, -v_nft.price, 'nft_purchase', 'nft:' || p_nft, p_buyer);
+    if v_seller is not null then
+      v_fee := (v_nft.price * p_fee_bps) / 10000;
+      if v_nft.price - v_fee > 0 then
+        insert into ledger (user_id, amount, reason, ref, actor_id)
+          values (v_seller, v_nft.price - v_fee, 'nft_sale', 'nft:' || p_nft, p_buyer);
+      end if;
+      if v_fee > 0 then
+        insert into ledger (user_id, amount, reason, ref, actor_id)
+          values (p_treasury, v_fee, 'market_fee', 'nft:' || p_nft, p_buyer);
+      end if;
+    end if;
+  end if;
+
+  update nfts set owner_id = p_buyer, for_sale = false, listed_at = null
+    where id = p_nft returning * into v_nft;
+  insert into sales (nft_id, seller_id, buyer_id, price, fee)
+    values (p_nft, v_seller, p_buyer, v_nft.price, v_fee)
+    returning id into v_sale_id;
+
+  return json_build_object('ok', true, 'balance', v_balance - v_nft.price, 'nft', row_to_json(v_nft), 'sale_id', v_sale_id);
+end $$;
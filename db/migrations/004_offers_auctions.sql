@@ -0,0 +1,401 @@
+-- 004_offers_auctions.sql
+-- Offers on owned NFTs and timed English auctions. Bid/offer amounts are held in escrow as
+-- ledger debits ('escrow_hold') and returned as credits ('escrow_release'), so held funds are
+-- never part of the spendable balance.
+-- Local equivalents: lib/storage/procedures/trading.js
+--
+-- Lock order everywhere: nfts row -> offers/auctions row -> per-user ledger advisory lock.
+
+alter table nfts add column if not exists auction_id bigint;
+
+create table if not exists offers (
+  id           bigserial primary key,
+  nft_id       bigint not null references nfts (id) on delete cascade,
+  buyer_id     text   not null,
+  amount       bigint not null check (amount > 0),   -- nanoTON, held in escrow while active
+  status       text   not null default 'active',     -- active | accepted | rejected | cancelled | expired
+  created_at   timestamptz not null default now(),
+  resolved_at  timestamptz
+);
+create index if not exists offers_nft_idx on offers (nft_id, status);
+create index if not exists offers_buyer_idx on offers (buyer_id, status);
+
+create table if not exists auctions (
+  id              bigserial primary key,
+  nft_id          bigint not null references nfts (id) on delete cascade,
+  seller_id       text   not null,
+  start_price     bigint not null check (start_price > 0),
+  min_increment   bigint not null check (min_increment > 0),
+  ends_at         timestamptz not null,
+  status          text   not null default 'active',  -- active | settled | unsold | cancelled
+  top_bid_id      bigint,
+  top_bid_amount  bigint,
+  top_bidder_id   text,
+  created_at      timestamptz not null default now(),
+  settled_at      timestamptz
+);
+create index if not exists auctions_status_idx on auctions (status, ends_at);
+
+create table if not exists bids (
+  id          bigserial primary key,
+  auction_id  bigint not null references auctions (id) on delete cascade,
+  bidder_id   text   not null,
+  amount      bigint not null check (amount > 0),
+  status      text   not null default 'active',      -- active | outbid | won
+  created_at  timestamptz not null default now()
+);
+create index if not exists bids_auction_idx on bids (auction_id, id);
+
+-- ---------- helpers ----------
+
+create or replace function escrow_release(p_user text, p_amount bigint, p_ref text, p_actor text)
+returns void language sql as $$
+  insert into ledger (user_id, amount, reason, ref, actor_id)
+    values (p_user, p_amount, 'escrow_release', p_ref, p_actor);
+$$;
+
+-- credit seller amount - fee and the fee to the treasury; returns the fee
+create or replace function pay_seller(p_seller text, p_amount bigint, p_fee_bps int, p_treasury text, p_ref text, p_actor text)
+returns bigint language plpgsql as $$
+declare
+  v_fee bigint := (p_amount * p_fee_bps) / 10000;
+begin
+  if p_amount - v_fee > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_seller, p_amount - v_fee, 'nft_sale', p_ref, p_actor);
+  end if;
+  if v_fee > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_treasury, v_fee, 'market_fee', p_ref, p_actor);
+  end if;
+  return v_fee;
+end $$;
+
+-- refund every active offer on an NFT except p_except (the NFT changed hands)
+create or replace function release_offers(p_nft bigint, p_except bigint, p_actor text)
+returns void language plpgsql as $$
+declare
+  r offers%rowtype;
+begin
+  for r in select * from offers where nft_id = p_nft and status = 'active' and id is distinct from p_except for update loop
+    perform escrow_release(r.buyer_id, r.amount, 'offer:' || r.id, p_actor);
+    update offers set status = 'expired', resolved_at = now() where id = r.id;
+  end loop;
+end $$;
+
+-- ---------- fixed-price purchase (003) now also expires open offers ----------
+
+create or replace function purchase_nft(p_buyer text, p_nft bigint, p_fee_bps int default 0, p_treasury text default 'treasury')
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_seller text;
+  v_balance bigint;
+  v_fee bigint := 0;
+  v_sale_id bigint;
+begin
+  select * into v_nft from nfts where id = p_nft for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'nft not found');
+  end if;
+  if v_nft.owner_id = p_buyer then
+    return json_build_object('ok', false, 'error', 'own nft');
+  end if;
+  if not v_nft.for_sale or v_nft.auction_id is not null then
+    return json_build_object('ok', false, 'error', 'already owned');
+  end if;
+
+  v_seller := v_nft.owner_id;
+  perform pg_advisory_xact_lock(hashtext('ledger:' || p_buyer));
+  v_balance := ledger_balance(p_buyer);
+  if v_balance < v_nft.price then
+    return json_build_object('ok', false, 'error', 'insufficient_balance', 'balance', v_balance);
+  end if;
+
+  if v_nft.price > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_buyer, -v_nft.price, 'nft_purchase', 'nft:' || p_nft, p_buyer);
+    if v_seller is not null then
+      v_fee := pay_seller(v_seller, v_nft.price, p_fee_bps, p_treasury, 'nft:' || p_nft, p_buyer);
+    end if;
+  end if;
+
+  update nfts set owner_id = p_buyer, for_sale = false, listed_at = null
+    where id = p_nft returning * into v_nft;
+  insert into sales (nft_id, seller_id, buyer_id, price, fee)
+    values (p_nft, v_seller, p_buyer, v_nft.price, v_fee)
+    returning id into v_sale_id;
+  perform release_offers(p_nft, null, p_buyer);
+
+  return json_build_object('ok', true, 'balance', v_balance - v_nft.price, 'nft', row_to_json(v_nft), 'sale_id', v_sale_id);
+end $$;
+
+-- ---------- offers ----------
+
+create or replace function offer_create(p_nft bigint, p_buyer text, p_amount bigint)
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_balance bigint;
+  v_offer offers%rowtype;
+begin
+  select * into v_nft from nfts where id = p_nft for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'nft not found');
+  end if;
+  if v_nft.owner_id is null then
+    return json_build_object('ok', false, 'error', 'not owned');
+  end if;
+  if v_nft.owner_id = p_buyer then
+    return json_build_object('ok', false, 'error', 'own nft');
+  end if;
+  if v_nft.auction_id is not null then
+    return json_build_object('ok', false, 'error', 'in auction');
+  end if;
+  if exists (select 1 from offers where nft_id = p_nft and buyer_id = p_buyer and status = 'active') then
+    return json_build_object('ok', false, 'error', 'offer exists');
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('ledger:' || p_buyer));
+  v_balance := ledger_balance(p_buyer);
+  if v_balance < p_amount then
+    return json_build_object('ok', false, 'error', 'insufficient_balance', 'balance', v_balance);
+  end if;
+
+  insert into offers (nft_id, buyer_id, amount) values (p_nft, p_buyer, p_amount) returning * into v_offer;
+  insert into ledger (user_id, amount, reason, ref, actor_id)
+    values (p_buyer, -p_amount, 'escrow_hold', 'offer:' || v_offer.id, p_buyer);
+
+  return json_build_object('ok', true, 'offer', row_to_json(v_offer), 'owner_id', v_nft.owner_id, 'balance', v_balance - p_amount);
+end $$;
+
+create or replace function offer_accept(p_offer bigint, p_owner text, p_fee_bps int default 0, p_treasury text default 'treasury')
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_nft nfts%rowtype;
+  v_offer offers%rowtype;
+  v_fee bigint;
+  v_sale_id bigint;
+begin
+  select nft_id into v_nft_id from offers where id = p_offer;
+  if not found then
+    return json_build_object('ok', false, 'error', 'offer not found');
+  end if;
+  select * into v_nft from nfts where id = v_nft_id for update;
+  select * into v_offer from offers where id = p_offer for update;
+  if v_offer.status <> 'active' then
+    return json_build_object('ok', false, 'error', 'offer not active');
+  end if;
+  if v_nft.owner_id is distinct from p_owner then
+    return json_build_object('ok', false, 'error', 'not owner');
+  end if;
+  if v_nft.auction_id is not null then
+    return json_build_object('ok', false, 'error', 'in auction');
+  end if;
+
+  -- buyer's funds are already in escrow
+  v_fee := pay_seller(p_owner, v_offer.amount, p_fee_bps, p_treasury, 'offer:' || p_offer, p_owner);
+  update offers set status = 'accepted', resolved_at = now() where id = p_offer returning * into v_offer;
+  update nfts set owner_id = v_offer.buyer_id, for_sale = false, listed_at = null
+    where id = v_nft_id returning * into v_nft;
+  insert into sales (nft_id, seller_id, buyer_id, price, fee)
+    values (v_nft_id, p_owner, v_offer.buyer_id, v_offer.amount, v_fee)
+    returning id into v_sale_id;
+  perform release_offers(v_nft_id, p_offer, p_owner);
+
+  return json_build_object('ok', true, 'offer', row_to_json(v_offer), 'nft', row_to_json(v_nft), 'sale_id', v_sale_id);
+end $$;
+
+-- p_status: 'cancelled' (by the buyer) or 'rejected' (by the owner); refunds the escrow
+create or replace function offer_close(p_offer bigint, p_user text, p_status text)
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_nft nfts%rowtype;
+  v_offer offers%rowtype;
+begin
+  select nft_id into v_nft_id from offers where id = p_offer;
+  if not found then
+    return json_build_object('ok', false, 'error', 'offer not found');
+  end if;
+  select * into v_nft from nfts where id = v_nft_id for update;
+  select * into v_offer from offers where id = p_offer for update;
+  if v_offer.status <> 'active' then
+    return json_build_object('ok', false, 'error', 'offer not active');
+  end if;
+  if p_status = 'cancelled' and v_offer.buyer_id <> p_user then
+    return json_build_object('ok', false, 'error', 'not authorized');
+  end if;
+  if p_status = 'rejected' and v_nft.owner_id is distinct from p_user then
+    return json_build_object('ok', false, 'error', 'not owner');
+  end if;
+  if p_status not in ('cancelled', 'rejected') then
+    raise exception 'offer_close: bad status %', p_status;
+  end if;
+
+  perform escrow_release(v_offer.buyer_id, v_offer.amount, 'offer:' || p_offer, p_user);
+  update offers set status = p_status, resolved_at = now() where id = p_offer returning * into v_offer;
+  return json_build_object('ok', true, 'offer', row_to_json(v_offer));
+end $$;
+
+-- ---------- auctions ----------
+
+create or replace function auction_create(p_nft bigint, p_seller text, p_start bigint, p_increment bigint, p_ends_at timestamptz)
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_auction auctions%rowtype;
+begin
+  select * into v_nft from nfts where id = p_nft for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'nft not found');
+  end if;
+  if v_nft.owner_id is distinct from p_seller then
+    return json_build_object('ok', false, 'error', 'not owner');
+  end if;
+  if v_nft.auction_id is not null then
+    return json_build_object('ok', false, 'error', 'in auction');
+  end if;
+
+  insert into auctions (nft_id, seller_id, start_price, min_increment, ends_at)
+    values (p_nft, p_seller, p_start, p_increment, p_ends_at)
+    returning * into v_auction;
+  update nfts set auction_id = v_auction.id, for_sale = false, listed_at = null where id = p_nft;
+  return json_build_object('ok', true, 'auction', row_to_json(v_auction));
+end $$;
+
+-- Bid: hold the new amount, refund the previous top bid. A bid inside the last p_snipe_sec
+-- seconds pushes ends_at to p_now + p_snipe_sec (anti-sniping).
+create or replace function auction_bid(p_auction bigint, p_bidder text, p_amount bigint, p_now timestamptz, p_snipe_sec int)
+returns json language plpgsql as $$
+declare
+  v_auction auctions%rowtype;
+  v_min bigint;
+  v_available bigint;
+  v_balance bigint;
+  v_bid_id bigint;
+  v_prev_bidder text;
+  v_extended boolean := false;
+begin
+  select * into v_auction from auctions where id = p_auction for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'auction not found');
+  end if;
+  if v_auction.status <> 'active' or p_now >= v_auction.ends_at then
+    return json_build_object('ok', false, 'error', 'auction ended');
+  end if;
+  if v_auction.seller_id = p_bidder then
+    return json_build_object('ok', false, 'error', 'own nft');
+  end if;
+
+  v_min := case when v_auction.top_bid_amount is null then v_auction.start_price
+                else v_auction.top_bid_amount + v_auction.min_increment end;
+  if p_amount < v_min then
+    return json_build_object('ok', false, 'error', 'bid too low', 'min_bid', v_min);
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('ledger:' || p_bidder));
+  v_balance := ledger_balance(p_bidder);
+  -- raising your own top bid only needs the difference
+  v_available := v_balance + case when v_auction.top_bidder_id = p_bidder then v_auction.top_bid_amount else 0 end;
+  if v_available < p_amount then
+    return json_build_object('ok', false, 'error', 'insufficient_balance', 'balance', v_balance);
+  end if;
+
+  v_prev_bidder := v_auction.top_bidder_id;
+  if v_auction.top_bid_id is not null then
+    perform escrow_release(v_auction.top_bidder_id, v_auction.top_bid_amount, 'bid:' || v_auction.top_bid_id, p_bidder);
+    update bids set status = 'outbid' where id = v_auction.top_bid_id;
+  end if;
+
+  insert into bids (auction_id, bidder_id, amount) values (p_auction, p_bidder, p_amount) returning id into v_bid_id;
+  insert into ledger (user_id, amount, reason, ref, actor_id)
+    values (p_bidder, -p_amount, 'escrow_hold', 'bid:' || v_bid_id, p_bidder);
+
+  if v_auction.ends_at - p_now < make_interval(secs => p_snipe_sec) then
+    v_auction.ends_at := p_now + make_interval(secs => p_snipe_sec);
+    v_extended := true;
+  end if;
+  update auctions set top_bid_id = v_bid_id, top_bid_amount = p_amount, top_bidder_id = p_bidder, ends_at = v_auction.ends_at
+    where id = p_auction returning * into v_auction;
+
+  return json_build_object(
+    'ok', true,
+    'auction', row_to_json(v_auction),
+    'bid_id', v_bid_id,
+    'outbid_user_id', case when v_prev_bidder is distinct from p_bidder then v_prev_bidder end,
+    'extended', v_extended,
+    'balance', v_available - p_amount
+  );
+end $$;
+
+create or replace function auction_cancel(p_auction bigint, p_seller text)
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_auction auctions%rowtype;
+begin
+  select nft_id into v_nft_id from auctions where id = p_auction;
+  if not found then
+    return json_build_object('ok', false, 'error', 'auction not found');
+  end if;
+  perform 1 from nfts where id = v_nft_id for update;
+  select * into v_auction from auctions where id = p_auction for update;
+  if v_auction.seller_id <> p_seller then
+    return json_build_object('ok', false, 'error', 'not owner');
+  end if;
+  if v_auction.status <> 'active' then
+    return json_build_object('ok', false, 'error', 'auction ended');
+  end if;
+  if v_auction.top_bid_id is not null then
+    return json_build_object('ok', false, 'error', 'has bids');
+  end if;
+
+  update auctions set status = 'cancelled', settled_at = now() where id = p_auction returning * into v_auction;
+  update nfts set auction_id = null where id = v_nft_id;
+  return json_build_object('ok', true, 'auction', row_to_json(v_auction));
+end $$;
+
+-- Close an ended auction: pay the seller from the winner's escrow and transfer the NFT,
+-- or mark it unsold when nobody bid.
+create or replace function auction_settle(p_auction bigint, p_now timestamptz, p_fee_bps int default 0, p_treasury text default 'treasury')
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_nft nfts%rowtype;
+  v_auction auctions%rowtype;
+  v_fee bigint;
+  v_sale_id bigint;
+begin
+  select nft_id into v_nft_id from auctions where id = p_auction;
+  if not found then
+    return json_build_object('ok', false, 'error', 'auction not found');
+  end if;
+  select * into v_nft from nfts where id = v_nft_id for update;
+  select * into v_auction from auctions where id = p_auction for update;
+  if v_auction.status <> 'active' then
+    return json_build_object('ok', false, 'error', 'auction not active');
+  end if;
+  if p_now < v_auction.ends_at then
+    return json_build_object('ok', false, 'error', 'auction not ended');
+  end if;
+
+  if v_auction.top_bid_id is null then
+    update auctions set status = 'unsold', settled_at = p_now where id = p_auction returning * into v_auction;
+    update nfts set auction_id = null where id = v_nft_id returning * into v_nft;
+    return json_build_object('ok', true, 'sold', false, 'auction', row_to_json(v_auction), 'nft', row_to_json(v_nft));
+  end if;
+
+  v_fee := pay_seller(v_auction.seller_id, v_auction.top_bid_amount, p_fee_bps, p_treasury, 'auction:' || p_auction, v_auction.seller_id);
+  update bids set status = 'won' where id = v_auction.top_bid_id;
+  update auctions set status = 'settled', settled_at = p_now where id = p_auction returning * into v_auction;
+  update nfts set owner_id = v_auction.top_bidder_id, auction_id = null, for_sale = false, listed_at = null
+    where id = v_nft_id returning * into v_nft;
+  insert into sales (nft_id, seller_id, buyer_id, price, fee)
+    values (v_nft_id, v_auction.seller_id, v_auction.top_bidder_id, v_auction.top_bid_amount, v_fee)
+    returning id into v_sale_id;
+  perform release_offers(v_nft_id, null, v_auction.seller_id);
+
+  return json_build_object('ok', true, 'sold', true, 'auction', row_to_json(v_auction), 'nft', row_to_json(v_nft), 'sale_id', v_sale_id);
+end $$;
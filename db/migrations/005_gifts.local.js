@@ -0,0 +1,6 @@
+// Local-store counterpart of 005_gifts.sql: defaults for gift rows written before 005.
+module.exports = async function up(db) {
+  for (const gift of await db.select('gifts')) {
+    if (gift.status === undefined) await db.update('gifts', { id: gift.id }, { status: 'pending', source: 'sync', message: null, claimed_at: null })
+  }
+}
@@ -0,0 +1,104 @@
+-- 005_gifts.sql
+-- Gifts: incoming NFT gifts (sync) and re-gifts between users. While a gift is pending the NFT
+-- has no owner and nfts.gift_id points at the gift; claiming moves it into the receiver's inventory.
+-- Local equivalents: lib/storage/procedures/gifts.js
+
+alter table nfts  add column if not exists gift_id bigint;
+alter table gifts add column if not exists status     text not null default 'pending'; -- pending | claimed
+alter table gifts add column if not exists source     text not null default 'sync';    -- sync | regift
+alter table gifts add column if not exists message    text;
+alter table gifts add column if not exists claimed_at timestamptz;
+create index if not exists gifts_receiver_idx on gifts (receiver_id, id);
+create index if not exists gifts_sender_idx on gifts (sender_id, id);
+
+-- Incoming gift from the sync worker: create the NFT (or take over the existing row with the
+-- same link) and put it into a pending gift for p_receiver.
+create or replace function gift_receive(p_name text, p_number bigint, p_link text, p_image_url text, p_price bigint, p_sender text, p_receiver text)
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_gift gifts%rowtype;
+begin
+  select * into v_nft from nfts where link = p_link for update;
+  if found then
+    if v_nft.auction_id is not null then
+      return json_build_object('ok', false, 'error', 'in auction');
+    end if;
+    if v_nft.gift_id is not null then
+      return json_build_object('ok', false, 'error', 'gift pending');
+    end if;
+    perform release_offers(v_nft.id, null, p_sender);
+  else
+    insert into nfts (name, number, price, link, image_url, owner_id, for_sale)
+      values (p_name, p_number, p_price, p_link, p_image_url, null, false)
+      returning * into v_nft;
+  end if;
+
+  insert into gifts (nft_id, sender_id, receiver_id, status, source)
+    values (v_nft.id, p_sender, p_receiver, 'pending', 'sync')
+    returning * into v_gift;
+  update nfts set owner_id = null, for_sale = false, listed_at = null, gift_id = v_gift.id,
+                  sender_id = p_sender, receiver_id = p_receiver,
+                  image_url = coalesce(p_image_url, image_url)
+    where id = v_nft.id returning * into v_nft;
+
+  return json_build_object('ok', true, 'gift', row_to_json(v_gift), 'nft', row_to_json(v_nft));
+end $$;
+
+-- Owner gives an owned NFT to another user. Cancels a fixed-price listing, expires open offers.
+create or replace function gift_send(p_nft bigint, p_sender text, p_receiver text, p_message text)
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_gift gifts%rowtype;
+begin
+  select * into v_nft from nfts where id = p_nft for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'nft not found');
+  end if;
+  if v_nft.owner_id is distinct from p_sender then
+    return json_build_object('ok', false, 'error', 'not owner');
+  end if;
+  if v_nft.auction_id is not null then
+    return json_build_object('ok', false, 'error', 'in auction');
+  end if;
+  if p_receiver = p_sender then
+    return json_build_object('ok', false, 'error', 'own nft');
+  end if;
+
+  insert into gifts (nft_id, sender_id, receiver_id, status, source, message)
+    values (p_nft, p_sender, p_receiver, 'pending', 'regift', p_message)
+    returning * into v_gift;
+  update nfts set owner_id = null, for_sale = false, listed_at = null, gift_id = v_gift.id
+    where id = p_nft returning * into v_nft;
+  perform release_offers(p_nft, null, p_sender);
+
+  return json_build_object('ok', true, 'gift', row_to_json(v_gift), 'nft', row_to_json(v_nft));
+end $$;
+
+create or replace function gift_claim(p_gift bigint, p_user text)
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_nft nfts%rowtype;
+  v_gift gifts%rowtype;
+begin
+  select nft_id into v_nft_id from gifts where id = p_gift;
+  if not found then
+    return json_build_object('ok', false, 'error', 'gift not found');
+  end if;
+  select * into v_nft from nfts where id = v_nft_id for update;
+  select * into v_gift from gifts where id = p_gift for update;
+  if v_gift.receiver_id <> p_user then
+    return json_build_object('ok', false, 'error', 'not authorized');
+  end if;
+  if v_gift.status <> 'pending' then
+    return json_build_object('ok', false, 'error', 'already claimed');
+  end if;
+
+  update gifts set status = 'claimed', claimed_at = now() where id = p_gift returning * into v_gift;
+  update nfts set owner_id = p_user, gift_id = null, for_sale = false
+    where id = v_nft_id returning * into v_nft;
+
+  return json_build_object('ok', true, 'gift', row_to_json(v_gift), 'nft', row_to_json(v_nft));
+end $$;
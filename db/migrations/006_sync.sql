@@ -0,0 +1,54 @@
+-- 006_sync.sql
+-- NFT sync worker (lib/sync): per-source cursors and one row per ingested transfer. The
+-- transfer hash is the dedupe key, so replaying a batch after a crash or retry is a no-op.
+-- Local equivalents: lib/storage/procedures/sync.js
+
+create table if not exists sync_cursors (
+  source      text primary key,
+  cursor      text,
+  updated_at  timestamptz not null default now()
+);
+
+create table if not exists sync_transfers (
+  id          bigserial primary key,
+  source      text   not null,
+  hash        text   not null unique,
+  status      text   not null,                        -- ingested | skipped
+  error       text,
+  gift_id     bigint,
+  nft_id      bigint,
+  created_at  timestamptz not null default now()
+);
+create index if not exists sync_transfers_source_idx on sync_transfers (source, id);
+
+-- Record the transfer and hand it to gift_receive in one transaction. A transfer that was seen
+-- before returns { ok, duplicate }; one gift_receive rejects is stored as skipped with the error.
+create or replace function sync_ingest(p_source text, p_hash text, p_name text, p_number bigint, p_link text,
+                                       p_image_url text, p_price bigint, p_sender text, p_receiver text)
+returns json language plpgsql as $$
+declare
+  v_id bigint;
+  v_result json;
+  v_transfer sync_transfers%rowtype;
+begin
+  insert into sync_transfers (source, hash, status)
+    values (p_source, p_hash, 'ingested')
+    on conflict (hash) do nothing
+    returning id into v_id;
+  if v_id is null then
+    select * into v_transfer from sync_transfers where hash = p_hash;
+    return json_build_object('ok', true, 'duplicate', true, 'transfer', row_to_json(v_transfer));
+  end if;
+
+  v_result := gift_receive(p_name, p_number, p_link, p_image_url, p_price, p_sender, p_receiver);
+  if (v_result->>'ok')::boolean then
+    update sync_transfers set gift_id = (v_result->'gift'->>'id')::bigint, nft_id = (v_result->'nft'->>'id')::bigint
+      where id = v_id returning * into v_transfer;
+  else
+    update sync_transfers set status = 'skipped', error = v_result->>'error'
+      where id = v_id returning * into v_transfer;
+  end if;
+
+  return json_build_object('ok', true, 'duplicate', false, 'transfer', row_to_json(v_transfer),
+                           'gift', v_result->'gift', 'nft', v_result->'nft');
+end $$;
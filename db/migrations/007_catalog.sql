@@ -0,0 +1,23 @@
+-- 007_catalog.sql
+-- Catalog search (routes/catalog.js): indexes for name search, filters and keyset pagination,
+-- and the per-collection summary used by the filter chips. NFTs of one collection share a name
+-- (t.me/nft/<name>-<number>).
+-- Local equivalents: lib/storage/procedures/catalog.js
+
+create extension if not exists pg_trgm;
+create index if not exists nfts_name_trgm_idx on nfts using gin (name gin_trgm_ops);
+create index if not exists nfts_price_idx on nfts (price, id);
+create index if not exists nfts_number_idx on nfts (number, id);
+create index if not exists nfts_for_sale_idx on nfts (for_sale, id);
+
+create or replace function nft_collections()
+returns json language sql stable as $$
+  select coalesce(json_agg(c order by c.name), '[]'::json)
+  from (
+    select name,
+           count(*) as count,
+           min(price) filter (where for_sale and auction_id is null) as floor_price
+    from nfts
+    group by name
+  ) c;
+$$;
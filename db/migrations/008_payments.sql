@@ -0,0 +1,63 @@
+-- 008_payments.sql
+-- Verified TON payments for stars and premium. The server issues an intent with the expected
+-- amount, destination wallet and a unique payload (transfer comment); lib/payments matches
+-- incoming transfers to intents and payment_confirm credits the profile exactly once.
+-- Local equivalents: lib/storage/procedures/payments.js
+
+create table if not exists payment_intents (
+  id           bigserial primary key,
+  user_id      text   not null,
+  type         text   not null,                        -- stars | premium
+  quantity     int    not null check (quantity > 0),   -- stars, or premium months
+  amount       bigint not null check (amount > 0),     -- nanoTON expected
+  destination  text   not null,
+  payload      text   not null unique,
+  status       text   not null default 'pending',      -- pending | paid
+  tx_hash      text   unique,
+  paid_amount  bigint,
+  paid_at      timestamptz,
+  expires_at   timestamptz not null,
+  created_at   timestamptz not null default now()
+);
+create index if not exists payment_intents_user_idx on payment_intents (user_id, id);
+create index if not exists payment_intents_pending_idx on payment_intents (status, expires_at);
+
+-- A confirmed transfer for p_intent: must reach the expected amount, be sent before the intent
+-- expired, and carry a tx hash no other intent used. Credits stars or extends premium.
+create or replace function payment_confirm(p_intent bigint, p_tx_hash text, p_amount bigint, p_sent_at timestamptz)
+returns json language plpgsql as $$
+declare
+  v_intent payment_intents%rowtype;
+  v_profile profiles%rowtype;
+begin
+  select * into v_intent from payment_intents where id = p_intent for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'intent not found');
+  end if;
+  if v_intent.status = 'paid' then
+    return json_build_object('ok', false, 'error', 'already paid', 'intent', row_to_json(v_intent));
+  end if;
+  if exists (select 1 from payment_intents where tx_hash = p_tx_hash) then
+    return json_build_object('ok', false, 'error', 'tx already used');
+  end if;
+  if p_amount < v_intent.amount then
+    return json_build_object('ok', false, 'error', 'amount mismatch');
+  end if;
+  if p_sent_at > v_intent.expires_at then
+    return json_build_object('ok', false, 'error', 'expired');
+  end if;
+
+  update payment_intents set status = 'paid', tx_hash = p_tx_hash, paid_amount = p_amount, paid_at = now()
+    where id = p_intent returning * into v_intent;
+
+  insert into profiles (id) values (v_intent.user_id) on conflict (id) do nothing;
+  if v_intent.type = 'stars' then
+    update profiles set stars_balance = stars_balance + v_intent.quantity
+      where id = v_intent.user_id returning * into v_profile;
+  else
+    update profiles set premium_until = greatest(coalesce(premium_until, now()), now()) + make_interval(months => v_intent.quantity)
+      where id = v_intent.user_id returning * into v_profile;
+  end if;
+
+  return json_build_object('ok', true, 'intent', row_to_json(v_intent), 'profile', row_to_json(v_profile));
+end $$;
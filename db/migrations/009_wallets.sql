@@ -0,0 +1,149 @@
+-- 009_wallets.sql
+-- Linked TON wallets (TonConnect ton_proof, checked in lib/payments/proof.js), deposits into the
+-- internal balance and withdrawals through an admin approval queue.
+--   deposit:    a payment intent of type 'deposit'; payment_confirm credits the paid amount to the ledger
+--   withdrawal: the amount is debited when requested ('withdrawal'), refunded on reject/cancel
+--               ('withdrawal_refund'); an approved withdrawal is paid out to the wallet by an admin
+-- Local equivalents: lib/storage/procedures/wallets.js, payment_confirm in ./payments.js
+
+create table if not exists wallets (
+  user_id     text primary key,
+  address     text not null unique,                  -- raw form 0:<hex>
+  public_key  text not null,
+  network     text,
+  linked_at   timestamptz not null default now()
+);
+
+create table if not exists withdrawals (
+  id           bigserial primary key,
+  user_id      text   not null,
+  amount       bigint not null check (amount > 0),     -- nanoTON
+  destination  text   not null,                        -- linked wallet at request time
+  status       text   not null default 'pending',      -- pending | approved | rejected | cancelled
+  tx_hash      text,                                   -- payout transfer, set on approve
+  note         text,
+  resolved_by  text,
+  resolved_at  timestamptz,
+  created_at   timestamptz not null default now()
+);
+create index if not exists withdrawals_user_idx on withdrawals (user_id, id);
+create index if not exists withdrawals_status_idx on withdrawals (status, id);
+
+-- 008 + deposits: a deposit intent credits whatever was paid (at least the requested amount)
+create or replace function payment_confirm(p_intent bigint, p_tx_hash text, p_amount bigint, p_sent_at timestamptz)
+returns json language plpgsql as $$
+declare
+  v_intent payment_intents%rowtype;
+  v_profile profiles%rowtype;
+  v_balance bigint;
+begin
+  select * into v_intent from payment_intents where id = p_intent for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'intent not found');
+  end if;
+  if v_intent.status = 'paid' then
+    return json_build_object('ok', false, 'error', 'already paid', 'intent', row_to_json(v_intent));
+  end if;
+  if exists (select 1 from payment_intents where tx_hash = p_tx_hash) then
+    return json_build_object('ok', false, 'error', 'tx already used');
+  end if;
+  if p_amount < v_intent.amount then
+    return json_build_object('ok', false, 'error', 'amount mismatch');
+  end if;
+  if p_sent_at > v_intent.expires_at then
+    return json_build_object('ok', false, 'error', 'expired');
+  end if;
+
+  update payment_intents set status = 'paid', tx_hash = p_tx_hash, paid_amount = p_amount, paid_at = now()
+    where id = p_intent returning * into v_intent;
+
+  if v_intent.type = 'deposit' then
+    perform pg_advisory_xact_lock(hashtext('ledger:' || v_intent.user_id));
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (v_intent.user_id, p_amount, 'deposit', 'payment:' || p_intent, v_intent.user_id);
+    v_balance := ledger_balance(v_intent.user_id);
+    return json_build_object('ok', true, 'intent', row_to_json(v_intent), 'balance', v_balance);
+  end if;
+
+  insert into profiles (id) values (v_intent.user_id) on conflict (id) do nothing;
+  if v_intent.type = 'stars' then
+    update profiles set stars_balance = stars_balance + v_intent.quantity
+      where id = v_intent.user_id returning * into v_profile;
+  else
+    update profiles set premium_until = greatest(coalesce(premium_until, now()), now()) + make_interval(months => v_intent.quantity)
+      where id = v_intent.user_id returning * into v_profile;
+  end if;
+
+  return json_build_object('ok', true, 'intent', row_to_json(v_intent), 'profile', row_to_json(v_profile));
+end $$;
+
+-- Debit the balance and queue a withdrawal to the linked wallet, within the per-request and
+-- rolling 24h limits (nanoTON).
+create or replace function withdrawal_request(p_user text, p_amount bigint, p_min bigint, p_max bigint, p_daily bigint)
+returns json language plpgsql as $$
+declare
+  v_wallet wallets%rowtype;
+  v_balance bigint;
+  v_today bigint;
+  v_withdrawal withdrawals%rowtype;
+begin
+  select * into v_wallet from wallets where user_id = p_user;
+  if not found then
+    return json_build_object('ok', false, 'error', 'no wallet');
+  end if;
+  if p_amount < p_min then
+    return json_build_object('ok', false, 'error', 'below minimum', 'min', p_min);
+  end if;
+  if p_amount > p_max then
+    return json_build_object('ok', false, 'error', 'above maximum', 'max', p_max);
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('ledger:' || p_user));
+  select coalesce(sum(amount), 0) into v_today from withdrawals
+    where user_id = p_user and status in ('pending', 'approved') and created_at > now() - interval '1 day';
+  if v_today + p_amount > p_daily then
+    return json_build_object('ok', false, 'error', 'daily limit', 'left', greatest(p_daily - v_today, 0));
+  end if;
+  v_balance := ledger_balance(p_user);
+  if v_balance < p_amount then
+    return json_build_object('ok', false, 'error', 'insufficient_balance', 'balance', v_balance);
+  end if;
+
+  insert into withdrawals (user_id, amount, destination)
+    values (p_user, p_amount, v_wallet.address)
+    returning * into v_withdrawal;
+  insert into ledger (user_id, amount, reason, ref, actor_id)
+    values (p_user, -p_amount, 'withdrawal', 'withdrawal:' || v_withdrawal.id, p_user);
+
+  return json_build_object('ok', true, 'withdrawal', row_to_json(v_withdrawal), 'balance', v_balance - p_amount);
+end $$;
+
+-- approved (admin, payout tx hash) | rejected (admin) | cancelled (owner); the last two refund
+create or replace function withdrawal_close(p_withdrawal bigint, p_actor text, p_status text, p_tx_hash text, p_note text)
+returns json language plpgsql as $$
+declare
+  v_withdrawal withdrawals%rowtype;
+begin
+  if p_status not in ('approved', 'rejected', 'cancelled') then
+    raise exception 'withdrawal_close: bad status %', p_status;
+  end if;
+  select * into v_withdrawal from withdrawals where id = p_withdrawal for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'withdrawal not found');
+  end if;
+  if p_status = 'cancelled' and v_withdrawal.user_id <> p_actor then
+    return json_build_object('ok', false, 'error', 'not authorized');
+  end if;
+  if v_withdrawal.status <> 'pending' then
+    return json_build_object('ok', false, 'error', 'not pending');
+  end if;
+
+  if p_status <> 'approved' then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (v_withdrawal.user_id, v_withdrawal.amount, 'withdrawal_refund', 'withdrawal:' || p_withdrawal, p_actor);
+  end if;
+  update withdrawals set status = p_status, tx_hash = p_tx_hash, note = p_note, resolved_by = p_actor, resolved_at = now()
+    where id = p_withdrawal returning * into v_withdrawal;
+
+  return json_build_object('ok', true, 'withdrawal', row_to_json(v_withdrawal));
+end $$;
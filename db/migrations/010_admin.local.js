@@ -0,0 +1,6 @@
+// Local-store counterpart of 010_admin.sql: existing NFTs are visible.
+module.exports = async function up(db) {
+  for (const nft of await db.select('nfts')) {
+    if (nft.hidden === undefined) await db.update('nfts', { id: nft.id }, { hidden: false })
+  }
+}
@@ -0,0 +1,81 @@
+-- 010_admin.sql
+-- Admin console (routes/admin.js): append-only audit log of admin actions, hidden NFT lots,
+-- balance adjustments that write ledger + audit together, and dashboard stats.
+-- Local equivalents: lib/storage/procedures/admin.js, nft_collections in ./catalog.js
+
+create table if not exists audit_log (
+  id           bigserial primary key,
+  actor_id     text  not null,
+  action       text  not null,                 -- 'balance.adjust', 'nft.update', 'withdrawal.approve', ...
+  target_type  text,                           -- user | nft | withdrawal | sync
+  target_id    text,
+  details      jsonb not null default '{}'::jsonb,
+  created_at   timestamptz not null default now()
+);
+create index if not exists audit_log_actor_idx on audit_log (actor_id, id);
+create index if not exists audit_log_target_idx on audit_log (target_type, target_id, id);
+create index if not exists audit_log_action_idx on audit_log (action, id);
+
+drop trigger if exists audit_log_no_update on audit_log;
+create trigger audit_log_no_update before update or delete on audit_log
+  for each row execute function ledger_immutable();
+
+-- hidden lots are left out of the catalog and taken off sale
+alter table nfts add column if not exists hidden boolean not null default false;
+
+create or replace function nft_collections()
+returns json language sql stable as $$
+  select coalesce(json_agg(c order by c.name), '[]'::json)
+  from (
+    select name,
+           count(*) as count,
+           min(price) filter (where for_sale and auction_id is null) as floor_price
+    from nfts
+    where not hidden
+    group by name
+  ) c;
+$$;
+
+-- Credit (p_amount > 0) or debit an account by an admin. The note is mandatory and kept in the
+-- audit entry; the ledger entry points at it (ref 'audit:<id>').
+create or replace function admin_adjust_balance(p_admin text, p_user text, p_amount bigint, p_note text)
+returns json language plpgsql as $$
+declare
+  v_balance bigint;
+  v_audit_id bigint;
+  v_entry_id bigint;
+begin
+  perform pg_advisory_xact_lock(hashtext('ledger:' || p_user));
+  v_balance := ledger_balance(p_user);
+  if v_balance + p_amount < 0 then
+    return json_build_object('ok', false, 'error', 'insufficient_balance', 'balance', v_balance);
+  end if;
+
+  insert into audit_log (actor_id, action, target_type, target_id, details)
+    values (p_admin, 'balance.adjust', 'user', p_user,
+            json_build_object('amount', p_amount, 'note', p_note, 'balance', v_balance + p_amount)::jsonb)
+    returning id into v_audit_id;
+  insert into ledger (user_id, amount, reason, ref, actor_id)
+    values (p_user, p_amount, case when p_amount > 0 then 'admin_credit' else 'admin_debit' end, 'audit:' || v_audit_id, p_admin)
+    returning id into v_entry_id;
+
+  return json_build_object('ok', true, 'balance', v_balance + p_amount, 'entry_id', v_entry_id, 'audit_id', v_audit_id);
+end $$;
+
+create or replace function admin_stats()
+returns json language sql stable as $$
+  select json_build_object(
+    'users',                (select count(*) from profiles),
+    'nfts',                 (select count(*) from nfts),
+    'hidden',               (select count(*) from nfts where hidden),
+    'for_sale',             (select count(*) from nfts where for_sale),
+    'active_auctions',      (select count(*) from auctions where status = 'active'),
+    'pending_gifts',        (select count(*) from gifts where status = 'pending'),
+    'pending_withdrawals',  (select count(*) from withdrawals where status = 'pending'),
+    'pending_withdrawals_amount', (select coalesce(sum(amount), 0) from withdrawals where status = 'pending'),
+    'sales_24h',            (select count(*) from sales where created_at > now() - interval '1 day'),
+    'volume_24h',           (select coalesce(sum(price), 0) from sales where created_at > now() - interval '1 day'),
+    'fees_total',           (select coalesce(sum(amount), 0) from ledger where reason = 'market_fee'),
+    'deposits_total',       (select coalesce(sum(amount), 0) from ledger where reason = 'deposit')
+  );
+$$;
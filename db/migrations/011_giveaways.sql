@@ -0,0 +1,215 @@
+-- 011_giveaways.sql
+-- Giveaways: admins put up an NFT lot or a TON amount, users join until ends_at, then a
+-- commit-reveal draw picks the winners (lib/giveaways). The seed's sha256 is published when the
+-- giveaway is created; the seed itself is revealed with the result, so anyone can re-run the draw.
+-- While a giveaway holds an NFT prize, nfts.giveaway_id points at it and the lot is off sale.
+-- Winners get a row in `notifications`.
+-- Local equivalents: lib/storage/procedures/giveaways.js
+
+create table if not exists giveaways (
+  id             bigserial primary key,
+  created_by     text   not null,
+  title          text   not null,
+  description    text,
+  prize_type     text   not null check (prize_type in ('nft', 'ton')),
+  nft_id         bigint references nfts (id),
+  amount         bigint not null default 0,           -- ton prize: nanoTON per winner
+  winners_count  int    not null default 1 check (winners_count > 0),
+  conditions     jsonb  not null default '{}'::jsonb, -- { premium, min_balance (nanoTON), collection }
+  ends_at        timestamptz not null,
+  status         text   not null default 'active',    -- active | drawn | cancelled
+  seed_hash      text   not null,                     -- sha256(seed), hex; public from the start
+  seed           text,                                -- secret until the draw
+  entries_hash   text,                                -- sha256 of the entrant list the draw ran on
+  winners        jsonb  not null default '[]'::jsonb, -- user ids in draw order
+  drawn_at       timestamptz,
+  created_at     timestamptz not null default now()
+);
+create index if not exists giveaways_status_idx on giveaways (status, ends_at);
+
+create table if not exists giveaway_entries (
+  id           bigserial primary key,
+  giveaway_id  bigint not null references giveaways (id) on delete cascade,
+  user_id      text   not null,
+  created_at   timestamptz not null default now(),
+  unique (giveaway_id, user_id)
+);
+create index if not exists giveaway_entries_user_idx on giveaway_entries (user_id, id);
+
+alter table nfts add column if not exists giveaway_id bigint;
+
+create table if not exists notifications (
+  id          bigserial primary key,
+  user_id     text  not null,
+  type        text  not null,                     -- giveaway_won, ...
+  payload     jsonb not null default '{}'::jsonb,
+  read_at     timestamptz,
+  created_at  timestamptz not null default now()
+);
+create index if not exists notifications_user_idx on notifications (user_id, id);
+
+-- NFT prizes must be free lots: unowned, visible, not in an auction, gift or other giveaway.
+create or replace function giveaway_create(p_admin text, p_title text, p_description text, p_prize_type text,
+                                           p_nft bigint, p_amount bigint, p_winners int, p_conditions jsonb,
+                                           p_ends_at timestamptz, p_seed text, p_seed_hash text)
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_giveaway giveaways%rowtype;
+begin
+  if p_prize_type = 'nft' then
+    select * into v_nft from nfts where id = p_nft for update;
+    if not found then
+      return json_build_object('ok', false, 'error', 'nft not found');
+    end if;
+    if v_nft.owner_id is not null then
+      return json_build_object('ok', false, 'error', 'owned by user');
+    end if;
+    if v_nft.hidden or v_nft.auction_id is not null or v_nft.gift_id is not null or v_nft.giveaway_id is not null then
+      return json_build_object('ok', false, 'error', 'nft busy');
+    end if;
+  end if;
+
+  insert into giveaways (created_by, title, description, prize_type, nft_id, amount, winners_count, conditions, ends_at, seed, seed_hash)
+    values (p_admin, p_title, p_description, p_prize_type, case when p_prize_type = 'nft' then p_nft end,
+            case when p_prize_type = 'ton' then p_amount else 0 end, p_winners, coalesce(p_conditions, '{}'::jsonb),
+            p_ends_at, p_seed, p_seed_hash)
+    returning * into v_giveaway;
+  if p_prize_type = 'nft' then
+    update nfts set giveaway_id = v_giveaway.id, for_sale = false, listed_at = null where id = p_nft;
+  end if;
+
+  insert into audit_log (actor_id, action, target_type, target_id, details)
+    values (p_admin, 'giveaway.create', 'giveaway', v_giveaway.id::text,
+            json_build_object('title', p_title, 'prize_type', p_prize_type, 'nft_id', v_giveaway.nft_id,
+                              'amount', v_giveaway.amount, 'winners_count', p_winners, 'seed_hash', p_seed_hash)::jsonb);
+
+  return json_build_object('ok', true, 'giveaway', row_to_json(v_giveaway));
+end $$;
+
+create or replace function giveaway_join(p_giveaway bigint, p_user text, p_now timestamptz)
+returns json language plpgsql as $$
+declare
+  v_giveaway giveaways%rowtype;
+  v_entry giveaway_entries%rowtype;
+  v_min bigint;
+begin
+  select * into v_giveaway from giveaways where id = p_giveaway;
+  if not found then
+    return json_build_object('ok', false, 'error', 'giveaway not found');
+  end if;
+  if v_giveaway.status <> 'active' or p_now >= v_giveaway.ends_at then
+    return json_build_object('ok', false, 'error', 'giveaway ended');
+  end if;
+
+  if coalesce((v_giveaway.conditions ->> 'premium')::boolean, false)
+     and not exists (select 1 from profiles where id = p_user and premium_until > p_now) then
+    return json_build_object('ok', false, 'error', 'premium required');
+  end if;
+  v_min := coalesce((v_giveaway.conditions ->> 'min_balance')::bigint, 0);
+  if v_min > 0 and ledger_balance(p_user) < v_min then
+    return json_build_object('ok', false, 'error', 'balance too low', 'min_balance', v_min);
+  end if;
+  if coalesce(v_giveaway.conditions ->> 'collection', '') <> ''
+     and not exists (select 1 from nfts where owner_id = p_user and name = v_giveaway.conditions ->> 'collection') then
+    return json_build_object('ok', false, 'error', 'collection required');
+  end if;
+
+  insert into giveaway_entries (giveaway_id, user_id) values (p_giveaway, p_user)
+    on conflict (giveaway_id, user_id) do nothing
+    returning * into v_entry;
+  if v_entry.id is null then
+    return json_build_object('ok', false, 'error', 'already joined');
+  end if;
+  return json_build_object('ok', true, 'entry', row_to_json(v_entry));
+end $$;
+
+-- give an NFT prize back to the catalog (no winner / cancelled)
+create or replace function giveaway_release_nft(p_nft bigint)
+returns void language sql as $$
+  update nfts set giveaway_id = null, for_sale = not hidden where id = p_nft;
+$$;
+
+-- Record the draw made by lib/giveaways: checks the revealed seed against the commitment and
+-- the winners against the entrants, then pays out the prizes and notifies the winners.
+create or replace function giveaway_settle(p_giveaway bigint, p_seed text, p_entries_hash text, p_winners text[], p_now timestamptz)
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_giveaway giveaways%rowtype;
+  v_entries int;
+  v_winner text;
+begin
+  select nft_id into v_nft_id from giveaways where id = p_giveaway;
+  if not found then
+    return json_build_object('ok', false, 'error', 'giveaway not found');
+  end if;
+  if v_nft_id is not null then
+    perform 1 from nfts where id = v_nft_id for update;
+  end if;
+  select * into v_giveaway from giveaways where id = p_giveaway for update;
+  if v_giveaway.status <> 'active' then
+    return json_build_object('ok', false, 'error', 'giveaway not active');
+  end if;
+  if p_now < v_giveaway.ends_at then
+    return json_build_object('ok', false, 'error', 'giveaway not ended');
+  end if;
+  if encode(sha256(convert_to(p_seed, 'UTF8')), 'hex') <> v_giveaway.seed_hash then
+    return json_build_object('ok', false, 'error', 'seed mismatch');
+  end if;
+
+  select count(*) into v_entries from giveaway_entries where giveaway_id = p_giveaway;
+  if coalesce(array_length(p_winners, 1), 0) <> least(v_entries, v_giveaway.winners_count)
+     or (select count(distinct w) from unnest(p_winners) w) <> coalesce(array_length(p_winners, 1), 0)
+     or exists (select 1 from unnest(p_winners) w
+                where not exists (select 1 from giveaway_entries e where e.giveaway_id = p_giveaway and e.user_id = w)) then
+    return json_build_object('ok', false, 'error', 'invalid winners');
+  end if;
+
+  foreach v_winner in array coalesce(p_winners, '{}') loop
+    if v_giveaway.prize_type = 'ton' then
+      insert into ledger (user_id, amount, reason, ref, actor_id)
+        values (v_winner, v_giveaway.amount, 'giveaway_prize', 'giveaway:' || p_giveaway, v_giveaway.created_by);
+    else
+      update nfts set owner_id = v_winner, giveaway_id = null, for_sale = false, listed_at = null where id = v_nft_id;
+    end if;
+    insert into notifications (user_id, type, payload)
+      values (v_winner, 'giveaway_won', json_build_object('giveaway_id', p_giveaway, 'title', v_giveaway.title,
+              'prize_type', v_giveaway.prize_type, 'amount', v_giveaway.amount, 'nft_id', v_nft_id)::jsonb);
+  end loop;
+  if v_giveaway.prize_type = 'nft' and coalesce(array_length(p_winners, 1), 0) = 0 then
+    perform giveaway_release_nft(v_nft_id);
+  end if;
+
+  update giveaways set status = 'drawn', seed = p_seed, entries_hash = p_entries_hash,
+                       winners = to_jsonb(coalesce(p_winners, '{}')), drawn_at = p_now
+    where id = p_giveaway returning * into v_giveaway;
+  return json_build_object('ok', true, 'giveaway', row_to_json(v_giveaway));
+end $$;
+
+create or replace function giveaway_cancel(p_giveaway bigint, p_admin text)
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_giveaway giveaways%rowtype;
+begin
+  select nft_id into v_nft_id from giveaways where id = p_giveaway;
+  if not found then
+    return json_build_object('ok', false, 'error', 'giveaway not found');
+  end if;
+  if v_nft_id is not null then
+    perform 1 from nfts where id = v_nft_id for update;
+  end if;
+  select * into v_giveaway from giveaways where id = p_giveaway for update;
+  if v_giveaway.status <> 'active' then
+    return json_build_object('ok', false, 'error', 'giveaway not active');
+  end if;
+
+  if v_nft_id is not null then
+    perform giveaway_release_nft(v_nft_id);
+  end if;
+  update giveaways set status = 'cancelled' where id = p_giveaway returning * into v_giveaway;
+  insert into audit_log (actor_id, action, target_type, target_id, details)
+    values (p_admin, 'giveaway.cancel', 'giveaway', p_giveaway::text, json_build_object('title', v_giveaway.title)::jsonb);
+  return json_build_object('ok', true, 'giveaway', row_to_json(v_giveaway));
+end $$;
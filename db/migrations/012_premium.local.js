@@ -0,0 +1,15 @@
+// Local-store counterpart of 012_premium.sql: the default subscription plans, existing NFTs have no drop time.
+const PLANS = [
+  { id: 'premium_1m', title: 'Premium 1 месяц', months: 1, price: 1500000000, perks: { market_fee_bps: 100, max_listings: 50, early_access_minutes: 60 }, sort: 1 },
+  { id: 'premium_3m', title: 'Premium 3 месяца', months: 3, price: 4000000000, perks: { market_fee_bps: 100, max_listings: 50, early_access_minutes: 60 }, sort: 2 },
+  { id: 'premium_12m', title: 'Premium 12 месяцев', months: 12, price: 14000000000, perks: { market_fee_bps: 50, max_listings: 100, early_access_minutes: 120 }, sort: 3 }
+]
+
+module.exports = async function up(db) {
+  for (const plan of PLANS) {
+    if (!(await db.get('subscription_plans', { id: plan.id }))) await db.insert('subscription_plans', { ...plan, active: true })
+  }
+  for (const nft of await db.select('nfts')) {
+    if (nft.available_at === undefined) await db.update('nfts', { id: nft.id }, { available_at: null })
+  }
+}
@@ -0,0 +1,138 @@
+-- 012_premium.sql
+-- Premium subscriptions: plans live in `subscription_plans` (price, months, perks), every paid
+-- premium intent adds a `subscriptions` row that starts at the current expiry, so renewals stack.
+-- profiles.premium_until stays the effective expiry. Perks (lib/premium.js):
+--   market_fee_bps        fee on the subscriber's sales (never above MARKET_FEE_BPS)
+--   max_listings          fixed-price listings + active auctions at once
+--   early_access_minutes  primary lots with nfts.available_at can be bought this much earlier
+-- Local equivalents: lib/storage/procedures/premium.js, payment_confirm in ./payments.js,
+-- paySeller in ./ledger.js; default plans for the local store: 012_premium.local.js
+
+create table if not exists subscription_plans (
+  id          text   primary key,
+  title       text   not null,
+  months      int    not null check (months > 0),
+  price       bigint not null check (price > 0),            -- nanoTON
+  perks       jsonb  not null default '{}'::jsonb,
+  active      boolean not null default true,                -- inactive plans can't be bought
+  sort        int    not null default 0,
+  created_at  timestamptz not null default now()
+);
+
+insert into subscription_plans (id, title, months, price, perks, sort) values
+  ('premium_1m',  'Premium 1 месяц',   1,  1500000000, '{"market_fee_bps": 100, "max_listings": 50, "early_access_minutes": 60}', 1),
+  ('premium_3m',  'Premium 3 месяца',  3,  4000000000, '{"market_fee_bps": 100, "max_listings": 50, "early_access_minutes": 60}', 2),
+  ('premium_12m', 'Premium 12 месяцев', 12, 14000000000, '{"market_fee_bps": 50, "max_listings": 100, "early_access_minutes": 120}', 3)
+on conflict (id) do nothing;
+
+create table if not exists subscriptions (
+  id          bigserial primary key,
+  user_id     text   not null,
+  plan_id     text   references subscription_plans (id),
+  intent_id   bigint unique references payment_intents (id),
+  starts_at   timestamptz not null,
+  ends_at     timestamptz not null,
+  created_at  timestamptz not null default now()
+);
+create index if not exists subscriptions_user_idx on subscriptions (user_id, ends_at);
+
+alter table payment_intents add column if not exists plan_id text references subscription_plans (id);
+
+-- primary lots released at a fixed time ("drops"); premium gets early access
+alter table nfts add column if not exists available_at timestamptz;
+
+-- { active, premium_until, plan_id, perks }; perks come from the subscription covering p_now
+create or replace function premium_state(p_user text, p_now timestamptz default now())
+returns json language plpgsql stable as $$
+declare
+  v_until timestamptz;
+  v_plan subscription_plans%rowtype;
+begin
+  select premium_until into v_until from profiles where id = p_user;
+  if v_until is null or v_until <= p_now then
+    return json_build_object('active', false, 'premium_until', v_until, 'plan_id', null, 'perks', null);
+  end if;
+  select p.* into v_plan from subscriptions s join subscription_plans p on p.id = s.plan_id
+    where s.user_id = p_user and s.starts_at <= p_now and s.ends_at > p_now
+    order by s.ends_at desc limit 1;
+  if not found then
+    -- premium granted before plans existed: perks of the first plan
+    select * into v_plan from subscription_plans order by sort, id limit 1;
+  end if;
+  return json_build_object('active', true, 'premium_until', v_until, 'plan_id', v_plan.id, 'perks', coalesce(v_plan.perks, '{}'::jsonb));
+end $$;
+
+-- 004 + premium: the seller's plan may lower the fee
+create or replace function pay_seller(p_seller text, p_amount bigint, p_fee_bps int, p_treasury text, p_ref text, p_actor text)
+returns bigint language plpgsql as $$
+declare
+  v_bps int := least(p_fee_bps, coalesce((premium_state(p_seller)::jsonb -> 'perks' ->> 'market_fee_bps')::int, p_fee_bps));
+  v_fee bigint := (p_amount * v_bps) / 10000;
+begin
+  if p_amount - v_fee > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_seller, p_amount - v_fee, 'nft_sale', p_ref, p_actor);
+  end if;
+  if v_fee > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_treasury, v_fee, 'market_fee', p_ref, p_actor);
+  end if;
+  return v_fee;
+end $$;
+
+-- 009 + subscriptions: a premium intent adds a subscription from the current expiry (renewals stack)
+create or replace function payment_confirm(p_intent bigint, p_tx_hash text, p_amount bigint, p_sent_at timestamptz)
+returns json language plpgsql as $$
+declare
+  v_intent payment_intents%rowtype;
+  v_profile profiles%rowtype;
+  v_balance bigint;
+  v_start timestamptz;
+  v_subscription subscriptions%rowtype;
+begin
+  select * into v_intent from payment_intents where id = p_intent for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'intent not found');
+  end if;
+  if v_intent.status = 'paid' then
+    return json_build_object('ok', false, 'error', 'already paid', 'intent', row_to_json(v_intent));
+  end if;
+  if exists (select 1 from payment_intents where tx_hash = p_tx_hash) then
+    return json_build_object('ok', false, 'error', 'tx already used');
+  end if;
+  if p_amount < v_intent.amount then
+    return json_build_object('ok', false, 'error', 'amount mismatch');
+  end if;
+  if p_sent_at > v_intent.expires_at then
+    return json_build_object('ok', false, 'error', 'expired');
+  end if;
+
+  update payment_intents set status = 'paid', tx_hash = p_tx_hash, paid_amount = p_amount, paid_at = now()
+    where id = p_intent returning * into v_intent;
+
+  if v_intent.type = 'deposit' then
+    perform pg_advisory_xact_lock(hashtext('ledger:' || v_intent.user_id));
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (v_intent.user_id, p_amount, 'deposit', 'payment:' || p_intent, v_intent.user_id);
+    v_balance := ledger_balance(v_intent.user_id);
+    return json_build_object('ok', true, 'intent', row_to_json(v_intent), 'balance', v_balance);
+  end if;
+
+  insert into profiles (id) values (v_intent.user_id) on conflict (id) do nothing;
+  select * into v_profile from profiles where id = v_intent.user_id for update;
+  if v_intent.type = 'stars' then
+    update profiles set stars_balance = stars_balance + v_intent.quantity
+      where id = v_intent.user_id returning * into v_profile;
+    return json_build_object('ok', true, 'intent', row_to_json(v_intent), 'profile', row_to_json(v_profile));
+  end if;
+
+  v_start := greatest(coalesce(v_profile.premium_until, now()), now());
+  insert into subscriptions (user_id, plan_id, intent_id, starts_at, ends_at)
+    values (v_intent.user_id, v_intent.plan_id, v_intent.id, v_start, v_start + make_interval(months => v_intent.quantity))
+    returning * into v_subscription;
+  update profiles set premium_until = v_subscription.ends_at
+    where id = v_intent.user_id returning * into v_profile;
+
+  return json_build_object('ok', true, 'intent', row_to_json(v_intent), 'profile', row_to_json(v_profile),
+                           'subscription', row_to_json(v_subscription));
+end $$;
@@ -0,0 +1,13 @@
+// Local-store counterpart of 013_stars.sql: the default star rate, opening stars_ledger entries.
+module.exports = async function up(db) {
+  if (!(await db.get('currency_rates', { currency: 'stars' }))) {
+    await db.insert('currency_rates', { currency: 'stars', rate: 10000000, updated_by: null, updated_at: new Date().toISOString() })
+  }
+  for (const profile of await db.select('profiles')) {
+    const stars = Number(profile.stars_balance || 0)
+    if (stars > 0 && !(await db.get('stars_ledger', { user_id: profile.id }))) {
+      await db.insert('stars_ledger', { user_id: profile.id, amount: stars, reason: 'opening', ref: null, actor_id: null, balance_after: stars })
+    }
+    if (profile.stars_for_fees === undefined) await db.update('profiles', { id: profile.id }, { stars_for_fees: false })
+  }
+}
@@ -0,0 +1,220 @@
+-- 013_stars.sql
+-- Stars as a second in-app currency. profiles.stars_balance stays the running balance; every
+-- change goes through stars_post, which also appends to `stars_ledger` (append-only, like `ledger`).
+-- The TON value of a star lives in `currency_rates` (nanoTON per star, set by admins).
+--   * buying stars for TON (payment intents) credits stars          reason 'purchase'
+--   * stars <-> TON balance conversion at the rate                  'convert_to_ton' / 'convert_from_ton'
+--   * paying for an NFT in stars (rounded up to whole stars)        'nft_purchase'
+--   * sellers with profiles.stars_for_fees pay the market fee in stars 'market_fee'
+-- Whenever stars turn into TON the TON ledger gets a 'stars_to_ton' entry with ref 'stars:<entry id>'
+-- (the reverse: 'ton_to_stars'), so both ledgers stay consistent.
+-- Local equivalents: lib/storage/procedures/stars.js, starsPost/paySeller in ./ledger.js,
+-- payment_confirm in ./payments.js
+
+create table if not exists currency_rates (
+  currency    text   primary key,                     -- 'stars'
+  rate        bigint not null check (rate > 0),       -- nanoTON per unit
+  updated_by  text,
+  updated_at  timestamptz not null default now()
+);
+insert into currency_rates (currency, rate) values ('stars', 10000000) on conflict (currency) do nothing;
+
+create table if not exists stars_ledger (
+  id             bigserial primary key,
+  user_id        text   not null,
+  amount         bigint not null check (amount <> 0), -- stars: + credit, - debit
+  reason         text   not null,
+  ref            text,
+  actor_id       text,
+  balance_after  bigint not null,
+  created_at     timestamptz not null default now()
+);
+create index if not exists stars_ledger_user_idx on stars_ledger (user_id, id);
+
+drop trigger if exists stars_ledger_no_update on stars_ledger;
+create trigger stars_ledger_no_update before update or delete on stars_ledger
+  for each row execute function ledger_immutable();
+
+-- stars credited before this migration
+insert into stars_ledger (user_id, amount, reason, balance_after)
+  select id, stars_balance, 'opening', stars_balance from profiles p
+  where stars_balance > 0 and not exists (select 1 from stars_ledger s where s.user_id = p.id);
+
+alter table profiles add column if not exists stars_for_fees boolean not null default false;
+
+create or replace function star_rate()
+returns bigint language sql stable as $$
+  select rate from currency_rates where currency = 'stars';
+$$;
+
+-- signed stars; never below zero -> { ok, stars, entry_id } | { ok: false, error: 'insufficient_stars', stars }
+create or replace function stars_post(p_user text, p_amount bigint, p_reason text, p_ref text, p_actor text)
+returns json language plpgsql as $$
+declare
+  v_profile profiles%rowtype;
+  v_entry bigint;
+begin
+  insert into profiles (id) values (p_user) on conflict (id) do nothing;
+  select * into v_profile from profiles where id = p_user for update;
+  if v_profile.stars_balance + p_amount < 0 then
+    return json_build_object('ok', false, 'error', 'insufficient_stars', 'stars', v_profile.stars_balance);
+  end if;
+  update profiles set stars_balance = stars_balance + p_amount where id = p_user returning * into v_profile;
+  insert into stars_ledger (user_id, amount, reason, ref, actor_id, balance_after)
+    values (p_user, p_amount, p_reason, p_ref, p_actor, v_profile.stars_balance)
+    returning id into v_entry;
+  return json_build_object('ok', true, 'stars', v_profile.stars_balance, 'entry_id', v_entry);
+end $$;
+
+-- p_direction: 'to_ton' (stars -> TON balance) | 'to_stars' -> { ok, stars, balance, rate }
+create or replace function stars_convert(p_user text, p_direction text, p_stars bigint)
+returns json language plpgsql as $$
+declare
+  v_rate bigint := star_rate();
+  v_nano bigint := p_stars * v_rate;
+  v_post json;
+begin
+  if p_stars <= 0 or p_direction not in ('to_ton', 'to_stars') then
+    return json_build_object('ok', false, 'error', 'invalid amount');
+  end if;
+  perform pg_advisory_xact_lock(hashtext('ledger:' || p_user));
+  if p_direction = 'to_ton' then
+    v_post := stars_post(p_user, -p_stars, 'convert_to_ton', null, p_user);
+    if not (v_post ->> 'ok')::boolean then
+      return v_post;
+    end if;
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_user, v_nano, 'stars_to_ton', 'stars:' || (v_post ->> 'entry_id'), p_user);
+  else
+    if ledger_balance(p_user) < v_nano then
+      return json_build_object('ok', false, 'error', 'insufficient_balance', 'balance', ledger_balance(p_user));
+    end if;
+    v_post := stars_post(p_user, p_stars, 'convert_from_ton', null, p_user);
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_user, -v_nano, 'ton_to_stars', 'stars:' || (v_post ->> 'entry_id'), p_user);
+  end if;
+  return json_build_object('ok', true, 'stars', (v_post ->> 'stars')::bigint, 'balance', ledger_balance(p_user), 'rate', v_rate);
+end $$;
+
+-- Pay for an NFT in stars: the stars (price / rate, rounded up) are converted into TON on the
+-- buyer's balance, then purchase_nft runs as usual. Checks run first so nothing is converted
+-- for a purchase that can't happen.
+create or replace function purchase_nft_stars(p_buyer text, p_nft bigint, p_fee_bps int default 0, p_treasury text default 'treasury')
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_rate bigint := star_rate();
+  v_stars bigint;
+  v_post json;
+  v_result jsonb;
+begin
+  select * into v_nft from nfts where id = p_nft for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'nft not found');
+  end if;
+  if v_nft.owner_id = p_buyer then
+    return json_build_object('ok', false, 'error', 'own nft');
+  end if;
+  if not v_nft.for_sale or v_nft.auction_id is not null then
+    return json_build_object('ok', false, 'error', 'already owned');
+  end if;
+
+  v_stars := ceil(v_nft.price::numeric / v_rate)::bigint;
+  if v_stars > 0 then
+    v_post := stars_post(p_buyer, -v_stars, 'nft_purchase', 'nft:' || p_nft, p_buyer);
+    if not (v_post ->> 'ok')::boolean then
+      return v_post;
+    end if;
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_buyer, v_stars * v_rate, 'stars_to_ton', 'stars:' || (v_post ->> 'entry_id'), p_buyer);
+  end if;
+
+  v_result := purchase_nft(p_buyer, p_nft, p_fee_bps, p_treasury)::jsonb;
+  return (v_result || jsonb_build_object('stars_spent', v_stars,
+                                         'stars', (select stars_balance from profiles where id = p_buyer)))::json;
+end $$;
+
+-- 012 + stars: sellers with stars_for_fees pay the fee in stars when they have enough
+create or replace function pay_seller(p_seller text, p_amount bigint, p_fee_bps int, p_treasury text, p_ref text, p_actor text)
+returns bigint language plpgsql as $$
+declare
+  v_bps int := least(p_fee_bps, coalesce((premium_state(p_seller)::jsonb -> 'perks' ->> 'market_fee_bps')::int, p_fee_bps));
+  v_fee bigint := (p_amount * v_bps) / 10000;
+  v_stars bigint;
+  v_post json;
+begin
+  if p_amount - v_fee > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_seller, p_amount - v_fee, 'nft_sale', p_ref, p_actor);
+  end if;
+  if v_fee > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_treasury, v_fee, 'market_fee', p_ref, p_actor);
+    if exists (select 1 from profiles where id = p_seller and stars_for_fees) then
+      v_stars := ceil(v_fee::numeric / star_rate())::bigint;
+      v_post := stars_post(p_seller, -v_stars, 'market_fee', p_ref, p_actor);
+      if (v_post ->> 'ok')::boolean then
+        insert into ledger (user_id, amount, reason, ref, actor_id)
+          values (p_seller, v_stars * star_rate(), 'stars_to_ton', 'stars:' || (v_post ->> 'entry_id'), p_actor);
+      end if;
+    end if;
+  end if;
+  return v_fee;
+end $$;
+
+-- 012 + stars_ledger: bought stars are credited through stars_post
+create or replace function payment_confirm(p_intent bigint, p_tx_hash text, p_amount bigint, p_sent_at timestamptz)
+returns json language plpgsql as $$
+declare
+  v_intent payment_intents%rowtype;
+  v_profile profiles%rowtype;
+  v_balance bigint;
+  v_start timestamptz;
+  v_subscription subscriptions%rowtype;
+begin
+  select * into v_intent from payment_intents where id = p_intent for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'intent not found');
+  end if;
+  if v_intent.status = 'paid' then
+    return json_build_object('ok', false, 'error', 'already paid', 'intent', row_to_json(v_intent));
+  end if;
+  if exists (select 1 from payment_intents where tx_hash = p_tx_hash) then
+    return json_build_object('ok', false, 'error', 'tx already used');
+  end if;
+  if p_amount < v_intent.amount then
+    return json_build_object('ok', false, 'error', 'amount mismatch');
+  end if;
+  if p_sent_at > v_intent.expires_at then
+    return json_build_object('ok', false, 'error', 'expired');
+  end if;
+
+  update payment_intents set status = 'paid', tx_hash = p_tx_hash, paid_amount = p_amount, paid_at = now()
+    where id = p_intent returning * into v_intent;
+
+  if v_intent.type = 'deposit' then
+    perform pg_advisory_xact_lock(hashtext('ledger:' || v_intent.user_id));
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (v_intent.user_id, p_amount, 'deposit', 'payment:' || p_intent, v_intent.user_id);
+    v_balance := ledger_balance(v_intent.user_id);
+    return json_build_object('ok', true, 'intent', row_to_json(v_intent), 'balance', v_balance);
+  end if;
+
+  if v_intent.type = 'stars' then
+    perform stars_post(v_intent.user_id, v_intent.quantity, 'purchase', 'payment:' || p_intent, v_intent.user_id);
+    select * into v_profile from profiles where id = v_intent.user_id;
+    return json_build_object('ok', true, 'intent', row_to_json(v_intent), 'profile', row_to_json(v_profile));
+  end if;
+
+  insert into profiles (id) values (v_intent.user_id) on conflict (id) do nothing;
+  select * into v_profile from profiles where id = v_intent.user_id for update;
+  v_start := greatest(coalesce(v_profile.premium_until, now()), now());
+  insert into subscriptions (user_id, plan_id, intent_id, starts_at, ends_at)
+    values (v_intent.user_id, v_intent.plan_id, v_intent.id, v_start, v_start + make_interval(months => v_intent.quantity))
+    returning * into v_subscription;
+  update profiles set premium_until = v_subscription.ends_at
+    where id = v_intent.user_id returning * into v_profile;
+
+  return json_build_object('ok', true, 'intent', row_to_json(v_intent), 'profile', row_to_json(v_profile),
+                           'subscription', row_to_json(v_subscription));
+end $$;
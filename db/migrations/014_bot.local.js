@@ -0,0 +1,6 @@
+// Local-store counterpart of 014_bot.sql: notifications from before the bot are not sent anymore.
+module.exports = async function up(db) {
+  for (const n of await db.select('notifications')) {
+    if (n.sent_at === undefined) await db.update('notifications', { id: n.id }, { sent_at: n.created_at, send_error: null })
+  }
+}
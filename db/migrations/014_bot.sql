@@ -0,0 +1,57 @@
+-- 014_bot.sql
+-- Telegram bot companion (lib/telegram): notifications for sales, outbid bids and received gifts
+-- are written by triggers next to the giveaway wins from 011; the bot delivers every notification
+-- once as a chat message (sent_at) or records why it couldn't (send_error, e.g. bot blocked).
+-- Local equivalents: notify() in lib/storage/procedures/notifications.js, called where these rows
+-- are inserted (./market.js, ./trading.js, ./gifts.js).
+
+alter table notifications add column if not exists sent_at timestamptz;
+alter table notifications add column if not exists send_error text;
+-- notifications from before the bot are not sent anymore
+update notifications set sent_at = created_at where sent_at is null;
+create index if not exists notifications_unsent_idx on notifications (id) where sent_at is null and send_error is null;
+
+-- seller: nft_sold (primary sales have no seller)
+create or replace function notify_sale() returns trigger language plpgsql as $$
+begin
+  if new.seller_id is not null then
+    insert into notifications (user_id, type, payload)
+      select new.seller_id, 'nft_sold',
+             json_build_object('sale_id', new.id, 'nft_id', n.id, 'name', n.name, 'number', n.number,
+                               'price', new.price, 'fee', new.fee, 'buyer_id', new.buyer_id)::jsonb
+      from nfts n where n.id = new.nft_id;
+  end if;
+  return new;
+end $$;
+drop trigger if exists sales_notify on sales;
+create trigger sales_notify after insert on sales for each row execute function notify_sale();
+
+-- previous top bidder: auction_outbid (raising your own bid is not an outbid)
+create or replace function notify_outbid() returns trigger language plpgsql as $$
+declare
+  v_prev text;
+begin
+  select bidder_id into v_prev from bids where auction_id = new.auction_id and id < new.id order by id desc limit 1;
+  if v_prev is not null and v_prev <> new.bidder_id then
+    insert into notifications (user_id, type, payload)
+      select v_prev, 'auction_outbid',
+             json_build_object('auction_id', a.id, 'nft_id', n.id, 'name', n.name, 'number', n.number, 'amount', new.amount)::jsonb
+      from auctions a join nfts n on n.id = a.nft_id where a.id = new.auction_id;
+  end if;
+  return new;
+end $$;
+drop trigger if exists bids_notify on bids;
+create trigger bids_notify after insert on bids for each row execute function notify_outbid();
+
+-- receiver: gift_received (synced transfers and re-gifts)
+create or replace function notify_gift() returns trigger language plpgsql as $$
+begin
+  insert into notifications (user_id, type, payload)
+    select new.receiver_id, 'gift_received',
+           json_build_object('gift_id', new.id, 'nft_id', n.id, 'name', n.name, 'number', n.number,
+                             'sender_id', new.sender_id, 'message', new.message)::jsonb
+    from nfts n where n.id = new.nft_id;
+  return new;
+end $$;
+drop trigger if exists gifts_notify on gifts;
+create trigger gifts_notify after insert on gifts for each row execute function notify_gift();
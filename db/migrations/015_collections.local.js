@@ -0,0 +1,11 @@
+// Local-store counterpart of 015_collections.sql: collections for existing NFTs, no traits yet.
+const { collectionSlug } = require('../../lib/collections')
+
+module.exports = async function up(db) {
+  for (const nft of await db.select('nfts')) {
+    if (nft.collection_id !== undefined) continue
+    const id = collectionSlug(nft.link, nft.name)
+    if (!(await db.get('collections', { id }))) await db.insert('collections', { id, name: nft.name, description: null, image_url: nft.image_url })
+    await db.update('nfts', { id: nft.id }, { collection_id: id, attributes: [], rarity_score: 0 })
+  }
+}
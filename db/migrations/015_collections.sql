@@ -0,0 +1,99 @@
+-- 015_collections.sql
+-- Collections as their own entity and NFT traits (lib/collections.js). Every NFT gets the
+-- collection of its t.me/nft/<Slug>-<number> link when it is inserted; the collection row is
+-- created on first sight. Traits (nfts.attributes) are read from the t.me/nft page by the sync
+-- worker: [{ trait, value, rarity }], rarity = % of the collection with that value.
+-- nfts.rarity_score = sum of 100 / rarity (0 = unknown), kept up to date by the same trigger.
+-- Local equivalents: lib/storage/procedures/catalog.js, nfts.create/edit in lib/storage/repositories.js;
+-- existing rows in the local store: 015_collections.local.js
+
+create table if not exists collections (
+  id           text primary key,                 -- slug from the t.me/nft link
+  name         text not null,
+  description  text,
+  image_url    text,
+  created_at   timestamptz not null default now()
+);
+
+alter table nfts add column if not exists collection_id text references collections (id);
+alter table nfts add column if not exists attributes jsonb not null default '[]'::jsonb;
+alter table nfts add column if not exists rarity_score double precision not null default 0;
+create index if not exists nfts_collection_idx on nfts (collection_id, id);
+create index if not exists nfts_rarity_idx on nfts (rarity_score, id);
+
+create or replace function nft_collection_slug(p_link text, p_name text)
+returns text language sql immutable as $$
+  select coalesce(
+    nullif(regexp_replace(regexp_replace(substring(p_link from 't\.me/nft/(.+)-\d+$'), '%[0-9A-Fa-f]{2}', '', 'g'), '[^A-Za-z0-9]', '', 'g'), ''),
+    nullif(regexp_replace(coalesce(p_name, ''), '[^A-Za-z0-9]', '', 'g'), ''),
+    'other'
+  );
+$$;
+
+create or replace function nft_rarity_score(p_attributes jsonb)
+returns double precision language sql immutable as $$
+  select coalesce(round(sum(100.0 / (a ->> 'rarity')::numeric), 2), 0)::double precision
+  from jsonb_array_elements(coalesce(p_attributes, '[]'::jsonb)) a
+  where (a ->> 'rarity') is not null and (a ->> 'rarity')::numeric > 0;
+$$;
+
+create or replace function nfts_collection_fields() returns trigger language plpgsql as $$
+begin
+  if tg_op = 'INSERT' and new.collection_id is null then
+    new.collection_id := nft_collection_slug(new.link, new.name);
+  end if;
+  if new.collection_id is not null then
+    insert into collections (id, name, image_url) values (new.collection_id, new.name, new.image_url)
+      on conflict (id) do nothing;
+  end if;
+  new.rarity_score := nft_rarity_score(new.attributes);
+  return new;
+end $$;
+drop trigger if exists nfts_collection on nfts;
+create trigger nfts_collection before insert or update of attributes, collection_id on nfts
+  for each row execute function nfts_collection_fields();
+
+-- existing NFTs
+insert into collections (id, name, image_url)
+  select distinct on (nft_collection_slug(link, name)) nft_collection_slug(link, name), name, image_url
+  from nfts where collection_id is null
+  order by nft_collection_slug(link, name), id
+on conflict (id) do nothing;
+update nfts set collection_id = nft_collection_slug(link, name) where collection_id is null;
+
+-- 010 + collections: per collection (all, or just p_id) with item count, floor, sales volume, owners
+drop function if exists nft_collections();
+create or replace function nft_collections(p_id text default null)
+returns json language sql stable as $$
+  select coalesce(json_agg(c order by c.name), '[]'::json)
+  from (
+    select c.id, c.name, c.description, c.image_url,
+           count(n.id) as count,
+           min(n.price) filter (where n.for_sale and n.auction_id is null) as floor_price,
+           count(distinct n.owner_id) as owners,
+           coalesce((select sum(s.price) from sales s join nfts sn on sn.id = s.nft_id where sn.collection_id = c.id), 0) as volume,
+           (select count(*) from sales s join nfts sn on sn.id = s.nft_id where sn.collection_id = c.id) as sales_count
+    from collections c
+    join nfts n on n.collection_id = c.id and not n.hidden
+    where p_id is null or c.id = p_id
+    group by c.id
+  ) c;
+$$;
+
+-- trait values of a collection: [{ trait, value, count, rarity }]; rarity is the page's figure when
+-- known, otherwise the share of this collection's (visible) NFTs
+create or replace function collection_traits(p_id text)
+returns json language sql stable as $$
+  with items as (
+    select attributes from nfts where collection_id = p_id and not hidden
+  ), traits as (
+    select a ->> 'trait' as trait, a ->> 'value' as value, max((a ->> 'rarity')::numeric) as rarity, count(*) as count
+    from items, jsonb_array_elements(items.attributes) a
+    group by 1, 2
+  )
+  select coalesce(json_agg(json_build_object(
+           'trait', trait, 'value', value, 'count', count,
+           'rarity', coalesce(rarity, round(count * 100.0 / (select count(*) from items), 2)))
+         order by trait, count desc, value), '[]'::json)
+  from traits;
+$$;
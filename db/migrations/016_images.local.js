@@ -0,0 +1,25 @@
+// Local-store counterpart of 016_images.sql: hotlinked NFT images go through the cache.
+const { imageId, isRemote, cachedUrl } = require('../../lib/images')
+
+module.exports = async function up(db) {
+  for (const nft of await db.select('nfts')) {
+    if (!isRemote(nft.image_url)) continue
+    const id = imageId(nft.image_url)
+    if (!(await db.get('images', { id }))) {
+      await db.insert('images', {
+        id,
+        source_url: nft.image_url,
+        status: 'pending',
+        content_type: null,
+        bytes: null,
+        width: null,
+        height: null,
+        failures: 0,
+        error: null,
+        fetched_at: null,
+        check_at: new Date().toISOString()
+      })
+    }
+    await db.update('nfts', { id: nft.id }, { image_url: cachedUrl(id) })
+  }
+}
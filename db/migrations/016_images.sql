@@ -0,0 +1,29 @@
+-- 016_images.sql
+-- Image cache for NFT previews (lib/images.js): remote images are downloaded, validated and stored
+-- as webp thumbnails on the server's disk, served at /assets/nft/<id>.webp. NFTs keep that local
+-- url in image_url; the remote one is images.source_url.
+-- Local equivalent: 016_images.local.js
+
+create table if not exists images (
+  id            text primary key,                 -- left(sha256(source_url), 32)
+  source_url    text not null unique,
+  status        text not null default 'pending' check (status in ('pending', 'ok', 'failed')),
+  content_type  text,                             -- of the source
+  bytes         integer,                          -- thumbnail
+  width         integer,
+  height        integer,
+  failures      integer not null default 0,       -- since the last successful download
+  error         text,
+  fetched_at    timestamptz,
+  check_at      timestamptz not null default now(), -- next download: first, retry or refresh
+  created_at    timestamptz not null default now()
+);
+create index if not exists images_check_idx on images (check_at);
+
+-- existing NFTs with hotlinked images go through the cache from now on
+insert into images (id, source_url)
+  select distinct left(encode(sha256(convert_to(image_url, 'UTF8')), 'hex'), 32), image_url
+  from nfts where image_url ~* '^https?://'
+on conflict do nothing;
+update nfts set image_url = '/assets/nft/' || left(encode(sha256(convert_to(image_url, 'UTF8')), 'hex'), 32) || '.webp'
+  where image_url ~* '^https?://';
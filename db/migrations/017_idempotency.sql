@@ -0,0 +1,16 @@
+-- 017_idempotency.sql
+-- Idempotency keys of money-moving requests (lib/idempotency.js): one row per user, endpoint and
+-- Idempotency-Key, holding the response to replay when the request is retried.
+
+create table if not exists idempotency_keys (
+  id             text primary key,                -- <user_id>:<scope>:<Idempotency-Key>
+  user_id        text not null,
+  scope          text not null,                   -- endpoint, e.g. nft.buy
+  request_hash   text not null,                   -- sha256 of path + body
+  status         text not null default 'pending' check (status in ('pending', 'done')),
+  response_code  integer,
+  response_body  jsonb,
+  created_at     timestamptz not null default now(),
+  expires_at     timestamptz not null
+);
+create index if not exists idempotency_keys_expires_idx on idempotency_keys (expires_at);
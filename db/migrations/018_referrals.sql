@@ -0,0 +1,129 @@
+-- 018_referrals.sql
+-- Referral program (lib/referrals.js). Every user has a referral code (profiles.referral_code,
+-- created on first use); the invite link opens the Mini App with start_param 'ref_<code>'.
+-- /api/auth/verify attributes a profile to the referrer only when that profile is created by the
+-- same call, through referral_attach:
+--   * unknown codes, self-referral and circular referrals are refused
+--   * a profile is attributed at most once (referrals.referee_id is the key)
+--   * a referee signing in from the referrer's last ip (profiles.last_ip_hash, an HMAC) is recorded
+--     as status 'rejected', reason 'same_ip', and earns nothing
+-- The referral worker runs referral_reward for every new sale; for each side of the sale (buyer,
+-- seller) with an active referral it pays the referrer, from the treasury:
+--   'fee_share'       p_share_bps of the marketplace fee of the sale
+--   'first_purchase'  p_bonus once, on the referee's first paid purchase
+-- Sales with the referrer on the other side, or made before the referral, earn nothing.
+-- Both ledger entries have reason 'referral_reward' and ref 'sale:<id>'.
+-- Local equivalents: lib/storage/procedures/referrals.js
+
+alter table profiles add column if not exists referral_code text unique;
+alter table profiles add column if not exists last_ip_hash text;
+
+create table if not exists referrals (
+  referee_id   text primary key references profiles (id),
+  referrer_id  text not null references profiles (id),
+  code         text not null,
+  status       text not null default 'active',          -- active | rejected
+  reason       text,                                    -- why it was rejected: 'same_ip'
+  created_at   timestamptz not null default now()
+);
+create index if not exists referrals_referrer_idx on referrals (referrer_id, created_at);
+
+create table if not exists referral_rewards (
+  id           bigserial primary key,
+  referrer_id  text   not null,
+  referee_id   text   not null,
+  sale_id      bigint not null,
+  kind         text   not null check (kind in ('fee_share', 'first_purchase')),
+  amount       bigint not null check (amount > 0),      -- nanoTON
+  created_at   timestamptz not null default now(),
+  unique (sale_id, referee_id, kind)
+);
+create index if not exists referral_rewards_referrer_idx on referral_rewards (referrer_id, id);
+
+-- -> { ok, referrer_id, status } | { ok: false, error }
+create or replace function referral_attach(p_referee text, p_code text, p_ip_hash text default null)
+returns json language plpgsql as $$
+declare
+  v_referrer profiles%rowtype;
+begin
+  select * into v_referrer from profiles where referral_code = p_code;
+  if not found then
+    return json_build_object('ok', false, 'error', 'invalid code');
+  end if;
+  if v_referrer.id = p_referee
+     or exists (select 1 from referrals where referee_id = v_referrer.id and referrer_id = p_referee) then
+    return json_build_object('ok', false, 'error', 'self referral');
+  end if;
+  if exists (select 1 from referrals where referee_id = p_referee) then
+    return json_build_object('ok', false, 'error', 'already referred');
+  end if;
+  if p_ip_hash is not null and v_referrer.last_ip_hash = p_ip_hash then
+    insert into referrals (referee_id, referrer_id, code, status, reason)
+      values (p_referee, v_referrer.id, p_code, 'rejected', 'same_ip');
+    return json_build_object('ok', false, 'error', 'duplicate account');
+  end if;
+  insert into referrals (referee_id, referrer_id, code) values (p_referee, v_referrer.id, p_code);
+  return json_build_object('ok', true, 'referrer_id', v_referrer.id, 'status', 'active');
+end $$;
+
+-- one reward, at most once per (sale, referee, kind) -> nanoTON paid (0 when already paid)
+create or replace function referral_credit(p_referral referrals, p_sale bigint, p_kind text, p_amount bigint, p_treasury text)
+returns bigint language plpgsql as $$
+declare
+  v_id bigint;
+begin
+  if p_amount <= 0 then
+    return 0;
+  end if;
+  insert into referral_rewards (referrer_id, referee_id, sale_id, kind, amount)
+    values (p_referral.referrer_id, p_referral.referee_id, p_sale, p_kind, p_amount)
+    on conflict (sale_id, referee_id, kind) do nothing
+    returning id into v_id;
+  if v_id is null then
+    return 0;
+  end if;
+  insert into ledger (user_id, amount, reason, ref, actor_id)
+    values (p_treasury, -p_amount, 'referral_reward', 'sale:' || p_sale, p_referral.referee_id),
+           (p_referral.referrer_id, p_amount, 'referral_reward', 'sale:' || p_sale, p_referral.referee_id);
+  return p_amount;
+end $$;
+
+-- -> { ok, rewards, amount }
+create or replace function referral_reward(p_sale bigint, p_share_bps int, p_bonus bigint, p_treasury text default 'treasury')
+returns json language plpgsql as $$
+declare
+  v_sale sales%rowtype;
+  v_referral referrals%rowtype;
+  v_user text;
+  v_paid bigint;
+  v_rewards int := 0;
+  v_amount bigint := 0;
+begin
+  select * into v_sale from sales where id = p_sale;
+  if not found then
+    return json_build_object('ok', false, 'error', 'sale not found');
+  end if;
+  foreach v_user in array array[v_sale.buyer_id, v_sale.seller_id] loop
+    continue when v_user is null;
+    select * into v_referral from referrals
+      where referee_id = v_user and status = 'active' and created_at <= v_sale.created_at;
+    continue when not found;
+    -- trades between referrer and referee earn nothing
+    continue when v_referral.referrer_id in (v_sale.buyer_id, coalesce(v_sale.seller_id, ''));
+
+    v_paid := referral_credit(v_referral, p_sale, 'fee_share', (v_sale.fee * p_share_bps) / 10000, p_treasury);
+    if v_paid > 0 then
+      v_rewards := v_rewards + 1;
+      v_amount := v_amount + v_paid;
+    end if;
+    if v_user = v_sale.buyer_id and v_sale.price > 0
+       and not exists (select 1 from sales where buyer_id = v_user and price > 0 and id < p_sale) then
+      v_paid := referral_credit(v_referral, p_sale, 'first_purchase', p_bonus, p_treasury);
+      if v_paid > 0 then
+        v_rewards := v_rewards + 1;
+        v_amount := v_amount + v_paid;
+      end if;
+    end if;
+  end loop;
+  return json_build_object('ok', true, 'rewards', v_rewards, 'amount', v_amount);
+end $$;
@@ -0,0 +1,38 @@
+-- 019_watchlist.sql
+-- Watchlist (favorite NFTs) and per-collection price alerts (lib/alerts.js). The app checks both
+-- whenever a catalog card changes (listing, repricing, sale, admin edit); matches are delivered as
+-- notifications of type 'watchlist' and 'price_alert' through the alert channels.
+--   watchlist.seen_price   listing price the user last saw (null = not for sale): a watched NFT alerts
+--                          when it is listed, or when its price goes below this one
+--   price_alerts.kind      'new_listing': an NFT of the collection is put up for sale (at max_price or
+--                                         less when max_price is set)
+--                          'price_drop' : an NFT of the collection is for sale at max_price or less
+--   price_alerts.last_nft_id / last_price   the last match; the same NFT at the same price alerts once
+-- The activity feed (GET /api/activity) reads sales by buyer and seller, hence the two indexes.
+
+create table if not exists watchlist (
+  user_id     text   not null references profiles (id),
+  nft_id      bigint not null references nfts (id) on delete cascade,
+  seen_price  bigint,                                   -- nanoTON
+  created_at  timestamptz not null default now(),
+  primary key (user_id, nft_id)
+);
+create index if not exists watchlist_nft_idx on watchlist (nft_id);
+
+create table if not exists price_alerts (
+  id             bigserial primary key,
+  user_id        text not null references profiles (id),
+  collection_id  text not null references collections (id),
+  kind           text not null check (kind in ('new_listing', 'price_drop')),
+  max_price      bigint check (max_price > 0),          -- nanoTON
+  last_nft_id    bigint,
+  last_price     bigint,
+  triggered_at   timestamptz,
+  created_at     timestamptz not null default now(),
+  check (kind <> 'price_drop' or max_price is not null)
+);
+create index if not exists price_alerts_collection_idx on price_alerts (collection_id);
+create index if not exists price_alerts_user_idx on price_alerts (user_id, id);
+
+create index if not exists sales_buyer_idx on sales (buyer_id, id);
+create index if not exists sales_seller_idx on sales (seller_id, id);
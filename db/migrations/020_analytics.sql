@@ -0,0 +1,91 @@
+-- 020_analytics.sql
+-- Market analytics (lib/analytics.js, routes/analytics.js). Sales are already recorded in `sales`
+-- by every purchase, accepted offer and settled auction; these functions aggregate them per NFT,
+-- collection and day. The floor (cheapest NFT for sale, not on auction) is not derivable from
+-- sales, so it is sampled into floor_snapshots: on every catalog card change of the collection
+-- and every ANALYTICS_FLOOR_INTERVAL_SEC for all collections.
+--   floor_snapshots.floor_price  last floor seen that day (null = nothing for sale)
+--   floor_snapshots.floor_low    lowest floor seen that day
+-- Days are UTC. Local equivalents: lib/storage/procedures/analytics.js
+
+create table if not exists floor_snapshots (
+  collection_id  text not null references collections (id),
+  day            date not null,
+  floor_price    bigint,                                -- nanoTON
+  floor_low      bigint,
+  listed         integer not null default 0,
+  updated_at     timestamptz not null default now(),
+  primary key (collection_id, day)
+);
+
+create index if not exists sales_created_idx on sales (created_at);
+
+-- 015's nft_collections plus `listed` (NFTs for sale, not on auction) for the floor snapshots
+create or replace function nft_collections(p_id text default null)
+returns json language sql stable as $$
+  select coalesce(json_agg(c order by c.name), '[]'::json)
+  from (
+    select c.id, c.name, c.description, c.image_url,
+           count(n.id) as count,
+           min(n.price) filter (where n.for_sale and n.auction_id is null) as floor_price,
+           count(n.id) filter (where n.for_sale and n.auction_id is null) as listed,
+           count(distinct n.owner_id) as owners,
+           coalesce((select sum(s.price) from sales s join nfts sn on sn.id = s.nft_id where sn.collection_id = c.id), 0) as volume,
+           (select count(*) from sales s join nfts sn on sn.id = s.nft_id where sn.collection_id = c.id) as sales_count
+    from collections c
+    join nfts n on n.collection_id = c.id and not n.hidden
+    where p_id is null or c.id = p_id
+    group by c.id
+  ) c;
+$$;
+
+-- sales with their NFT, newest first: [{ id, nft_id, name, number, collection_id, seller_id, buyer_id, price, fee, created_at }]
+create or replace function market_sales(p_collection text default null, p_from timestamptz default null,
+                                        p_before bigint default null, p_limit integer default 100)
+returns json language sql stable as $$
+  select coalesce(json_agg(s order by s.id desc), '[]'::json)
+  from (
+    select s.id, s.nft_id, n.name, n.number, n.collection_id, s.seller_id, s.buyer_id, s.price, s.fee, s.created_at
+    from sales s join nfts n on n.id = s.nft_id
+    where (p_collection is null or n.collection_id = p_collection)
+      and (p_from is null or s.created_at >= p_from)
+      and (p_before is null or s.id < p_before)
+    order by s.id desc
+    limit p_limit
+  ) s;
+$$;
+
+-- sales per UTC day, oldest first: [{ day, sales, volume, min_price, max_price, avg_price }]
+create or replace function market_daily(p_collection text default null, p_from timestamptz default null)
+returns json language sql stable as $$
+  select coalesce(json_agg(d order by d.day), '[]'::json)
+  from (
+    select to_char(s.created_at at time zone 'utc', 'YYYY-MM-DD') as day,
+           count(*) as sales, sum(s.price) as volume, min(s.price) as min_price, max(s.price) as max_price,
+           round(avg(s.price))::bigint as avg_price
+    from sales s join nfts n on n.id = s.nft_id
+    where (p_collection is null or n.collection_id = p_collection)
+      and (p_from is null or s.created_at >= p_from)
+    group by 1
+  ) d;
+$$;
+
+-- top sellers or buyers by volume: [{ user_id, trades, volume }]; primary sales have no seller
+create or replace function market_top_traders(p_side text, p_collection text default null,
+                                              p_from timestamptz default null, p_limit integer default 10)
+returns json language sql stable as $$
+  select coalesce(json_agg(t order by t.volume desc, t.user_id), '[]'::json)
+  from (
+    select u.user_id, count(*) as trades, sum(u.price) as volume
+    from (
+      select case when p_side = 'seller' then s.seller_id else s.buyer_id end as user_id, s.price
+      from sales s join nfts n on n.id = s.nft_id
+      where (p_collection is null or n.collection_id = p_collection)
+        and (p_from is null or s.created_at >= p_from)
+    ) u
+    where u.user_id is not null
+    group by u.user_id
+    order by volume desc, u.user_id
+    limit p_limit
+  ) t;
+$$;
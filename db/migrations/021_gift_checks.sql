@@ -0,0 +1,77 @@
+-- 021_gift_checks.sql
+-- 005's gift functions with the NFT states added since: an incoming gift no longer takes over an
+-- NFT that is a giveaway prize (011) or hidden by moderation (010), and a hidden NFT can't be
+-- re-gifted out of moderation ('nft busy', as giveaway_create).
+-- Local equivalents: lib/storage/procedures/gifts.js
+
+create or replace function gift_receive(p_name text, p_number bigint, p_link text, p_image_url text, p_price bigint, p_sender text, p_receiver text)
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_gift gifts%rowtype;
+begin
+  select * into v_nft from nfts where link = p_link for update;
+  if found then
+    if v_nft.auction_id is not null then
+      return json_build_object('ok', false, 'error', 'in auction');
+    end if;
+    if v_nft.gift_id is not null then
+      return json_build_object('ok', false, 'error', 'gift pending');
+    end if;
+    if v_nft.giveaway_id is not null then
+      return json_build_object('ok', false, 'error', 'in giveaway');
+    end if;
+    if v_nft.hidden then
+      return json_build_object('ok', false, 'error', 'nft busy');
+    end if;
+    perform release_offers(v_nft.id, null, p_sender);
+  else
+    insert into nfts (name, number, price, link, image_url, owner_id, for_sale)
+      values (p_name, p_number, p_price, p_link, p_image_url, null, false)
+      returning * into v_nft;
+  end if;
+
+  insert into gifts (nft_id, sender_id, receiver_id, status, source)
+    values (v_nft.id, p_sender, p_receiver, 'pending', 'sync')
+    returning * into v_gift;
+  update nfts set owner_id = null, for_sale = false, listed_at = null, gift_id = v_gift.id,
+                  sender_id = p_sender, receiver_id = p_receiver,
+                  image_url = coalesce(p_image_url, image_url)
+    where id = v_nft.id returning * into v_nft;
+
+  return json_build_object('ok', true, 'gift', row_to_json(v_gift), 'nft', row_to_json(v_nft));
+end $$;
+
+-- Owner gives an owned NFT to another user. Cancels a fixed-price listing, expires open offers.
+create or replace function gift_send(p_nft bigint, p_sender text, p_receiver text, p_message text)
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_gift gifts%rowtype;
+begin
+  select * into v_nft from nfts where id = p_nft for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'nft not found');
+  end if;
+  if v_nft.owner_id is distinct from p_sender then
+    return json_build_object('ok', false, 'error', 'not owner');
+  end if;
+  if v_nft.auction_id is not null then
+    return json_build_object('ok', false, 'error', 'in auction');
+  end if;
+  if v_nft.hidden then
+    return json_build_object('ok', false, 'error', 'nft busy');
+  end if;
+  if p_receiver = p_sender then
+    return json_build_object('ok', false, 'error', 'own nft');
+  end if;
+
+  insert into gifts (nft_id, sender_id, receiver_id, status, source, message)
+    values (p_nft, p_sender, p_receiver, 'pending', 'regift', p_message)
+    returning * into v_gift;
+  update nfts set owner_id = null, for_sale = false, listed_at = null, gift_id = v_gift.id
+    where id = p_nft returning * into v_nft;
+  perform release_offers(p_nft, null, p_sender);
+
+  return json_build_object('ok', true, 'gift', row_to_json(v_gift), 'nft', row_to_json(v_nft));
+end $$;
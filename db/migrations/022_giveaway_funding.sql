@@ -0,0 +1,200 @@
+-- 022_giveaway_funding.sql
+-- 011's giveaways with a funded TON prize and a collection condition on collections (015).
+-- A TON prize (amount x winners_count) is debited from the treasury when the giveaway is
+-- created ('giveaway_reserve'); settle pays the winners and refunds the share nobody won,
+-- cancel refunds the whole reserve ('giveaway_refund'). giveaways.funded_by is the account the
+-- reserve came from; TON giveaways created before this migration were never reserved and have
+-- nothing to refund. conditions.collection is now a collection id, matched on nfts.collection_id.
+-- Local equivalents: lib/storage/procedures/giveaways.js
+
+alter table giveaways add column if not exists funded_by text;
+
+drop function if exists giveaway_create(text, text, text, text, bigint, bigint, int, jsonb, timestamptz, text, text);
+create or replace function giveaway_create(p_admin text, p_title text, p_description text, p_prize_type text,
+                                           p_nft bigint, p_amount bigint, p_winners int, p_conditions jsonb,
+                                           p_ends_at timestamptz, p_seed text, p_seed_hash text,
+                                           p_treasury text default 'treasury')
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_giveaway giveaways%rowtype;
+  v_collection text := nullif(coalesce(p_conditions ->> 'collection', ''), '');
+  v_reserve bigint := case when p_prize_type = 'ton' then p_amount * p_winners else 0 end;
+  v_balance bigint;
+begin
+  if p_prize_type = 'nft' then
+    select * into v_nft from nfts where id = p_nft for update;
+    if not found then
+      return json_build_object('ok', false, 'error', 'nft not found');
+    end if;
+    if v_nft.owner_id is not null then
+      return json_build_object('ok', false, 'error', 'owned by user');
+    end if;
+    if v_nft.hidden or v_nft.auction_id is not null or v_nft.gift_id is not null or v_nft.giveaway_id is not null then
+      return json_build_object('ok', false, 'error', 'nft busy');
+    end if;
+  end if;
+  if v_collection is not null and not exists (select 1 from collections where id = v_collection) then
+    return json_build_object('ok', false, 'error', 'collection not found');
+  end if;
+  if v_reserve > 0 then
+    perform pg_advisory_xact_lock(hashtext('ledger:' || p_treasury));
+    v_balance := ledger_balance(p_treasury);
+    if v_balance < v_reserve then
+      return json_build_object('ok', false, 'error', 'treasury balance too low', 'balance', v_balance);
+    end if;
+  end if;
+
+  insert into giveaways (created_by, title, description, prize_type, nft_id, amount, winners_count, conditions, ends_at, seed, seed_hash, funded_by)
+    values (p_admin, p_title, p_description, p_prize_type, case when p_prize_type = 'nft' then p_nft end,
+            case when p_prize_type = 'ton' then p_amount else 0 end, p_winners, coalesce(p_conditions, '{}'::jsonb),
+            p_ends_at, p_seed, p_seed_hash, case when v_reserve > 0 then p_treasury end)
+    returning * into v_giveaway;
+  if p_prize_type = 'nft' then
+    update nfts set giveaway_id = v_giveaway.id, for_sale = false, listed_at = null where id = p_nft;
+  end if;
+  if v_reserve > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_treasury, -v_reserve, 'giveaway_reserve', 'giveaway:' || v_giveaway.id, p_admin);
+  end if;
+
+  insert into audit_log (actor_id, action, target_type, target_id, details)
+    values (p_admin, 'giveaway.create', 'giveaway', v_giveaway.id::text,
+            json_build_object('title', p_title, 'prize_type', p_prize_type, 'nft_id', v_giveaway.nft_id,
+                              'amount', v_giveaway.amount, 'winners_count', p_winners, 'seed_hash', p_seed_hash)::jsonb);
+
+  return json_build_object('ok', true, 'giveaway', row_to_json(v_giveaway));
+end $$;
+
+create or replace function giveaway_join(p_giveaway bigint, p_user text, p_now timestamptz)
+returns json language plpgsql as $$
+declare
+  v_giveaway giveaways%rowtype;
+  v_entry giveaway_entries%rowtype;
+  v_min bigint;
+begin
+  select * into v_giveaway from giveaways where id = p_giveaway;
+  if not found then
+    return json_build_object('ok', false, 'error', 'giveaway not found');
+  end if;
+  if v_giveaway.status <> 'active' or p_now >= v_giveaway.ends_at then
+    return json_build_object('ok', false, 'error', 'giveaway ended');
+  end if;
+
+  if coalesce((v_giveaway.conditions ->> 'premium')::boolean, false)
+     and not exists (select 1 from profiles where id = p_user and premium_until > p_now) then
+    return json_build_object('ok', false, 'error', 'premium required');
+  end if;
+  v_min := coalesce((v_giveaway.conditions ->> 'min_balance')::bigint, 0);
+  if v_min > 0 and ledger_balance(p_user) < v_min then
+    return json_build_object('ok', false, 'error', 'balance too low', 'min_balance', v_min);
+  end if;
+  if coalesce(v_giveaway.conditions ->> 'collection', '') <> ''
+     and not exists (select 1 from nfts where owner_id = p_user and collection_id = v_giveaway.conditions ->> 'collection') then
+    return json_build_object('ok', false, 'error', 'collection required');
+  end if;
+
+  insert into giveaway_entries (giveaway_id, user_id) values (p_giveaway, p_user)
+    on conflict (giveaway_id, user_id) do nothing
+    returning * into v_entry;
+  if v_entry.id is null then
+    return json_build_object('ok', false, 'error', 'already joined');
+  end if;
+  return json_build_object('ok', true, 'entry', row_to_json(v_entry));
+end $$;
+
+-- the part of a TON reserve that is not paid out goes back to where it came from
+create or replace function giveaway_refund_reserve(p_giveaway giveaways, p_prizes int, p_actor text)
+returns void language plpgsql as $$
+declare
+  v_amount bigint := p_giveaway.amount * (p_giveaway.winners_count - p_prizes);
+begin
+  if p_giveaway.prize_type = 'ton' and p_giveaway.funded_by is not null and v_amount > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_giveaway.funded_by, v_amount, 'giveaway_refund', 'giveaway:' || p_giveaway.id, p_actor);
+  end if;
+end $$;
+
+create or replace function giveaway_settle(p_giveaway bigint, p_seed text, p_entries_hash text, p_winners text[], p_now timestamptz)
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_giveaway giveaways%rowtype;
+  v_entries int;
+  v_winner text;
+begin
+  select nft_id into v_nft_id from giveaways where id = p_giveaway;
+  if not found then
+    return json_build_object('ok', false, 'error', 'giveaway not found');
+  end if;
+  if v_nft_id is not null then
+    perform 1 from nfts where id = v_nft_id for update;
+  end if;
+  select * into v_giveaway from giveaways where id = p_giveaway for update;
+  if v_giveaway.status <> 'active' then
+    return json_build_object('ok', false, 'error', 'giveaway not active');
+  end if;
+  if p_now < v_giveaway.ends_at then
+    return json_build_object('ok', false, 'error', 'giveaway not ended');
+  end if;
+  if encode(sha256(convert_to(p_seed, 'UTF8')), 'hex') <> v_giveaway.seed_hash then
+    return json_build_object('ok', false, 'error', 'seed mismatch');
+  end if;
+
+  select count(*) into v_entries from giveaway_entries where giveaway_id = p_giveaway;
+  if coalesce(array_length(p_winners, 1), 0) <> least(v_entries, v_giveaway.winners_count)
+     or (select count(distinct w) from unnest(p_winners) w) <> coalesce(array_length(p_winners, 1), 0)
+     or exists (select 1 from unnest(p_winners) w
+                where not exists (select 1 from giveaway_entries e where e.giveaway_id = p_giveaway and e.user_id = w)) then
+    return json_build_object('ok', false, 'error', 'invalid winners');
+  end if;
+
+  foreach v_winner in array coalesce(p_winners, '{}') loop
+    if v_giveaway.prize_type = 'ton' then
+      insert into ledger (user_id, amount, reason, ref, actor_id)
+        values (v_winner, v_giveaway.amount, 'giveaway_prize', 'giveaway:' || p_giveaway, v_giveaway.created_by);
+    else
+      update nfts set owner_id = v_winner, giveaway_id = null, for_sale = false, listed_at = null where id = v_nft_id;
+    end if;
+    insert into notifications (user_id, type, payload)
+      values (v_winner, 'giveaway_won', json_build_object('giveaway_id', p_giveaway, 'title', v_giveaway.title,
+              'prize_type', v_giveaway.prize_type, 'amount', v_giveaway.amount, 'nft_id', v_nft_id)::jsonb);
+  end loop;
+  if v_giveaway.prize_type = 'nft' and coalesce(array_length(p_winners, 1), 0) = 0 then
+    perform giveaway_release_nft(v_nft_id);
+  end if;
+  perform giveaway_refund_reserve(v_giveaway, coalesce(array_length(p_winners, 1), 0), v_giveaway.created_by);
+
+  update giveaways set status = 'drawn', seed = p_seed, entries_hash = p_entries_hash,
+                       winners = to_jsonb(coalesce(p_winners, '{}')), drawn_at = p_now
+    where id = p_giveaway returning * into v_giveaway;
+  return json_build_object('ok', true, 'giveaway', row_to_json(v_giveaway));
+end $$;
+
+create or replace function giveaway_cancel(p_giveaway bigint, p_admin text)
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_giveaway giveaways%rowtype;
+begin
+  select nft_id into v_nft_id from giveaways where id = p_giveaway;
+  if not found then
+    return json_build_object('ok', false, 'error', 'giveaway not found');
+  end if;
+  if v_nft_id is not null then
+    perform 1 from nfts where id = v_nft_id for update;
+  end if;
+  select * into v_giveaway from giveaways where id = p_giveaway for update;
+  if v_giveaway.status <> 'active' then
+    return json_build_object('ok', false, 'error', 'giveaway not active');
+  end if;
+
+  if v_nft_id is not null then
+    perform giveaway_release_nft(v_nft_id);
+  end if;
+  perform giveaway_refund_reserve(v_giveaway, 0, p_admin);
+  update giveaways set status = 'cancelled' where id = p_giveaway returning * into v_giveaway;
+  insert into audit_log (actor_id, action, target_type, target_id, details)
+    values (p_admin, 'giveaway.cancel', 'giveaway', p_giveaway::text, json_build_object('title', v_giveaway.title)::jsonb);
+  return json_build_object('ok', true, 'giveaway', row_to_json(v_giveaway));
+end $$;
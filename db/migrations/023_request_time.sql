@@ -0,0 +1,527 @@
+-- 023_request_time.sql
+-- The time a change happens at comes from the caller (p_now, the app clock) instead of now(),
+-- like auction_bid, auction_settle and giveaway_settle already do: offer / auction / gift
+-- resolution times, paid_at and the premium renewal start, and the 24 h windows of
+-- withdrawal_request and admin_stats. p_now defaults to now(), so SQL callers and clients that
+-- don't pass it behave as before. Bodies are otherwise those of the latest migration defining
+-- each function (004, 005, 006, 009, 010, 013, 021); the old signatures are dropped so the calls
+-- stay unambiguous.
+-- Local equivalents: lib/storage/procedures
+
+drop function if exists release_offers(bigint, bigint, text);
+create or replace function release_offers(p_nft bigint, p_except bigint, p_actor text, p_now timestamptz default now())
+returns void language plpgsql as $$
+declare
+  r offers%rowtype;
+begin
+  for r in select * from offers where nft_id = p_nft and status = 'active' and id is distinct from p_except for update loop
+    perform escrow_release(r.buyer_id, r.amount, 'offer:' || r.id, p_actor);
+    update offers set status = 'expired', resolved_at = p_now where id = r.id;
+  end loop;
+end $$;
+
+drop function if exists purchase_nft(text, bigint, int, text);
+create or replace function purchase_nft(p_buyer text, p_nft bigint, p_fee_bps int default 0, p_treasury text default 'treasury',
+                                        p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_seller text;
+  v_balance bigint;
+  v_fee bigint := 0;
+  v_sale_id bigint;
+begin
+  select * into v_nft from nfts where id = p_nft for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'nft not found');
+  end if;
+  if v_nft.owner_id = p_buyer then
+    return json_build_object('ok', false, 'error', 'own nft');
+  end if;
+  if not v_nft.for_sale or v_nft.auction_id is not null then
+    return json_build_object('ok', false, 'error', 'already owned');
+  end if;
+
+  v_seller := v_nft.owner_id;
+  perform pg_advisory_xact_lock(hashtext('ledger:' || p_buyer));
+  v_balance := ledger_balance(p_buyer);
+  if v_balance < v_nft.price then
+    return json_build_object('ok', false, 'error', 'insufficient_balance', 'balance', v_balance);
+  end if;
+
+  if v_nft.price > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_buyer, -v_nft.price, 'nft_purchase', 'nft:' || p_nft, p_buyer);
+    if v_seller is not null then
+      v_fee := pay_seller(v_seller, v_nft.price, p_fee_bps, p_treasury, 'nft:' || p_nft, p_buyer);
+    end if;
+  end if;
+
+  update nfts set owner_id = p_buyer, for_sale = false, listed_at = null
+    where id = p_nft returning * into v_nft;
+  insert into sales (nft_id, seller_id, buyer_id, price, fee)
+    values (p_nft, v_seller, p_buyer, v_nft.price, v_fee)
+    returning id into v_sale_id;
+  perform release_offers(p_nft, null, p_buyer, p_now);
+
+  return json_build_object('ok', true, 'balance', v_balance - v_nft.price, 'nft', row_to_json(v_nft), 'sale_id', v_sale_id);
+end $$;
+
+drop function if exists purchase_nft_stars(text, bigint, int, text);
+create or replace function purchase_nft_stars(p_buyer text, p_nft bigint, p_fee_bps int default 0, p_treasury text default 'treasury',
+                                              p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_rate bigint := star_rate();
+  v_stars bigint;
+  v_post json;
+  v_result jsonb;
+begin
+  select * into v_nft from nfts where id = p_nft for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'nft not found');
+  end if;
+  if v_nft.owner_id = p_buyer then
+    return json_build_object('ok', false, 'error', 'own nft');
+  end if;
+  if not v_nft.for_sale or v_nft.auction_id is not null then
+    return json_build_object('ok', false, 'error', 'already owned');
+  end if;
+
+  v_stars := ceil(v_nft.price::numeric / v_rate)::bigint;
+  if v_stars > 0 then
+    v_post := stars_post(p_buyer, -v_stars, 'nft_purchase', 'nft:' || p_nft, p_buyer);
+    if not (v_post ->> 'ok')::boolean then
+      return v_post;
+    end if;
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_buyer, v_stars * v_rate, 'stars_to_ton', 'stars:' || (v_post ->> 'entry_id'), p_buyer);
+  end if;
+
+  v_result := purchase_nft(p_buyer, p_nft, p_fee_bps, p_treasury, p_now)::jsonb;
+  return (v_result || jsonb_build_object('stars_spent', v_stars,
+                                         'stars', (select stars_balance from profiles where id = p_buyer)))::json;
+end $$;
+
+drop function if exists offer_accept(bigint, text, int, text);
+create or replace function offer_accept(p_offer bigint, p_owner text, p_fee_bps int default 0, p_treasury text default 'treasury',
+                                        p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_nft nfts%rowtype;
+  v_offer offers%rowtype;
+  v_fee bigint;
+  v_sale_id bigint;
+begin
+  select nft_id into v_nft_id from offers where id = p_offer;
+  if not found then
+    return json_build_object('ok', false, 'error', 'offer not found');
+  end if;
+  select * into v_nft from nfts where id = v_nft_id for update;
+  select * into v_offer from offers where id = p_offer for update;
+  if v_offer.status <> 'active' then
+    return json_build_object('ok', false, 'error', 'offer not active');
+  end if;
+  if v_nft.owner_id is distinct from p_owner then
+    return json_build_object('ok', false, 'error', 'not owner');
+  end if;
+  if v_nft.auction_id is not null then
+    return json_build_object('ok', false, 'error', 'in auction');
+  end if;
+
+  -- buyer's funds are already in escrow
+  v_fee := pay_seller(p_owner, v_offer.amount, p_fee_bps, p_treasury, 'offer:' || p_offer, p_owner);
+  update offers set status = 'accepted', resolved_at = p_now where id = p_offer returning * into v_offer;
+  update nfts set owner_id = v_offer.buyer_id, for_sale = false, listed_at = null
+    where id = v_nft_id returning * into v_nft;
+  insert into sales (nft_id, seller_id, buyer_id, price, fee)
+    values (v_nft_id, p_owner, v_offer.buyer_id, v_offer.amount, v_fee)
+    returning id into v_sale_id;
+  perform release_offers(v_nft_id, p_offer, p_owner, p_now);
+
+  return json_build_object('ok', true, 'offer', row_to_json(v_offer), 'nft', row_to_json(v_nft), 'sale_id', v_sale_id);
+end $$;
+
+drop function if exists offer_close(bigint, text, text);
+create or replace function offer_close(p_offer bigint, p_user text, p_status text, p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_nft nfts%rowtype;
+  v_offer offers%rowtype;
+begin
+  select nft_id into v_nft_id from offers where id = p_offer;
+  if not found then
+    return json_build_object('ok', false, 'error', 'offer not found');
+  end if;
+  select * into v_nft from nfts where id = v_nft_id for update;
+  select * into v_offer from offers where id = p_offer for update;
+  if v_offer.status <> 'active' then
+    return json_build_object('ok', false, 'error', 'offer not active');
+  end if;
+  if p_status = 'cancelled' and v_offer.buyer_id <> p_user then
+    return json_build_object('ok', false, 'error', 'not authorized');
+  end if;
+  if p_status = 'rejected' and v_nft.owner_id is distinct from p_user then
+    return json_build_object('ok', false, 'error', 'not owner');
+  end if;
+  if p_status not in ('cancelled', 'rejected') then
+    raise exception 'offer_close: bad status %', p_status;
+  end if;
+
+  perform escrow_release(v_offer.buyer_id, v_offer.amount, 'offer:' || p_offer, p_user);
+  update offers set status = p_status, resolved_at = p_now where id = p_offer returning * into v_offer;
+  return json_build_object('ok', true, 'offer', row_to_json(v_offer));
+end $$;
+
+drop function if exists auction_cancel(bigint, text);
+create or replace function auction_cancel(p_auction bigint, p_seller text, p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_auction auctions%rowtype;
+begin
+  select nft_id into v_nft_id from auctions where id = p_auction;
+  if not found then
+    return json_build_object('ok', false, 'error', 'auction not found');
+  end if;
+  perform 1 from nfts where id = v_nft_id for update;
+  select * into v_auction from auctions where id = p_auction for update;
+  if v_auction.seller_id <> p_seller then
+    return json_build_object('ok', false, 'error', 'not owner');
+  end if;
+  if v_auction.status <> 'active' then
+    return json_build_object('ok', false, 'error', 'auction ended');
+  end if;
+  if v_auction.top_bid_id is not null then
+    return json_build_object('ok', false, 'error', 'has bids');
+  end if;
+
+  update auctions set status = 'cancelled', settled_at = p_now where id = p_auction returning * into v_auction;
+  update nfts set auction_id = null where id = v_nft_id;
+  return json_build_object('ok', true, 'auction', row_to_json(v_auction));
+end $$;
+
+-- 004: the offers left on the NFT expire at p_now as well
+create or replace function auction_settle(p_auction bigint, p_now timestamptz, p_fee_bps int default 0, p_treasury text default 'treasury')
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_nft nfts%rowtype;
+  v_auction auctions%rowtype;
+  v_fee bigint;
+  v_sale_id bigint;
+begin
+  select nft_id into v_nft_id from auctions where id = p_auction;
+  if not found then
+    return json_build_object('ok', false, 'error', 'auction not found');
+  end if;
+  select * into v_nft from nfts where id = v_nft_id for update;
+  select * into v_auction from auctions where id = p_auction for update;
+  if v_auction.status <> 'active' then
+    return json_build_object('ok', false, 'error', 'auction not active');
+  end if;
+  if p_now < v_auction.ends_at then
+    return json_build_object('ok', false, 'error', 'auction not ended');
+  end if;
+
+  if v_auction.top_bid_id is null then
+    update auctions set status = 'unsold', settled_at = p_now where id = p_auction returning * into v_auction;
+    update nfts set auction_id = null where id = v_nft_id returning * into v_nft;
+    return json_build_object('ok', true, 'sold', false, 'auction', row_to_json(v_auction), 'nft', row_to_json(v_nft));
+  end if;
+
+  v_fee := pay_seller(v_auction.seller_id, v_auction.top_bid_amount, p_fee_bps, p_treasury, 'auction:' || p_auction, v_auction.seller_id);
+  update bids set status = 'won' where id = v_auction.top_bid_id;
+  update auctions set status = 'settled', settled_at = p_now where id = p_auction returning * into v_auction;
+  update nfts set owner_id = v_auction.top_bidder_id, auction_id = null, for_sale = false, listed_at = null
+    where id = v_nft_id returning * into v_nft;
+  insert into sales (nft_id, seller_id, buyer_id, price, fee)
+    values (v_nft_id, v_auction.seller_id, v_auction.top_bidder_id, v_auction.top_bid_amount, v_fee)
+    returning id into v_sale_id;
+  perform release_offers(v_nft_id, null, v_auction.seller_id, p_now);
+
+  return json_build_object('ok', true, 'sold', true, 'auction', row_to_json(v_auction), 'nft', row_to_json(v_nft), 'sale_id', v_sale_id);
+end $$;
+
+drop function if exists gift_receive(text, bigint, text, text, bigint, text, text);
+create or replace function gift_receive(p_name text, p_number bigint, p_link text, p_image_url text, p_price bigint, p_sender text, p_receiver text,
+                                        p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_gift gifts%rowtype;
+begin
+  select * into v_nft from nfts where link = p_link for update;
+  if found then
+    if v_nft.auction_id is not null then
+      return json_build_object('ok', false, 'error', 'in auction');
+    end if;
+    if v_nft.gift_id is not null then
+      return json_build_object('ok', false, 'error', 'gift pending');
+    end if;
+    if v_nft.giveaway_id is not null then
+      return json_build_object('ok', false, 'error', 'in giveaway');
+    end if;
+    if v_nft.hidden then
+      return json_build_object('ok', false, 'error', 'nft busy');
+    end if;
+    perform release_offers(v_nft.id, null, p_sender, p_now);
+  else
+    insert into nfts (name, number, price, link, image_url, owner_id, for_sale)
+      values (p_name, p_number, p_price, p_link, p_image_url, null, false)
+      returning * into v_nft;
+  end if;
+
+  insert into gifts (nft_id, sender_id, receiver_id, status, source)
+    values (v_nft.id, p_sender, p_receiver, 'pending', 'sync')
+    returning * into v_gift;
+  update nfts set owner_id = null, for_sale = false, listed_at = null, gift_id = v_gift.id,
+                  sender_id = p_sender, receiver_id = p_receiver,
+                  image_url = coalesce(p_image_url, image_url)
+    where id = v_nft.id returning * into v_nft;
+
+  return json_build_object('ok', true, 'gift', row_to_json(v_gift), 'nft', row_to_json(v_nft));
+end $$;
+
+drop function if exists sync_ingest(text, text, text, bigint, text, text, bigint, text, text);
+create or replace function sync_ingest(p_source text, p_hash text, p_name text, p_number bigint, p_link text,
+                                       p_image_url text, p_price bigint, p_sender text, p_receiver text,
+                                       p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_id bigint;
+  v_result json;
+  v_transfer sync_transfers%rowtype;
+begin
+  insert into sync_transfers (source, hash, status)
+    values (p_source, p_hash, 'ingested')
+    on conflict (hash) do nothing
+    returning id into v_id;
+  if v_id is null then
+    select * into v_transfer from sync_transfers where hash = p_hash;
+    return json_build_object('ok', true, 'duplicate', true, 'transfer', row_to_json(v_transfer));
+  end if;
+
+  v_result := gift_receive(p_name, p_number, p_link, p_image_url, p_price, p_sender, p_receiver, p_now);
+  if (v_result->>'ok')::boolean then
+    update sync_transfers set gift_id = (v_result->'gift'->>'id')::bigint, nft_id = (v_result->'nft'->>'id')::bigint
+      where id = v_id returning * into v_transfer;
+  else
+    update sync_transfers set status = 'skipped', error = v_result->>'error'
+      where id = v_id returning * into v_transfer;
+  end if;
+
+  return json_build_object('ok', true, 'duplicate', false, 'transfer', row_to_json(v_transfer),
+                           'gift', v_result->'gift', 'nft', v_result->'nft');
+end $$;
+
+drop function if exists gift_send(bigint, text, text, text);
+create or replace function gift_send(p_nft bigint, p_sender text, p_receiver text, p_message text, p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_gift gifts%rowtype;
+begin
+  select * into v_nft from nfts where id = p_nft for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'nft not found');
+  end if;
+  if v_nft.owner_id is distinct from p_sender then
+    return json_build_object('ok', false, 'error', 'not owner');
+  end if;
+  if v_nft.auction_id is not null then
+    return json_build_object('ok', false, 'error', 'in auction');
+  end if;
+  if v_nft.hidden then
+    return json_build_object('ok', false, 'error', 'nft busy');
+  end if;
+  if p_receiver = p_sender then
+    return json_build_object('ok', false, 'error', 'own nft');
+  end if;
+
+  insert into gifts (nft_id, sender_id, receiver_id, status, source, message)
+    values (p_nft, p_sender, p_receiver, 'pending', 'regift', p_message)
+    returning * into v_gift;
+  update nfts set owner_id = null, for_sale = false, listed_at = null, gift_id = v_gift.id
+    where id = p_nft returning * into v_nft;
+  perform release_offers(p_nft, null, p_sender, p_now);
+
+  return json_build_object('ok', true, 'gift', row_to_json(v_gift), 'nft', row_to_json(v_nft));
+end $$;
+
+drop function if exists gift_claim(bigint, text);
+create or replace function gift_claim(p_gift bigint, p_user text, p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_nft nfts%rowtype;
+  v_gift gifts%rowtype;
+begin
+  select nft_id into v_nft_id from gifts where id = p_gift;
+  if not found then
+    return json_build_object('ok', false, 'error', 'gift not found');
+  end if;
+  select * into v_nft from nfts where id = v_nft_id for update;
+  select * into v_gift from gifts where id = p_gift for update;
+  if v_gift.receiver_id <> p_user then
+    return json_build_object('ok', false, 'error', 'not authorized');
+  end if;
+  if v_gift.status <> 'pending' then
+    return json_build_object('ok', false, 'error', 'already claimed');
+  end if;
+
+  update gifts set status = 'claimed', claimed_at = p_now where id = p_gift returning * into v_gift;
+  update nfts set owner_id = p_user, gift_id = null, for_sale = false
+    where id = v_nft_id returning * into v_nft;
+
+  return json_build_object('ok', true, 'gift', row_to_json(v_gift), 'nft', row_to_json(v_nft));
+end $$;
+
+drop function if exists payment_confirm(bigint, text, bigint, timestamptz);
+create or replace function payment_confirm(p_intent bigint, p_tx_hash text, p_amount bigint, p_sent_at timestamptz, p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_intent payment_intents%rowtype;
+  v_profile profiles%rowtype;
+  v_balance bigint;
+  v_start timestamptz;
+  v_subscription subscriptions%rowtype;
+begin
+  select * into v_intent from payment_intents where id = p_intent for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'intent not found');
+  end if;
+  if v_intent.status = 'paid' then
+    return json_build_object('ok', false, 'error', 'already paid', 'intent', row_to_json(v_intent));
+  end if;
+  if exists (select 1 from payment_intents where tx_hash = p_tx_hash) then
+    return json_build_object('ok', false, 'error', 'tx already used');
+  end if;
+  if p_amount < v_intent.amount then
+    return json_build_object('ok', false, 'error', 'amount mismatch');
+  end if;
+  if p_sent_at > v_intent.expires_at then
+    return json_build_object('ok', false, 'error', 'expired');
+  end if;
+
+  update payment_intents set status = 'paid', tx_hash = p_tx_hash, paid_amount = p_amount, paid_at = p_now
+    where id = p_intent returning * into v_intent;
+
+  if v_intent.type = 'deposit' then
+    perform pg_advisory_xact_lock(hashtext('ledger:' || v_intent.user_id));
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (v_intent.user_id, p_amount, 'deposit', 'payment:' || p_intent, v_intent.user_id);
+    v_balance := ledger_balance(v_intent.user_id);
+    return json_build_object('ok', true, 'intent', row_to_json(v_intent), 'balance', v_balance);
+  end if;
+
+  if v_intent.type = 'stars' then
+    perform stars_post(v_intent.user_id, v_intent.quantity, 'purchase', 'payment:' || p_intent, v_intent.user_id);
+    select * into v_profile from profiles where id = v_intent.user_id;
+    return json_build_object('ok', true, 'intent', row_to_json(v_intent), 'profile', row_to_json(v_profile));
+  end if;
+
+  insert into profiles (id) values (v_intent.user_id) on conflict (id) do nothing;
+  select * into v_profile from profiles where id = v_intent.user_id for update;
+  v_start := greatest(coalesce(v_profile.premium_until, p_now), p_now);
+  insert into subscriptions (user_id, plan_id, intent_id, starts_at, ends_at)
+    values (v_intent.user_id, v_intent.plan_id, v_intent.id, v_start, v_start + make_interval(months => v_intent.quantity))
+    returning * into v_subscription;
+  update profiles set premium_until = v_subscription.ends_at
+    where id = v_intent.user_id returning * into v_profile;
+
+  return json_build_object('ok', true, 'intent', row_to_json(v_intent), 'profile', row_to_json(v_profile),
+                           'subscription', row_to_json(v_subscription));
+end $$;
+
+drop function if exists withdrawal_request(text, bigint, bigint, bigint, bigint);
+create or replace function withdrawal_request(p_user text, p_amount bigint, p_min bigint, p_max bigint, p_daily bigint, p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_wallet wallets%rowtype;
+  v_balance bigint;
+  v_today bigint;
+  v_withdrawal withdrawals%rowtype;
+begin
+  select * into v_wallet from wallets where user_id = p_user;
+  if not found then
+    return json_build_object('ok', false, 'error', 'no wallet');
+  end if;
+  if p_amount < p_min then
+    return json_build_object('ok', false, 'error', 'below minimum', 'min', p_min);
+  end if;
+  if p_amount > p_max then
+    return json_build_object('ok', false, 'error', 'above maximum', 'max', p_max);
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('ledger:' || p_user));
+  select coalesce(sum(amount), 0) into v_today from withdrawals
+    where user_id = p_user and status in ('pending', 'approved') and created_at > p_now - interval '1 day';
+  if v_today + p_amount > p_daily then
+    return json_build_object('ok', false, 'error', 'daily limit', 'left', greatest(p_daily - v_today, 0));
+  end if;
+  v_balance := ledger_balance(p_user);
+  if v_balance < p_amount then
+    return json_build_object('ok', false, 'error', 'insufficient_balance', 'balance', v_balance);
+  end if;
+
+  insert into withdrawals (user_id, amount, destination)
+    values (p_user, p_amount, v_wallet.address)
+    returning * into v_withdrawal;
+  insert into ledger (user_id, amount, reason, ref, actor_id)
+    values (p_user, -p_amount, 'withdrawal', 'withdrawal:' || v_withdrawal.id, p_user);
+
+  return json_build_object('ok', true, 'withdrawal', row_to_json(v_withdrawal), 'balance', v_balance - p_amount);
+end $$;
+
+drop function if exists withdrawal_close(bigint, text, text, text, text);
+create or replace function withdrawal_close(p_withdrawal bigint, p_actor text, p_status text, p_tx_hash text, p_note text, p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_withdrawal withdrawals%rowtype;
+begin
+  if p_status not in ('approved', 'rejected', 'cancelled') then
+    raise exception 'withdrawal_close: bad status %', p_status;
+  end if;
+  select * into v_withdrawal from withdrawals where id = p_withdrawal for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'withdrawal not found');
+  end if;
+  if p_status = 'cancelled' and v_withdrawal.user_id <> p_actor then
+    return json_build_object('ok', false, 'error', 'not authorized');
+  end if;
+  if v_withdrawal.status <> 'pending' then
+    return json_build_object('ok', false, 'error', 'not pending');
+  end if;
+
+  if p_status <> 'approved' then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (v_withdrawal.user_id, v_withdrawal.amount, 'withdrawal_refund', 'withdrawal:' || p_withdrawal, p_actor);
+  end if;
+  update withdrawals set status = p_status, tx_hash = p_tx_hash, note = p_note, resolved_by = p_actor, resolved_at = p_now
+    where id = p_withdrawal returning * into v_withdrawal;
+
+  return json_build_object('ok', true, 'withdrawal', row_to_json(v_withdrawal));
+end $$;
+
+drop function if exists admin_stats();
+create or replace function admin_stats(p_now timestamptz default now())
+returns json language sql stable as $$
+  select json_build_object(
+    'users',                (select count(*) from profiles),
+    'nfts',                 (select count(*) from nfts),
+    'hidden',               (select count(*) from nfts where hidden),
+    'for_sale',             (select count(*) from nfts where for_sale),
+    'active_auctions',      (select count(*) from auctions where status = 'active'),
+    'pending_gifts',        (select count(*) from gifts where status = 'pending'),
+    'pending_withdrawals',  (select count(*) from withdrawals where status = 'pending'),
+    'pending_withdrawals_amount', (select coalesce(sum(amount), 0) from withdrawals where status = 'pending'),
+    'sales_24h',            (select count(*) from sales where created_at > p_now - interval '1 day'),
+    'volume_24h',           (select coalesce(sum(price), 0) from sales where created_at > p_now - interval '1 day'),
+    'fees_total',           (select coalesce(sum(amount), 0) from ledger where reason = 'market_fee'),
+    'deposits_total',       (select coalesce(sum(amount), 0) from ledger where reason = 'deposit')
+  );
+$$;
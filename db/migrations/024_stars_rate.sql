@@ -0,0 +1,110 @@
+-- 024_stars_rate.sql
+-- Without a currency_rates row for 'stars' star_rate() is null. stars_convert and
+-- purchase_nft_stars now answer 'rate unavailable' instead of writing null amounts, and
+-- pay_seller takes the fee in TON without trying stars, as the local procedures do.
+-- Bodies are otherwise those of 013 (stars_convert, pay_seller) and 023 (purchase_nft_stars).
+-- Local equivalents: lib/storage/procedures/stars.js, paySeller in lib/storage/procedures/ledger.js
+
+-- p_direction: 'to_ton' (stars -> TON balance) | 'to_stars' -> { ok, stars, balance, rate }
+create or replace function stars_convert(p_user text, p_direction text, p_stars bigint)
+returns json language plpgsql as $$
+declare
+  v_rate bigint := star_rate();
+  v_nano bigint := p_stars * v_rate;
+  v_post json;
+begin
+  if p_stars <= 0 or p_direction not in ('to_ton', 'to_stars') then
+    return json_build_object('ok', false, 'error', 'invalid amount');
+  end if;
+  if v_rate is null then
+    return json_build_object('ok', false, 'error', 'rate unavailable');
+  end if;
+  perform pg_advisory_xact_lock(hashtext('ledger:' || p_user));
+  if p_direction = 'to_ton' then
+    v_post := stars_post(p_user, -p_stars, 'convert_to_ton', null, p_user);
+    if not (v_post ->> 'ok')::boolean then
+      return v_post;
+    end if;
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_user, v_nano, 'stars_to_ton', 'stars:' || (v_post ->> 'entry_id'), p_user);
+  else
+    if ledger_balance(p_user) < v_nano then
+      return json_build_object('ok', false, 'error', 'insufficient_balance', 'balance', ledger_balance(p_user));
+    end if;
+    v_post := stars_post(p_user, p_stars, 'convert_from_ton', null, p_user);
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_user, -v_nano, 'ton_to_stars', 'stars:' || (v_post ->> 'entry_id'), p_user);
+  end if;
+  return json_build_object('ok', true, 'stars', (v_post ->> 'stars')::bigint, 'balance', ledger_balance(p_user), 'rate', v_rate);
+end $$;
+
+-- Pay for an NFT in stars: the stars (price / rate, rounded up) are converted into TON on the
+-- buyer's balance, then purchase_nft runs as usual. Checks run first so nothing is converted
+-- for a purchase that can't happen.
+create or replace function purchase_nft_stars(p_buyer text, p_nft bigint, p_fee_bps int default 0, p_treasury text default 'treasury',
+                                              p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_rate bigint := star_rate();
+  v_stars bigint;
+  v_post json;
+  v_result jsonb;
+begin
+  select * into v_nft from nfts where id = p_nft for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'nft not found');
+  end if;
+  if v_nft.owner_id = p_buyer then
+    return json_build_object('ok', false, 'error', 'own nft');
+  end if;
+  if not v_nft.for_sale or v_nft.auction_id is not null then
+    return json_build_object('ok', false, 'error', 'already owned');
+  end if;
+  if v_rate is null then
+    return json_build_object('ok', false, 'error', 'rate unavailable');
+  end if;
+
+  v_stars := ceil(v_nft.price::numeric / v_rate)::bigint;
+  if v_stars > 0 then
+    v_post := stars_post(p_buyer, -v_stars, 'nft_purchase', 'nft:' || p_nft, p_buyer);
+    if not (v_post ->> 'ok')::boolean then
+      return v_post;
+    end if;
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_buyer, v_stars * v_rate, 'stars_to_ton', 'stars:' || (v_post ->> 'entry_id'), p_buyer);
+  end if;
+
+  v_result := purchase_nft(p_buyer, p_nft, p_fee_bps, p_treasury, p_now)::jsonb;
+  return (v_result || jsonb_build_object('stars_spent', v_stars,
+                                         'stars', (select stars_balance from profiles where id = p_buyer)))::json;
+end $$;
+
+-- sellers with stars_for_fees pay the fee in stars when they have enough and a rate is set
+create or replace function pay_seller(p_seller text, p_amount bigint, p_fee_bps int, p_treasury text, p_ref text, p_actor text)
+returns bigint language plpgsql as $$
+declare
+  v_bps int := least(p_fee_bps, coalesce((premium_state(p_seller)::jsonb -> 'perks' ->> 'market_fee_bps')::int, p_fee_bps));
+  v_fee bigint := (p_amount * v_bps) / 10000;
+  v_rate bigint := star_rate();
+  v_stars bigint;
+  v_post json;
+begin
+  if p_amount - v_fee > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_seller, p_amount - v_fee, 'nft_sale', p_ref, p_actor);
+  end if;
+  if v_fee > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_treasury, v_fee, 'market_fee', p_ref, p_actor);
+    if v_rate is not null and exists (select 1 from profiles where id = p_seller and stars_for_fees) then
+      v_stars := ceil(v_fee::numeric / v_rate)::bigint;
+      v_post := stars_post(p_seller, -v_stars, 'market_fee', p_ref, p_actor);
+      if (v_post ->> 'ok')::boolean then
+        insert into ledger (user_id, amount, reason, ref, actor_id)
+          values (p_seller, v_stars * v_rate, 'stars_to_ton', 'stars:' || (v_post ->> 'entry_id'), p_actor);
+      end if;
+    end if;
+  end if;
+  return v_fee;
+end $$;
@@ -0,0 +1,161 @@
+-- 025_fee_time.sql
+-- pay_seller looks up the seller's premium fee perk at p_now (the sale time from the app clock)
+-- instead of now(); purchase_nft, offer_accept and auction_settle pass their p_now on. Bodies are
+-- otherwise those of 023 (callers) and 024 (pay_seller).
+-- Local equivalents: paySeller in lib/storage/procedures/ledger.js
+
+drop function if exists pay_seller(text, bigint, int, text, text, text);
+create or replace function pay_seller(p_seller text, p_amount bigint, p_fee_bps int, p_treasury text, p_ref text, p_actor text,
+                                      p_now timestamptz default now())
+returns bigint language plpgsql as $$
+declare
+  v_bps int := least(p_fee_bps, coalesce((premium_state(p_seller, p_now)::jsonb -> 'perks' ->> 'market_fee_bps')::int, p_fee_bps));
+  v_fee bigint := (p_amount * v_bps) / 10000;
+  v_rate bigint := star_rate();
+  v_stars bigint;
+  v_post json;
+begin
+  if p_amount - v_fee > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_seller, p_amount - v_fee, 'nft_sale', p_ref, p_actor);
+  end if;
+  if v_fee > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_treasury, v_fee, 'market_fee', p_ref, p_actor);
+    if v_rate is not null and exists (select 1 from profiles where id = p_seller and stars_for_fees) then
+      v_stars := ceil(v_fee::numeric / v_rate)::bigint;
+      v_post := stars_post(p_seller, -v_stars, 'market_fee', p_ref, p_actor);
+      if (v_post ->> 'ok')::boolean then
+        insert into ledger (user_id, amount, reason, ref, actor_id)
+          values (p_seller, v_stars * v_rate, 'stars_to_ton', 'stars:' || (v_post ->> 'entry_id'), p_actor);
+      end if;
+    end if;
+  end if;
+  return v_fee;
+end $$;
+
+create or replace function purchase_nft(p_buyer text, p_nft bigint, p_fee_bps int default 0, p_treasury text default 'treasury',
+                                        p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_nft nfts%rowtype;
+  v_seller text;
+  v_balance bigint;
+  v_fee bigint := 0;
+  v_sale_id bigint;
+begin
+  select * into v_nft from nfts where id = p_nft for update;
+  if not found then
+    return json_build_object('ok', false, 'error', 'nft not found');
+  end if;
+  if v_nft.owner_id = p_buyer then
+    return json_build_object('ok', false, 'error', 'own nft');
+  end if;
+  if not v_nft.for_sale or v_nft.auction_id is not null then
+    return json_build_object('ok', false, 'error', 'already owned');
+  end if;
+
+  v_seller := v_nft.owner_id;
+  perform pg_advisory_xact_lock(hashtext('ledger:' || p_buyer));
+  v_balance := ledger_balance(p_buyer);
+  if v_balance < v_nft.price then
+    return json_build_object('ok', false, 'error', 'insufficient_balance', 'balance', v_balance);
+  end if;
+
+  if v_nft.price > 0 then
+    insert into ledger (user_id, amount, reason, ref, actor_id)
+      values (p_buyer, -v_nft.price, 'nft_purchase', 'nft:' || p_nft, p_buyer);
+    if v_seller is not null then
+      v_fee := pay_seller(v_seller, v_nft.price, p_fee_bps, p_treasury, 'nft:' || p_nft, p_buyer, p_now);
+    end if;
+  end if;
+
+  update nfts set owner_id = p_buyer, for_sale = false, listed_at = null
+    where id = p_nft returning * into v_nft;
+  insert into sales (nft_id, seller_id, buyer_id, price, fee)
+    values (p_nft, v_seller, p_buyer, v_nft.price, v_fee)
+    returning id into v_sale_id;
+  perform release_offers(p_nft, null, p_buyer, p_now);
+
+  return json_build_object('ok', true, 'balance', v_balance - v_nft.price, 'nft', row_to_json(v_nft), 'sale_id', v_sale_id);
+end $$;
+
+create or replace function offer_accept(p_offer bigint, p_owner text, p_fee_bps int default 0, p_treasury text default 'treasury',
+                                        p_now timestamptz default now())
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_nft nfts%rowtype;
+  v_offer offers%rowtype;
+  v_fee bigint;
+  v_sale_id bigint;
+begin
+  select nft_id into v_nft_id from offers where id = p_offer;
+  if not found then
+    return json_build_object('ok', false, 'error', 'offer not found');
+  end if;
+  select * into v_nft from nfts where id = v_nft_id for update;
+  select * into v_offer from offers where id = p_offer for update;
+  if v_offer.status <> 'active' then
+    return json_build_object('ok', false, 'error', 'offer not active');
+  end if;
+  if v_nft.owner_id is distinct from p_owner then
+    return json_build_object('ok', false, 'error', 'not owner');
+  end if;
+  if v_nft.auction_id is not null then
+    return json_build_object('ok', false, 'error', 'in auction');
+  end if;
+
+  -- buyer's funds are already in escrow
+  v_fee := pay_seller(p_owner, v_offer.amount, p_fee_bps, p_treasury, 'offer:' || p_offer, p_owner, p_now);
+  update offers set status = 'accepted', resolved_at = p_now where id = p_offer returning * into v_offer;
+  update nfts set owner_id = v_offer.buyer_id, for_sale = false, listed_at = null
+    where id = v_nft_id returning * into v_nft;
+  insert into sales (nft_id, seller_id, buyer_id, price, fee)
+    values (v_nft_id, p_owner, v_offer.buyer_id, v_offer.amount, v_fee)
+    returning id into v_sale_id;
+  perform release_offers(v_nft_id, p_offer, p_owner, p_now);
+
+  return json_build_object('ok', true, 'offer', row_to_json(v_offer), 'nft', row_to_json(v_nft), 'sale_id', v_sale_id);
+end $$;
+
+create or replace function auction_settle(p_auction bigint, p_now timestamptz, p_fee_bps int default 0, p_treasury text default 'treasury')
+returns json language plpgsql as $$
+declare
+  v_nft_id bigint;
+  v_nft nfts%rowtype;
+  v_auction auctions%rowtype;
+  v_fee bigint;
+  v_sale_id bigint;
+begin
+  select nft_id into v_nft_id from auctions where id = p_auction;
+  if not found then
+    return json_build_object('ok', false, 'error', 'auction not found');
+  end if;
+  select * into v_nft from nfts where id = v_nft_id for update;
+  select * into v_auction from auctions where id = p_auction for update;
+  if v_auction.status <> 'active' then
+    return json_build_object('ok', false, 'error', 'auction not active');
+  end if;
+  if p_now < v_auction.ends_at then
+    return json_build_object('ok', false, 'error', 'auction not ended');
+  end if;
+
+  if v_auction.top_bid_id is null then
+    update auctions set status = 'unsold', settled_at = p_now where id = p_auction returning * into v_auction;
+    update nfts set auction_id = null where id = v_nft_id returning * into v_nft;
+    return json_build_object('ok', true, 'sold', false, 'auction', row_to_json(v_auction), 'nft', row_to_json(v_nft));
+  end if;
+
+  v_fee := pay_seller(v_auction.seller_id, v_auction.top_bid_amount, p_fee_bps, p_treasury, 'auction:' || p_auction, v_auction.seller_id, p_now);
+  update bids set status = 'won' where id = v_auction.top_bid_id;
+  update auctions set status = 'settled', settled_at = p_now where id = p_auction returning * into v_auction;
+  update nfts set owner_id = v_auction.top_bidder_id, auction_id = null, for_sale = false, listed_at = null
+    where id = v_nft_id returning * into v_nft;
+  insert into sales (nft_id, seller_id, buyer_id, price, fee)
+    values (v_nft_id, v_auction.seller_id, v_auction.top_bidder_id, v_auction.top_bid_amount, v_fee)
+    returning id into v_sale_id;
+  perform release_offers(v_nft_id, null, v_auction.seller_id, p_now);
+
+  return json_build_object('ok', true, 'sold', true, 'auction', row_to_json(v_auction), 'nft', row_to_json(v_nft), 'sale_id', v_sale_id);
+end $$;
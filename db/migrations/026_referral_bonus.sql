@@ -0,0 +1,52 @@
+-- 026_referral_bonus.sql
+-- 018's referral_reward paid the fixed 'first_purchase' bonus from the treasury without a balance
+-- check, so it could drive the treasury ledger negative. Like giveaway_create (022), it now checks
+-- the treasury first: a bonus it can't cover is not paid and is reported as `unpaid` (nanoTON).
+-- The 'fee_share' needs no check, it is part of the fee the sale just paid to the treasury.
+-- Local equivalent: referral_reward in lib/storage/procedures/referrals.js
+
+-- -> { ok, rewards, amount, unpaid }
+create or replace function referral_reward(p_sale bigint, p_share_bps int, p_bonus bigint, p_treasury text default 'treasury')
+returns json language plpgsql as $$
+declare
+  v_sale sales%rowtype;
+  v_referral referrals%rowtype;
+  v_user text;
+  v_paid bigint;
+  v_rewards int := 0;
+  v_amount bigint := 0;
+  v_unpaid bigint := 0;
+begin
+  select * into v_sale from sales where id = p_sale;
+  if not found then
+    return json_build_object('ok', false, 'error', 'sale not found');
+  end if;
+  foreach v_user in array array[v_sale.buyer_id, v_sale.seller_id] loop
+    continue when v_user is null;
+    select * into v_referral from referrals
+      where referee_id = v_user and status = 'active' and created_at <= v_sale.created_at;
+    continue when not found;
+    -- trades between referrer and referee earn nothing
+    continue when v_referral.referrer_id in (v_sale.buyer_id, coalesce(v_sale.seller_id, ''));
+
+    v_paid := referral_credit(v_referral, p_sale, 'fee_share', (v_sale.fee * p_share_bps) / 10000, p_treasury);
+    if v_paid > 0 then
+      v_rewards := v_rewards + 1;
+      v_amount := v_amount + v_paid;
+    end if;
+    if v_user = v_sale.buyer_id and v_sale.price > 0
+       and not exists (select 1 from sales where buyer_id = v_user and price > 0 and id < p_sale) then
+      perform pg_advisory_xact_lock(hashtext('ledger:' || p_treasury));
+      if p_bonus > 0 and ledger_balance(p_treasury) < p_bonus then
+        v_unpaid := v_unpaid + p_bonus;
+      else
+        v_paid := referral_credit(v_referral, p_sale, 'first_purchase', p_bonus, p_treasury);
+        if v_paid > 0 then
+          v_rewards := v_rewards + 1;
+          v_amount := v_amount + v_paid;
+        end if;
+      end if;
+    end if;
+  end loop;
+  return json_build_object('ok', true, 'rewards', v_rewards, 'amount', v_amount, 'unpaid', v_unpaid);
+end $$;
@@ -0,0 +1,52 @@
+/**
+ * db/seed.js
+ * Demo data for `npm run seed` (also what the old in-memory mock shipped with), and seed()
+ * which inserts it through the storage repositories. Re-running skips what already exists.
+ * NFT prices and ledger amounts are nanoTON.
+ */
+
+const { toNano } = require('../lib/money')
+
+const fixtures = {
+  profiles: [
+    { id: '12345678', first_name: 'Demo', username: 'demo_user', premium_until: null, stars_balance: 0 }
+  ],
+  // opening balances, written as ledger credits
+  ledger: [
+    { user_id: '12345678', amount: toNano('20'), reason: 'seed' }
+  ],
+  nfts: [
+    {
+      name: 'Desk Calendar', number: 4567, price: toNano('2.5'), link: 'https://t.me/nft/DeskCalendar-4567', image_url: '/assets/placeholder1.png', owner_id: null,
+      attributes: [{ trait: 'Model', value: 'Vintage', rarity: 1.5 }, { trait: 'Backdrop', value: 'Onyx Black', rarity: 2 }, { trait: 'Symbol', value: 'Star', rarity: 0.8 }]
+    },
+    {
+      name: 'Abstract Soul', number: 12, price: toNano('1.2'), link: 'https://t.me/nft/AbstractSoul-12', image_url: '/assets/placeholder2.png', owner_id: null,
+      attributes: [{ trait: 'Model', value: 'Nebula', rarity: 3 }, { trait: 'Backdrop', value: 'Pine Green', rarity: 1.2 }]
+    },
+    {
+      name: 'Blue Planet', number: 77, price: toNano('3'), link: 'https://t.me/nft/BluePlanet-77', image_url: '/assets/placeholder3.png', owner_id: null,
+      attributes: [{ trait: 'Model', value: 'Ocean', rarity: 5 }, { trait: 'Backdrop', value: 'Midnight Blue', rarity: 2.5 }, { trait: 'Symbol', value: 'Moon', rarity: 1 }]
+    },
+    {
+      name: 'Fragment #9', number: 9, price: toNano('0.5'), link: 'https://t.me/nft/Fragment-9', image_url: '/assets/placeholder4.png', owner_id: null,
+      attributes: [{ trait: 'Model', value: 'Shard', rarity: 10 }]
+    }
+  ]
+}
+
+async function seed(store, data = fixtures) {
+  for (const p of data.profiles || []) await store.profiles.ensure(p)
+
+  for (const n of data.nfts || []) {
+    const existing = await store.db.get('nfts', { link: n.link })
+    if (!existing) await store.nfts.create(n)
+  }
+
+  for (const e of data.ledger || []) {
+    const seeded = await store.db.get('ledger', { user_id: e.user_id, reason: e.reason })
+    if (!seeded) await store.ledger.post(e)
+  }
+}
+
+module.exports = { fixtures, seed }
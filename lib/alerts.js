@@ -0,0 +1,100 @@
+/**
+ * lib/alerts.js
+ * Watchlist and price alerts (db/migrations/019_watchlist.sql). realtime.nftChanged() reports
+ * every catalog card change; the NFT is then checked against
+ *   - its watchers: an alert when it is put up for sale or its price goes below the one the
+ *     watcher last saw (watchlist.seen_price follows the listing either way)
+ *   - the active alerts of its collection: 'new_listing' when it is put up for sale,
+ *     'price_drop' when it is for sale at max_price or less; the same NFT at the same price
+ *     alerts once (price_alerts.last_nft_id / last_price)
+ * Owners are never alerted about their own NFTs.
+ *
+ * Matches go to every channel: { name, deliver(userId, type, payload) } with type 'watchlist' or
+ * 'price_alert'. inAppChannel() stores a notification (the bot also sends those, lib/telegram) and
+ * pushes it over SSE; a failing channel is logged and does not stop the others.
+ */
+
+const MAX_WATCHLIST = 200
+const MAX_ALERTS = 20
+const ALERT_KINDS = ['new_listing', 'price_drop']
+
+function nftInfo(nft) {
+  return { nft_id: nft.id, name: nft.name, number: nft.number, image_url: nft.image_url || null }
+}
+
+// stores the notification, then pushes it to the user's open app (event: notification)
+function inAppChannel({ store, realtime }) {
+  return {
+    name: 'in_app',
+    async deliver(userId, type, payload) {
+      const notification = await store.notifications.create({ user_id: userId, type, payload })
+      if (realtime) realtime.toUser(userId, 'notification', notification)
+      return notification
+    }
+  }
+}
+
+function createAlerts({ store, channels = [], now = () => new Date() }) {
+  // card changes are checked one at a time, so two quick changes of one NFT can't both alert
+  let queue = Promise.resolve()
+
+  async function send(userId, type, payload) {
+    for (const channel of channels) {
+      try {
+        await channel.deliver(userId, type, payload)
+      } catch (e) {
+        console.error(`alerts: ${channel.name} delivery to ${userId} failed`, e.message)
+      }
+    }
+  }
+
+  async function checkWatchers(nft, listed) {
+    const price = listed ? Number(nft.price) : null
+    for (const w of await store.watchlist.watchers(nft.id)) {
+      const seen = w.seen_price == null ? null : Number(w.seen_price)
+      if (seen === price) continue
+      await store.watchlist.setSeen(w.user_id, nft.id, price)
+      if (!listed || w.user_id === nft.owner_id) continue
+      if (seen !== null && price >= seen) continue
+      await send(w.user_id, 'watchlist', { reason: seen === null ? 'listed' : 'price_drop', ...nftInfo(nft), price, old_price: seen })
+    }
+  }
+
+  async function checkCollection(nft, type) {
+    const price = Number(nft.price)
+    for (const a of await store.alerts.forCollection(nft.collection_id)) {
+      if (a.user_id === nft.owner_id) continue
+      if (a.max_price != null && price > Number(a.max_price)) continue
+      if (a.kind === 'new_listing' && type !== 'listing') continue
+      if (Number(a.last_nft_id) === nft.id && Number(a.last_price) === price) continue
+      await store.alerts.markTriggered(a.id, { nft_id: nft.id, price, now: now().toISOString() })
+      await send(a.user_id, 'price_alert', {
+        alert_id: a.id,
+        kind: a.kind,
+        collection_id: a.collection_id,
+        ...nftInfo(nft),
+        price,
+        max_price: a.max_price == null ? null : Number(a.max_price)
+      })
+    }
+  }
+
+  async function check(nftId, type) {
+    const nft = await store.nfts.get(nftId)
+    if (!nft || nft.hidden) return
+    const listed = !!nft.for_sale && !nft.auction_id && !nft.gift_id && !nft.giveaway_id
+    await checkWatchers(nft, listed)
+    if (listed && nft.collection_id) await checkCollection(nft, type)
+  }
+
+  // realtime.onNftChanged listener
+  function nftChanged(nftId, type = 'nft') {
+    const run = queue.then(() => check(nftId, type))
+    queue = run.catch(() => {})
+    return run
+  }
+
+  return { nftChanged }
+}
+
+module.exports = { createAlerts, inAppChannel, MAX_WATCHLIST, MAX_ALERTS, ALERT_KINDS }
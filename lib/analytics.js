@@ -0,0 +1,126 @@
+/**
+ * lib/analytics.js
+ * Market analytics (db/migrations/020_analytics.sql). Sale aggregates come from SQL functions over
+ * `sales`; this module samples collection floors into floor_snapshots and shapes the time series.
+ *
+ *   createFloorTracker()  realtime.onNftChanged -> the NFT's collection is sampled right away;
+ *                         all collections every ANALYTICS_FLOOR_INTERVAL_SEC while started
+ *   dailySeries()         one point per UTC day of the period: sales, volume, prices and the
+ *                         floor, carried over from the last sample on days without one
+ *
+ * Amounts are nanoTON.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_DAYS = 365
+
+const dayOf = (date) => new Date(date).toISOString().slice(0, 10)
+
+// first UTC day of a `days`-long period ending today -> 'YYYY-MM-DD'
+function periodStart(days, now = new Date()) {
+  return dayOf(now.getTime() - (days - 1) * DAY_MS)
+}
+
+/**
+ * daily: market_daily rows; floors: floor_snapshots rows (oldest first, may start before fromDay).
+ * -> [{ day, sales, volume, min_price, max_price, avg_price, floor_price, floor_low }]
+ */
+function dailySeries({ daily, floors = null, fromDay, toDay }) {
+  const salesByDay = new Map(daily.map(d => [d.day, d]))
+  const floorByDay = new Map((floors || []).map(f => [dayOf(f.day), f]))
+  let floor = null
+  for (const f of floors || []) if (dayOf(f.day) < fromDay) floor = f.floor_price == null ? null : Number(f.floor_price)
+
+  const out = []
+  for (let t = Date.parse(fromDay); dayOf(t) <= toDay; t += DAY_MS) {
+    const day = dayOf(t)
+    const d = salesByDay.get(day)
+    const f = floorByDay.get(day)
+    if (f) floor = f.floor_price == null ? null : Number(f.floor_price)
+    const point = {
+      day,
+      sales: d ? Number(d.sales) : 0,
+      volume: d ? Number(d.volume) : 0,
+      min_price: d ? Number(d.min_price) : null,
+      max_price: d ? Number(d.max_price) : null,
+      avg_price: d ? Number(d.avg_price) : null
+    }
+    if (floors) Object.assign(point, { floor_price: floor, floor_low: f && f.floor_low != null ? Number(f.floor_low) : floor })
+    out.push(point)
+  }
+  return out
+}
+
+// sale prices of one NFT, oldest first -> { points: [{ at, price }], last_price, min_price, max_price, sales_count }
+function priceHistory(sales) {
+  const points = sales.slice().reverse().map(s => ({ at: s.created_at, price: Number(s.price) }))
+  const prices = points.map(p => p.price)
+  return {
+    points,
+    last_price: prices.length ? prices[prices.length - 1] : null,
+    min_price: prices.length ? Math.min(...prices) : null,
+    max_price: prices.length ? Math.max(...prices) : null,
+    sales_count: prices.length
+  }
+}
+
+function createFloorTracker({ store, config, now = () => new Date() }) {
+  let timer = null
+  // samples are written one at a time, so the day's floor_low can't lose a concurrent update
+  let queue = Promise.resolve()
+
+  function enqueue(fn) {
+    const run = queue.then(fn)
+    queue = run.catch(() => {})
+    return run
+  }
+
+  async function record(collection) {
+    return store.analytics.recordFloor(collection.id, dayOf(now()), {
+      floor_price: collection.floor_price == null ? null : Number(collection.floor_price),
+      listed: Number(collection.listed) || 0,
+      now: now().toISOString()
+    })
+  }
+
+  // one collection -> snapshot row | null (unknown or empty collection)
+  function snapshot(collectionId) {
+    return enqueue(async () => {
+      const collection = await store.collections.get(collectionId)
+      return collection ? record(collection) : null
+    })
+  }
+
+  // -> number of collections sampled
+  function snapshotAll() {
+    return enqueue(async () => {
+      const list = await store.collections.list()
+      for (const collection of list) await record(collection)
+      return list.length
+    })
+  }
+
+  // realtime.onNftChanged listener
+  async function nftChanged(nftId) {
+    const nft = await store.nfts.get(nftId)
+    if (nft && nft.collection_id) await snapshot(nft.collection_id)
+  }
+
+  function start() {
+    if (timer) return
+    snapshotAll().catch(e => console.error('analytics floors', e.message))
+    timer = setInterval(() => {
+      snapshotAll().catch(e => console.error('analytics floors', e.message))
+    }, config.analyticsFloorIntervalSec * 1000)
+    timer.unref()
+  }
+
+  function stop() {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return { snapshot, snapshotAll, nftChanged, start, stop }
+}
+
+module.exports = { createFloorTracker, dailySeries, priceHistory, periodStart, dayOf, MAX_DAYS }
@@ -0,0 +1,56 @@
+/**
+ * lib/auctions.js
+ * Settlement loop for timed auctions: every AUCTION_SETTLE_INTERVAL_SEC it settles auctions whose
+ * ends_at has passed (winner pays from escrow, NFT transfers; no bids -> unsold).
+ * settleDue() can also be called directly (tests, admin tooling).
+ */
+
+function createAuctionSettler({ store, config, realtime, now = () => new Date() }) {
+  let timer = null
+  let running = false
+
+  async function settleDue() {
+    if (running) return []
+    running = true
+    try {
+      const at = now().toISOString()
+      const settled = []
+      for (const auction of await store.auctions.due(at)) {
+        try {
+          const result = await store.auctions.settle({
+            auction_id: auction.id,
+            now: at,
+            fee_bps: config.marketFeeBps,
+            treasury_id: config.treasuryId
+          })
+          if (result.ok) {
+            settled.push(result)
+            realtime.nftChanged(auction.nft_id, result.sold ? 'sale' : 'listing')
+          }
+        } catch (e) {
+          console.error('auction settle failed', auction.id, e)
+        }
+      }
+      return settled
+    } finally {
+      running = false
+    }
+  }
+
+  function start() {
+    if (timer) return
+    timer = setInterval(() => {
+      settleDue().catch(e => console.error('auction settler', e))
+    }, config.auctionSettleIntervalSec * 1000)
+    timer.unref()
+  }
+
+  function stop() {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return { settleDue, start, stop }
+}
+
+module.exports = { createAuctionSettler }
@@ -0,0 +1,78 @@
+/**
+ * lib/auth.js
+ * Session tokens + auth middleware for the MarketHub API
+ *
+ * - Access token: short-lived JWT issued by /api/auth/verify, sent as `Authorization: Bearer <token>`
+ * - Refresh token: long-lived JWT (typ=refresh), exchanged at /api/auth/refresh for a new pair
+ * - Role is resolved when tokens are issued (so admin changes apply on next refresh)
+ *
+ * Routes must take the user identity from `req.user.id`, never from the request body.
+ */
+
+const jwt = require('jsonwebtoken')
+
+const ACCESS_TTL = '1h'
+const REFRESH_TTL = '30d'
+
+/**
+ * opts: { secret, resolveRole(userId) -> Promise<'admin'|'user'>, now? }
+ * `now` is the clock tokens are issued and checked against (tests move it to expire them).
+ */
+function createAuth({ secret, resolveRole, now = () => new Date() }) {
+  const seconds = () => Math.floor(now().getTime() / 1000)
+
+  async function issueTokens(userId) {
+    const sub = String(userId)
+    const role = await resolveRole(sub)
+    const iat = seconds()
+    const token = jwt.sign({ sub, role, typ: 'access', iat }, secret, { expiresIn: ACCESS_TTL })
+    const refresh_token = jwt.sign({ sub, typ: 'refresh', iat }, secret, { expiresIn: REFRESH_TTL })
+    return { token, refresh_token, role }
+  }
+
+  // throws if the refresh token is invalid/expired
+  async function refreshTokens(refreshToken) {
+    const payload = jwt.verify(String(refreshToken), secret, { clockTimestamp: seconds() })
+    if (payload.typ !== 'refresh' || !payload.sub) throw new Error('not a refresh token')
+    return issueTokens(payload.sub)
+  }
+
+  function readBearer(req) {
+    const header = req.headers.authorization || ''
+    const [scheme, value] = header.split(' ')
+    if (scheme !== 'Bearer' || !value) return null
+    return value.trim()
+  }
+
+  // access token -> { id, role }; throws if invalid/expired (also for tokens outside the header, e.g. SSE)
+  function verifyAccess(token) {
+    const payload = jwt.verify(String(token), secret, { clockTimestamp: seconds() })
+    if (payload.typ !== 'access' || !payload.sub) throw new Error('not an access token')
+    return { id: String(payload.sub), role: payload.role || 'user' }
+  }
+
+  function requireAuth(req, res, next) {
+    const token = readBearer(req)
+    if (!token) return res.status(401).json({ ok: false, error: 'missing token' })
+    try {
+      req.user = verifyAccess(token)
+      return next()
+    } catch (e) {
+      const error = e.name === 'TokenExpiredError' ? 'token expired' : 'invalid token'
+      return res.status(401).json({ ok: false, error })
+    }
+  }
+
+  // use after requireAuth
+  function requireRole(...roles) {
+    return (req, res, next) => {
+      if (!req.user) return res.status(401).json({ ok: false, error: 'missing token' })
+      if (!roles.includes(req.user.role)) return res.status(403).json({ ok: false, error: 'not authorized' })
+      return next()
+    }
+  }
+
+  return { issueTokens, refreshTokens, verifyAccess, requireAuth, requireRole }
+}
+
+module.exports = { createAuth }
@@ -0,0 +1,46 @@
+/**
+ * lib/collections.js
+ * Collections and NFT traits (db/migrations/015_collections.sql).
+ *
+ * An NFT belongs to the collection in its t.me/nft/<Slug>-<number> link, or of its name when there
+ * is no such link; either way only letters and digits are kept (escapes like %20 are dropped). Traits come from the t.me/nft page (model,
+ * backdrop, symbol) as [{ trait, value, rarity }], rarity = % of the collection with that value.
+ * The rarity score is the sum of 100 / rarity over the traits that have one (rarity.tools style:
+ * rarer traits weigh more); 0 when nothing is known. Postgres computes the same in triggers.
+ */
+
+const MAX_TRAITS = 20
+
+const slugOf = (text) => String(text || '').replace(/%[0-9A-Fa-f]{2}/g, '').replace(/[^A-Za-z0-9]/g, '')
+
+// 'https://t.me/nft/PlushPepe-42' -> 'PlushPepe'; 'https://t.me/nft/Desk%20Calendar-1' -> 'DeskCalendar'
+function collectionSlug(link, name) {
+  const m = /t\.me\/nft\/(.+)-\d+$/.exec(String(link || ''))
+  return (m && slugOf(m[1])) || slugOf(name) || 'other'
+}
+
+function rarityScore(attributes) {
+  const score = (attributes || []).reduce((sum, a) => (a.rarity > 0 ? sum + 100 / a.rarity : sum), 0)
+  return Math.round(score * 100) / 100
+}
+
+// user / page input -> [{ trait, value, rarity }] | null when malformed
+function normalizeAttributes(input) {
+  if (!Array.isArray(input) || input.length > MAX_TRAITS) return null
+  const out = []
+  for (const a of input) {
+    if (!a || typeof a !== 'object') return null
+    const trait = typeof a.trait === 'string' ? a.trait.trim() : ''
+    const value = typeof a.value === 'string' ? a.value.trim() : ''
+    if (!trait || !value || trait.length > 50 || value.length > 100) return null
+    let rarity = null
+    if (a.rarity !== undefined && a.rarity !== null && a.rarity !== '') {
+      rarity = Number(a.rarity)
+      if (!Number.isFinite(rarity) || rarity <= 0 || rarity > 100) return null
+    }
+    out.push({ trait, value, rarity })
+  }
+  return out
+}
+
+module.exports = { collectionSlug, rarityScore, normalizeAttributes }
@@ -0,0 +1,114 @@
+/**
+ * lib/config.js
+ * Reads server configuration from the environment (.env is loaded by the caller).
+ */
+
+const path = require('path')
+
+// signs and checks initData in development mode when there is no real bot token
+const DEV_BOT_TOKEN = '0:markethub-dev'
+
+function loadConfig(env = process.env) {
+  const supabaseUrl = env.SUPABASE_URL || ''
+  const supabaseKey = env.SUPABASE_SERVICE_ROLE_KEY || ''
+  const telegramBotToken = env.TELEGRAM_BOT_TOKEN || ''
+  // development mode: the server signs initData for any user (POST /api/auth/dev-initdata); never in production
+  const devAuth = env.DEV_AUTH === '1' && env.NODE_ENV !== 'production'
+  return {
+    port: env.PORT || 3000,
+    telegramBotToken,
+    // initData (lib/telegram/initData.js): auth_date older than this is rejected; Ed25519 `signature`
+    // checks need only the bot id (default: the id part of the token), TELEGRAM_TEST_ENV=1 for test servers
+    initDataMaxAgeSec: Number(env.INITDATA_MAX_AGE_SEC || 86400),
+    initDataToken: telegramBotToken || (devAuth ? DEV_BOT_TOKEN : ''),
+    telegramBotId: env.TELEGRAM_BOT_ID || (/^(\d+):/.exec(telegramBotToken) || [])[1] || '',
+    telegramTestEnv: env.TELEGRAM_TEST_ENV === '1',
+    devAuth,
+    // bot companion (lib/telegram): Bot API base url (a local stub in tests), webhook secret token,
+    // Mini App link for deep links (https://t.me/<bot>/<app>); notifications are sent every N seconds
+    telegramApiUrl: (env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/+$/, ''),
+    telegramWebhookSecret: env.TELEGRAM_WEBHOOK_SECRET || '',
+    miniAppUrl: env.TELEGRAM_MINIAPP_URL || '',
+    botNotify: !!env.TELEGRAM_BOT_TOKEN && env.BOT_NOTIFY !== '0',
+    botNotifyIntervalSec: Number(env.BOT_NOTIFY_INTERVAL_SEC || 5),
+    jwtSecret: env.JWT_SECRET || 'change-me',
+    // abuse protection (lib/rateLimit.js, lib/idempotency.js): requests per minute per ip / user / user on
+    // money-moving endpoints; TRUST_PROXY (hops or 'true') when behind a reverse proxy
+    rateLimitIpPerMin: Number(env.RATE_LIMIT_IP_PER_MIN || 600),
+    rateLimitUserPerMin: Number(env.RATE_LIMIT_USER_PER_MIN || 240),
+    rateLimitMoneyPerMin: Number(env.RATE_LIMIT_MONEY_PER_MIN || 20),
+    trustProxy: env.TRUST_PROXY === 'true' ? true : Number(env.TRUST_PROXY || 0),
+    idempotencyTtlHours: Number(env.IDEMPOTENCY_TTL_HOURS || 24),
+    adminIds: String(env.ADMIN_TELEGRAM_IDS || env.ADMIN_TELEGRAM_ID || '6828395702')
+      .split(',').map(s => s.trim()).filter(Boolean),
+
+    // storage: 'supabase' when credentials are present, otherwise the local file store
+    storage: env.STORAGE || (supabaseUrl && supabaseKey ? 'supabase' : 'local'),
+    supabaseUrl,
+    supabaseKey,
+    // marketplace fee on secondary sales, in basis points (250 = 2.5%), credited to treasuryId
+    marketFeeBps: Number(env.MARKET_FEE_BPS || 250),
+    treasuryId: env.TREASURY_ID || 'treasury',
+    // listings + active auctions a user may have at once without premium (plans raise it, lib/premium.js)
+    maxListings: Number(env.MAX_LISTINGS || 10),
+
+    // auctions: a bid in the last N seconds extends the end to now + N; ended auctions are settled every M seconds
+    auctionSnipeSec: Number(env.AUCTION_SNIPE_SEC || 120),
+    auctionSettleIntervalSec: Number(env.AUCTION_SETTLE_INTERVAL_SEC || 15),
+
+    // image cache (lib/images.js): remote NFT images become webp thumbnails in IMAGE_CACHE_DIR,
+    // served at /assets/nft; failed downloads are retried after IMAGE_RETRY_SEC (doubling), old ones refreshed
+    imageCacheDir: env.IMAGE_CACHE_DIR || path.join(__dirname, '..', 'data', 'images'),
+    imageMaxBytes: Number(env.IMAGE_MAX_BYTES || 5 * 1024 * 1024),
+    imageThumbSize: Number(env.IMAGE_THUMB_SIZE || 320),
+    imageMaxAgeSec: Number(env.IMAGE_MAX_AGE_SEC || 7 * 86400),
+    imageRetrySec: Number(env.IMAGE_RETRY_SEC || 60),
+    imageRefreshIntervalSec: Number(env.IMAGE_REFRESH_INTERVAL_SEC || 60),
+
+    // realtime (lib/realtime.js): how often the ledgers are checked for balance changes to push
+    realtimePollMs: Number(env.REALTIME_POLL_MS || 1000),
+
+    // NFT sync worker (lib/sync): SYNC_SOURCE 'file' reads fake transfers from SYNC_FILE; empty = disabled
+    syncSource: env.SYNC_SOURCE || '',
+    syncFile: env.SYNC_FILE || path.join(__dirname, '..', 'data', 'sync-transfers.jsonl'),
+    syncIntervalSec: Number(env.SYNC_INTERVAL_SEC || 30),
+    syncBackoffMaxSec: Number(env.SYNC_BACKOFF_MAX_SEC || 600),
+    syncBatch: Number(env.SYNC_BATCH || 50),
+
+    // TON payments for stars/premium (lib/payments): transfers to TON_WALLET_ADDRESS are matched by
+    // payload through TON_CLIENT ('toncenter' | 'stub' = JSON-lines file TON_STUB_FILE)
+    tonWallet: env.TON_WALLET_ADDRESS || '',
+    tonClient: env.TON_CLIENT || 'stub',
+    toncenterUrl: env.TONCENTER_API_URL || 'https://toncenter.com/api/v2',
+    toncenterKey: env.TONCENTER_API_KEY || '',
+    tonStubFile: env.TON_STUB_FILE || path.join(__dirname, '..', 'data', 'ton-transfers.jsonl'),
+    depositMinTon: env.DEPOSIT_MIN_TON || '0.1',
+    // withdrawals: per request min/max and a rolling 24h total per user, approved by an admin
+    withdrawMinTon: env.WITHDRAW_MIN_TON || '1',
+    withdrawMaxTon: env.WITHDRAW_MAX_TON || '500',
+    withdrawDailyTon: env.WITHDRAW_DAILY_TON || '1000',
+    // public app url for the TonConnect manifest (default: request origin); wallets sign proofs for its host
+    publicUrl: env.PUBLIC_URL || '',
+    tonProofDomain: env.TONPROOF_DOMAIN || (env.PUBLIC_URL ? new URL(env.PUBLIC_URL).host : ''),
+    paymentIntentTtlMin: Number(env.PAYMENT_INTENT_TTL_MIN || 30),
+    paymentPollSec: Number(env.PAYMENT_POLL_SEC || 20),
+
+    // referrals (lib/referrals.js): referrers get this share of the marketplace fee of their invitees'
+    // sales (basis points of the fee, at most half: both sides may have a referrer) and a bonus on an
+    // invitee's first purchase; new sales are checked every N seconds
+    referralFeeShareBps: Math.min(Number(env.REFERRAL_FEE_SHARE_BPS || 2000), 5000),
+    referralBonusTon: env.REFERRAL_BONUS_TON || '0',
+    referralIntervalSec: Number(env.REFERRAL_INTERVAL_SEC || 30),
+
+    // giveaways (lib/giveaways.js): ended giveaways are drawn every N seconds
+    giveawayDrawIntervalSec: Number(env.GIVEAWAY_DRAW_INTERVAL_SEC || 15),
+
+    // analytics (lib/analytics.js): collection floors are sampled on card changes and every N seconds
+    analyticsFloorIntervalSec: Number(env.ANALYTICS_FLOOR_INTERVAL_SEC || 3600),
+
+    dataFile: env.DATA_FILE || path.join(__dirname, '..', 'data', 'markethub.json'),
+    databaseUrl: env.DATABASE_URL || '' // only used by scripts/migrate.js
+  }
+}
+
+module.exports = { loadConfig }
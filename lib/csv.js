@@ -0,0 +1,20 @@
+/**
+ * lib/csv.js
+ * Minimal RFC 4180 CSV writer for admin exports.
+ */
+
+function csvField(value) {
+  if (value == null) return ''
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// columns: [{ key, header? }] or plain keys; one line per row, CRLF separated
+function toCsv(rows, columns) {
+  const cols = columns.map(c => (typeof c === 'string' ? { key: c } : c))
+  const lines = [cols.map(c => csvField(c.header || c.key)).join(',')]
+  for (const row of rows) lines.push(cols.map(c => csvField(row[c.key])).join(','))
+  return lines.join('\r\n') + '\r\n'
+}
+
+module.exports = { csvField, toCsv }
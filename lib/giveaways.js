@@ -0,0 +1,96 @@
+/**
+ * lib/giveaways.js
+ * Commit-reveal draw for giveaways and the loop that runs it once a giveaway has ended.
+ *
+ * When a giveaway is created a random seed is generated and only sha256(seed) is published.
+ * After ends_at the entrants (user ids in join order) are fixed and the winners are drawn:
+ *   round i = 0, 1, ...: index = HMAC-SHA256(key = seed, "<giveaway id>:<i>") as an unsigned
+ *   256-bit integer, mod the number of entrants left; that entrant wins and leaves the pool.
+ * The seed is revealed with the result, so anyone can check it against the published hash and
+ * repeat the draw (GET /api/giveaways/:id returns seed, entrants and winners).
+ */
+
+const crypto = require('crypto')
+
+const sha256 = (text) => crypto.createHash('sha256').update(String(text), 'utf8').digest('hex')
+
+// -> { seed, seed_hash }
+function createSeed() {
+  const seed = crypto.randomBytes(32).toString('hex')
+  return { seed, seed_hash: sha256(seed) }
+}
+
+// fingerprint of the entrant list the draw ran on
+function entriesHash(entries) {
+  return sha256(entries.join('\n'))
+}
+
+function drawWinners({ seed, giveawayId, entries, count }) {
+  const pool = entries.slice()
+  const winners = []
+  for (let round = 0; round < count && pool.length; round++) {
+    const digest = crypto.createHmac('sha256', seed).update(`${giveawayId}:${round}`).digest('hex')
+    const index = Number(BigInt('0x' + digest) % BigInt(pool.length))
+    winners.push(pool.splice(index, 1)[0])
+  }
+  return winners
+}
+
+function createGiveawayDrawer({ store, config, realtime, now = () => new Date() }) {
+  let timer = null
+  let running = false
+
+  // -> giveaway_settle result ({ ok, giveaway } | { ok: false, error })
+  async function draw(giveaway, at = now().toISOString()) {
+    const entries = await store.giveaways.entrants(giveaway.id)
+    const winners = drawWinners({ seed: giveaway.seed, giveawayId: giveaway.id, entries, count: giveaway.winners_count })
+    const result = await store.giveaways.settle({
+      giveaway_id: giveaway.id,
+      seed: giveaway.seed,
+      entries_hash: entriesHash(entries),
+      winners,
+      now: at
+    })
+    // the NFT prize goes to the winner (or back on sale without entrants)
+    if (result.ok && giveaway.nft_id != null) realtime.nftChanged(giveaway.nft_id)
+    return result
+  }
+
+  async function drawDue() {
+    if (running) return []
+    running = true
+    try {
+      const at = now().toISOString()
+      const drawn = []
+      for (const giveaway of await store.giveaways.due(at)) {
+        try {
+          const result = await draw(giveaway, at)
+          if (result.ok) drawn.push(result)
+          else console.error('giveaway draw rejected', giveaway.id, result.error)
+        } catch (e) {
+          console.error('giveaway draw failed', giveaway.id, e)
+        }
+      }
+      return drawn
+    } finally {
+      running = false
+    }
+  }
+
+  function start() {
+    if (timer) return
+    timer = setInterval(() => {
+      drawDue().catch(e => console.error('giveaway drawer', e))
+    }, config.giveawayDrawIntervalSec * 1000)
+    timer.unref()
+  }
+
+  function stop() {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return { draw, drawDue, start, stop }
+}
+
+module.exports = { createSeed, entriesHash, drawWinners, createGiveawayDrawer }
@@ -0,0 +1,199 @@
+/**
+ * lib/i18n.js
+ * Translated API error messages. Routes and SQL functions answer with stable codes
+ * ({ ok: false, error: 'insufficient_balance' }); localizeErrors() adds `message` in the caller's
+ * language (Accept-Language; the Mini App sends the language it shows). `error` is never changed,
+ * clients keep matching on it. Codes without an entry get a generic message.
+ *
+ * Messages may use fields of the response body: {retry_after}, and nanoTON fields from TON_FIELDS
+ * formatted as TON.
+ */
+
+const { fromNano } = require('./money')
+
+const LANGS = ['en', 'ru']
+const DEFAULT_LANG = 'en'
+const TON_FIELDS = ['balance', 'min_bid']
+
+// code -> [en, ru]
+const ERRORS = {
+  // auth, request shape
+  'missing token': ['Sign in to continue', 'Войдите, чтобы продолжить'],
+  'invalid token': ['Sign in to continue', 'Войдите, чтобы продолжить'],
+  'token expired': ['Sign in to continue', 'Войдите, чтобы продолжить'],
+  // 403 for a signed-in user without the role or ownership
+  'not authorized': ['You are not allowed to do this', 'Недостаточно прав'],
+  'invalid initData': ['Telegram sign-in failed, reopen the app', 'Не удалось войти через Telegram, откройте приложение заново'],
+  'initData expired': ['Session expired, reopen the app', 'Сессия устарела, откройте приложение заново'],
+  'invalid refresh_token': ['Session expired, reopen the app', 'Сессия устарела, откройте приложение заново'],
+  'missing params': ['Required fields are missing', 'Заполните обязательные поля'],
+  'not found': ['Not found', 'Не найдено'],
+  'endpoint removed': ['This action is no longer supported, update the app', 'Это действие больше не поддерживается, обновите приложение'],
+  'rate limited': ['Too many requests, try again in {retry_after} s', 'Слишком много запросов, попробуйте через {retry_after} с'],
+  'request in progress': ['This request is already being processed', 'Запрос уже обрабатывается'],
+  'idempotency key reused': ['This action was already sent with other data', 'Это действие уже отправлено с другими данными'],
+  'invalid idempotency key': ['Invalid request key', 'Некорректный ключ запроса'],
+
+  // balance, amounts
+  insufficient_balance: ['Insufficient balance: {balance} TON', 'Недостаточно средств: {balance} TON'],
+  insufficient_stars: ['Not enough stars: {stars} ⭐', 'Недостаточно звёзд: {stars} ⭐'],
+  'invalid amount': ['Invalid amount', 'Неверная сумма'],
+  'invalid price': ['Invalid price', 'Неверная цена'],
+  'below minimum': ['Amount is below the minimum', 'Сумма меньше минимальной'],
+  'above maximum': ['Amount is above the maximum', 'Сумма больше максимальной'],
+  'daily limit': ['Daily withdrawal limit exceeded', 'Превышен дневной лимит вывода'],
+  'rate unavailable': ['The stars rate is not set', 'Курс звёзд не задан'],
+
+  // catalog, market
+  'nft not found': ['NFT not found', 'NFT не найдена'],
+  'own nft': ['This NFT is already yours', 'Эта NFT уже ваша'],
+  'already owned': ['This lot has already been sold', 'Лот уже продан'],
+  'not owner': ['You do not own this NFT', 'Эта NFT вам не принадлежит'],
+  'not owned': ['Offers can only be made on NFTs owned by users, buy this one at its price', 'Предложения можно делать только на NFT пользователей, эту можно купить по цене'],
+  'owned by user': ['The NFT belongs to a user', 'NFT принадлежит пользователю'],
+  'in auction': ['The NFT is on auction', 'NFT выставлена на аукцион'],
+  'in giveaway': ['The NFT is a giveaway prize', 'NFT разыгрывается'],
+  'nft busy': ['The NFT is busy (auction, gift or giveaway)', 'NFT занята: аукцион, подарок или розыгрыш'],
+  'gift pending': ['The NFT is waiting to be claimed as a gift', 'NFT ожидает получения в подарок'],
+  hidden: ['The lot is hidden', 'Лот скрыт'],
+  'already listed': ['Already listed', 'Уже выставлена на продажу'],
+  'not listed': ['Not listed', 'Не выставлена на продажу'],
+  'listing limit': ['Active listings limit reached: {max_listings}', 'Достигнут лимит активных лотов: {max_listings}'],
+  'not available yet': ['Sales have not started yet', 'Продажи ещё не начались'],
+  'invalid sort': ['Unknown sort order', 'Неизвестная сортировка'],
+  'invalid cursor': ['Invalid page', 'Неверная страница'],
+  'collection not found': ['Collection not found', 'Коллекция не найдена'],
+  'sale not found': ['Sale not found', 'Продажа не найдена'],
+
+  // offers, auctions
+  'offer not found': ['Offer not found', 'Предложение не найдено'],
+  'offer not active': ['The offer is no longer active', 'Предложение уже неактивно'],
+  'offer exists': ['You already have an offer on this NFT', 'У вас уже есть предложение на эту NFT'],
+  'auction not found': ['Auction not found', 'Аукцион не найден'],
+  'auction not active': ['The auction is not active', 'Аукцион не активен'],
+  'auction ended': ['The auction has ended', 'Аукцион завершён'],
+  'auction not ended': ['The auction has not ended yet', 'Аукцион ещё не завершён'],
+  'bid too low': ['Bid too low, minimum {min_bid} TON', 'Ставка слишком мала, минимум {min_bid} TON'],
+  'has bids': ['The auction already has bids', 'На аукционе уже есть ставки'],
+  'invalid duration': ['Invalid duration', 'Неверная длительность'],
+
+  // gifts
+  'gift not found': ['Gift not found', 'Подарок не найден'],
+  'already claimed': ['The gift has already been claimed', 'Подарок уже получен'],
+  'user not found': ['User not found', 'Пользователь не найден'],
+  'message too long': ['The message is too long', 'Слишком длинное сообщение'],
+
+  // payments, stars, wallet
+  'payments disabled': ['Payments are temporarily unavailable', 'Платежи временно недоступны'],
+  'intent not found': ['Order not found', 'Заказ не найден'],
+  'not paid yet': ['The transfer has not been found yet, try again in a minute', 'Перевод ещё не найден, попробуйте через минуту'],
+  'amount mismatch': ['The transfer is smaller than the order', 'Сумма перевода меньше суммы заказа'],
+  'already paid': ['The order is already paid', 'Заказ уже оплачен'],
+  expired: ['The order has expired', 'Срок заказа истёк'],
+  'tx already used': ['This transfer has already been counted', 'Этот перевод уже учтён'],
+  'plan not found': ['Plan not found', 'Тариф не найден'],
+  'unknown type': ['Unknown order type', 'Неизвестный тип заказа'],
+  'premium required': ['Premium subscription required', 'Нужна подписка Premium'],
+  'no wallet': ['Link a TON wallet first', 'Сначала привяжите TON-кошелёк'],
+  'wallet linked to another account': ['This wallet is linked to another account', 'Кошелёк привязан к другому аккаунту'],
+  'wallet not deployed': ['The wallet is not deployed yet', 'Кошелёк ещё не активирован в сети'],
+  'invalid proof': ['Wallet check failed', 'Проверка кошелька не пройдена'],
+  'proof expired': ['Wallet check expired, connect again', 'Проверка кошелька устарела, подключите снова'],
+  'wrong domain': ['Wallet check failed', 'Проверка кошелька не пройдена'],
+  'bad signature': ['Wallet check failed', 'Проверка кошелька не пройдена'],
+  'invalid address': ['Invalid wallet address', 'Неверный адрес кошелька'],
+  'withdrawal not found': ['Withdrawal not found', 'Заявка на вывод не найдена'],
+  'not pending': ['The request has already been processed', 'Заявка уже обработана'],
+
+  // giveaways
+  'giveaway not found': ['Giveaway not found', 'Розыгрыш не найден'],
+  'giveaway not active': ['The giveaway is not active', 'Розыгрыш не активен'],
+  'giveaway ended': ['The giveaway has ended', 'Розыгрыш завершён'],
+  'giveaway not ended': ['The giveaway has not ended yet', 'Розыгрыш ещё не завершён'],
+  'already joined': ['You are already taking part', 'Вы уже участвуете'],
+  'balance too low': ['Your balance is too low to take part', 'Недостаточный баланс для участия'],
+  'collection required': ['You need an NFT from the giveaway collection', 'Нужна NFT из коллекции розыгрыша'],
+  'treasury balance too low': ['The treasury balance ({balance} TON) does not cover the prize', 'Баланса казны ({balance} TON) не хватает на приз'],
+
+  // referrals
+  'invalid code': ['Invalid invite code', 'Неверный код приглашения'],
+  'self referral': ['You cannot invite yourself', 'Нельзя пригласить самого себя'],
+  'already referred': ['The account was already invited', 'Аккаунт уже приглашён'],
+  'duplicate account': ['The invite was not counted: the account looks like a duplicate', 'Приглашение не засчитано: похоже на повторный аккаунт'],
+
+  // watchlist, price alerts
+  'watchlist limit': ['The watchlist is full: {max_watchlist} NFTs', 'Избранное заполнено: {max_watchlist} NFT'],
+  'alert limit': ['Alerts limit reached: {max_alerts}', 'Достигнут лимит оповещений: {max_alerts}'],
+  'alert not found': ['Alert not found', 'Оповещение не найдено'],
+
+  // admin, sync, bot
+  'nothing to change': ['Nothing to change', 'Нечего изменять'],
+  'sync disabled': ['Sync is disabled', 'Синхронизация отключена'],
+  'sync in progress': ['Sync is already running', 'Синхронизация уже выполняется'],
+  'link already used': ['This link is already used by another lot', 'Ссылка уже используется другим лотом'],
+  'bot disabled': ['The bot is not configured', 'Бот не настроен'],
+  'webhook disabled': ['The webhook is disabled', 'Вебхук отключён']
+}
+
+const PATTERNS = [
+  [/^invalid (\w+)$/, ['Invalid value: {field}', 'Некорректное значение: {field}']],
+  [/^missing (\w+)$/, ['Missing value: {field}', 'Не указано: {field}']]
+]
+const GENERIC = ['Request failed', 'Не удалось выполнить запрос']
+const SERVER_ERROR = ['Server error, try again later', 'Ошибка сервера, попробуйте позже']
+
+// 'ru-RU,ru;q=0.9,en;q=0.8' -> 'ru'; anything unsupported -> DEFAULT_LANG
+function pickLang(header) {
+  const ranked = String(header || '').split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().split(';')
+      const q = params.map(p => /^q=([\d.]+)$/.exec(p.trim())).find(Boolean)
+      return { lang: tag.toLowerCase().split('-')[0], q: q ? Number(q[1]) : 1 }
+    })
+    .filter(x => x.lang && x.q > 0)
+    .sort((a, b) => b.q - a.q)
+  const hit = ranked.find(x => LANGS.includes(x.lang))
+  return hit ? hit.lang : DEFAULT_LANG
+}
+
+function fill(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (m, key) => {
+    const value = vars[key]
+    if (value === undefined || value === null) return m
+    return TON_FIELDS.includes(key) ? fromNano(value) : String(value)
+  })
+}
+
+// message for `code` in `lang`; `body` supplies the placeholders, `status` >= 500 = unexpected failure
+function errorMessage(code, lang = DEFAULT_LANG, body = {}, status = 400) {
+  const index = Math.max(LANGS.indexOf(lang), 0)
+  const known = ERRORS[code]
+  if (known) {
+    const text = fill(known[index], body)
+    // a placeholder the response did not fill: drop the sentence's tail after ':' or ','
+    return /\{\w+\}/.test(text) ? text.replace(/[:,][^:,]*\{\w+\}.*$/, '') : text
+  }
+  if (status >= 500) return SERVER_ERROR[index]
+  for (const [re, texts] of PATTERNS) {
+    const m = re.exec(code)
+    if (m) return fill(texts[index], { field: m[1] })
+  }
+  return GENERIC[index]
+}
+
+// app.use('/api', localizeErrors()): adds `message` to every JSON body with an `error` code
+function localizeErrors() {
+  return (req, res, next) => {
+    const json = res.json.bind(res)
+    res.json = (body) => {
+      if (body && typeof body === 'object' && typeof body.error === 'string' && body.message === undefined) {
+        const lang = pickLang(req.get('Accept-Language'))
+        body = { ...body, message: errorMessage(body.error, lang, body, res.statusCode) }
+      }
+      return json(body)
+    }
+    next()
+  }
+}
+
+module.exports = { localizeErrors, errorMessage, pickLang, LANGS, ERRORS }
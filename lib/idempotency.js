@@ -0,0 +1,111 @@
+/**
+ * lib/idempotency.js
+ * Idempotency-Key handling for money-moving endpoints (db/migrations/017_idempotency.sql).
+ *
+ * A request with an `Idempotency-Key` header (1-255 visible ASCII characters) is recorded per user
+ * and endpoint before it runs. A retry with the same key gets the stored response replayed (header
+ * Idempotent-Replayed: true) instead of running again; while the first request is still running
+ * the retry gets 409 'request in progress'. Reusing a key with a different body or path is a 422.
+ * 5xx responses are not stored, so those requests can be retried with the same key. Keys expire
+ * after IDEMPOTENCY_TTL_HOURS; requests without the header are not deduplicated.
+ */
+
+const crypto = require('crypto')
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/
+// a pending key older than this belongs to a request that died without answering
+const PENDING_TIMEOUT_MS = 60000
+const PURGE_INTERVAL_MS = 3600000
+
+function requestHash(req) {
+  const payload = JSON.stringify({ path: req.baseUrl + req.path, body: req.body || {} })
+  return crypto.createHash('sha256').update(payload).digest('hex')
+}
+
+function createIdempotency({ store, config, now = () => new Date() }) {
+  let timer = null
+
+  function replay(res, row, hash) {
+    if (row.request_hash !== hash) return res.status(422).json({ ok: false, error: 'idempotency key reused' })
+    if (row.status === 'pending') return res.status(409).json({ ok: false, error: 'request in progress' })
+    res.set('Idempotent-Replayed', 'true')
+    return res.status(row.response_code).json(row.response_body)
+  }
+
+  // stale rows: expired keys, and pending ones whose request never answered
+  function isStale(row) {
+    const t = now().getTime()
+    if (new Date(row.expires_at).getTime() <= t) return true
+    return row.status === 'pending' && new Date(row.created_at).getTime() + PENDING_TIMEOUT_MS <= t
+  }
+
+  // router.post(path, requireAuth, idempotency.guard('nft.buy'), handler)
+  function guard(scope) {
+    return async (req, res, next) => {
+      const key = req.get('Idempotency-Key')
+      if (key === undefined) return next()
+      if (!KEY_PATTERN.test(key)) return res.status(400).json({ ok: false, error: 'invalid idempotency key' })
+      const id = `${req.user.id}:${scope}:${key}`
+      const hash = requestHash(req)
+      try {
+        let row = await store.idempotency.get(id)
+        if (row && isStale(row)) {
+          await store.idempotency.remove(id)
+          row = null
+        }
+        if (row) return replay(res, row, hash)
+        try {
+          await store.idempotency.begin({
+            id,
+            user_id: String(req.user.id),
+            scope,
+            request_hash: hash,
+            expires_at: new Date(now().getTime() + config.idempotencyTtlHours * 3600000).toISOString()
+          })
+        } catch (e) {
+          // a concurrent request with the same key got there first
+          const other = await store.idempotency.get(id)
+          if (other) return replay(res, other, hash)
+          throw e
+        }
+      } catch (e) {
+        return res.status(500).json({ ok: false, error: String(e) })
+      }
+
+      // the response is stored before it is sent, so a retry never runs the request twice
+      const json = res.json.bind(res)
+      res.json = (body) => {
+        res.json = json
+        const saved = res.statusCode < 500
+          ? store.idempotency.finish(id, { response_code: res.statusCode, response_body: body })
+          : store.idempotency.remove(id)
+        saved
+          .catch(e => console.error('idempotency', id, e.message))
+          .finally(() => json(body))
+        return res
+      }
+      return next()
+    }
+  }
+
+  function purgeExpired() {
+    return store.idempotency.purge(now().toISOString())
+  }
+
+  function start() {
+    if (timer) return
+    timer = setInterval(() => {
+      purgeExpired().catch(e => console.error('idempotency purge', e))
+    }, PURGE_INTERVAL_MS)
+    timer.unref()
+  }
+
+  function stop() {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return { guard, purgeExpired, start, stop }
+}
+
+module.exports = { createIdempotency, requestHash }
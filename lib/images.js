@@ -0,0 +1,171 @@
+/**
+ * lib/images.js
+ * Image cache for NFT previews (db/migrations/016_images.sql). Remote images (og:image of t.me/nft
+ * pages, urls given by admins) are downloaded, validated, resized to a webp thumbnail of at most
+ * IMAGE_THUMB_SIZE px and kept in IMAGE_CACHE_DIR; NFTs store the local url /assets/nft/<id>.webp.
+ *
+ *   limits   the source must be one of IMAGE_TYPES (Content-Type and decoded format) and at most
+ *            IMAGE_MAX_BYTES; anything else is a failed download
+ *   retries  failed downloads are retried after IMAGE_RETRY_SEC, doubling up to a day
+ *   refresh  thumbnails older than IMAGE_MAX_AGE_SEC are downloaded again; if that fails the old
+ *            one is served until a retry succeeds
+ *
+ * Until a thumbnail exists its url serves the placeholder. Files are per server instance: an
+ * instance without the file downloads it on first request.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const defaultFetch = require('node-fetch')
+const defaultSharp = require('sharp')
+const { PLACEHOLDER_IMAGE } = require('./sync/preview')
+
+const IMAGE_TYPES = { 'image/jpeg': 'jpeg', 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' }
+const MAX_RETRY_SEC = 86400
+const MAX_PIXELS = 40000000
+const BATCH = 20
+const PUBLIC_DIR = path.join(__dirname, '..', 'public')
+
+function isRemote(url) {
+  return /^https?:\/\//i.test(String(url || ''))
+}
+
+function imageId(sourceUrl) {
+  return crypto.createHash('sha256').update(sourceUrl).digest('hex').slice(0, 32)
+}
+
+function cachedUrl(id) {
+  return `/assets/nft/${id}.webp`
+}
+
+function createImageCache({ store, config, fetch = defaultFetch, sharp = defaultSharp, now = () => new Date() }) {
+  const inFlight = new Map() // id -> download promise
+  let timer = null
+  let running = false
+
+  const fileOf = (id) => path.join(config.imageCacheDir, `${id}.webp`)
+  const later = (sec) => new Date(now().getTime() + sec * 1000).toISOString()
+
+  async function thumbnail(sourceUrl) {
+    const r = await fetch(sourceUrl, { timeout: 10000, size: config.imageMaxBytes, redirect: 'follow' })
+    if (!r.ok) throw new Error(`HTTP ${r.status}`)
+    const contentType = String(r.headers.get('content-type') || '').split(';')[0].trim().toLowerCase()
+    if (!IMAGE_TYPES[contentType]) throw new Error(`unsupported content-type ${contentType || '(none)'}`)
+    if (Number(r.headers.get('content-length')) > config.imageMaxBytes) throw new Error('image too large')
+    const source = await r.buffer()
+    const meta = await sharp(source, { limitInputPixels: MAX_PIXELS }).metadata()
+    if (!Object.values(IMAGE_TYPES).includes(meta.format)) throw new Error(`unsupported format ${meta.format}`)
+    const { data, info } = await sharp(source, { limitInputPixels: MAX_PIXELS })
+      .rotate()
+      .resize(config.imageThumbSize, config.imageThumbSize, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true })
+    return { contentType, data, info }
+  }
+
+  // (re)download one image -> true when a fresh thumbnail was written
+  function download(image) {
+    if (inFlight.has(image.id)) return inFlight.get(image.id)
+    const job = (async () => {
+      try {
+        const { contentType, data, info } = await thumbnail(image.source_url)
+        fs.mkdirSync(config.imageCacheDir, { recursive: true })
+        const tmp = `${fileOf(image.id)}.${process.pid}.tmp`
+        fs.writeFileSync(tmp, data)
+        fs.renameSync(tmp, fileOf(image.id))
+        await store.images.update(image.id, {
+          status: 'ok',
+          content_type: contentType,
+          bytes: info.size,
+          width: info.width,
+          height: info.height,
+          failures: 0,
+          error: null,
+          fetched_at: now().toISOString(),
+          check_at: later(config.imageMaxAgeSec)
+        })
+        return true
+      } catch (e) {
+        const failures = (image.failures || 0) + 1
+        await store.images.update(image.id, {
+          // a stale thumbnail stays in use until a retry succeeds
+          status: image.status === 'ok' ? 'ok' : 'failed',
+          failures,
+          error: String(e.message || e).slice(0, 500),
+          check_at: later(Math.min(config.imageRetrySec * 2 ** (failures - 1), MAX_RETRY_SEC))
+        })
+        return false
+      } finally {
+        inFlight.delete(image.id)
+      }
+    })()
+    inFlight.set(image.id, job)
+    return job
+  }
+
+  /**
+   * Url to store on an NFT for `url`: remote urls are registered and downloaded right away (best
+   * effort, failures are retried by the worker), local ones are returned unchanged.
+   */
+  async function localUrl(url) {
+    if (!url) return PLACEHOLDER_IMAGE
+    if (!isRemote(url)) return url
+    const image = await store.images.ensure({ id: imageId(url), source_url: url, now: now().toISOString() })
+    if (image.status !== 'ok') await download(image)
+    return cachedUrl(image.id)
+  }
+
+  // pending, failed and stale images whose check_at has passed
+  async function refreshDue() {
+    if (running) return { ok: 0, failed: 0 }
+    running = true
+    try {
+      const stats = { ok: 0, failed: 0 }
+      for (const image of await store.images.due(now().toISOString(), { limit: BATCH })) {
+        if (await download(image)) stats.ok++
+        else stats.failed++
+      }
+      return stats
+    } finally {
+      running = false
+    }
+  }
+
+  // GET /assets/nft/:id.webp
+  async function serve(req, res) {
+    const id = String(req.params.id)
+    if (!/^[0-9a-f]{32}$/.test(id)) return res.status(404).end()
+    const file = fileOf(id)
+    if (fs.existsSync(file)) {
+      return res.sendFile(file, { maxAge: '1d', headers: { 'X-Content-Type-Options': 'nosniff' } })
+    }
+    try {
+      const image = await store.images.get(id)
+      if (!image) return res.status(404).end()
+      // downloaded by another instance, or never: fetch it for the next request
+      if (image.status === 'ok') download(image).catch(e => console.error('image download', id, e.message))
+    } catch (e) {
+      console.error('image lookup', id, e.message)
+    }
+    res.set('Cache-Control', 'no-cache')
+    return res.sendFile(path.join(PUBLIC_DIR, PLACEHOLDER_IMAGE))
+  }
+
+  function start() {
+    if (timer) return
+    timer = setInterval(() => {
+      refreshDue().catch(e => console.error('image cache', e))
+    }, config.imageRefreshIntervalSec * 1000)
+    timer.unref()
+  }
+
+  function stop() {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return { localUrl, download, refreshDue, serve, start, stop }
+}
+
+module.exports = { createImageCache, imageId, cachedUrl, isRemote, IMAGE_TYPES }
@@ -0,0 +1,41 @@
+/**
+ * lib/money.js
+ * TON amounts are stored and computed as integer nanoTON (1 TON = 1e9 nano).
+ * Only convert at the edges: parse user input with toNano(), display with fromNano().
+ */
+
+const NANO_PER_TON = 1000000000
+
+// '2.5' | 2.5 -> 2500000000; null for malformed input (NaN, >9 decimals, out of safe range)
+function toNano(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return null
+    value = value.toFixed(9)
+  }
+  if (typeof value !== 'string') return null
+  const m = /^(-)?(\d+)(?:\.(\d{1,9}))?$/.exec(value.trim())
+  if (!m) return null
+  const nano = Number(m[2]) * NANO_PER_TON + Number((m[3] || '').padEnd(9, '0'))
+  if (!Number.isSafeInteger(nano)) return null
+  return m[1] ? -nano : nano
+}
+
+// 2500000000 -> '2.5'
+function fromNano(nano) {
+  const n = Math.trunc(Number(nano) || 0)
+  const abs = Math.abs(n)
+  const whole = Math.floor(abs / NANO_PER_TON)
+  const frac = String(abs % NANO_PER_TON).padStart(9, '0').replace(/0+$/, '')
+  return (n < 0 ? '-' : '') + whole + (frac ? '.' + frac : '')
+}
+
+function isNano(value) {
+  return Number.isSafeInteger(value)
+}
+
+// fee in basis points (250 = 2.5%), rounded down like the SQL integer division
+function feeOf(nano, bps) {
+  return Number((BigInt(nano) * BigInt(bps)) / 10000n)
+}
+
+module.exports = { NANO_PER_TON, toNano, fromNano, isNano, feeOf }
@@ -0,0 +1,51 @@
+/**
+ * lib/payments/address.js
+ * TON account addresses: raw "0:<64 hex>" and user-friendly base64 (48 chars, with CRC16).
+ * Wallets are stored in raw form; friendly forms are only for display and user input.
+ */
+
+// CRC16-XMODEM as used by friendly addresses
+function crc16(bytes) {
+  let crc = 0
+  for (const byte of bytes) {
+    crc ^= byte << 8
+    for (let i = 0; i < 8; i++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff
+  }
+  return crc
+}
+
+// raw or friendly -> { workchain, hash (Buffer) }, or null when malformed
+function parseAddress(value) {
+  const text = String(value || '').trim()
+  const raw = /^(-?\d+):([0-9a-fA-F]{64})$/.exec(text)
+  if (raw) return { workchain: Number(raw[1]), hash: Buffer.from(raw[2], 'hex') }
+
+  if (!/^[A-Za-z0-9+/_-]{48}$/.test(text)) return null
+  const bytes = Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+  if (bytes.length !== 36) return null
+  if (crc16(bytes.subarray(0, 34)) !== bytes.readUInt16BE(34)) return null
+  if ((bytes[0] & 0x7f) !== 0x11 && (bytes[0] & 0x7f) !== 0x51) return null
+  return { workchain: bytes.readInt8(1), hash: Buffer.from(bytes.subarray(2, 34)) }
+}
+
+function toRaw({ workchain, hash }) {
+  return `${workchain}:${hash.toString('hex')}`
+}
+
+// wallets are shown non-bounceable (UQ...), as TON wallets do
+function toFriendly({ workchain, hash }, { bounceable = false, testOnly = false } = {}) {
+  const bytes = Buffer.alloc(36)
+  bytes[0] = (bounceable ? 0x11 : 0x51) | (testOnly ? 0x80 : 0)
+  bytes.writeInt8(workchain, 1)
+  hash.copy(bytes, 2)
+  bytes.writeUInt16BE(crc16(bytes.subarray(0, 34)), 34)
+  return bytes.toString('base64url')
+}
+
+// any form -> raw, or null
+function normalizeAddress(value) {
+  const parsed = parseAddress(value)
+  return parsed ? toRaw(parsed) : null
+}
+
+module.exports = { parseAddress, toRaw, toFriendly, normalizeAddress }
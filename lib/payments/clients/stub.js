@@ -0,0 +1,51 @@
+/**
+ * lib/payments/clients/stub.js
+ * TON client for development and tests: the chain is a JSON-lines file with incoming transfers
+ *   {"hash":"...","to":"<wallet>","amount":4000000000,"comment":"mh-...","utime":1700000000,"from":"..."}
+ * and deployed wallets (their public key, for TonConnect proofs)
+ *   {"address":"0:<hex>","public_key":"<hex>"}
+ * Append lines with scripts/fake-payment.js and scripts/fake-wallet.js.
+ */
+
+const fs = require('fs')
+const { normalizeAddress } = require('../address')
+
+function createStubTonClient({ file }) {
+  async function readLines() {
+    let text
+    try {
+      text = await fs.promises.readFile(file, 'utf8')
+    } catch (e) {
+      if (e.code === 'ENOENT') return []
+      throw e
+    }
+    const lines = []
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue
+      try {
+        lines.push(JSON.parse(line))
+      } catch (e) {
+        console.warn(`ton stub: bad line in ${file}`)
+      }
+    }
+    return lines
+  }
+
+  async function incoming(address, { limit = 100 } = {}) {
+    const transfers = (await readLines())
+      .filter(t => t.hash && t.to === address)
+      .map(t => ({ hash: t.hash, amount: Number(t.amount), comment: t.comment || '', utime: t.utime, from: t.from || null }))
+    // newest first, like the indexer
+    return transfers.reverse().slice(0, limit)
+  }
+
+  async function publicKey(address) {
+    const raw = normalizeAddress(address)
+    const wallet = (await readLines()).reverse().find(w => w.public_key && normalizeAddress(w.address) === raw)
+    return wallet ? wallet.public_key : null
+  }
+
+  return { name: 'stub', incoming, publicKey }
+}
+
+module.exports = { createStubTonClient }
@@ -0,0 +1,43 @@
+/**
+ * lib/payments/clients/toncenter.js
+ * TON client backed by the toncenter.com HTTP API (v2 getTransactions).
+ */
+
+const defaultFetch = require('node-fetch')
+
+function createToncenterClient({ url, key = '', fetch = defaultFetch }) {
+  async function incoming(address, { limit = 100 } = {}) {
+    const qs = new URLSearchParams({ address, limit: String(limit), archival: 'true' })
+    if (key) qs.set('api_key', key)
+    const r = await fetch(`${url}/getTransactions?${qs}`, { timeout: 10000 })
+    const j = await r.json()
+    if (!r.ok || !j.ok) throw new Error(`toncenter: ${j.error || r.status}`)
+    return j.result
+      .filter(tx => tx.in_msg && tx.in_msg.source && Number(tx.in_msg.value) > 0)
+      .map(tx => ({
+        hash: tx.transaction_id.hash,
+        amount: Number(tx.in_msg.value),
+        comment: tx.in_msg.message || '',
+        utime: tx.utime,
+        from: tx.in_msg.source
+      }))
+  }
+
+  // get_public_key of the wallet contract (hex), null when it is not deployed
+  async function publicKey(address) {
+    const r = await fetch(`${url}/runGetMethod`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(key ? { 'X-API-Key': key } : {}) },
+      body: JSON.stringify({ address, method: 'get_public_key', stack: [] }),
+      timeout: 10000
+    })
+    const j = await r.json()
+    if (!r.ok || !j.ok) throw new Error(`toncenter: ${j.error || r.status}`)
+    if (j.result.exit_code !== 0 || !j.result.stack.length) return null
+    return BigInt(j.result.stack[0][1]).toString(16).padStart(64, '0')
+  }
+
+  return { name: 'toncenter', incoming, publicKey }
+}
+
+module.exports = { createToncenterClient }
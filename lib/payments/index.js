@@ -0,0 +1,144 @@
+/**
+ * lib/payments/index.js
+ * Verified TON payments for stars and premium.
+ *
+ *   1. createIntent() prices the purchase and issues an intent: amount, destination wallet and a
+ *      unique payload the user puts into the transfer comment (TonConnect or a ton:// link).
+ *   2. The verifier asks the TON client for incoming transfers to the wallet and matches them to
+ *      open intents by payload — on demand (verify) and every PAYMENT_POLL_SEC (checkOpen).
+ *   3. store.payments.confirm (payment_confirm) checks amount, expiry and tx hash reuse, and
+ *      credits the profile in the same transaction.
+ *
+ * Premium intents are for a plan from `subscription_plans` (price and months come from the plan).
+ * Deposits into the internal balance are intents of type 'deposit' for an amount the user picks.
+ *
+ * A client is `{ name, incoming(address, { limit }) -> [{ hash, amount, comment, utime, from }],
+ * publicKey(address) -> hex | null }` (publicKey is used for TonConnect proofs, see ./proof.js).
+ */
+
+const crypto = require('crypto')
+const { toNano } = require('../money')
+const { createStubTonClient } = require('./clients/stub')
+const { createToncenterClient } = require('./clients/toncenter')
+
+const MAX_STARS = 100000
+// intents expired within this window are still matched (the indexer may lag behind)
+const LATE_MATCH_MS = 60 * 60 * 1000
+
+function createTonClient(config, { fetch } = {}) {
+  switch (config.tonClient) {
+    case 'stub':
+      return createStubTonClient({ file: config.tonStubFile })
+    case 'toncenter':
+      return createToncenterClient({ url: config.toncenterUrl, key: config.toncenterKey, fetch })
+    default:
+      throw new Error(`payments: unknown TON_CLIENT ${config.tonClient}`)
+  }
+}
+
+// nanoTON price of a star pack at `rate` (nanoTON per star, currency_rates), null for an invalid quantity
+function starsPrice(rate, quantity) {
+  if (!Number.isInteger(quantity) || quantity <= 0 || quantity > MAX_STARS) return null
+  return rate * quantity
+}
+
+// ton:// deep link that pre-fills amount and comment in any TON wallet
+function transferLink(intent) {
+  return `ton://transfer/${intent.destination}?amount=${intent.amount}&text=${encodeURIComponent(intent.payload)}`
+}
+
+function createPaymentVerifier({ store, config, client, now = () => new Date() }) {
+  let timer = null
+  let running = false
+
+  // stars: { type, quantity }, premium: { type, plan_id }, deposit: { type: 'deposit', amount } (nanoTON)
+  async function createIntent({ user_id, type, quantity, plan_id, amount: depositAmount }) {
+    if (!config.tonWallet) return { ok: false, error: 'payments disabled' }
+    let amount = null
+    let plan = null
+    if (type === 'stars') {
+      const rate = await store.stars.rate()
+      if (!rate) return { ok: false, error: 'rate unavailable' }
+      amount = starsPrice(rate, quantity)
+    } else if (type === 'premium') {
+      plan = plan_id ? await store.premium.plan(plan_id) : null
+      if (!plan || !plan.active) return { ok: false, error: 'plan not found' }
+      amount = plan.price
+      quantity = plan.months
+    } else if (type === 'deposit') {
+      if (!Number.isSafeInteger(depositAmount) || depositAmount < toNano(config.depositMinTon)) return { ok: false, error: 'invalid amount' }
+      amount = depositAmount
+      quantity = 1
+    }
+    if (amount === null) return { ok: false, error: 'invalid quantity' }
+    const intent = await store.payments.createIntent({
+      user_id,
+      type,
+      quantity,
+      plan_id: plan ? plan.id : null,
+      amount,
+      destination: config.tonWallet,
+      payload: 'mh-' + crypto.randomBytes(8).toString('hex'),
+      expires_at: new Date(now().getTime() + config.paymentIntentTtlMin * 60 * 1000).toISOString()
+    })
+    return { ok: true, intent }
+  }
+
+  // try every transfer carrying the intent's payload until one confirms it
+  async function confirmFrom(intent, transfers) {
+    let result = { ok: false, error: 'not paid yet' }
+    for (const t of transfers.filter(t => t.comment === intent.payload)) {
+      result = await store.payments.confirm({
+        intent_id: intent.id,
+        tx_hash: t.hash,
+        amount: t.amount,
+        sent_at: new Date(t.utime * 1000).toISOString(),
+        now: now().toISOString()
+      })
+      if (result.ok || result.error === 'already paid') break
+    }
+    return result
+  }
+
+  async function verify(intent) {
+    if (intent.status === 'paid') return { ok: true, intent }
+    return confirmFrom(intent, await client.incoming(intent.destination))
+  }
+
+  // one indexer call per destination for all open intents
+  async function checkOpen() {
+    if (running) return []
+    running = true
+    try {
+      const open = await store.payments.open(new Date(now().getTime() - LATE_MATCH_MS).toISOString())
+      const confirmed = []
+      for (const destination of new Set(open.map(i => i.destination))) {
+        const transfers = await client.incoming(destination)
+        for (const intent of open.filter(i => i.destination === destination)) {
+          const result = await confirmFrom(intent, transfers)
+          if (result.ok) confirmed.push(result)
+        }
+      }
+      return confirmed
+    } finally {
+      running = false
+    }
+  }
+
+  function start() {
+    if (timer) return
+    timer = setInterval(() => {
+      checkOpen().catch(e => console.error('payment verifier', e))
+    }, config.paymentPollSec * 1000)
+    timer.unref()
+  }
+
+  function stop() {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return { createIntent, verify, checkOpen, start, stop }
+}
+
+module.exports = { createPaymentVerifier, createTonClient, starsPrice, transferLink }
@@ -0,0 +1,75 @@
+/**
+ * lib/payments/proof.js
+ * TonConnect ton_proof: the server hands out a short-lived payload bound to the user, the wallet
+ * signs it together with its address, the app domain and a timestamp, and checkProof() verifies
+ * the Ed25519 signature against the wallet's public key (read on-chain through the TON client).
+ * Spec: https://docs.ton.org/develop/dapps/ton-connect/sign
+ */
+
+const crypto = require('crypto')
+const { parseAddress, toRaw } = require('./address')
+
+const PAYLOAD_TTL_SEC = 15 * 60
+
+function sha256(...parts) {
+  return crypto.createHash('sha256').update(Buffer.concat(parts.map(p => Buffer.isBuffer(p) ? p : Buffer.from(p)))).digest()
+}
+
+// stateless payload: expiry + nonce + HMAC(user, expiry, nonce)
+function createProofPayload(secret, userId, now = Date.now()) {
+  const body = Math.floor(now / 1000 + PAYLOAD_TTL_SEC).toString(16) + crypto.randomBytes(8).toString('hex')
+  const mac = crypto.createHmac('sha256', secret).update(`${userId}:${body}`).digest('hex').slice(0, 32)
+  return body + mac
+}
+
+function checkProofPayload(secret, userId, payload, now = Date.now()) {
+  const m = /^([0-9a-f]{8})([0-9a-f]{16})([0-9a-f]{32})$/.exec(String(payload || ''))
+  if (!m) return false
+  const mac = crypto.createHmac('sha256', secret).update(`${userId}:${m[1]}${m[2]}`).digest('hex').slice(0, 32)
+  if (!crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(m[3]))) return false
+  return parseInt(m[1], 16) * 1000 >= now
+}
+
+// the bytes the wallet signs: sha256(0xffff ++ "ton-connect" ++ sha256(message))
+function proofHash({ workchain, hash }, proof) {
+  const wc = Buffer.alloc(4)
+  wc.writeInt32BE(workchain)
+  const domain = Buffer.from(proof.domain.value, 'utf8')
+  const domainLen = Buffer.alloc(4)
+  domainLen.writeUInt32LE(domain.length)
+  const ts = Buffer.alloc(8)
+  ts.writeBigUInt64LE(BigInt(proof.timestamp))
+  const message = sha256('ton-proof-item-v2/', wc, hash, domainLen, domain, ts, proof.payload)
+  return sha256(Buffer.from([0xff, 0xff]), 'ton-connect', message)
+}
+
+function verifyEd25519(publicKeyHex, data, signature) {
+  const key = crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(publicKeyHex, 'hex').toString('base64url') },
+    format: 'jwk'
+  })
+  return crypto.verify(null, data, key, signature)
+}
+
+/**
+ * -> { ok, address, public_key } | { ok: false, error }
+ * publicKey(address) comes from the TON client: the key the deployed wallet contract reports.
+ */
+async function checkProof({ secret, userId, address, proof, domain, publicKey, now = Date.now() }) {
+  const parsed = parseAddress(address)
+  if (!parsed) return { ok: false, error: 'invalid address' }
+  if (!proof || !proof.domain || typeof proof.signature !== 'string' || !proof.timestamp) return { ok: false, error: 'invalid proof' }
+  if (!checkProofPayload(secret, userId, proof.payload, now)) return { ok: false, error: 'invalid payload' }
+  if (domain && proof.domain.value !== domain) return { ok: false, error: 'wrong domain' }
+  if (Math.abs(now / 1000 - Number(proof.timestamp)) > PAYLOAD_TTL_SEC) return { ok: false, error: 'proof expired' }
+
+  const key = await publicKey(address)
+  if (!key) return { ok: false, error: 'wallet not deployed' }
+  const signature = Buffer.from(proof.signature, 'base64')
+  if (signature.length !== 64 || !verifyEd25519(key, proofHash(parsed, proof), signature)) {
+    return { ok: false, error: 'bad signature' }
+  }
+  return { ok: true, address: toRaw(parsed), public_key: key }
+}
+
+module.exports = { createProofPayload, checkProofPayload, checkProof, proofHash }
@@ -0,0 +1,46 @@
+/**
+ * lib/premium.js
+ * Entitlements: what a user's premium plan unlocks. Plans and their perks are rows in
+ * `subscription_plans` (db/migrations/012_premium.sql); without an active plan the free tier
+ * from config applies.
+ *
+ *   market_fee_bps        fee on the user's sales (charged by pay_seller, reported here)
+ *   max_listings          fixed-price listings + active auctions at once (MAX_LISTINGS when free)
+ *   early_access_minutes  how long before nfts.available_at a primary drop can be bought
+ *
+ * Checks return null when allowed, otherwise an `{ ok: false, error }` result for the route.
+ */
+
+function freePerks(config) {
+  return { market_fee_bps: config.marketFeeBps, max_listings: config.maxListings, early_access_minutes: 0 }
+}
+
+function createEntitlements({ store, config, now = () => new Date() }) {
+  // -> { active, until, plan_id, perks }; a plan never raises the fee above MARKET_FEE_BPS
+  async function forUser(userId) {
+    const state = await store.premium.state(userId, now().toISOString())
+    const perks = { ...freePerks(config), ...(state.perks || {}) }
+    perks.market_fee_bps = Math.min(perks.market_fee_bps, config.marketFeeBps)
+    return { active: state.active, until: state.premium_until, plan_id: state.plan_id, perks }
+  }
+
+  async function checkListingLimit(userId) {
+    const [{ perks }, listed] = await Promise.all([forUser(userId), store.market.activeListings(userId)])
+    if (listed < perks.max_listings) return null
+    return { ok: false, error: 'listing limit', max_listings: perks.max_listings }
+  }
+
+  // primary lots with a drop time; listed (owned) lots are never gated
+  async function checkAvailable(nft, userId) {
+    if (!nft || nft.owner_id || !nft.available_at) return null
+    const opensAt = new Date(nft.available_at).getTime()
+    if (opensAt <= now().getTime()) return null
+    const { perks } = await forUser(userId)
+    if (opensAt - perks.early_access_minutes * 60000 <= now().getTime()) return null
+    return { ok: false, error: 'not available yet', available_at: nft.available_at, early_access_minutes: perks.early_access_minutes }
+  }
+
+  return { forUser, checkListingLimit, checkAvailable }
+}
+
+module.exports = { createEntitlements, freePerks }
@@ -0,0 +1,91 @@
+/**
+ * lib/rateLimit.js
+ * Fixed-window request limits kept in memory (per server instance).
+ *
+ *   api    every /api request: RATE_LIMIT_IP_PER_MIN per client ip, and RATE_LIMIT_USER_PER_MIN per
+ *          user when the request carries a valid access token
+ *   money  money-moving endpoints (buys, credits, payments, withdrawals...): RATE_LIMIT_MONEY_PER_MIN
+ *          per user, mounted after requireAuth
+ *
+ * Over the limit: 429 { ok: false, error: 'rate limited', retry_after } with a Retry-After header.
+ * Behind a reverse proxy set TRUST_PROXY so req.ip is the client's address.
+ */
+
+const WINDOW_SEC = 60
+
+function createRateLimiter({ max, windowSec = WINDOW_SEC, now = () => Date.now() }) {
+  const windows = new Map() // key -> { count, resetAt }
+  let sweptAt = now()
+
+  // -> { allowed, remaining, resetAt, resetIn } resetIn: seconds until the window resets
+  function hit(key) {
+    const t = now()
+    if (t - sweptAt > windowSec * 1000) {
+      windows.forEach((w, k) => { if (w.resetAt <= t) windows.delete(k) })
+      sweptAt = t
+    }
+    let w = windows.get(key)
+    if (!w || w.resetAt <= t) {
+      w = { count: 0, resetAt: t + windowSec * 1000 }
+      windows.set(key, w)
+    }
+    w.count++
+    return { allowed: w.count <= max, remaining: Math.max(0, max - w.count), resetAt: w.resetAt, resetIn: Math.ceil((w.resetAt - t) / 1000) }
+  }
+
+  return { hit, max, size: () => windows.size }
+}
+
+function reject(res, result) {
+  const retryAfter = Math.max(1, result.resetIn)
+  res.set('Retry-After', String(retryAfter))
+  return res.status(429).json({ ok: false, error: 'rate limited', retry_after: retryAfter })
+}
+
+function setHeaders(res, limiter, result) {
+  res.set('RateLimit-Limit', String(limiter.max))
+  res.set('RateLimit-Remaining', String(result.remaining))
+  res.set('RateLimit-Reset', String(Math.max(0, result.resetIn)))
+}
+
+// paths under /api that are not limited (Telegram delivers webhook updates in bursts)
+const SKIP = ['/telegram/webhook']
+
+function createApiLimits({ auth, config, now = () => new Date() }) {
+  const clock = () => now().getTime()
+  const byIp = createRateLimiter({ max: config.rateLimitIpPerMin, now: clock })
+  const byUser = createRateLimiter({ max: config.rateLimitUserPerMin, now: clock })
+  const money = createRateLimiter({ max: config.rateLimitMoneyPerMin, now: clock })
+
+  // app.use('/api', limits.api)
+  function api(req, res, next) {
+    if (SKIP.includes(req.path)) return next()
+    const ip = byIp.hit('ip:' + req.ip)
+    if (!ip.allowed) return reject(res, ip)
+    const header = req.get('Authorization') || ''
+    const token = header.startsWith('Bearer ') ? header.slice(7) : req.query.token
+    let user = null
+    if (token) {
+      try { user = auth.verifyAccess(String(token)) } catch (e) { user = null }
+    }
+    if (!user) {
+      setHeaders(res, byIp, ip)
+      return next()
+    }
+    const own = byUser.hit('user:' + user.id)
+    if (!own.allowed) return reject(res, own)
+    setHeaders(res, byUser, own)
+    return next()
+  }
+
+  // after requireAuth
+  function moneyLimit(req, res, next) {
+    const result = money.hit('user:' + req.user.id)
+    if (!result.allowed) return reject(res, result)
+    return next()
+  }
+
+  return { api, money: moneyLimit }
+}
+
+module.exports = { createRateLimiter, createApiLimits }
@@ -0,0 +1,148 @@
+/**
+ * lib/realtime.js
+ * Push channel for the app over Server-Sent Events: GET /api/events[?token=<access token>]
+ * (EventSource can't send headers, so the token comes in the query; without it only catalog events).
+ *
+ *   event: nft      { type, nft }  a catalog card changed; `nft` has the GET /api/nfts shape
+ *                   type: listing (listed / delisted / auction started or ended unsold) | sale |
+ *                         price | bid | nft (owner or lot edits) | removed ({ type, id }, lot hidden)
+ *   event: balance  { balance, stars }  to the signed-in user, after their balance or stars changed
+ *   event: notification  a stored notification row, to its user (watchlist / price alerts, lib/alerts.js)
+ *
+ * Card events are published by the routes and workers that change NFTs (nftChanged). Balances
+ * are not: the append-only `ledger` and `stars_ledger` are tailed every REALTIME_POLL_MS while
+ * someone is connected, so every change (refunds, payouts, admin adjustments...) is covered.
+ * Card events are in-process; with several server instances each one pushes its own changes.
+ * onNftChanged(listener) hears every card change, connected clients or not (lib/alerts.js).
+ */
+
+const HEARTBEAT_MS = 25000
+
+function createRealtime({ store, auth, config }) {
+  const clients = new Set() // { res, userId }
+  const cursors = { ledger: null, stars: null }
+  const listeners = []
+  let heartbeat = null
+  let poller = null
+  let polling = false
+
+  function write(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  function broadcast(event, data) {
+    clients.forEach(client => write(client, event, data))
+  }
+
+  // -> number of the user's open streams that got the event
+  function toUser(userId, event, data) {
+    const targets = [...clients].filter(c => c.userId === String(userId))
+    targets.forEach(c => write(c, event, data))
+    return targets.length
+  }
+
+  function onNftChanged(listener) {
+    listeners.push(listener)
+  }
+
+  function startTimers() {
+    if (heartbeat) return
+    heartbeat = setInterval(() => clients.forEach(c => c.res.write(': ping\n\n')), HEARTBEAT_MS)
+    poller = setInterval(() => {
+      pollBalances().catch(e => console.error('realtime balances', e))
+    }, config.realtimePollMs)
+    heartbeat.unref()
+    poller.unref()
+  }
+
+  function stopTimers() {
+    clearInterval(heartbeat)
+    clearInterval(poller)
+    heartbeat = poller = null
+    // entries written while nobody listens are not replayed to the next subscriber
+    cursors.ledger = cursors.stars = null
+  }
+
+  // GET /api/events
+  function stream(req, res) {
+    let user = null
+    if (req.query.token) {
+      try {
+        user = auth.verifyAccess(req.query.token)
+      } catch (e) {
+        return res.status(401).json({ ok: false, error: e.name === 'TokenExpiredError' ? 'token expired' : 'invalid token' })
+      }
+    }
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    })
+    res.write('retry: 3000\n\n')
+    const client = { res, userId: user ? user.id : null }
+    clients.add(client)
+    startTimers()
+    write(client, 'hello', { user_id: client.userId })
+    req.on('close', () => {
+      clients.delete(client)
+      if (!clients.size) stopTimers()
+    })
+  }
+
+  async function nftChanged(nftId, type = 'nft') {
+    listeners.forEach(listener => {
+      try {
+        listener(nftId, type)
+      } catch (e) {
+        console.error('realtime listener', nftId, e.message)
+      }
+    })
+    if (!clients.size) return
+    try {
+      const nft = await store.nfts.get(nftId)
+      if (!nft) return
+      if (nft.hidden) return broadcast('nft', { type: 'removed', id: nft.id })
+      const { nfts: [view] } = await store.nfts.withCatalogFields([nft])
+      broadcast('nft', { type, nft: view })
+    } catch (e) {
+      console.error('realtime nft', nftId, e.message)
+    }
+  }
+
+  // users with new ledger / stars_ledger entries since the last poll -> balance events
+  async function pollBalances() {
+    if (polling) return
+    polling = true
+    try {
+      const changed = new Set()
+      for (const [key, repo] of [['ledger', store.ledger], ['stars', store.stars]]) {
+        const rows = await repo.since(cursors[key])
+        if (cursors[key] === null) {
+          cursors[key] = rows.length ? rows[0].id : 0
+          continue
+        }
+        rows.forEach(e => changed.add(String(e.user_id)))
+        if (rows.length) cursors[key] = rows[rows.length - 1].id
+      }
+      for (const userId of changed) {
+        if (![...clients].some(c => c.userId === userId)) continue
+        const [balance, profile] = await Promise.all([store.ledger.balance(userId), store.profiles.get(userId)])
+        const stars = Number((profile && profile.stars_balance) || 0)
+        toUser(userId, 'balance', { balance, stars })
+      }
+    } finally {
+      polling = false
+    }
+  }
+
+  function close() {
+    clients.forEach(c => c.res.end())
+    clients.clear()
+    stopTimers()
+  }
+
+  return { stream, nftChanged, onNftChanged, toUser, pollBalances, close, size: () => clients.size }
+}
+
+module.exports = { createRealtime }
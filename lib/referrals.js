@@ -0,0 +1,97 @@
+/**
+ * lib/referrals.js
+ * Referral program (db/migrations/018_referrals.sql). Invite links open the Mini App with
+ * start_param 'ref_<code>'; /api/auth/verify attributes a profile it has just created to the
+ * code's owner. The worker walks new sales and pays referrers REFERRAL_FEE_SHARE_BPS of the
+ * marketplace fee of their invitees' trades plus REFERRAL_BONUS_TON on an invitee's first purchase,
+ * both out of the treasury. A bonus the treasury can't cover is skipped (026_referral_bonus.sql).
+ */
+
+const crypto = require('crypto')
+const { toNano } = require('./money')
+
+const START_PREFIX = 'ref_'
+const CODE_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789'
+const CODE_LENGTH = 8
+const CURSOR = 'referrals'
+
+function referralCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH)
+  return Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('')
+}
+
+// 'ref_ab3kx9qz' -> 'ab3kx9qz'; tab deep links and anything else -> null
+function parseStartParam(startParam) {
+  const m = /^ref_([a-z0-9]{4,32})$/.exec(String(startParam || ''))
+  return m ? m[1] : null
+}
+
+// client ip as a keyed hash: enough to compare referrer and referee, nothing to leak
+function ipHash(ip, secret) {
+  if (!ip) return null
+  return crypto.createHmac('sha256', secret).update(String(ip)).digest('hex').slice(0, 32)
+}
+
+function inviteLink(config, code) {
+  if (!config.miniAppUrl) return null
+  const sep = config.miniAppUrl.includes('?') ? '&' : '?'
+  return `${config.miniAppUrl}${sep}startapp=${START_PREFIX}${code}`
+}
+
+// reward terms from the config (nanoTON bonus)
+function referralTerms(config) {
+  return { fee_share_bps: config.referralFeeShareBps, first_purchase_bonus: toNano(config.referralBonusTon) || 0 }
+}
+
+function createReferralWorker({ store, config, now = () => new Date() }) {
+  let timer = null
+  let running = false
+  const terms = referralTerms(config)
+  const enabled = terms.fee_share_bps > 0 || terms.first_purchase_bonus > 0
+
+  // rewards for the sales since the last run -> { sales, rewards, amount, unpaid }
+  async function processDue() {
+    const stats = { sales: 0, rewards: 0, amount: 0, unpaid: 0 }
+    if (running || !enabled) return stats
+    running = true
+    try {
+      const after = Number(await store.sync.cursor(CURSOR)) || 0
+      const sales = await store.referrals.salesAfter(after)
+      for (const sale of sales) {
+        const result = await store.referrals.reward({
+          sale_id: sale.id,
+          share_bps: terms.fee_share_bps,
+          bonus: terms.first_purchase_bonus,
+          treasury_id: config.treasuryId
+        })
+        if (!result.ok) console.warn('referral reward', sale.id, result.error)
+        if (result.unpaid > 0) console.warn('referral reward', sale.id, 'treasury balance too low, bonus not paid')
+        stats.sales++
+        stats.rewards += result.rewards || 0
+        stats.amount += Number(result.amount) || 0
+        stats.unpaid += Number(result.unpaid) || 0
+        await store.sync.saveCursor(CURSOR, String(sale.id), now().toISOString())
+      }
+      return stats
+    } finally {
+      running = false
+    }
+  }
+
+  function start() {
+    if (timer || !enabled) return
+    timer = setInterval(() => {
+      processDue().catch(e => console.error('referral worker', e))
+    }, config.referralIntervalSec * 1000)
+    timer.unref()
+  }
+
+  function stop() {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return { processDue, start, stop }
+}
+
+module.exports = { createReferralWorker, referralCode, parseStartParam, ipHash, inviteLink, referralTerms, START_PREFIX }
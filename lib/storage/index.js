@@ -0,0 +1,34 @@
+/**
+ * lib/storage/index.js
+ * Storage entry point: picks the driver from config and returns the repositories.
+ *
+ *   config.storage === 'supabase' -> lib/storage/supabase.js (needs SUPABASE_URL + SERVICE_ROLE_KEY)
+ *   config.storage === 'local'    -> lib/storage/local.js (JSON file at DATA_FILE; null file = memory only)
+ *
+ * Driver interface (all async):
+ *   select(table, query) / get(table, where) / count(table, where)
+ *   insert(table, row|rows) / update(table, where, patch) / upsert(table, row|rows, { onConflict }) / remove(table, where)
+ *   rpc(name, args)   -> atomic procedure (Postgres function or lib/storage/procedures)
+ *   close()
+ */
+
+const { createLocalDriver } = require('./local')
+const { createSupabaseDriver } = require('./supabase')
+const { createRepositories } = require('./repositories')
+const procedures = require('./procedures')
+
+// `now`: clock of the local driver (created_at); Postgres uses its own
+function createDriver(config, { now } = {}) {
+  if (config.storage === 'supabase') {
+    if (!config.supabaseUrl || !config.supabaseKey) throw new Error('storage: supabase needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY')
+    return createSupabaseDriver({ url: config.supabaseUrl, key: config.supabaseKey })
+  }
+  if (config.storage === 'local') return createLocalDriver({ file: config.dataFile, procedures, now })
+  throw new Error(`storage: unknown backend ${config.storage}`)
+}
+
+function createStorage(config, options) {
+  return createRepositories(createDriver(config, options))
+}
+
+module.exports = { createStorage, createDriver }
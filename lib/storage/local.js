@@ -0,0 +1,147 @@
+/**
+ * lib/storage/local.js
+ * Local storage driver: all tables live in memory and are persisted to a JSON file
+ * (DATA_FILE, default data/markethub.json). Pass `file: null` for a throwaway in-memory store.
+ * `now` stamps created_at on inserted rows (Postgres: default now()).
+ *
+ * Every operation runs synchronously inside runTx(), so it cannot interleave with other requests.
+ * Writes go to copy-on-write table arrays and are only committed if the whole operation
+ * succeeds; rpc() procedures get the same `tx` object and are therefore transactional,
+ * like their Postgres counterparts in db/migrations.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { applyQuery, matches } = require('./query')
+
+const SAVE_DELAY_MS = 50
+
+function clone(row) {
+  return structuredClone(row)
+}
+
+function createLocalDriver({ file = null, procedures = {}, now = () => new Date() } = {}) {
+  let state = { tables: {}, seq: {} }
+  if (file && fs.existsSync(file)) {
+    state = JSON.parse(fs.readFileSync(file, 'utf8'))
+    state.tables = state.tables || {}
+    state.seq = state.seq || {}
+  }
+
+  // ---------- persistence ----------
+  let saveTimer = null
+  function saveNow() {
+    if (saveTimer) { clearTimeout(saveTimer); saveTimer = null }
+    if (!file) return
+    fs.mkdirSync(path.dirname(file), { recursive: true })
+    const tmp = `${file}.tmp`
+    fs.writeFileSync(tmp, JSON.stringify(state))
+    fs.renameSync(tmp, file)
+  }
+  function scheduleSave() {
+    if (!file || saveTimer) return
+    saveTimer = setTimeout(() => {
+      saveTimer = null
+      try { saveNow() } catch (e) { console.error('local storage save failed', e) }
+    }, SAVE_DELAY_MS)
+  }
+
+  // ---------- transactions ----------
+  function runTx(fn) {
+    const working = {}
+    const seq = { ...state.seq }
+
+    const rows = (name) => working[name] || state.tables[name] || []
+    const writable = (name) => working[name] || (working[name] = (state.tables[name] || []).slice())
+
+    const tx = {
+      select(name, query) {
+        return applyQuery(rows(name), query).map(clone)
+      },
+      get(name, where) {
+        const row = rows(name).find(r => matches(r, where))
+        return row ? clone(row) : null
+      },
+      count(name, where) {
+        return rows(name).filter(r => matches(r, where)).length
+      },
+      insert(name, input) {
+        const list = writable(name)
+        const inserted = (Array.isArray(input) ? input : [input]).map(r => {
+          const row = clone(r)
+          if (row.id === undefined) {
+            seq[name] = (seq[name] || 0) + 1
+            row.id = seq[name]
+          } else {
+            if (list.some(x => x.id === row.id)) throw new Error(`${name}: duplicate key id=${row.id}`)
+            if (typeof row.id === 'number' && row.id > (seq[name] || 0)) seq[name] = row.id
+          }
+          if (row.created_at === undefined) row.created_at = now().toISOString()
+          list.push(row)
+          return clone(row)
+        })
+        return Array.isArray(input) ? inserted : inserted[0]
+      },
+      // rows are replaced, never mutated, so the committed arrays stay untouched until commit
+      update(name, where, patch) {
+        const list = writable(name)
+        const updated = []
+        list.forEach((row, i) => {
+          if (!matches(row, where)) return
+          list[i] = { ...row, ...clone(patch) }
+          updated.push(clone(list[i]))
+        })
+        return updated
+      },
+      upsert(name, input, { onConflict = 'id' } = {}) {
+        const keys = onConflict.split(',').map(s => s.trim())
+        const out = (Array.isArray(input) ? input : [input]).map(r => {
+          const where = {}
+          keys.forEach(k => { where[k] = r[k] })
+          const existing = rows(name).find(x => matches(x, where))
+          return existing ? tx.update(name, where, r)[0] : tx.insert(name, r)
+        })
+        return Array.isArray(input) ? out : out[0]
+      },
+      remove(name, where) {
+        const list = writable(name)
+        const removed = list.filter(r => matches(r, where))
+        working[name] = list.filter(r => !matches(r, where))
+        return removed.map(clone)
+      }
+    }
+
+    const result = fn(tx)
+    const touched = Object.keys(working)
+    if (touched.length) {
+      touched.forEach(name => { state.tables[name] = working[name] })
+      state.seq = seq
+      scheduleSave()
+    }
+    return result
+  }
+
+  // async facade matching the Supabase driver
+  return {
+    backend: 'local',
+    select: async (name, query) => runTx(tx => tx.select(name, query)),
+    get: async (name, where) => runTx(tx => tx.get(name, where)),
+    count: async (name, where) => runTx(tx => tx.count(name, where)),
+    insert: async (name, rows) => runTx(tx => tx.insert(name, rows)),
+    update: async (name, where, patch) => runTx(tx => tx.update(name, where, patch)),
+    upsert: async (name, rows, opts) => runTx(tx => tx.upsert(name, rows, opts)),
+    remove: async (name, where) => runTx(tx => tx.remove(name, where)),
+
+    async rpc(name, args = {}) {
+      const proc = procedures[name]
+      if (!proc) throw new Error(`rpc: unknown procedure ${name}`)
+      return runTx(tx => proc(tx, args))
+    },
+
+    async close() {
+      saveNow()
+    }
+  }
+}
+
+module.exports = { createLocalDriver }
@@ -0,0 +1,54 @@
+/**
+ * lib/storage/procedures/admin.js
+ * Local equivalents of admin_adjust_balance and admin_stats in db/migrations/010_admin.sql
+ * (admin_stats p_now: 023_request_time.sql).
+ */
+
+const { balanceOf, appendEntry } = require('./ledger')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function admin_adjust_balance(tx, { p_admin, p_user, p_amount, p_note }) {
+  const balance = balanceOf(tx, p_user)
+  if (balance + p_amount < 0) return { ok: false, error: 'insufficient_balance', balance }
+
+  const audit = tx.insert('audit_log', {
+    actor_id: p_admin,
+    action: 'balance.adjust',
+    target_type: 'user',
+    target_id: p_user,
+    details: { amount: p_amount, note: p_note, balance: balance + p_amount }
+  })
+  const entry = appendEntry(tx, {
+    user_id: p_user,
+    amount: p_amount,
+    reason: p_amount > 0 ? 'admin_credit' : 'admin_debit',
+    ref: `audit:${audit.id}`,
+    actor_id: p_admin
+  })
+  return { ok: true, balance: balance + p_amount, entry_id: entry.id, audit_id: audit.id }
+}
+
+function admin_stats(tx, { p_now }) {
+  const since = new Date(new Date(p_now).getTime() - DAY_MS).toISOString()
+  const sum = (rows, col) => rows.reduce((total, r) => total + r[col], 0)
+  const nfts = tx.select('nfts')
+  const pendingWithdrawals = tx.select('withdrawals', { where: { status: 'pending' } })
+  const recentSales = tx.select('sales', { where: { created_at: { gt: since } } })
+  return {
+    users: tx.count('profiles'),
+    nfts: nfts.length,
+    hidden: nfts.filter(n => n.hidden).length,
+    for_sale: nfts.filter(n => n.for_sale).length,
+    active_auctions: tx.count('auctions', { status: 'active' }),
+    pending_gifts: tx.count('gifts', { status: 'pending' }),
+    pending_withdrawals: pendingWithdrawals.length,
+    pending_withdrawals_amount: sum(pendingWithdrawals, 'amount'),
+    sales_24h: recentSales.length,
+    volume_24h: sum(recentSales, 'price'),
+    fees_total: sum(tx.select('ledger', { where: { reason: 'market_fee' } }), 'amount'),
+    deposits_total: sum(tx.select('ledger', { where: { reason: 'deposit' } }), 'amount')
+  }
+}
+
+module.exports = { admin_adjust_balance, admin_stats }
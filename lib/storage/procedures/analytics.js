@@ -0,0 +1,65 @@
+/**
+ * lib/storage/procedures/analytics.js
+ * Local equivalents of market_sales / market_daily / market_top_traders (db/migrations/020_analytics.sql).
+ */
+
+// sales joined with their NFT, filtered like the SQL functions
+function salesWithNfts(tx, { p_collection = null, p_from = null }) {
+  const nfts = new Map(tx.select('nfts').map(n => [n.id, n]))
+  return tx.select('sales', { order: { column: 'id', ascending: false } })
+    .map(s => ({ sale: s, nft: nfts.get(s.nft_id) }))
+    .filter(({ sale, nft }) => nft &&
+      (p_collection === null || nft.collection_id === p_collection) &&
+      (p_from === null || sale.created_at >= new Date(p_from).toISOString()))
+}
+
+function market_sales(tx, { p_collection = null, p_from = null, p_before = null, p_limit = 100 } = {}) {
+  return salesWithNfts(tx, { p_collection, p_from })
+    .filter(({ sale }) => p_before === null || sale.id < p_before)
+    .slice(0, p_limit)
+    .map(({ sale, nft }) => ({
+      id: sale.id,
+      nft_id: sale.nft_id,
+      name: nft.name,
+      number: nft.number,
+      collection_id: nft.collection_id,
+      seller_id: sale.seller_id,
+      buyer_id: sale.buyer_id,
+      price: sale.price,
+      fee: sale.fee,
+      created_at: sale.created_at
+    }))
+}
+
+function market_daily(tx, { p_collection = null, p_from = null } = {}) {
+  const byDay = new Map()
+  for (const { sale } of salesWithNfts(tx, { p_collection, p_from })) {
+    const day = sale.created_at.slice(0, 10)
+    const d = byDay.get(day) || { day, sales: 0, volume: 0, min_price: null, max_price: null, avg_price: 0 }
+    d.sales++
+    d.volume += sale.price
+    if (d.min_price === null || sale.price < d.min_price) d.min_price = sale.price
+    if (d.max_price === null || sale.price > d.max_price) d.max_price = sale.price
+    byDay.set(day, d)
+  }
+  return [...byDay.values()]
+    .map(d => ({ ...d, avg_price: Math.round(d.volume / d.sales) }))
+    .sort((a, b) => (a.day < b.day ? -1 : 1))
+}
+
+function market_top_traders(tx, { p_side, p_collection = null, p_from = null, p_limit = 10 }) {
+  const byUser = new Map()
+  for (const { sale } of salesWithNfts(tx, { p_collection, p_from })) {
+    const userId = p_side === 'seller' ? sale.seller_id : sale.buyer_id
+    if (!userId) continue
+    const u = byUser.get(userId) || { user_id: userId, trades: 0, volume: 0 }
+    u.trades++
+    u.volume += sale.price
+    byUser.set(userId, u)
+  }
+  return [...byUser.values()]
+    .sort((a, b) => b.volume - a.volume || (a.user_id < b.user_id ? -1 : 1))
+    .slice(0, p_limit)
+}
+
+module.exports = { market_sales, market_daily, market_top_traders }
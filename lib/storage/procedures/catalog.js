@@ -0,0 +1,63 @@
+/**
+ * lib/storage/procedures/catalog.js
+ * Local equivalents of nft_collections / collection_traits (db/migrations/007_catalog.sql,
+ * 010_admin.sql, 015_collections.sql, 020_analytics.sql) and of the nfts_collection trigger
+ * (collectionFields).
+ */
+
+const { collectionSlug, rarityScore } = require('../../collections')
+
+// trigger twin for NFTs inserted by procedures: collection (created on first sight) + rarity score
+function collectionFields(tx, { name, link, image_url = null, attributes = [] }) {
+  const id = collectionSlug(link, name)
+  if (!tx.get('collections', { id })) tx.insert('collections', { id, name, description: null, image_url })
+  return { collection_id: id, attributes, rarity_score: rarityScore(attributes) }
+}
+
+function nft_collections(tx, { p_id = null } = {}) {
+  const byId = new Map()
+  for (const c of tx.select('collections')) {
+    if (p_id === null || c.id === p_id) byId.set(c.id, { id: c.id, name: c.name, description: c.description, image_url: c.image_url, count: 0, floor_price: null, listed: 0, owners: new Set(), volume: 0, sales_count: 0 })
+  }
+  const collectionOf = new Map()
+  for (const nft of tx.select('nfts')) {
+    collectionOf.set(nft.id, nft.collection_id)
+    const c = byId.get(nft.collection_id)
+    if (!c || nft.hidden) continue
+    c.count++
+    if (nft.owner_id) c.owners.add(nft.owner_id)
+    if (nft.for_sale && !nft.auction_id) {
+      c.listed++
+      if (c.floor_price === null || nft.price < c.floor_price) c.floor_price = nft.price
+    }
+  }
+  for (const sale of tx.select('sales')) {
+    const c = byId.get(collectionOf.get(sale.nft_id))
+    if (!c) continue
+    c.volume += sale.price
+    c.sales_count++
+  }
+  return [...byId.values()]
+    .filter(c => c.count > 0)
+    .map(c => ({ ...c, owners: c.owners.size }))
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+}
+
+function collection_traits(tx, { p_id }) {
+  const items = tx.select('nfts', { where: { collection_id: p_id, hidden: { neq: true } } })
+  const byKey = new Map()
+  for (const nft of items) {
+    for (const a of nft.attributes || []) {
+      const key = a.trait + '\n' + a.value
+      const t = byKey.get(key) || { trait: a.trait, value: a.value, count: 0, rarity: null }
+      t.count++
+      if (a.rarity != null && (t.rarity === null || a.rarity > t.rarity)) t.rarity = a.rarity
+      byKey.set(key, t)
+    }
+  }
+  return [...byKey.values()]
+    .map(t => ({ ...t, rarity: t.rarity !== null ? t.rarity : Math.round(t.count * 10000 / items.length) / 100 }))
+    .sort((a, b) => (a.trait < b.trait ? -1 : a.trait > b.trait ? 1 : b.count - a.count || (a.value < b.value ? -1 : 1)))
+}
+
+module.exports = { collectionFields, nft_collections, collection_traits }
@@ -0,0 +1,90 @@
+/**
+ * lib/storage/procedures/gifts.js
+ * Local equivalents of the gift functions in db/migrations/005_gifts.sql (checks: 021_gift_checks.sql,
+ * p_now: 023_request_time.sql).
+ */
+
+const { releaseOffers } = require('./trading')
+const { notifyGift } = require('./notifications')
+const { collectionFields } = require('./catalog')
+
+function gift_receive(tx, { p_name, p_number, p_link, p_image_url, p_price, p_sender, p_receiver, p_now }) {
+  let nft = tx.get('nfts', { link: p_link })
+  if (nft) {
+    if (nft.auction_id) return { ok: false, error: 'in auction' }
+    if (nft.gift_id) return { ok: false, error: 'gift pending' }
+    if (nft.giveaway_id) return { ok: false, error: 'in giveaway' }
+    if (nft.hidden) return { ok: false, error: 'nft busy' }
+    releaseOffers(tx, nft.id, null, p_sender, p_now)
+  } else {
+    nft = tx.insert('nfts', {
+      name: p_name,
+      number: p_number,
+      price: p_price,
+      link: p_link,
+      image_url: p_image_url,
+      owner_id: null,
+      for_sale: false,
+      listed_at: null,
+      ...collectionFields(tx, { name: p_name, link: p_link, image_url: p_image_url })
+    })
+  }
+
+  const gift = tx.insert('gifts', {
+    nft_id: nft.id,
+    sender_id: p_sender,
+    receiver_id: p_receiver,
+    status: 'pending',
+    source: 'sync',
+    message: null,
+    claimed_at: null
+  })
+  notifyGift(tx, gift)
+  const [updated] = tx.update('nfts', { id: nft.id }, {
+    owner_id: null,
+    for_sale: false,
+    listed_at: null,
+    gift_id: gift.id,
+    sender_id: p_sender,
+    receiver_id: p_receiver,
+    image_url: p_image_url || nft.image_url
+  })
+  return { ok: true, gift, nft: updated }
+}
+
+function gift_send(tx, { p_nft, p_sender, p_receiver, p_message, p_now }) {
+  const nft = tx.get('nfts', { id: p_nft })
+  if (!nft) return { ok: false, error: 'nft not found' }
+  if (nft.owner_id !== p_sender) return { ok: false, error: 'not owner' }
+  if (nft.auction_id) return { ok: false, error: 'in auction' }
+  // a hidden (moderated) NFT would come back into circulation through the receiver's claim
+  if (nft.hidden) return { ok: false, error: 'nft busy' }
+  if (p_receiver === p_sender) return { ok: false, error: 'own nft' }
+
+  const gift = tx.insert('gifts', {
+    nft_id: nft.id,
+    sender_id: p_sender,
+    receiver_id: p_receiver,
+    status: 'pending',
+    source: 'regift',
+    message: p_message || null,
+    claimed_at: null
+  })
+  notifyGift(tx, gift)
+  const [updated] = tx.update('nfts', { id: nft.id }, { owner_id: null, for_sale: false, listed_at: null, gift_id: gift.id })
+  releaseOffers(tx, nft.id, null, p_sender, p_now)
+  return { ok: true, gift, nft: updated }
+}
+
+function gift_claim(tx, { p_gift, p_user, p_now }) {
+  const gift = tx.get('gifts', { id: p_gift })
+  if (!gift) return { ok: false, error: 'gift not found' }
+  if (gift.receiver_id !== p_user) return { ok: false, error: 'not authorized' }
+  if (gift.status !== 'pending') return { ok: false, error: 'already claimed' }
+
+  const [claimed] = tx.update('gifts', { id: gift.id }, { status: 'claimed', claimed_at: new Date(p_now).toISOString() })
+  const [nft] = tx.update('nfts', { id: gift.nft_id }, { owner_id: p_user, gift_id: null, for_sale: false })
+  return { ok: true, gift: claimed, nft }
+}
+
+module.exports = { gift_receive, gift_send, gift_claim }
@@ -0,0 +1,146 @@
+/**
+ * lib/storage/procedures/giveaways.js
+ * Local equivalents of the giveaway functions in db/migrations/011_giveaways.sql and
+ * 022_giveaway_funding.sql.
+ */
+
+const crypto = require('crypto')
+const { balanceOf, appendEntry } = require('./ledger')
+const { notify } = require('./notifications')
+
+const sha256 = (text) => crypto.createHash('sha256').update(String(text), 'utf8').digest('hex')
+const time = (iso) => new Date(iso).getTime()
+
+// TON prizes (amount x winners) are reserved from p_treasury up front; settle pays the winners
+// out of the reserve and refunds what nobody won, cancel refunds all of it (funded_by)
+function giveaway_create(tx, { p_admin, p_title, p_description, p_prize_type, p_nft, p_amount, p_winners, p_conditions, p_ends_at, p_seed, p_seed_hash, p_treasury = 'treasury' }) {
+  if (p_prize_type === 'nft') {
+    const nft = tx.get('nfts', { id: p_nft })
+    if (!nft) return { ok: false, error: 'nft not found' }
+    if (nft.owner_id) return { ok: false, error: 'owned by user' }
+    if (nft.hidden || nft.auction_id || nft.gift_id || nft.giveaway_id) return { ok: false, error: 'nft busy' }
+  }
+  const collection = p_conditions && p_conditions.collection
+  if (collection && !tx.get('collections', { id: collection })) return { ok: false, error: 'collection not found' }
+  const reserve = p_prize_type === 'ton' ? p_amount * p_winners : 0
+  if (reserve > 0) {
+    const balance = balanceOf(tx, p_treasury)
+    if (balance < reserve) return { ok: false, error: 'treasury balance too low', balance }
+  }
+
+  const giveaway = tx.insert('giveaways', {
+    created_by: p_admin,
+    title: p_title,
+    description: p_description || null,
+    prize_type: p_prize_type,
+    nft_id: p_prize_type === 'nft' ? p_nft : null,
+    amount: p_prize_type === 'ton' ? p_amount : 0,
+    winners_count: p_winners,
+    conditions: p_conditions || {},
+    ends_at: new Date(p_ends_at).toISOString(),
+    status: 'active',
+    seed_hash: p_seed_hash,
+    seed: p_seed,
+    entries_hash: null,
+    winners: [],
+    drawn_at: null,
+    funded_by: reserve > 0 ? p_treasury : null
+  })
+  if (p_prize_type === 'nft') tx.update('nfts', { id: p_nft }, { giveaway_id: giveaway.id, for_sale: false, listed_at: null })
+  if (reserve > 0) appendEntry(tx, { user_id: p_treasury, amount: -reserve, reason: 'giveaway_reserve', ref: `giveaway:${giveaway.id}`, actor_id: p_admin })
+
+  tx.insert('audit_log', {
+    actor_id: p_admin,
+    action: 'giveaway.create',
+    target_type: 'giveaway',
+    target_id: String(giveaway.id),
+    details: { title: p_title, prize_type: p_prize_type, nft_id: giveaway.nft_id, amount: giveaway.amount, winners_count: p_winners, seed_hash: p_seed_hash }
+  })
+  return { ok: true, giveaway }
+}
+
+function giveaway_join(tx, { p_giveaway, p_user, p_now }) {
+  const giveaway = tx.get('giveaways', { id: p_giveaway })
+  if (!giveaway) return { ok: false, error: 'giveaway not found' }
+  if (giveaway.status !== 'active' || time(p_now) >= time(giveaway.ends_at)) return { ok: false, error: 'giveaway ended' }
+
+  const { premium, min_balance: min, collection } = giveaway.conditions || {}
+  if (premium) {
+    const profile = tx.get('profiles', { id: p_user })
+    if (!profile || !profile.premium_until || time(profile.premium_until) <= time(p_now)) return { ok: false, error: 'premium required' }
+  }
+  if (min > 0 && balanceOf(tx, p_user) < min) return { ok: false, error: 'balance too low', min_balance: min }
+  if (collection && !tx.get('nfts', { owner_id: p_user, collection_id: collection })) return { ok: false, error: 'collection required' }
+
+  if (tx.get('giveaway_entries', { giveaway_id: p_giveaway, user_id: p_user })) return { ok: false, error: 'already joined' }
+  const entry = tx.insert('giveaway_entries', { giveaway_id: p_giveaway, user_id: p_user })
+  return { ok: true, entry }
+}
+
+function releaseNft(tx, nftId) {
+  const nft = tx.get('nfts', { id: nftId })
+  tx.update('nfts', { id: nftId }, { giveaway_id: null, for_sale: !nft.hidden })
+}
+
+// the part of a TON reserve that is not paid out goes back to where it came from
+function refundReserve(tx, giveaway, prizes, actorId) {
+  const amount = giveaway.amount * (giveaway.winners_count - prizes)
+  if (!giveaway.funded_by || amount <= 0) return
+  appendEntry(tx, { user_id: giveaway.funded_by, amount, reason: 'giveaway_refund', ref: `giveaway:${giveaway.id}`, actor_id: actorId })
+}
+
+function giveaway_settle(tx, { p_giveaway, p_seed, p_entries_hash, p_winners, p_now }) {
+  const giveaway = tx.get('giveaways', { id: p_giveaway })
+  if (!giveaway) return { ok: false, error: 'giveaway not found' }
+  if (giveaway.status !== 'active') return { ok: false, error: 'giveaway not active' }
+  if (time(p_now) < time(giveaway.ends_at)) return { ok: false, error: 'giveaway not ended' }
+  if (sha256(p_seed) !== giveaway.seed_hash) return { ok: false, error: 'seed mismatch' }
+
+  const winners = p_winners || []
+  const entrants = new Set(tx.select('giveaway_entries', { where: { giveaway_id: p_giveaway } }).map(e => e.user_id))
+  if (winners.length !== Math.min(entrants.size, giveaway.winners_count) ||
+      new Set(winners).size !== winners.length ||
+      winners.some(w => !entrants.has(w))) {
+    return { ok: false, error: 'invalid winners' }
+  }
+
+  for (const winner of winners) {
+    if (giveaway.prize_type === 'ton') {
+      appendEntry(tx, { user_id: winner, amount: giveaway.amount, reason: 'giveaway_prize', ref: `giveaway:${giveaway.id}`, actor_id: giveaway.created_by })
+    } else {
+      tx.update('nfts', { id: giveaway.nft_id }, { owner_id: winner, giveaway_id: null, for_sale: false, listed_at: null })
+    }
+    notify(tx, winner, 'giveaway_won', { giveaway_id: giveaway.id, title: giveaway.title, prize_type: giveaway.prize_type, amount: giveaway.amount, nft_id: giveaway.nft_id })
+  }
+  if (giveaway.prize_type === 'nft' && !winners.length) releaseNft(tx, giveaway.nft_id)
+  if (giveaway.prize_type === 'ton') refundReserve(tx, giveaway, winners.length, giveaway.created_by)
+
+  const [drawn] = tx.update('giveaways', { id: giveaway.id }, {
+    status: 'drawn',
+    seed: p_seed,
+    entries_hash: p_entries_hash,
+    winners,
+    drawn_at: new Date(p_now).toISOString()
+  })
+  return { ok: true, giveaway: drawn }
+}
+
+function giveaway_cancel(tx, { p_giveaway, p_admin }) {
+  const giveaway = tx.get('giveaways', { id: p_giveaway })
+  if (!giveaway) return { ok: false, error: 'giveaway not found' }
+  if (giveaway.status !== 'active') return { ok: false, error: 'giveaway not active' }
+
+  if (giveaway.nft_id != null) releaseNft(tx, giveaway.nft_id)
+  if (giveaway.prize_type === 'ton') refundReserve(tx, giveaway, 0, p_admin)
+  const [cancelled] = tx.update('giveaways', { id: giveaway.id }, { status: 'cancelled' })
+  tx.insert('audit_log', {
+    actor_id: p_admin,
+    action: 'giveaway.cancel',
+    target_type: 'giveaway',
+    target_id: String(giveaway.id),
+    details: { title: giveaway.title }
+  })
+  return { ok: true, giveaway: cancelled }
+}
+
+module.exports = { giveaway_create, giveaway_join, giveaway_settle, giveaway_cancel }
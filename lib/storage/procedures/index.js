@@ -0,0 +1,57 @@
+/**
+ * lib/storage/procedures/index.js
+ * Registry of local rpc() procedures. Each one mirrors a Postgres function from db/migrations
+ * and receives the local driver's transaction object: (tx, args) -> result.
+ */
+
+const ledger = require('./ledger')
+const market = require('./market')
+const trading = require('./trading')
+const gifts = require('./gifts')
+const sync = require('./sync')
+const catalog = require('./catalog')
+const payments = require('./payments')
+const wallets = require('./wallets')
+const admin = require('./admin')
+const giveaways = require('./giveaways')
+const premium = require('./premium')
+const stars = require('./stars')
+const referrals = require('./referrals')
+const analytics = require('./analytics')
+
+module.exports = {
+  ledger_balance: ledger.ledger_balance,
+  ledger_post: ledger.ledger_post,
+  purchase_nft: market.purchase_nft,
+  offer_create: trading.offer_create,
+  offer_accept: trading.offer_accept,
+  offer_close: trading.offer_close,
+  auction_create: trading.auction_create,
+  auction_bid: trading.auction_bid,
+  auction_cancel: trading.auction_cancel,
+  auction_settle: trading.auction_settle,
+  gift_receive: gifts.gift_receive,
+  gift_send: gifts.gift_send,
+  gift_claim: gifts.gift_claim,
+  sync_ingest: sync.sync_ingest,
+  nft_collections: catalog.nft_collections,
+  collection_traits: catalog.collection_traits,
+  payment_confirm: payments.payment_confirm,
+  withdrawal_request: wallets.withdrawal_request,
+  withdrawal_close: wallets.withdrawal_close,
+  admin_adjust_balance: admin.admin_adjust_balance,
+  admin_stats: admin.admin_stats,
+  giveaway_create: giveaways.giveaway_create,
+  giveaway_join: giveaways.giveaway_join,
+  giveaway_settle: giveaways.giveaway_settle,
+  giveaway_cancel: giveaways.giveaway_cancel,
+  premium_state: premium.premium_state,
+  stars_post: stars.stars_post,
+  stars_convert: stars.stars_convert,
+  purchase_nft_stars: stars.purchase_nft_stars,
+  referral_attach: referrals.referral_attach,
+  referral_reward: referrals.referral_reward,
+  market_sales: analytics.market_sales,
+  market_daily: analytics.market_daily,
+  market_top_traders: analytics.market_top_traders
+}
@@ -0,0 +1,85 @@
+/**
+ * lib/storage/procedures/ledger.js
+ * Local equivalents of the ledger functions in db/migrations/002_ledger.sql
+ * (purchase_nft moved to ./market.js with 003_market.sql) and of the stars ledger
+ * primitives star_rate / stars_post from 013_stars.sql.
+ * Same names, same `p_` arguments, same JSON results.
+ */
+
+const { feeOf } = require('../../money')
+const { premium_state } = require('./premium')
+
+function balanceOf(tx, userId) {
+  return tx.select('ledger', { where: { user_id: userId } }).reduce((sum, e) => sum + e.amount, 0)
+}
+
+function appendEntry(tx, { user_id, amount, reason, ref, actor_id }) {
+  return tx.insert('ledger', {
+    user_id,
+    amount,
+    reason,
+    ref: ref || null,
+    actor_id: actor_id || null
+  })
+}
+
+// nanoTON per star; null on a store without the rate row (not migrated, 013_stars)
+function starRate(tx) {
+  const row = tx.get('currency_rates', { currency: 'stars' })
+  return row ? Number(row.rate) : null
+}
+
+// signed stars on profiles.stars_balance + a stars_ledger entry (stars_post in SQL)
+function starsPost(tx, { user_id, amount, reason, ref, actor_id }) {
+  const profile = tx.get('profiles', { id: user_id }) ||
+    tx.insert('profiles', { id: user_id, premium_until: null, stars_balance: 0, stars_for_fees: false })
+  const stars = Number(profile.stars_balance || 0)
+  if (stars + amount < 0) return { ok: false, error: 'insufficient_stars', stars }
+  tx.update('profiles', { id: user_id }, { stars_balance: stars + amount })
+  const entry = tx.insert('stars_ledger', {
+    user_id,
+    amount,
+    reason,
+    ref: ref || null,
+    actor_id: actor_id || null,
+    balance_after: stars + amount
+  })
+  return { ok: true, stars: stars + amount, entry_id: entry.id }
+}
+
+function escrowRelease(tx, { user_id, amount, ref, actor_id }) {
+  return appendEntry(tx, { user_id, amount, reason: 'escrow_release', ref, actor_id })
+}
+
+// credit seller amount - fee and the fee to the treasury; returns the fee (pay_seller in SQL,
+// 012_premium.sql: the seller's premium plan at `now` (025_fee_time.sql) may lower the fee, 013_stars.sql: paid in stars on request)
+function paySeller(tx, { seller_id, amount, fee_bps, treasury_id, ref, actor_id, now }) {
+  const { perks } = premium_state(tx, { p_user: seller_id, p_now: now })
+  const planBps = perks && Number.isInteger(perks.market_fee_bps) ? perks.market_fee_bps : fee_bps
+  const fee = feeOf(amount, Math.min(fee_bps, planBps))
+  if (amount - fee > 0) appendEntry(tx, { user_id: seller_id, amount: amount - fee, reason: 'nft_sale', ref, actor_id })
+  if (fee > 0) {
+    appendEntry(tx, { user_id: treasury_id, amount: fee, reason: 'market_fee', ref, actor_id })
+    const seller = tx.get('profiles', { id: seller_id })
+    const rate = starRate(tx)
+    if (seller && seller.stars_for_fees && rate) {
+      const stars = Math.ceil(fee / rate)
+      const post = starsPost(tx, { user_id: seller_id, amount: -stars, reason: 'market_fee', ref, actor_id })
+      if (post.ok) appendEntry(tx, { user_id: seller_id, amount: stars * rate, reason: 'stars_to_ton', ref: `stars:${post.entry_id}`, actor_id })
+    }
+  }
+  return fee
+}
+
+function ledger_balance(tx, { p_user }) {
+  return balanceOf(tx, p_user)
+}
+
+function ledger_post(tx, { p_user, p_amount, p_reason, p_ref, p_actor }) {
+  const balance = balanceOf(tx, p_user)
+  if (balance + p_amount < 0) return { ok: false, error: 'insufficient_balance', balance }
+  const entry = appendEntry(tx, { user_id: p_user, amount: p_amount, reason: p_reason, ref: p_ref, actor_id: p_actor })
+  return { ok: true, balance: balance + p_amount, entry_id: entry.id }
+}
+
+module.exports = { balanceOf, appendEntry, starRate, starsPost, escrowRelease, paySeller, ledger_balance, ledger_post }
@@ -0,0 +1,34 @@
+/**
+ * lib/storage/procedures/market.js
+ * Local equivalent of purchase_nft (db/migrations/003_market.sql, updated in 004 and 023).
+ */
+
+const { balanceOf, appendEntry, paySeller } = require('./ledger')
+const { releaseOffers } = require('./trading')
+const { notifySale } = require('./notifications')
+
+function purchase_nft(tx, { p_buyer, p_nft, p_fee_bps = 0, p_treasury = 'treasury', p_now }) {
+  const nft = tx.get('nfts', { id: p_nft })
+  if (!nft) return { ok: false, error: 'nft not found' }
+  if (nft.owner_id === p_buyer) return { ok: false, error: 'own nft' }
+  if (!nft.for_sale || nft.auction_id) return { ok: false, error: 'already owned' }
+
+  const seller = nft.owner_id || null
+  const balance = balanceOf(tx, p_buyer)
+  if (balance < nft.price) return { ok: false, error: 'insufficient_balance', balance }
+
+  const ref = `nft:${nft.id}`
+  let fee = 0
+  if (nft.price > 0) {
+    appendEntry(tx, { user_id: p_buyer, amount: -nft.price, reason: 'nft_purchase', ref, actor_id: p_buyer })
+    if (seller) fee = paySeller(tx, { seller_id: seller, amount: nft.price, fee_bps: p_fee_bps, treasury_id: p_treasury, ref, actor_id: p_buyer, now: p_now })
+  }
+
+  const [updated] = tx.update('nfts', { id: p_nft }, { owner_id: p_buyer, for_sale: false, listed_at: null })
+  const sale = tx.insert('sales', { nft_id: nft.id, seller_id: seller, buyer_id: p_buyer, price: nft.price, fee })
+  notifySale(tx, sale)
+  releaseOffers(tx, nft.id, null, p_buyer, p_now)
+  return { ok: true, balance: balance - nft.price, nft: updated, sale_id: sale.id }
+}
+
+module.exports = { purchase_nft }
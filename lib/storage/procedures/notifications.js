@@ -0,0 +1,44 @@
+/**
+ * lib/storage/procedures/notifications.js
+ * Local equivalents of the notification triggers in db/migrations/014_bot.sql; the procedures
+ * call these right after inserting the sale, bid or gift row (Postgres does it in the trigger).
+ */
+
+function notify(tx, userId, type, payload) {
+  return tx.insert('notifications', { user_id: userId, type, payload, read_at: null, sent_at: null, send_error: null })
+}
+
+function nftInfo(tx, nftId) {
+  const nft = tx.get('nfts', { id: nftId })
+  return { nft_id: nftId, name: nft ? nft.name : null, number: nft ? nft.number : null }
+}
+
+// notify_sale: primary sales have no seller
+function notifySale(tx, sale) {
+  if (!sale.seller_id) return
+  notify(tx, sale.seller_id, 'nft_sold', {
+    sale_id: sale.id,
+    ...nftInfo(tx, sale.nft_id),
+    price: sale.price,
+    fee: sale.fee,
+    buyer_id: sale.buyer_id
+  })
+}
+
+// notify_outbid: `prevBidder` held the top bid before `bid`
+function notifyOutbid(tx, prevBidder, bid, auction) {
+  if (!prevBidder || prevBidder === bid.bidder_id) return
+  notify(tx, prevBidder, 'auction_outbid', { auction_id: auction.id, ...nftInfo(tx, auction.nft_id), amount: bid.amount })
+}
+
+// notify_gift
+function notifyGift(tx, gift) {
+  notify(tx, gift.receiver_id, 'gift_received', {
+    gift_id: gift.id,
+    ...nftInfo(tx, gift.nft_id),
+    sender_id: gift.sender_id,
+    message: gift.message || null
+  })
+}
+
+module.exports = { notify, notifySale, notifyOutbid, notifyGift }
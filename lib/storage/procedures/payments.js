@@ -0,0 +1,61 @@
+/**
+ * lib/storage/procedures/payments.js
+ * Local equivalent of payment_confirm in db/migrations/008_payments.sql (deposits: 009_wallets.sql,
+ * subscriptions: 012_premium.sql, stars ledger: 013_stars.sql, p_now: 023_request_time.sql).
+ */
+
+const { balanceOf, appendEntry, starsPost } = require('./ledger')
+
+// a renewal starts where the current premium ends
+function startOf(iso, now) {
+  return iso && new Date(iso) > now ? new Date(iso) : now
+}
+
+function addMonths(date, months) {
+  const end = new Date(date)
+  end.setMonth(end.getMonth() + months)
+  return end
+}
+
+function payment_confirm(tx, { p_intent, p_tx_hash, p_amount, p_sent_at, p_now }) {
+  const intent = tx.get('payment_intents', { id: p_intent })
+  if (!intent) return { ok: false, error: 'intent not found' }
+  if (intent.status === 'paid') return { ok: false, error: 'already paid', intent }
+  if (tx.get('payment_intents', { tx_hash: p_tx_hash })) return { ok: false, error: 'tx already used' }
+  if (p_amount < intent.amount) return { ok: false, error: 'amount mismatch' }
+  if (new Date(p_sent_at) > new Date(intent.expires_at)) return { ok: false, error: 'expired' }
+
+  const [paid] = tx.update('payment_intents', { id: p_intent }, {
+    status: 'paid',
+    tx_hash: p_tx_hash,
+    paid_amount: p_amount,
+    paid_at: new Date(p_now).toISOString()
+  })
+
+  if (intent.type === 'deposit') {
+    appendEntry(tx, { user_id: intent.user_id, amount: p_amount, reason: 'deposit', ref: `payment:${intent.id}`, actor_id: intent.user_id })
+    return { ok: true, intent: paid, balance: balanceOf(tx, intent.user_id) }
+  }
+
+  if (intent.type === 'stars') {
+    starsPost(tx, { user_id: intent.user_id, amount: intent.quantity, reason: 'purchase', ref: `payment:${intent.id}`, actor_id: intent.user_id })
+    return { ok: true, intent: paid, profile: tx.get('profiles', { id: intent.user_id }) }
+  }
+
+  const current = tx.get('profiles', { id: intent.user_id }) ||
+    tx.insert('profiles', { id: intent.user_id, premium_until: null, stars_balance: 0, stars_for_fees: false })
+
+  const start = startOf(current.premium_until, new Date(p_now))
+  const subscription = tx.insert('subscriptions', {
+    user_id: intent.user_id,
+    plan_id: intent.plan_id || null,
+    intent_id: intent.id,
+    starts_at: start.toISOString(),
+    ends_at: addMonths(start, intent.quantity).toISOString()
+  })
+  const [profile] = tx.update('profiles', { id: intent.user_id }, { premium_until: subscription.ends_at })
+
+  return { ok: true, intent: paid, profile, subscription }
+}
+
+module.exports = { payment_confirm }
@@ -0,0 +1,24 @@
+/**
+ * lib/storage/procedures/premium.js
+ * Local equivalent of premium_state in db/migrations/012_premium.sql.
+ */
+
+function premium_state(tx, { p_user, p_now }) {
+  const now = new Date(p_now)
+  const profile = tx.get('profiles', { id: p_user })
+  const until = profile ? profile.premium_until || null : null
+  if (!until || new Date(until) <= now) return { active: false, premium_until: until, plan_id: null, perks: null }
+
+  const iso = now.toISOString()
+  const [current] = tx.select('subscriptions', {
+    where: { user_id: p_user, starts_at: { lte: iso }, ends_at: { gt: iso } },
+    order: { column: 'ends_at', ascending: false },
+    limit: 1
+  })
+  // premium granted before plans existed: perks of the first plan
+  const plan = (current && tx.get('subscription_plans', { id: current.plan_id })) ||
+    tx.select('subscription_plans', { order: [{ column: 'sort', ascending: true }, { column: 'id', ascending: true }], limit: 1 })[0]
+  return { active: true, premium_until: until, plan_id: plan ? plan.id : null, perks: plan ? plan.perks : {} }
+}
+
+module.exports = { premium_state }
@@ -0,0 +1,69 @@
+/**
+ * lib/storage/procedures/referrals.js
+ * Local equivalents of the referral functions in db/migrations/018_referrals.sql
+ * (referral_reward's treasury check: 026_referral_bonus.sql).
+ */
+
+const { balanceOf, appendEntry } = require('./ledger')
+
+const time = (iso) => new Date(iso).getTime()
+
+function referral_attach(tx, { p_referee, p_code, p_ip_hash = null }) {
+  const referrer = tx.get('profiles', { referral_code: p_code })
+  if (!referrer) return { ok: false, error: 'invalid code' }
+  if (referrer.id === p_referee || tx.get('referrals', { referee_id: referrer.id, referrer_id: p_referee })) {
+    return { ok: false, error: 'self referral' }
+  }
+  if (tx.get('referrals', { referee_id: p_referee })) return { ok: false, error: 'already referred' }
+  if (p_ip_hash && referrer.last_ip_hash === p_ip_hash) {
+    tx.insert('referrals', { referee_id: p_referee, referrer_id: referrer.id, code: p_code, status: 'rejected', reason: 'same_ip' })
+    return { ok: false, error: 'duplicate account' }
+  }
+  tx.insert('referrals', { referee_id: p_referee, referrer_id: referrer.id, code: p_code, status: 'active', reason: null })
+  return { ok: true, referrer_id: referrer.id, status: 'active' }
+}
+
+// referral_credit: at most once per (sale, referee, kind) -> nanoTON paid
+function referralCredit(tx, referral, saleId, kind, amount, treasuryId) {
+  if (amount <= 0) return 0
+  if (tx.get('referral_rewards', { sale_id: saleId, referee_id: referral.referee_id, kind })) return 0
+  tx.insert('referral_rewards', { referrer_id: referral.referrer_id, referee_id: referral.referee_id, sale_id: saleId, kind, amount })
+  const ref = `sale:${saleId}`
+  appendEntry(tx, { user_id: treasuryId, amount: -amount, reason: 'referral_reward', ref, actor_id: referral.referee_id })
+  appendEntry(tx, { user_id: referral.referrer_id, amount, reason: 'referral_reward', ref, actor_id: referral.referee_id })
+  return amount
+}
+
+function referral_reward(tx, { p_sale, p_share_bps, p_bonus, p_treasury = 'treasury' }) {
+  const sale = tx.get('sales', { id: p_sale })
+  if (!sale) return { ok: false, error: 'sale not found' }
+  let rewards = 0
+  let amount = 0
+  let unpaid = 0
+  const credit = (referral, kind, value) => {
+    const paid = referralCredit(tx, referral, sale.id, kind, value, p_treasury)
+    if (paid > 0) {
+      rewards++
+      amount += paid
+    }
+  }
+  for (const userId of [sale.buyer_id, sale.seller_id]) {
+    if (!userId) continue
+    const referral = tx.get('referrals', { referee_id: userId, status: 'active' })
+    if (!referral || time(referral.created_at) > time(sale.created_at)) continue
+    // trades between referrer and referee earn nothing
+    if (referral.referrer_id === sale.buyer_id || referral.referrer_id === sale.seller_id) continue
+
+    credit(referral, 'fee_share', Math.floor((sale.fee * p_share_bps) / 10000))
+    const firstPurchase = userId === sale.buyer_id && sale.price > 0 &&
+      !tx.select('sales', { where: { buyer_id: userId, price: { gt: 0 }, id: { lt: sale.id } } }).length
+    if (!firstPurchase) continue
+    // the fee share comes out of the fee just collected; the fixed bonus is skipped when the
+    // treasury can't cover it
+    if (p_bonus > 0 && balanceOf(tx, p_treasury) < p_bonus) unpaid += p_bonus
+    else credit(referral, 'first_purchase', p_bonus)
+  }
+  return { ok: true, rewards, amount, unpaid }
+}
+
+module.exports = { referral_attach, referral_reward }
@@ -0,0 +1,52 @@
+/**
+ * lib/storage/procedures/stars.js
+ * Local equivalents of stars_convert and purchase_nft_stars in db/migrations/013_stars.sql
+ * (stars_post is starsPost in ./ledger.js; 'rate unavailable' guards: 024_stars_rate.sql).
+ */
+
+const { balanceOf, appendEntry, starRate, starsPost } = require('./ledger')
+const { purchase_nft } = require('./market')
+
+function stars_post(tx, { p_user, p_amount, p_reason, p_ref, p_actor }) {
+  return starsPost(tx, { user_id: p_user, amount: p_amount, reason: p_reason, ref: p_ref, actor_id: p_actor })
+}
+
+function stars_convert(tx, { p_user, p_direction, p_stars }) {
+  if (!(p_stars > 0) || !['to_ton', 'to_stars'].includes(p_direction)) return { ok: false, error: 'invalid amount' }
+  const rate = starRate(tx)
+  if (!rate) return { ok: false, error: 'rate unavailable' }
+  const nano = p_stars * rate
+  let post
+  if (p_direction === 'to_ton') {
+    post = starsPost(tx, { user_id: p_user, amount: -p_stars, reason: 'convert_to_ton', actor_id: p_user })
+    if (!post.ok) return post
+    appendEntry(tx, { user_id: p_user, amount: nano, reason: 'stars_to_ton', ref: `stars:${post.entry_id}`, actor_id: p_user })
+  } else {
+    const balance = balanceOf(tx, p_user)
+    if (balance < nano) return { ok: false, error: 'insufficient_balance', balance }
+    post = starsPost(tx, { user_id: p_user, amount: p_stars, reason: 'convert_from_ton', actor_id: p_user })
+    appendEntry(tx, { user_id: p_user, amount: -nano, reason: 'ton_to_stars', ref: `stars:${post.entry_id}`, actor_id: p_user })
+  }
+  return { ok: true, stars: post.stars, balance: balanceOf(tx, p_user), rate }
+}
+
+function purchase_nft_stars(tx, { p_buyer, p_nft, p_fee_bps = 0, p_treasury = 'treasury', p_now }) {
+  const nft = tx.get('nfts', { id: p_nft })
+  if (!nft) return { ok: false, error: 'nft not found' }
+  if (nft.owner_id === p_buyer) return { ok: false, error: 'own nft' }
+  if (!nft.for_sale || nft.auction_id) return { ok: false, error: 'already owned' }
+
+  const rate = starRate(tx)
+  if (!rate) return { ok: false, error: 'rate unavailable' }
+  const stars = Math.ceil(nft.price / rate)
+  if (stars > 0) {
+    const post = starsPost(tx, { user_id: p_buyer, amount: -stars, reason: 'nft_purchase', ref: `nft:${nft.id}`, actor_id: p_buyer })
+    if (!post.ok) return post
+    appendEntry(tx, { user_id: p_buyer, amount: stars * rate, reason: 'stars_to_ton', ref: `stars:${post.entry_id}`, actor_id: p_buyer })
+  }
+
+  const result = purchase_nft(tx, { p_buyer, p_nft, p_fee_bps, p_treasury, p_now })
+  return { ...result, stars_spent: stars, stars: Number(tx.get('profiles', { id: p_buyer }).stars_balance) }
+}
+
+module.exports = { stars_post, stars_convert, purchase_nft_stars }
@@ -0,0 +1,24 @@
+/**
+ * lib/storage/procedures/sync.js
+ * Local equivalent of sync_ingest in db/migrations/006_sync.sql.
+ */
+
+const { gift_receive } = require('./gifts')
+
+function sync_ingest(tx, { p_source, p_hash, ...gift }) {
+  const seen = tx.get('sync_transfers', { hash: p_hash })
+  if (seen) return { ok: true, duplicate: true, transfer: seen }
+
+  const result = gift_receive(tx, gift)
+  const transfer = tx.insert('sync_transfers', {
+    source: p_source,
+    hash: p_hash,
+    status: result.ok ? 'ingested' : 'skipped',
+    error: result.ok ? null : result.error,
+    gift_id: result.ok ? result.gift.id : null,
+    nft_id: result.ok ? result.nft.id : null
+  })
+  return { ok: true, duplicate: false, transfer, gift: result.gift || null, nft: result.nft || null }
+}
+
+module.exports = { sync_ingest }
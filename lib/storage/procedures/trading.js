@@ -0,0 +1,201 @@
+/**
+ * lib/storage/procedures/trading.js
+ * Local equivalents of the offer/auction functions in db/migrations/004_offers_auctions.sql
+ * (p_now: 023_request_time.sql).
+ * Escrow = 'escrow_hold' ledger debit, returned by an 'escrow_release' credit.
+ */
+
+const { balanceOf, appendEntry, escrowRelease, paySeller } = require('./ledger')
+const { notifySale, notifyOutbid } = require('./notifications')
+
+// refund every active offer on an NFT except `exceptId` (the NFT changed hands at `at`)
+function releaseOffers(tx, nftId, exceptId, actorId, at) {
+  const open = tx.select('offers', { where: { nft_id: nftId, status: 'active' } })
+  for (const offer of open) {
+    if (offer.id === exceptId) continue
+    escrowRelease(tx, { user_id: offer.buyer_id, amount: offer.amount, ref: `offer:${offer.id}`, actor_id: actorId })
+    tx.update('offers', { id: offer.id }, { status: 'expired', resolved_at: new Date(at).toISOString() })
+  }
+}
+
+function transferNft(tx, nftId, ownerId) {
+  return tx.update('nfts', { id: nftId }, { owner_id: ownerId, auction_id: null, for_sale: false, listed_at: null })[0]
+}
+
+// ---------- offers ----------
+
+function offer_create(tx, { p_nft, p_buyer, p_amount }) {
+  const nft = tx.get('nfts', { id: p_nft })
+  if (!nft) return { ok: false, error: 'nft not found' }
+  // platform stock has no owner to accept offers; it sells at its price (purchase_nft)
+  if (!nft.owner_id) return { ok: false, error: 'not owned' }
+  if (nft.owner_id === p_buyer) return { ok: false, error: 'own nft' }
+  if (nft.auction_id) return { ok: false, error: 'in auction' }
+  if (tx.get('offers', { nft_id: p_nft, buyer_id: p_buyer, status: 'active' })) return { ok: false, error: 'offer exists' }
+
+  const balance = balanceOf(tx, p_buyer)
+  if (balance < p_amount) return { ok: false, error: 'insufficient_balance', balance }
+
+  const offer = tx.insert('offers', { nft_id: p_nft, buyer_id: p_buyer, amount: p_amount, status: 'active', resolved_at: null })
+  appendEntry(tx, { user_id: p_buyer, amount: -p_amount, reason: 'escrow_hold', ref: `offer:${offer.id}`, actor_id: p_buyer })
+  return { ok: true, offer, owner_id: nft.owner_id, balance: balance - p_amount }
+}
+
+function offer_accept(tx, { p_offer, p_owner, p_fee_bps = 0, p_treasury = 'treasury', p_now }) {
+  const offer = tx.get('offers', { id: p_offer })
+  if (!offer) return { ok: false, error: 'offer not found' }
+  if (offer.status !== 'active') return { ok: false, error: 'offer not active' }
+  const nft = tx.get('nfts', { id: offer.nft_id })
+  if (!nft || nft.owner_id !== p_owner) return { ok: false, error: 'not owner' }
+  if (nft.auction_id) return { ok: false, error: 'in auction' }
+
+  // buyer's funds are already in escrow
+  const fee = paySeller(tx, { seller_id: p_owner, amount: offer.amount, fee_bps: p_fee_bps, treasury_id: p_treasury, ref: `offer:${offer.id}`, actor_id: p_owner, now: p_now })
+  const [accepted] = tx.update('offers', { id: offer.id }, { status: 'accepted', resolved_at: new Date(p_now).toISOString() })
+  const updated = transferNft(tx, nft.id, offer.buyer_id)
+  const sale = tx.insert('sales', { nft_id: nft.id, seller_id: p_owner, buyer_id: offer.buyer_id, price: offer.amount, fee })
+  notifySale(tx, sale)
+  releaseOffers(tx, nft.id, offer.id, p_owner, p_now)
+  return { ok: true, offer: accepted, nft: updated, sale_id: sale.id }
+}
+
+// p_status: 'cancelled' (by the buyer) or 'rejected' (by the owner); refunds the escrow
+function offer_close(tx, { p_offer, p_user, p_status, p_now }) {
+  if (p_status !== 'cancelled' && p_status !== 'rejected') throw new Error(`offer_close: bad status ${p_status}`)
+  const offer = tx.get('offers', { id: p_offer })
+  if (!offer) return { ok: false, error: 'offer not found' }
+  if (offer.status !== 'active') return { ok: false, error: 'offer not active' }
+  const nft = tx.get('nfts', { id: offer.nft_id })
+  if (p_status === 'cancelled' && offer.buyer_id !== p_user) return { ok: false, error: 'not authorized' }
+  if (p_status === 'rejected' && (!nft || nft.owner_id !== p_user)) return { ok: false, error: 'not owner' }
+
+  escrowRelease(tx, { user_id: offer.buyer_id, amount: offer.amount, ref: `offer:${offer.id}`, actor_id: p_user })
+  const [closed] = tx.update('offers', { id: offer.id }, { status: p_status, resolved_at: new Date(p_now).toISOString() })
+  return { ok: true, offer: closed }
+}
+
+// ---------- auctions ----------
+
+function auction_create(tx, { p_nft, p_seller, p_start, p_increment, p_ends_at }) {
+  const nft = tx.get('nfts', { id: p_nft })
+  if (!nft) return { ok: false, error: 'nft not found' }
+  if (nft.owner_id !== p_seller) return { ok: false, error: 'not owner' }
+  if (nft.auction_id) return { ok: false, error: 'in auction' }
+
+  const auction = tx.insert('auctions', {
+    nft_id: p_nft,
+    seller_id: p_seller,
+    start_price: p_start,
+    min_increment: p_increment,
+    ends_at: new Date(p_ends_at).toISOString(),
+    status: 'active',
+    top_bid_id: null,
+    top_bid_amount: null,
+    top_bidder_id: null,
+    settled_at: null
+  })
+  tx.update('nfts', { id: p_nft }, { auction_id: auction.id, for_sale: false, listed_at: null })
+  return { ok: true, auction }
+}
+
+function auction_bid(tx, { p_auction, p_bidder, p_amount, p_now, p_snipe_sec }) {
+  const auction = tx.get('auctions', { id: p_auction })
+  const now = new Date(p_now).getTime()
+  if (!auction) return { ok: false, error: 'auction not found' }
+  if (auction.status !== 'active' || now >= new Date(auction.ends_at).getTime()) return { ok: false, error: 'auction ended' }
+  if (auction.seller_id === p_bidder) return { ok: false, error: 'own nft' }
+
+  const minBid = auction.top_bid_amount == null ? auction.start_price : auction.top_bid_amount + auction.min_increment
+  if (p_amount < minBid) return { ok: false, error: 'bid too low', min_bid: minBid }
+
+  const balance = balanceOf(tx, p_bidder)
+  // raising your own top bid only needs the difference
+  const available = balance + (auction.top_bidder_id === p_bidder ? auction.top_bid_amount : 0)
+  if (available < p_amount) return { ok: false, error: 'insufficient_balance', balance }
+
+  const prevBidder = auction.top_bidder_id
+  if (auction.top_bid_id != null) {
+    escrowRelease(tx, { user_id: auction.top_bidder_id, amount: auction.top_bid_amount, ref: `bid:${auction.top_bid_id}`, actor_id: p_bidder })
+    tx.update('bids', { id: auction.top_bid_id }, { status: 'outbid' })
+  }
+
+  const bid = tx.insert('bids', { auction_id: auction.id, bidder_id: p_bidder, amount: p_amount, status: 'active' })
+  notifyOutbid(tx, prevBidder, bid, auction)
+  appendEntry(tx, { user_id: p_bidder, amount: -p_amount, reason: 'escrow_hold', ref: `bid:${bid.id}`, actor_id: p_bidder })
+
+  let endsAt = auction.ends_at
+  let extended = false
+  if (new Date(endsAt).getTime() - now < p_snipe_sec * 1000) {
+    endsAt = new Date(now + p_snipe_sec * 1000).toISOString()
+    extended = true
+  }
+  const [updated] = tx.update('auctions', { id: auction.id }, {
+    top_bid_id: bid.id,
+    top_bid_amount: p_amount,
+    top_bidder_id: p_bidder,
+    ends_at: endsAt
+  })
+
+  return {
+    ok: true,
+    auction: updated,
+    bid_id: bid.id,
+    outbid_user_id: prevBidder !== p_bidder ? prevBidder : null,
+    extended,
+    balance: available - p_amount
+  }
+}
+
+function auction_cancel(tx, { p_auction, p_seller, p_now }) {
+  const auction = tx.get('auctions', { id: p_auction })
+  if (!auction) return { ok: false, error: 'auction not found' }
+  if (auction.seller_id !== p_seller) return { ok: false, error: 'not owner' }
+  if (auction.status !== 'active') return { ok: false, error: 'auction ended' }
+  if (auction.top_bid_id != null) return { ok: false, error: 'has bids' }
+
+  const [cancelled] = tx.update('auctions', { id: auction.id }, { status: 'cancelled', settled_at: new Date(p_now).toISOString() })
+  tx.update('nfts', { id: auction.nft_id }, { auction_id: null })
+  return { ok: true, auction: cancelled }
+}
+
+function auction_settle(tx, { p_auction, p_now, p_fee_bps = 0, p_treasury = 'treasury' }) {
+  const auction = tx.get('auctions', { id: p_auction })
+  if (!auction) return { ok: false, error: 'auction not found' }
+  if (auction.status !== 'active') return { ok: false, error: 'auction not active' }
+  if (new Date(p_now).getTime() < new Date(auction.ends_at).getTime()) return { ok: false, error: 'auction not ended' }
+  const settledAt = new Date(p_now).toISOString()
+
+  if (auction.top_bid_id == null) {
+    const [unsold] = tx.update('auctions', { id: auction.id }, { status: 'unsold', settled_at: settledAt })
+    const [nft] = tx.update('nfts', { id: auction.nft_id }, { auction_id: null })
+    return { ok: true, sold: false, auction: unsold, nft }
+  }
+
+  const fee = paySeller(tx, {
+    seller_id: auction.seller_id,
+    amount: auction.top_bid_amount,
+    fee_bps: p_fee_bps,
+    treasury_id: p_treasury,
+    ref: `auction:${auction.id}`,
+    actor_id: auction.seller_id,
+    now: p_now
+  })
+  tx.update('bids', { id: auction.top_bid_id }, { status: 'won' })
+  const [settled] = tx.update('auctions', { id: auction.id }, { status: 'settled', settled_at: settledAt })
+  const nft = transferNft(tx, auction.nft_id, auction.top_bidder_id)
+  const sale = tx.insert('sales', { nft_id: auction.nft_id, seller_id: auction.seller_id, buyer_id: auction.top_bidder_id, price: auction.top_bid_amount, fee })
+  notifySale(tx, sale)
+  releaseOffers(tx, auction.nft_id, null, auction.seller_id, p_now)
+  return { ok: true, sold: true, auction: settled, nft, sale_id: sale.id }
+}
+
+module.exports = {
+  releaseOffers,
+  offer_create,
+  offer_accept,
+  offer_close,
+  auction_create,
+  auction_bid,
+  auction_cancel,
+  auction_settle
+}
@@ -0,0 +1,57 @@
+/**
+ * lib/storage/procedures/wallets.js
+ * Local equivalents of the withdrawal functions in db/migrations/009_wallets.sql (p_now: 023_request_time.sql).
+ */
+
+const { balanceOf, appendEntry } = require('./ledger')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function withdrawal_request(tx, { p_user, p_amount, p_min, p_max, p_daily, p_now }) {
+  const wallet = tx.get('wallets', { user_id: p_user })
+  if (!wallet) return { ok: false, error: 'no wallet' }
+  if (p_amount < p_min) return { ok: false, error: 'below minimum', min: p_min }
+  if (p_amount > p_max) return { ok: false, error: 'above maximum', max: p_max }
+
+  const since = new Date(new Date(p_now).getTime() - DAY_MS).toISOString()
+  const today = tx.select('withdrawals', { where: { user_id: p_user, status: { in: ['pending', 'approved'] }, created_at: { gt: since } } })
+    .reduce((sum, w) => sum + w.amount, 0)
+  if (today + p_amount > p_daily) return { ok: false, error: 'daily limit', left: Math.max(p_daily - today, 0) }
+  const balance = balanceOf(tx, p_user)
+  if (balance < p_amount) return { ok: false, error: 'insufficient_balance', balance }
+
+  const withdrawal = tx.insert('withdrawals', {
+    user_id: p_user,
+    amount: p_amount,
+    destination: wallet.address,
+    status: 'pending',
+    tx_hash: null,
+    note: null,
+    resolved_by: null,
+    resolved_at: null
+  })
+  appendEntry(tx, { user_id: p_user, amount: -p_amount, reason: 'withdrawal', ref: `withdrawal:${withdrawal.id}`, actor_id: p_user })
+  return { ok: true, withdrawal, balance: balance - p_amount }
+}
+
+function withdrawal_close(tx, { p_withdrawal, p_actor, p_status, p_tx_hash, p_note, p_now }) {
+  if (!['approved', 'rejected', 'cancelled'].includes(p_status)) throw new Error(`withdrawal_close: bad status ${p_status}`)
+  const withdrawal = tx.get('withdrawals', { id: p_withdrawal })
+  if (!withdrawal) return { ok: false, error: 'withdrawal not found' }
+  if (p_status === 'cancelled' && withdrawal.user_id !== p_actor) return { ok: false, error: 'not authorized' }
+  if (withdrawal.status !== 'pending') return { ok: false, error: 'not pending' }
+
+  if (p_status !== 'approved') {
+    appendEntry(tx, { user_id: withdrawal.user_id, amount: withdrawal.amount, reason: 'withdrawal_refund', ref: `withdrawal:${withdrawal.id}`, actor_id: p_actor })
+  }
+  const [closed] = tx.update('withdrawals', { id: withdrawal.id }, {
+    status: p_status,
+    tx_hash: p_tx_hash || null,
+    note: p_note || null,
+    resolved_by: p_actor,
+    resolved_at: new Date(p_now).toISOString()
+  })
+  return { ok: true, withdrawal: closed }
+}
+
+module.exports = { withdrawal_request, withdrawal_close }
@@ -0,0 +1,94 @@
+/**
+ * lib/storage/query.js
+ * The query shape shared by all storage drivers, and its in-memory evaluation (local driver).
+ *
+ * query = {
+ *   where:  { col: value }                      -> col = value (null -> col is null)
+ *           { col: { eq|neq|gt|gte|lt|lte: v } } -> comparison (neq: null -> col is not null)
+ *           { col: { in: [a, b] } }              -> col in (...)
+ *           { col: { ilike: '%desk%' } }         -> case-insensitive LIKE
+ *   order:  { column, ascending } or an array of them (nulls sort last ascending, like Postgres)
+ *   limit, offset
+ * }
+ */
+
+const OPS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'ilike']
+
+// SQL LIKE -> RegExp; a backslash escapes % and _ like in Postgres
+function likeToRegExp(pattern) {
+  const quote = (ch) => ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  let src = ''
+  const chars = String(pattern).split('')
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i]
+    if (ch === '\\' && i + 1 < chars.length) src += quote(chars[++i])
+    else if (ch === '%') src += '.*'
+    else if (ch === '_') src += '.'
+    else src += quote(ch)
+  }
+  return new RegExp(`^${src}$`, 'is')
+}
+
+function isCondition(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)
+}
+
+function testOp(op, actual, expected) {
+  switch (op) {
+    case 'eq': return expected === null ? actual == null : actual === expected
+    case 'neq': return expected === null ? actual != null : actual !== expected
+    case 'gt': return actual != null && actual > expected
+    case 'gte': return actual != null && actual >= expected
+    case 'lt': return actual != null && actual < expected
+    case 'lte': return actual != null && actual <= expected
+    case 'in': return expected.includes(actual)
+    case 'ilike': return actual != null && likeToRegExp(expected).test(String(actual))
+    default: throw new Error(`storage: unknown operator ${op}`)
+  }
+}
+
+function matches(row, where = {}) {
+  for (const [col, cond] of Object.entries(where)) {
+    const actual = row[col]
+    if (!isCondition(cond)) {
+      if (!testOp('eq', actual, cond)) return false
+      continue
+    }
+    for (const [op, expected] of Object.entries(cond)) {
+      if (!testOp(op, actual, expected)) return false
+    }
+  }
+  return true
+}
+
+function normalizeOrder(order) {
+  if (!order) return []
+  return (Array.isArray(order) ? order : [order]).map(o => ({ column: o.column, ascending: o.ascending !== false }))
+}
+
+function compare(a, b) {
+  if (a == null && b == null) return 0
+  if (a == null) return 1
+  if (b == null) return -1
+  return a < b ? -1 : a > b ? 1 : 0
+}
+
+function applyQuery(rows, { where, order, limit, offset } = {}) {
+  let out = rows.filter(r => matches(r, where))
+  const sorts = normalizeOrder(order)
+  if (sorts.length) {
+    out = out.slice().sort((x, y) => {
+      for (const { column, ascending } of sorts) {
+        let c = compare(x[column], y[column])
+        // descending also puts nulls first, same as Postgres defaults
+        if (!ascending) c = -c
+        if (c) return c
+      }
+      return 0
+    })
+  }
+  const start = offset || 0
+  return typeof limit === 'number' ? out.slice(start, start + limit) : out.slice(start)
+}
+
+module.exports = { OPS, matches, applyQuery, normalizeOrder, isCondition }
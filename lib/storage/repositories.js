@@ -0,0 +1,1147 @@
+/**
+ * lib/storage/repositories.js
+ * Domain repositories on top of a storage driver (local or Supabase). Routes talk to these,
+ * never to a driver-specific client, so every endpoint has a single code path.
+ *
+ * Amounts are nanoTON integers (see lib/money.js).
+ */
+
+const { isNano } = require('../money')
+const { collectionSlug, rarityScore } = require('../collections')
+const { referralCode } = require('../referrals')
+
+// catalog sort keys; ties are broken by id in the same direction
+const CATALOG_SORTS = {
+  newest: { column: 'id', ascending: false },
+  price_asc: { column: 'price', ascending: true },
+  price_desc: { column: 'price', ascending: false },
+  number: { column: 'number', ascending: true },
+  rarity: { column: 'rarity_score', ascending: false }
+}
+
+function escapeLike(text) {
+  return String(text).replace(/[%_\\]/g, '\\$&')
+}
+
+// where-clauses are plain objects, so two conditions on one column are merged into one
+function and(where, extra) {
+  const out = { ...where }
+  for (const [col, cond] of Object.entries(extra)) out[col] = { ...out[col], ...cond }
+  return out
+}
+
+function createRepositories(db) {
+  const profiles = {
+    get(id) {
+      return db.get('profiles', { id: String(id) })
+    },
+
+    // create on first sight, refresh names afterwards -> { profile, created }
+    async ensure({ id, ...fields }) {
+      const pid = String(id)
+      const existing = await profiles.get(pid)
+      if (existing) {
+        const patch = {}
+        Object.keys(fields).forEach(k => { if (fields[k] !== undefined) patch[k] = fields[k] })
+        if (!Object.keys(patch).length) return { profile: existing, created: false }
+        const [profile] = await db.update('profiles', { id: pid }, patch)
+        return { profile, created: false }
+      }
+      const profile = await db.insert('profiles', { id: pid, premium_until: null, stars_balance: 0, stars_for_fees: false, ...fields })
+      return { profile, created: true }
+    },
+
+    async update(id, patch) {
+      const [profile] = await db.update('profiles', { id: String(id) }, patch)
+      return profile || null
+    },
+
+    byIds(ids) {
+      return ids.length ? db.select('profiles', { where: { id: { in: ids.map(String) } } }) : Promise.resolve([])
+    },
+
+    findByUsername(username) {
+      return db.get('profiles', { username: { ilike: escapeLike(username) } })
+    },
+
+    // admin lookup: exact id, otherwise username / first name containing the text
+    async search(q, { limit = 20 } = {}) {
+      const text = String(q).trim().replace(/^@/, '')
+      if (!text) return []
+      const byId = await profiles.get(text)
+      const like = { ilike: `%${escapeLike(text)}%` }
+      const order = { column: 'id', ascending: true }
+      const [byUsername, byName] = await Promise.all([
+        db.select('profiles', { where: { username: like }, order, limit }),
+        db.select('profiles', { where: { first_name: like }, order, limit })
+      ])
+      const seen = new Set()
+      return [byId, ...byUsername, ...byName]
+        .filter(p => p && !seen.has(p.id) && seen.add(p.id))
+        .slice(0, limit)
+    }
+  }
+
+  const admins = {
+    async roleOf(userId) {
+      const row = await db.get('admins', { user_id: String(userId) })
+      return row ? row.role : null
+    },
+
+    // signed nanoTON amount; the audit entry and the ledger entry are written together
+    // -> { ok, balance, entry_id, audit_id } | { ok: false, error: 'insufficient_balance', balance }
+    adjustBalance({ admin_id, user_id, amount, note }) {
+      if (!isNano(amount) || amount === 0) throw new Error('admins: amount must be a non-zero integer (nanoTON)')
+      if (!note) throw new Error('admins: missing note')
+      return db.rpc('admin_adjust_balance', { p_admin: String(admin_id), p_user: String(user_id), p_amount: amount, p_note: note })
+    },
+
+    // dashboard counters and totals (nanoTON), see admin_stats in 010_admin.sql
+    stats(now = new Date().toISOString()) {
+      return db.rpc('admin_stats', { p_now: now })
+    }
+  }
+
+  // append-only log of admin actions (010_admin.sql); balance adjustments are logged by admin_adjust_balance
+  const audit = {
+    record({ actor_id, action, target_type = null, target_id = null, details = {} }) {
+      return db.insert('audit_log', {
+        actor_id: String(actor_id),
+        action,
+        target_type,
+        target_id: target_id == null ? null : String(target_id),
+        details
+      })
+    },
+
+    // newest first; pass the last id as `before` for the next page
+    list({ actor_id, action, target_type, target_id, before, limit = 50 } = {}) {
+      const where = {}
+      if (actor_id) where.actor_id = String(actor_id)
+      if (action) where.action = action
+      if (target_type) where.target_type = target_type
+      if (target_id) where.target_id = String(target_id)
+      if (before) where.id = { lt: Number(before) }
+      return db.select('audit_log', { where, order: { column: 'id', ascending: false }, limit })
+    }
+  }
+
+  const nfts = {
+    list(query = {}) {
+      return db.select('nfts', { order: { column: 'id', ascending: true }, ...query })
+    },
+
+    get(id) {
+      return db.get('nfts', { id: Number(id) })
+    },
+
+    /**
+     * Catalog page -> { nfts, next }; pass `next` back as `after` for the following page.
+     * Filters on sort columns only use gte/lte so they never collide with the keyset conditions (eq/gt/lt).
+     *   q: words match the name (ilike), a number ("42" or "#42") matches the NFT number
+     *   collection: collection id (slug); status: available | auction | owned; prices in nanoTON
+     *   hidden: false (catalog default) | true (hidden lots only) | null (both, admin console)
+     */
+    async search({ q, collection, min_price, max_price, status, hidden = false, sort = 'newest', after = null, limit = 30 } = {}) {
+      let where = {}
+      if (hidden === false) where.hidden = { neq: true }
+      if (hidden === true) where.hidden = true
+      if (q) {
+        const words = String(q).trim().split(/\s+/).filter(Boolean)
+        const number = words.find(w => /^#?\d+$/.test(w))
+        const text = words.filter(w => w !== number).join(' ')
+        if (number) {
+          const n = Number(number.replace('#', ''))
+          where.number = { gte: n, lte: n }
+        }
+        if (text) where.name = { ilike: `%${escapeLike(text)}%` }
+      }
+      if (collection) where.collection_id = String(collection)
+      if (min_price != null) where = and(where, { price: { gte: min_price } })
+      if (max_price != null) where = and(where, { price: { lte: max_price } })
+      if (status === 'available') where.for_sale = true
+      if (status === 'auction') where.auction_id = { neq: null }
+      if (status === 'owned') Object.assign(where, { for_sale: false, auction_id: null })
+
+      const key = CATALOG_SORTS[sort] || CATALOG_SORTS.newest
+      const dir = key.ascending ? 'gt' : 'lt'
+      const order = [key, { column: 'id', ascending: key.ascending }]
+      const page = (extra, n) => db.select('nfts', { where: and(where, extra), order, limit: n })
+
+      let rows
+      if (!after) rows = await page({}, limit + 1)
+      else if (key.column === 'id') rows = await page({ id: { [dir]: after.id } }, limit + 1)
+      else {
+        // keyset (value, id) without OR: the rest of the current value, then the values after it
+        rows = await page({ [key.column]: { eq: after.value }, id: { [dir]: after.id } }, limit + 1)
+        if (rows.length <= limit) rows = rows.concat(await page({ [key.column]: { [dir]: after.value } }, limit + 1 - rows.length))
+      }
+
+      const nfts = rows.slice(0, limit)
+      const last = nfts[nfts.length - 1]
+      const next = rows.length > limit ? { value: last[key.column], id: last.id } : null
+      return { nfts, next }
+    },
+
+    // unowned NFTs start on sale (primary market); the collection comes from the link
+    // (Postgres: nfts_collection trigger, 015_collections.sql)
+    async create(row) {
+      const collection_id = row.collection_id || collectionSlug(row.link, row.name)
+      await collections.ensure({ id: collection_id, name: row.name, image_url: row.image_url })
+      const attributes = row.attributes || []
+      return db.insert('nfts', {
+        for_sale: !row.owner_id,
+        listed_at: null,
+        hidden: false,
+        available_at: null,
+        ...row,
+        collection_id,
+        attributes,
+        rarity_score: rarityScore(attributes)
+      })
+    },
+
+    // traits read from the t.me/nft page (sync) -> updated nft | null
+    async setAttributes(id, attributes) {
+      const [nft] = await db.update('nfts', { id: Number(id) }, { attributes, rarity_score: rarityScore(attributes) })
+      return nft || null
+    },
+
+    // 1 = rarest of its collection; null while the NFT has no rarity score
+    async rarityRank(nft) {
+      if (!nft.rarity_score) return null
+      const rarer = await db.count('nfts', { collection_id: nft.collection_id, hidden: { neq: true }, rarity_score: { gt: nft.rarity_score } })
+      return rarer + 1
+    },
+
+    byIds(ids) {
+      return ids.length ? db.select('nfts', { where: { id: { in: ids.map(Number) } } }) : Promise.resolve([])
+    },
+
+    // catalog shape: `price_stars` at the current rate and an `auction` summary for active auctions
+    async withCatalogFields(list) {
+      const starRate = await stars.rate()
+      list.forEach(n => { n.price_stars = starRate ? Math.ceil(n.price / starRate) : null })
+      if (list.some(n => n.auction_id)) {
+        const byId = new Map((await auctions.active()).map(a => [a.id, a]))
+        list.forEach(n => {
+          const a = n.auction_id && byId.get(Number(n.auction_id))
+          if (a) n.auction = { id: a.id, start_price: a.start_price, min_increment: a.min_increment, top_bid_amount: a.top_bid_amount, ends_at: a.ends_at, seller_id: a.seller_id }
+        })
+      }
+      return { nfts: list, star_rate: starRate }
+    },
+
+    findByLink(link) {
+      return db.get('nfts', { link })
+    },
+
+    // admin edit -> { ok, nft, before }; `before` holds the old values of the changed fields.
+    // The price of an owned lot belongs to its owner, an auctioned lot's to the auction.
+    async edit(id, patch) {
+      const nft = await nfts.get(id)
+      if (!nft) return { ok: false, error: 'nft not found' }
+      const same = (k) => (k === 'attributes' ? JSON.stringify(patch[k]) === JSON.stringify(nft[k]) : patch[k] === nft[k])
+      const changed = Object.keys(patch).filter(k => !same(k))
+      if (!changed.length) return { ok: true, nft, before: {} }
+      const where = { id: nft.id }
+      if (changed.includes('price')) {
+        if (nft.owner_id) return { ok: false, error: 'owned by user' }
+        if (nft.auction_id) return { ok: false, error: 'in auction' }
+        Object.assign(where, { owner_id: null, auction_id: null })
+      }
+      const values = Object.fromEntries(changed.map(k => [k, patch[k]]))
+      if (changed.includes('attributes')) values.rarity_score = rarityScore(patch.attributes)
+      const [updated] = await db.update('nfts', where, values)
+      if (!updated) return { ok: false, error: 'nft busy' }
+      return { ok: true, nft: updated, before: Object.fromEntries(changed.map(k => [k, nft[k]])) }
+    },
+
+    // admin moderation: a hidden lot leaves the catalog and the market until it is shown again;
+    // lots in an auction, a giveaway or with a pending gift are left alone
+    async setHidden(id, hidden) {
+      const nft = await nfts.get(id)
+      if (!nft) return { ok: false, error: 'nft not found' }
+      if (!!nft.hidden === hidden) return { ok: false, error: hidden ? 'already hidden' : 'not hidden' }
+      if (nft.auction_id) return { ok: false, error: 'in auction' }
+      if (nft.gift_id) return { ok: false, error: 'gift pending' }
+      if (nft.giveaway_id) return { ok: false, error: 'in giveaway' }
+      const patch = hidden
+        ? { hidden: true, for_sale: false, listed_at: null }
+        : { hidden: false, for_sale: !nft.owner_id }
+      const [updated] = await db.update('nfts', { id: nft.id, auction_id: null, gift_id: null, giveaway_id: null }, patch)
+      if (!updated) return { ok: false, error: 'nft busy' }
+      return { ok: true, nft: updated }
+    },
+
+    async update(id, patch) {
+      const [nft] = await db.update('nfts', { id: Number(id) }, patch)
+      return nft || null
+    },
+
+    // debit buyer, pay seller (minus fee), set owner, record sale -- atomically
+    // -> { ok, balance, nft, sale_id } | { ok: false, error, balance? }
+    // currency 'stars': the price is paid in stars first (purchase_nft_stars, adds stars_spent + stars)
+    purchase({ buyer_id, nft_id, fee_bps = 0, treasury_id = 'treasury', currency = 'ton', now = new Date().toISOString() }) {
+      return db.rpc(currency === 'stars' ? 'purchase_nft_stars' : 'purchase_nft', { p_buyer: String(buyer_id), p_nft: Number(nft_id), p_fee_bps: fee_bps, p_treasury: treasury_id, p_now: now })
+    }
+  }
+
+  // collections (015_collections.sql); stats are computed per request by nft_collections
+  const collections = {
+    // [{ id, name, description, image_url, count, floor_price, listed, owners, volume, sales_count }]
+    list() {
+      return db.rpc('nft_collections', { p_id: null })
+    },
+
+    async get(id) {
+      const [collection] = await db.rpc('nft_collections', { p_id: String(id) })
+      return collection || null
+    },
+
+    // [{ trait, value, count, rarity }]
+    traits(id) {
+      return db.rpc('collection_traits', { p_id: String(id) })
+    },
+
+    // collection row on first sight of an NFT; a concurrent insert of the same id is fine
+    async ensure({ id, name, image_url = null }) {
+      const existing = await db.get('collections', { id })
+      if (existing) return existing
+      try {
+        return await db.insert('collections', { id, name, description: null, image_url })
+      } catch (e) {
+        const row = await db.get('collections', { id })
+        if (row) return row
+        throw e
+      }
+    }
+  }
+
+  // image cache (016_images.sql, lib/images.js): one row per remote image url
+  const images = {
+    get(id) {
+      return db.get('images', { id })
+    },
+
+    // pending row on first sight of a url; a concurrent insert of the same id is fine
+    async ensure({ id, source_url, now = new Date().toISOString() }) {
+      const existing = await images.get(id)
+      if (existing) return existing
+      try {
+        return await db.insert('images', {
+          id,
+          source_url,
+          status: 'pending',
+          content_type: null,
+          bytes: null,
+          width: null,
+          height: null,
+          failures: 0,
+          error: null,
+          fetched_at: null,
+          check_at: now
+        })
+      } catch (e) {
+        const row = await images.get(id)
+        if (row) return row
+        throw e
+      }
+    },
+
+    async update(id, patch) {
+      const [image] = await db.update('images', { id }, patch)
+      return image || null
+    },
+
+    // first downloads, retries and refreshes that are due
+    due(now, { limit = 20 } = {}) {
+      return db.select('images', { where: { check_at: { lte: now } }, order: [{ column: 'check_at', ascending: true }, { column: 'id', ascending: true }], limit })
+    }
+  }
+
+  // owner-side listing changes; the where-clause on owner_id guards against a concurrent sale
+  async function changeListing(nftId, sellerId, check, patch) {
+    const nft = await nfts.get(nftId)
+    if (!nft) return { ok: false, error: 'nft not found' }
+    if (nft.owner_id !== String(sellerId)) return { ok: false, error: 'not owner' }
+    if (nft.hidden) return { ok: false, error: 'hidden' }
+    const error = check(nft)
+    if (error) return { ok: false, error }
+    const [updated] = await db.update('nfts', { id: nft.id, owner_id: String(sellerId) }, patch)
+    if (!updated) return { ok: false, error: 'not owner' }
+    return { ok: true, nft: updated }
+  }
+
+  const market = {
+    list({ nft_id, seller_id, price, now = new Date().toISOString() }) {
+      return changeListing(nft_id, seller_id,
+        nft => (nft.auction_id ? 'in auction' : nft.for_sale ? 'already listed' : null),
+        { for_sale: true, price, listed_at: now })
+    },
+
+    delist({ nft_id, seller_id }) {
+      return changeListing(nft_id, seller_id,
+        nft => (nft.for_sale ? null : 'not listed'),
+        { for_sale: false, listed_at: null })
+    },
+
+    reprice({ nft_id, seller_id, price }) {
+      return changeListing(nft_id, seller_id,
+        nft => (nft.for_sale ? null : 'not listed'),
+        { price })
+    },
+
+    // fixed-price listings + active auctions of one seller (premium listing limit)
+    async activeListings(sellerId) {
+      const [listed, auctioned] = await Promise.all([
+        db.count('nfts', { owner_id: String(sellerId), for_sale: true }),
+        db.count('auctions', { seller_id: String(sellerId), status: 'active' })
+      ])
+      return listed + auctioned
+    },
+
+    sales(nftId, { limit = 50 } = {}) {
+      return db.select('sales', { where: { nft_id: Number(nftId) }, order: { column: 'id', ascending: false }, limit })
+    }
+  }
+
+  // offers: buyer's amount sits in escrow until accepted, rejected, cancelled or the NFT changes hands
+  const offers = {
+    get(id) {
+      return db.get('offers', { id: Number(id) })
+    },
+
+    create({ nft_id, buyer_id, amount }) {
+      return db.rpc('offer_create', { p_nft: Number(nft_id), p_buyer: String(buyer_id), p_amount: amount })
+    },
+
+    accept({ offer_id, owner_id, fee_bps = 0, treasury_id = 'treasury', now = new Date().toISOString() }) {
+      return db.rpc('offer_accept', { p_offer: Number(offer_id), p_owner: String(owner_id), p_fee_bps: fee_bps, p_treasury: treasury_id, p_now: now })
+    },
+
+    reject({ offer_id, owner_id, now = new Date().toISOString() }) {
+      return db.rpc('offer_close', { p_offer: Number(offer_id), p_user: String(owner_id), p_status: 'rejected', p_now: now })
+    },
+
+    cancel({ offer_id, buyer_id, now = new Date().toISOString() }) {
+      return db.rpc('offer_close', { p_offer: Number(offer_id), p_user: String(buyer_id), p_status: 'cancelled', p_now: now })
+    },
+
+    // active offers on one NFT, best first
+    forNft(nftId) {
+      return db.select('offers', {
+        where: { nft_id: Number(nftId), status: 'active' },
+        order: [{ column: 'amount', ascending: false }, { column: 'id', ascending: true }]
+      })
+    },
+
+    // -> { made: my offers (any status), received: active offers on NFTs I own }
+    async forUser(userId, { limit = 50 } = {}) {
+      const uid = String(userId)
+      const made = await db.select('offers', { where: { buyer_id: uid }, order: { column: 'id', ascending: false }, limit })
+      const owned = await db.select('nfts', { where: { owner_id: uid } })
+      const received = owned.length
+        ? await db.select('offers', { where: { nft_id: { in: owned.map(n => n.id) }, status: 'active' }, order: { column: 'id', ascending: false }, limit })
+        : []
+      return { made, received }
+    }
+  }
+
+  // English auctions; the top bid sits in escrow, outbid amounts are refunded immediately
+  const auctions = {
+    get(id) {
+      return db.get('auctions', { id: Number(id) })
+    },
+
+    // hidden lots (admin moderation) cannot be put up for auction
+    async create({ nft_id, seller_id, start_price, min_increment, ends_at }) {
+      const nft = await nfts.get(nft_id)
+      if (nft && nft.hidden) return { ok: false, error: 'hidden' }
+      return db.rpc('auction_create', {
+        p_nft: Number(nft_id),
+        p_seller: String(seller_id),
+        p_start: start_price,
+        p_increment: min_increment,
+        p_ends_at: ends_at
+      })
+    },
+
+    // -> { ok, auction, bid_id, outbid_user_id, extended, balance } | { ok: false, error, min_bid? }
+    bid({ auction_id, bidder_id, amount, now, snipe_sec }) {
+      return db.rpc('auction_bid', {
+        p_auction: Number(auction_id),
+        p_bidder: String(bidder_id),
+        p_amount: amount,
+        p_now: now,
+        p_snipe_sec: snipe_sec
+      })
+    },
+
+    cancel({ auction_id, seller_id, now = new Date().toISOString() }) {
+      return db.rpc('auction_cancel', { p_auction: Number(auction_id), p_seller: String(seller_id), p_now: now })
+    },
+
+    settle({ auction_id, now, fee_bps = 0, treasury_id = 'treasury' }) {
+      return db.rpc('auction_settle', { p_auction: Number(auction_id), p_now: now, p_fee_bps: fee_bps, p_treasury: treasury_id })
+    },
+
+    active() {
+      return db.select('auctions', { where: { status: 'active' }, order: { column: 'ends_at', ascending: true } })
+    },
+
+    // active auctions whose end time has passed
+    due(now) {
+      return db.select('auctions', { where: { status: 'active', ends_at: { lte: now } }, order: { column: 'ends_at', ascending: true } })
+    },
+
+    bids(auctionId, { limit = 50 } = {}) {
+      return db.select('bids', { where: { auction_id: Number(auctionId) }, order: { column: 'id', ascending: false }, limit })
+    }
+  }
+
+  // gifts: a pending gift holds the NFT (nfts.gift_id) until the receiver claims it
+  const gifts = {
+    get(id) {
+      return db.get('gifts', { id: Number(id) })
+    },
+
+    // incoming gift from sync: creates the NFT (or reuses the row with the same link)
+    receive({ name, number, link, image_url = null, price = 0, sender_id, receiver_id, now = new Date().toISOString() }) {
+      return db.rpc('gift_receive', {
+        p_name: name,
+        p_number: Number(number),
+        p_link: link,
+        p_image_url: image_url,
+        p_price: price,
+        p_sender: String(sender_id),
+        p_receiver: String(receiver_id),
+        p_now: now
+      })
+    },
+
+    send({ nft_id, sender_id, receiver_id, message = null, now = new Date().toISOString() }) {
+      return db.rpc('gift_send', { p_nft: Number(nft_id), p_sender: String(sender_id), p_receiver: String(receiver_id), p_message: message, p_now: now })
+    },
+
+    claim({ gift_id, user_id, now = new Date().toISOString() }) {
+      return db.rpc('gift_claim', { p_gift: Number(gift_id), p_user: String(user_id), p_now: now })
+    },
+
+    received(userId, { status, limit = 50 } = {}) {
+      const where = { receiver_id: String(userId) }
+      if (status) where.status = status
+      return db.select('gifts', { where, order: { column: 'id', ascending: false }, limit })
+    },
+
+    sent(userId, { limit = 50 } = {}) {
+      return db.select('gifts', { where: { sender_id: String(userId) }, order: { column: 'id', ascending: false }, limit })
+    },
+
+    // attach `nft` to each gift
+    async withNfts(list) {
+      const ids = [...new Set(list.map(g => g.nft_id).filter(id => id != null))]
+      const rows = ids.length ? await db.select('nfts', { where: { id: { in: ids } } }) : []
+      const byId = new Map(rows.map(n => [n.id, n]))
+      return list.map(g => ({ ...g, nft: byId.get(g.nft_id) || null }))
+    }
+  }
+
+  // NFT sync worker (lib/sync): cursors per source and the deduplicated transfer log
+  const sync = {
+    async cursor(source) {
+      const row = await db.get('sync_cursors', { source })
+      return row ? row.cursor : null
+    },
+
+    saveCursor(source, cursor, now = new Date().toISOString()) {
+      return db.upsert('sync_cursors', { source, cursor, updated_at: now }, { onConflict: 'source' })
+    },
+
+    async seen(hash) {
+      return !!(await db.get('sync_transfers', { hash: String(hash) }))
+    },
+
+    // -> { ok, duplicate, transfer, gift, nft }; transfers gift_receive rejects are stored as skipped
+    ingest({ source, hash, name, number, link, image_url = null, price = 0, sender_id, receiver_id, now = new Date().toISOString() }) {
+      return db.rpc('sync_ingest', {
+        p_source: source,
+        p_hash: String(hash),
+        p_name: name,
+        p_number: Number(number),
+        p_link: link,
+        p_image_url: image_url,
+        p_price: price,
+        p_sender: String(sender_id),
+        p_receiver: String(receiver_id),
+        p_now: now
+      })
+    },
+
+    transfers({ source, limit = 50 } = {}) {
+      return db.select('sync_transfers', { where: source ? { source } : {}, order: { column: 'id', ascending: false }, limit })
+    }
+  }
+
+  // TON payment intents for stars/premium (lib/payments); crediting happens in payment_confirm
+  const payments = {
+    get(id) {
+      return db.get('payment_intents', { id: Number(id) })
+    },
+
+    createIntent({ user_id, type, quantity, amount, destination, payload, expires_at, plan_id = null }) {
+      return db.insert('payment_intents', {
+        user_id: String(user_id),
+        type,
+        quantity,
+        plan_id,
+        amount,
+        destination,
+        payload,
+        status: 'pending',
+        tx_hash: null,
+        paid_amount: null,
+        paid_at: null,
+        expires_at
+      })
+    },
+
+    // pending intents that may still be paid: not expired before `since`
+    open(since) {
+      return db.select('payment_intents', { where: { status: 'pending', expires_at: { gte: since } }, order: { column: 'id', ascending: true } })
+    },
+
+    forUser(userId, { limit = 20 } = {}) {
+      return db.select('payment_intents', { where: { user_id: String(userId) }, order: { column: 'id', ascending: false }, limit })
+    },
+
+    // -> { ok, intent, profile, subscription? } | { ok: false, error }
+    confirm({ intent_id, tx_hash, amount, sent_at, now = new Date().toISOString() }) {
+      return db.rpc('payment_confirm', { p_intent: Number(intent_id), p_tx_hash: String(tx_hash), p_amount: amount, p_sent_at: sent_at, p_now: now })
+    }
+  }
+
+  // premium plans and subscriptions (012_premium.sql); entitlements are computed in lib/premium.js
+  const premium = {
+    plans({ active = true } = {}) {
+      return db.select('subscription_plans', {
+        where: active === null ? {} : { active },
+        order: [{ column: 'sort', ascending: true }, { column: 'id', ascending: true }]
+      })
+    },
+
+    plan(id) {
+      return db.get('subscription_plans', { id: String(id) })
+    },
+
+    savePlan({ id, ...fields }) {
+      return db.upsert('subscription_plans', { id: String(id), ...fields }, { onConflict: 'id' })
+    },
+
+    // -> { active, premium_until, plan_id, perks }
+    state(userId, now = new Date().toISOString()) {
+      return db.rpc('premium_state', { p_user: String(userId), p_now: now })
+    },
+
+    subscriptions(userId, { limit = 20 } = {}) {
+      return db.select('subscriptions', { where: { user_id: String(userId) }, order: { column: 'id', ascending: false }, limit })
+    }
+  }
+
+  // stars: second currency (013_stars.sql); the balance is profiles.stars_balance, movements are in stars_ledger
+  const stars = {
+    // nanoTON per star
+    async rate() {
+      const row = await db.get('currency_rates', { currency: 'stars' })
+      return row ? Number(row.rate) : null
+    },
+
+    setRate({ rate, admin_id, now = new Date().toISOString() }) {
+      if (!isNano(rate) || rate <= 0) throw new Error('stars: rate must be a positive integer (nanoTON)')
+      return db.upsert('currency_rates', { currency: 'stars', rate, updated_by: String(admin_id), updated_at: now }, { onConflict: 'currency' })
+    },
+
+    history(userId, { limit = 50 } = {}) {
+      return db.select('stars_ledger', { where: { user_id: String(userId) }, order: { column: 'id', ascending: false }, limit })
+    },
+
+    // stars_ledger entries after `id`, oldest first (lib/realtime.js); null -> only the latest entry
+    since(id, { limit = 500 } = {}) {
+      if (id == null) return db.select('stars_ledger', { order: { column: 'id', ascending: false }, limit: 1 })
+      return db.select('stars_ledger', { where: { id: { gt: id } }, order: { column: 'id', ascending: true }, limit })
+    },
+
+    // direction: to_ton | to_stars -> { ok, stars, balance, rate } | { ok: false, error: 'insufficient_stars' | 'insufficient_balance' }
+    convert({ user_id, direction, stars: count }) {
+      return db.rpc('stars_convert', { p_user: String(user_id), p_direction: direction, p_stars: count })
+    },
+
+    // market fees on the user's sales are paid in stars while enabled (and the stars suffice)
+    setFeesInStars(userId, enabled) {
+      return profiles.update(userId, { stars_for_fees: !!enabled })
+    }
+  }
+
+  // TonConnect-linked wallets, one per user (raw address, see lib/payments/address.js)
+  const wallets = {
+    get(userId) {
+      return db.get('wallets', { user_id: String(userId) })
+    },
+
+    async link({ user_id, address, public_key, network = null, now = new Date().toISOString() }) {
+      const owner = await db.get('wallets', { address })
+      if (owner && owner.user_id !== String(user_id)) return { ok: false, error: 'wallet linked to another account' }
+      const wallet = await db.upsert('wallets', {
+        user_id: String(user_id),
+        address,
+        public_key,
+        network,
+        linked_at: now
+      }, { onConflict: 'user_id' })
+      return { ok: true, wallet }
+    },
+
+    async unlink(userId) {
+      const removed = await db.remove('wallets', { user_id: String(userId) })
+      return removed.length > 0
+    }
+  }
+
+  // withdrawals to the linked wallet; the amount is held on request, admins approve or reject
+  const withdrawals = {
+    get(id) {
+      return db.get('withdrawals', { id: Number(id) })
+    },
+
+    // limits in nanoTON -> { ok, withdrawal, balance } | { ok: false, error, ... }
+    request({ user_id, amount, min, max, daily, now = new Date().toISOString() }) {
+      return db.rpc('withdrawal_request', { p_user: String(user_id), p_amount: amount, p_min: min, p_max: max, p_daily: daily, p_now: now })
+    },
+
+    // status: approved | rejected | cancelled (by the owner)
+    close({ withdrawal_id, actor_id, status, tx_hash = null, note = null, now = new Date().toISOString() }) {
+      return db.rpc('withdrawal_close', { p_withdrawal: Number(withdrawal_id), p_actor: String(actor_id), p_status: status, p_tx_hash: tx_hash, p_note: note, p_now: now })
+    },
+
+    forUser(userId, { limit = 20 } = {}) {
+      return db.select('withdrawals', { where: { user_id: String(userId) }, order: { column: 'id', ascending: false }, limit })
+    },
+
+    queue({ status = 'pending', limit = 100 } = {}) {
+      return db.select('withdrawals', { where: { status }, order: { column: 'id', ascending: status === 'pending' }, limit })
+    }
+  }
+
+  // giveaways (lib/giveaways.js): entries until ends_at, then a commit-reveal draw pays out the prize
+  const giveaways = {
+    get(id) {
+      return db.get('giveaways', { id: Number(id) })
+    },
+
+    // prize: { prize_type: 'nft', nft_id } | { prize_type: 'ton', amount (nanoTON per winner) };
+    // a TON prize is reserved from treasury_id ('treasury balance too low');
+    // conditions.collection is a collection id ('collection not found')
+    create({ admin_id, title, description = null, prize_type, nft_id = null, amount = 0, winners_count = 1, conditions = {}, ends_at, seed, seed_hash, treasury_id = 'treasury' }) {
+      return db.rpc('giveaway_create', {
+        p_admin: String(admin_id),
+        p_title: title,
+        p_description: description,
+        p_prize_type: prize_type,
+        p_nft: nft_id == null ? null : Number(nft_id),
+        p_amount: amount,
+        p_winners: winners_count,
+        p_conditions: conditions,
+        p_ends_at: ends_at,
+        p_seed: seed,
+        p_seed_hash: seed_hash,
+        p_treasury: treasury_id
+      })
+    },
+
+    // checks the entry conditions -> { ok, entry } | { ok: false, error }
+    join({ giveaway_id, user_id, now = new Date().toISOString() }) {
+      return db.rpc('giveaway_join', { p_giveaway: Number(giveaway_id), p_user: String(user_id), p_now: now })
+    },
+
+    cancel({ giveaway_id, admin_id }) {
+      return db.rpc('giveaway_cancel', { p_giveaway: Number(giveaway_id), p_admin: String(admin_id) })
+    },
+
+    settle({ giveaway_id, seed, entries_hash, winners, now }) {
+      return db.rpc('giveaway_settle', { p_giveaway: Number(giveaway_id), p_seed: seed, p_entries_hash: entries_hash, p_winners: winners, p_now: now })
+    },
+
+    // active: soonest end first; ended (drawn / cancelled): newest first
+    list({ status = 'active', limit = 50 } = {}) {
+      if (status === 'active') return db.select('giveaways', { where: { status }, order: { column: 'ends_at', ascending: true }, limit })
+      return db.select('giveaways', { where: { status: { neq: 'active' } }, order: { column: 'id', ascending: false }, limit })
+    },
+
+    // active giveaways whose end time has passed
+    due(now) {
+      return db.select('giveaways', { where: { status: 'active', ends_at: { lte: now } }, order: { column: 'ends_at', ascending: true } })
+    },
+
+    // entrant user ids in join order, the input of the draw
+    async entrants(giveawayId) {
+      const rows = await db.select('giveaway_entries', { where: { giveaway_id: Number(giveawayId) }, order: { column: 'id', ascending: true } })
+      return rows.map(e => e.user_id)
+    },
+
+    countEntries(giveawayId) {
+      return db.count('giveaway_entries', { giveaway_id: Number(giveawayId) })
+    },
+
+    // ids of the given giveaways the user has joined
+    async joined(userId, giveawayIds) {
+      if (!giveawayIds.length) return new Set()
+      const rows = await db.select('giveaway_entries', { where: { user_id: String(userId), giveaway_id: { in: giveawayIds.map(Number) } } })
+      return new Set(rows.map(e => e.giveaway_id))
+    }
+  }
+
+  // referral program (018_referrals.sql, lib/referrals.js)
+  const referrals = {
+    // the user's code, created on first use
+    async code(userId) {
+      const profile = await profiles.get(userId)
+      if (profile && profile.referral_code) return profile.referral_code
+      const code = referralCode()
+      await profiles.ensure({ id: userId, referral_code: code })
+      return code
+    },
+
+    // -> { ok, referrer_id, status } | { ok: false, error: 'invalid code' | 'self referral' | 'already referred' | 'duplicate account' }
+    attach({ referee_id, code, ip_hash = null }) {
+      return db.rpc('referral_attach', { p_referee: String(referee_id), p_code: code, p_ip_hash: ip_hash })
+    },
+
+    // invitees (newest first) with what each one earned the referrer
+    async forReferrer(userId, { limit = 200 } = {}) {
+      const uid = String(userId)
+      const [rows, rewards] = await Promise.all([
+        db.select('referrals', { where: { referrer_id: uid }, order: { column: 'created_at', ascending: false }, limit }),
+        db.select('referral_rewards', { where: { referrer_id: uid } })
+      ])
+      const people = rows.length ? await db.select('profiles', { where: { id: { in: rows.map(r => r.referee_id) } } }) : []
+      const earned = new Map()
+      for (const r of rewards) earned.set(r.referee_id, (earned.get(r.referee_id) || 0) + Number(r.amount))
+      return rows.map(r => {
+        const p = people.find(x => x.id === r.referee_id) || {}
+        return {
+          id: r.referee_id,
+          first_name: p.first_name || null,
+          username: p.username || null,
+          status: r.status,
+          reason: r.reason,
+          joined_at: r.created_at,
+          earned: earned.get(r.referee_id) || 0
+        }
+      })
+    },
+
+    async earnings(userId) {
+      const rows = await db.select('referral_rewards', { where: { referrer_id: String(userId) } })
+      const out = { total: 0, fee_share: 0, first_purchase: 0 }
+      for (const r of rows) {
+        out.total += Number(r.amount)
+        out[r.kind] += Number(r.amount)
+      }
+      return out
+    },
+
+    // sales after `id`, oldest first (referral worker)
+    salesAfter(id, { limit = 100 } = {}) {
+      return db.select('sales', { where: { id: { gt: Number(id) || 0 } }, order: { column: 'id', ascending: true }, limit })
+    },
+
+    // -> { ok, rewards, amount, unpaid }; paying the same sale again is a no-op
+    reward({ sale_id, share_bps, bonus, treasury_id }) {
+      return db.rpc('referral_reward', { p_sale: Number(sale_id), p_share_bps: share_bps, p_bonus: bonus, p_treasury: treasury_id })
+    }
+  }
+
+  // watchlist and per-collection price alerts (019_watchlist.sql, lib/alerts.js)
+  const watchlist = {
+    forUser(userId, { limit = 200 } = {}) {
+      return db.select('watchlist', { where: { user_id: String(userId) }, order: { column: 'created_at', ascending: false }, limit })
+    },
+
+    count(userId) {
+      return db.count('watchlist', { user_id: String(userId) })
+    },
+
+    // adding again keeps the entry and resets the price the user has seen
+    add(userId, nft) {
+      const row = { user_id: String(userId), nft_id: Number(nft.id), seen_price: nft.for_sale ? nft.price : null }
+      return db.upsert('watchlist', row, { onConflict: 'user_id,nft_id' })
+    },
+
+    // -> number removed (0 or 1)
+    async remove(userId, nftId) {
+      const rows = await db.remove('watchlist', { user_id: String(userId), nft_id: Number(nftId) })
+      return rows.length
+    },
+
+    watchers(nftId) {
+      return db.select('watchlist', { where: { nft_id: Number(nftId) } })
+    },
+
+    setSeen(userId, nftId, price) {
+      return db.update('watchlist', { user_id: String(userId), nft_id: Number(nftId) }, { seen_price: price })
+    }
+  }
+
+  const alerts = {
+    forUser(userId) {
+      return db.select('price_alerts', { where: { user_id: String(userId) }, order: { column: 'id', ascending: false } })
+    },
+
+    count(userId) {
+      return db.count('price_alerts', { user_id: String(userId) })
+    },
+
+    create({ user_id, collection_id, kind, max_price = null }) {
+      return db.insert('price_alerts', { user_id: String(user_id), collection_id, kind, max_price, last_nft_id: null, last_price: null, triggered_at: null })
+    },
+
+    // -> number removed; other users' alerts are never touched
+    async remove(userId, id) {
+      const rows = await db.remove('price_alerts', { id: Number(id), user_id: String(userId) })
+      return rows.length
+    },
+
+    forCollection(collectionId) {
+      return db.select('price_alerts', { where: { collection_id: String(collectionId) } })
+    },
+
+    markTriggered(id, { nft_id, price, now = new Date().toISOString() }) {
+      return db.update('price_alerts', { id: Number(id) }, { last_nft_id: Number(nft_id), last_price: price, triggered_at: now })
+    }
+  }
+
+  // per-user activity feed (GET /api/activity): one source per table and side, merged newest first
+  const ACTIVITY_SOURCES = {
+    purchase: { table: 'sales', user: 'buyer_id' },
+    sale: { table: 'sales', user: 'seller_id' },
+    gift_received: { table: 'gifts', user: 'receiver_id' },
+    gift_sent: { table: 'gifts', user: 'sender_id' },
+    balance: { table: 'ledger', user: 'user_id' }
+  }
+  // ledger entries written by a sale; the purchase / sale item already shows them
+  const ACTIVITY_HIDDEN_REASONS = ['nft_purchase', 'nft_sale']
+
+  function activityItem(kind, row) {
+    const item = { kind, id: `${kind}:${row.id}`, at: row.created_at }
+    switch (kind) {
+      case 'purchase':
+        return { ...item, nft_id: row.nft_id, price: Number(row.price), amount: -Number(row.price), counterparty_id: row.seller_id }
+      case 'sale':
+        return { ...item, nft_id: row.nft_id, price: Number(row.price), fee: Number(row.fee), amount: Number(row.price) - Number(row.fee), counterparty_id: row.buyer_id }
+      case 'gift_received':
+        return { ...item, nft_id: row.nft_id, status: row.status, message: row.message || null, counterparty_id: row.sender_id }
+      case 'gift_sent':
+        return { ...item, nft_id: row.nft_id, status: row.status, message: row.message || null, counterparty_id: row.receiver_id }
+      default:
+        return { ...item, nft_id: null, amount: Number(row.amount), reason: row.reason, counterparty_id: null }
+    }
+  }
+
+  // one merge pass over the sources -> { picked, cursor, done }; consumes at least one row unless done
+  async function activityPage(uid, after, limit) {
+    const heads = await Promise.all(Object.entries(ACTIVITY_SOURCES).map(async ([kind, src]) => {
+      const where = { [src.user]: uid }
+      if (after[kind] != null) where.id = { lt: Number(after[kind]) }
+      const rows = await db.select(src.table, { where, order: { column: 'id', ascending: false }, limit: limit + 1 })
+      return { kind, rows: rows.slice(0, limit), more: rows.length > limit, i: 0 }
+    }))
+    const cursor = { ...after }
+    const picked = []
+    // a source that still has rows beyond the fetched ones ends the pass, so nothing is skipped
+    while (picked.length < limit && !heads.some(h => h.more && h.i === h.rows.length)) {
+      const live = heads.filter(h => h.i < h.rows.length)
+      if (!live.length) break
+      const h = live.reduce((a, b) => (b.rows[b.i].created_at > a.rows[a.i].created_at ? b : a))
+      const row = h.rows[h.i++]
+      cursor[h.kind] = row.id
+      if (h.kind === 'balance' && ACTIVITY_HIDDEN_REASONS.includes(row.reason)) continue
+      picked.push(activityItem(h.kind, row))
+    }
+    return { picked, cursor, done: heads.every(h => !h.more && h.i === h.rows.length) }
+  }
+
+  const activity = {
+    /**
+     * -> { items, next }; pass `next` back as `after` for the following page. `after` holds the last
+     * id read from every source, rows are merged by created_at. Items carry `nft` and `counterparty`.
+     */
+    async feed(userId, { after = {}, limit = 30 } = {}) {
+      const uid = String(userId)
+      let picked = []
+      let cursor = { ...after }
+      let done = false
+      while (!done && picked.length < limit) {
+        const page = await activityPage(uid, cursor, limit - picked.length)
+        picked = picked.concat(page.picked)
+        cursor = page.cursor
+        done = page.done
+      }
+
+      const nftIds = [...new Set(picked.map(i => i.nft_id).filter(id => id != null))]
+      const userIds = [...new Set(picked.map(i => i.counterparty_id).filter(Boolean))]
+      const [nftRows, people] = await Promise.all([
+        nfts.byIds(nftIds),
+        profiles.byIds(userIds)
+      ])
+      const items = picked.map(({ counterparty_id, ...item }) => {
+        const n = nftRows.find(x => x.id === item.nft_id)
+        const p = counterparty_id ? people.find(x => x.id === counterparty_id) || {} : null
+        return {
+          ...item,
+          nft: n ? { id: n.id, name: n.name, number: n.number, image_url: n.image_url, collection_id: n.collection_id } : null,
+          counterparty: p ? { id: counterparty_id, first_name: p.first_name || null, username: p.username || null } : null
+        }
+      })
+      return { items, next: done ? null : cursor }
+    }
+  }
+
+  // market analytics (020_analytics.sql, lib/analytics.js); `from` is an ISO time, days are UTC
+  const analytics = {
+    // [{ id, nft_id, name, number, collection_id, seller_id, buyer_id, price, fee, created_at }], newest first
+    sales({ collection = null, from = null, before = null, limit = 100 } = {}) {
+      return db.rpc('market_sales', { p_collection: collection, p_from: from, p_before: before, p_limit: limit })
+    },
+
+    // [{ day: 'YYYY-MM-DD', sales, volume, min_price, max_price, avg_price }], days without sales left out
+    daily({ collection = null, from = null } = {}) {
+      return db.rpc('market_daily', { p_collection: collection, p_from: from })
+    },
+
+    // side: 'seller' | 'buyer' -> [{ user_id, trades, volume }]
+    topTraders({ side, collection = null, from = null, limit = 10 }) {
+      return db.rpc('market_top_traders', { p_side: side, p_collection: collection, p_from: from, p_limit: limit })
+    },
+
+    // floor_snapshots rows from `fromDay` on, oldest first, led by the last one before it (carried over)
+    async floors(collectionId, { fromDay }) {
+      const id = String(collectionId)
+      const [rows, [prev]] = await Promise.all([
+        db.select('floor_snapshots', { where: { collection_id: id, day: { gte: fromDay } }, order: { column: 'day', ascending: true } }),
+        db.select('floor_snapshots', { where: { collection_id: id, day: { lt: fromDay } }, order: { column: 'day', ascending: false }, limit: 1 })
+      ])
+      return prev ? [prev, ...rows] : rows
+    },
+
+    // the day's row keeps the lowest floor seen; the tracker calls this one collection at a time
+    async recordFloor(collectionId, day, { floor_price, listed, now = new Date().toISOString() }) {
+      const existing = await db.get('floor_snapshots', { collection_id: collectionId, day })
+      const lows = [existing && existing.floor_low, floor_price].filter(v => v != null).map(Number)
+      return db.upsert('floor_snapshots', {
+        collection_id: collectionId,
+        day,
+        floor_price,
+        floor_low: lows.length ? Math.min(...lows) : null,
+        listed,
+        updated_at: now
+      }, { onConflict: 'collection_id,day' })
+    }
+  }
+
+  // Idempotency-Key records of money-moving requests (017_idempotency.sql, lib/idempotency.js)
+  const idempotency = {
+    get(id) {
+      return db.get('idempotency_keys', { id })
+    },
+
+    // throws on a duplicate id: another request with the same key is running or done
+    begin({ id, user_id, scope, request_hash, expires_at }) {
+      return db.insert('idempotency_keys', { id, user_id, scope, request_hash, status: 'pending', response_code: null, response_body: null, expires_at })
+    },
+
+    finish(id, { response_code, response_body }) {
+      return db.update('idempotency_keys', { id }, { status: 'done', response_code, response_body })
+    },
+
+    remove(id) {
+      return db.remove('idempotency_keys', { id })
+    },
+
+    purge(now) {
+      return db.remove('idempotency_keys', { expires_at: { lt: now } })
+    }
+  }
+
+  // per-user notifications (sales, outbid bids, gifts, giveaway wins, watchlist and price alerts),
+  // shown by the app on start and delivered once as a bot message (lib/telegram)
+  const notifications = {
+    create({ user_id, type, payload = {} }) {
+      return db.insert('notifications', { user_id: String(user_id), type, payload, read_at: null, sent_at: null, send_error: null })
+    },
+
+    forUser(userId, { unread = false, limit = 50 } = {}) {
+      const where = { user_id: String(userId) }
+      if (unread) where.read_at = null
+      return db.select('notifications', { where, order: { column: 'id', ascending: false }, limit })
+    },
+
+    // all unread ones when `ids` is omitted -> number marked
+    async markRead(userId, ids = null, now = new Date().toISOString()) {
+      const where = { user_id: String(userId), read_at: null }
+      if (ids) where.id = { in: ids.map(Number) }
+      const rows = await db.update('notifications', where, { read_at: now })
+      return rows.length
+    },
+
+    // not yet delivered by the bot, oldest first
+    pending({ limit = 50 } = {}) {
+      return db.select('notifications', { where: { sent_at: null, send_error: null }, order: { column: 'id', ascending: true }, limit })
+    },
+
+    // delivered, or given up on with `error` (e.g. the user blocked the bot)
+    async markSent(id, { error = null, now = new Date().toISOString() } = {}) {
+      const patch = error ? { send_error: String(error).slice(0, 500) } : { sent_at: now }
+      const [row] = await db.update('notifications', { id: Number(id) }, patch)
+      return row || null
+    }
+  }
+
+  const ledger = {
+    async balance(userId) {
+      return Number(await db.rpc('ledger_balance', { p_user: String(userId) })) || 0
+    },
+
+    async history(userId, { limit = 50 } = {}) {
+      const rows = await db.select('ledger', {
+        where: { user_id: String(userId) },
+        order: { column: 'id', ascending: false },
+        limit
+      })
+      return rows.map(e => ({ ...e, amount: Number(e.amount) }))
+    },
+
+    // entries after `id`, oldest first (lib/realtime.js); null -> only the latest entry
+    since(id, { limit = 500 } = {}) {
+      if (id == null) return db.select('ledger', { order: { column: 'id', ascending: false }, limit: 1 })
+      return db.select('ledger', { where: { id: { gt: id } }, order: { column: 'id', ascending: true }, limit })
+    },
+
+    // -> { ok, balance, entry_id } | { ok: false, error: 'insufficient_balance', balance }
+    post({ user_id, amount, reason, ref = null, actor_id = null }) {
+      if (!user_id) throw new Error('ledger: missing user_id')
+      if (!isNano(amount) || amount === 0) throw new Error('ledger: amount must be a non-zero integer (nanoTON)')
+      if (!reason) throw new Error('ledger: missing reason')
+      return db.rpc('ledger_post', {
+        p_user: String(user_id),
+        p_amount: amount,
+        p_reason: reason,
+        p_ref: ref,
+        p_actor: actor_id ? String(actor_id) : null
+      })
+    }
+  }
+
+  return { backend: db.backend, db, profiles, admins, audit, nfts, collections, images, market, offers, auctions, gifts, sync, payments, premium, stars, wallets, withdrawals, giveaways, referrals, watchlist, alerts, activity, analytics, notifications, idempotency, ledger, close: () => db.close() }
+}
+
+module.exports = { createRepositories, CATALOG_SORTS }
@@ -0,0 +1,85 @@
+/**
+ * lib/storage/supabase.js
+ * Supabase storage driver: translates the shared query shape (lib/storage/query.js) into
+ * PostgREST calls. Multi-row atomic operations are Postgres functions called through rpc();
+ * they are created by db/migrations (npm run migrate).
+ */
+
+const { createClient } = require('@supabase/supabase-js')
+const { isCondition, normalizeOrder } = require('./query')
+
+function applyWhere(q, where = {}) {
+  for (const [col, cond] of Object.entries(where)) {
+    if (!isCondition(cond)) {
+      q = cond === null ? q.is(col, null) : q.eq(col, cond)
+      continue
+    }
+    for (const [op, value] of Object.entries(cond)) {
+      if (value === null && op === 'eq') q = q.is(col, null)
+      else if (value === null && op === 'neq') q = q.not(col, 'is', null)
+      else if (op === 'in') q = q.in(col, value)
+      else if (['neq', 'gt', 'gte', 'lt', 'lte', 'ilike', 'eq'].includes(op)) q = q[op](col, value)
+      else throw new Error(`storage: unknown operator ${op}`)
+    }
+  }
+  return q
+}
+
+function unwrap(what, { data, error }) {
+  if (error) throw new Error(`${what}: ${error.message}`)
+  return data
+}
+
+function createSupabaseDriver({ url, key, client } = {}) {
+  const supabase = client || createClient(url, key)
+
+  return {
+    backend: 'supabase',
+    client: supabase,
+
+    async select(name, { where, order, limit, offset } = {}) {
+      let q = applyWhere(supabase.from(name).select('*'), where)
+      normalizeOrder(order).forEach(({ column, ascending }) => { q = q.order(column, { ascending }) })
+      if (typeof limit === 'number') q = q.range(offset || 0, (offset || 0) + limit - 1)
+      else if (offset) q = q.range(offset, offset + 1e9)
+      return unwrap(name, await q)
+    },
+
+    async get(name, where) {
+      const q = applyWhere(supabase.from(name).select('*'), where).limit(1).maybeSingle()
+      return unwrap(name, await q)
+    },
+
+    async count(name, where) {
+      const res = await applyWhere(supabase.from(name).select('*', { count: 'exact', head: true }), where)
+      unwrap(name, res)
+      return res.count || 0
+    },
+
+    async insert(name, rows) {
+      const data = unwrap(name, await supabase.from(name).insert(rows).select())
+      return Array.isArray(rows) ? data : data[0]
+    },
+
+    async update(name, where, patch) {
+      return unwrap(name, await applyWhere(supabase.from(name).update(patch), where).select())
+    },
+
+    async upsert(name, rows, { onConflict = 'id' } = {}) {
+      const data = unwrap(name, await supabase.from(name).upsert(rows, { onConflict }).select())
+      return Array.isArray(rows) ? data : data[0]
+    },
+
+    async remove(name, where) {
+      return unwrap(name, await applyWhere(supabase.from(name).delete(), where).select())
+    },
+
+    async rpc(name, args = {}) {
+      return unwrap(`rpc ${name}`, await supabase.rpc(name, args))
+    },
+
+    async close() {}
+  }
+}
+
+module.exports = { createSupabaseDriver }
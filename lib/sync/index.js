@@ -0,0 +1,135 @@
+/**
+ * lib/sync/index.js
+ * Background NFT sync: polls a transfer source (chain indexer, Telegram, or the file fake) and turns
+ * every incoming transfer into a pending gift for its receiver (store.sync.ingest -> gift_receive).
+ *
+ * A source is `{ name, poll(cursor, { limit }) -> { transfers, cursor, more? } }` where each transfer is
+ *   { hash, name, number, sender_id, receiver_id, image_url? }
+ * The cursor is opaque to the worker and persisted per source after each batch; transfers are
+ * deduplicated by hash, so a batch that is retried after a failure is not ingested twice.
+ * The NFT's t.me/nft page supplies the image (unless the transfer has one; either way stored through
+ * the image cache, lib/images.js) and its traits.
+ * Failed polls are retried with exponential backoff (SYNC_INTERVAL_SEC doubling up to SYNC_BACKOFF_MAX_SEC).
+ */
+
+const { toNano } = require('../money')
+const { nftLink, fetchNftPage } = require('./preview')
+const { createFileSource } = require('./sources/file')
+
+// listing price of newly synced NFTs (same as manual /api/sync-nfts)
+const SYNC_PRICE = toNano('1')
+
+// SYNC_SOURCE -> source adapter; null when the worker is disabled
+function createSource(config) {
+  switch (config.syncSource) {
+    case '':
+    case 'none':
+      return null
+    case 'file':
+      return createFileSource({ file: config.syncFile })
+    default:
+      throw new Error(`sync: unknown SYNC_SOURCE ${config.syncSource}`)
+  }
+}
+
+function isTransfer(t) {
+  return t && t.hash && t.name && t.number !== undefined && t.number !== null && t.sender_id && t.receiver_id
+}
+
+function createSyncWorker({ store, config, source, fetch, images, now = () => new Date() }) {
+  let timer = null
+  let running = false
+  const status = { source: source.name, failures: 0, last_error: null, last_run_at: null, next_run_at: null, last_batch: null }
+
+  // one batch: read from the saved cursor, ingest, then advance the cursor
+  async function pollOnce() {
+    if (running) return null
+    running = true
+    status.last_run_at = now().toISOString()
+    try {
+      const cursor = await store.sync.cursor(source.name)
+      const batch = await source.poll(cursor, { limit: config.syncBatch })
+      const stats = { ingested: 0, skipped: 0, duplicates: 0, invalid: 0, more: !!batch.more }
+
+      for (const t of batch.transfers) {
+        if (!isTransfer(t)) {
+          stats.invalid++
+          console.warn(`sync(${source.name}): invalid transfer`, t)
+          continue
+        }
+        if (await store.sync.seen(t.hash)) {
+          stats.duplicates++
+          continue
+        }
+        const link = nftLink(t.name, t.number)
+        const page = await fetchNftPage(link, { fetch })
+        const result = await store.sync.ingest({
+          source: source.name,
+          hash: t.hash,
+          name: t.name,
+          number: t.number,
+          link,
+          image_url: await images.localUrl(t.image_url || page.image_url),
+          price: SYNC_PRICE,
+          sender_id: t.sender_id,
+          receiver_id: t.receiver_id,
+          now: now().toISOString()
+        })
+        if (result.duplicate) stats.duplicates++
+        else if (result.transfer.status === 'skipped') stats.skipped++
+        else {
+          stats.ingested++
+          if (page.attributes.length) await store.nfts.setAttributes(result.nft.id, page.attributes)
+        }
+      }
+
+      if (batch.cursor !== cursor) await store.sync.saveCursor(source.name, batch.cursor, now().toISOString())
+      status.failures = 0
+      status.last_error = null
+      status.last_batch = stats
+      return stats
+    } catch (e) {
+      status.failures++
+      status.last_error = String(e)
+      throw e
+    } finally {
+      running = false
+    }
+  }
+
+  function nextDelaySec(stats) {
+    if (status.failures) return Math.min(config.syncIntervalSec * 2 ** status.failures, config.syncBackoffMaxSec)
+    return stats && stats.more ? 0 : config.syncIntervalSec
+  }
+
+  function schedule(sec) {
+    status.next_run_at = new Date(now().getTime() + sec * 1000).toISOString()
+    timer = setTimeout(tick, sec * 1000)
+    timer.unref()
+  }
+
+  async function tick() {
+    let stats = null
+    try {
+      stats = await pollOnce()
+    } catch (e) {
+      console.error(`sync(${source.name}) failed, retry #${status.failures}`, e)
+    }
+    if (timer) schedule(nextDelaySec(stats))
+  }
+
+  function start() {
+    if (timer) return
+    schedule(0)
+  }
+
+  function stop() {
+    clearTimeout(timer)
+    timer = null
+    status.next_run_at = null
+  }
+
+  return { pollOnce, start, stop, status: () => ({ ...status }) }
+}
+
+module.exports = { createSyncWorker, createSource, SYNC_PRICE }
@@ -0,0 +1,70 @@
+/**
+ * lib/sync/preview.js
+ * t.me/nft links for incoming gifts, their preview image (og:image) and traits, shared by the sync
+ * worker and the manual /api/sync-nfts endpoint.
+ *
+ * Traits come from the gift table of the page (<th>Model</th><td>Plush Pepe <mark>1.2%</mark></td>),
+ * or from "Model: Plush Pepe 1.2%" lines of og:description when the table is missing.
+ */
+
+const defaultFetch = require('node-fetch')
+const cheerio = require('cheerio')
+const { normalizeAttributes } = require('../collections')
+
+const PLACEHOLDER_IMAGE = '/assets/placeholder1.png'
+
+function nftLink(name, number) {
+  return `https://t.me/nft/${encodeURIComponent(name)}-${encodeURIComponent(number)}`
+}
+
+// rows of the page that are not traits
+const SKIP_ROWS = ['owner', 'quantity', 'issued', 'supply']
+
+// 'Plush Pepe 1.2%' -> { value: 'Plush Pepe', rarity: 1.2 }
+function splitRarity(text) {
+  const m = /^(.*?)\s*\(?(\d+(?:[.,]\d+)?)\s*%\)?$/.exec(text)
+  return m ? { value: m[1].trim(), rarity: Number(m[2].replace(',', '.')) } : { value: text, rarity: null }
+}
+
+function parseAttributes($) {
+  const found = []
+  $('table.tgme_gift_table tr').each((i, tr) => {
+    const trait = $(tr).find('th').first().text().trim()
+    const td = $(tr).find('td').first()
+    if (!trait || !td.length || SKIP_ROWS.includes(trait.toLowerCase())) return
+    const mark = td.find('mark').first().text().trim()
+    td.find('mark').remove()
+    const cell = td.text().replace(/\s+/g, ' ').trim()
+    const { value, rarity } = mark ? { value: cell, rarity: splitRarity(mark).rarity } : splitRarity(cell)
+    if (value) found.push({ trait, value, rarity })
+  })
+  if (!found.length) {
+    const description = $('meta[property="og:description"]').attr('content') || ''
+    for (const line of description.split('\n')) {
+      const m = /^\s*([^:]{1,50}):\s*(.+)$/.exec(line)
+      if (m && !SKIP_ROWS.includes(m[1].trim().toLowerCase())) found.push({ trait: m[1].trim(), ...splitRarity(m[2].trim()) })
+    }
+  }
+  return normalizeAttributes(found) || []
+}
+
+// Best effort: the page's og:image (placeholder otherwise) and traits ([] when none could be read)
+async function fetchNftPage(link, { fetch = defaultFetch, timeout = 5000 } = {}) {
+  try {
+    const r = await fetch(link, { timeout })
+    if (r.ok) {
+      const $ = cheerio.load(await r.text())
+      const og = $('meta[property="og:image"]').attr('content') || $('meta[name="twitter:image"]').attr('content')
+      return { image_url: og || PLACEHOLDER_IMAGE, attributes: parseAttributes($) }
+    }
+  } catch (e) {
+    // ignore fetch errors; we'll fallback to placeholder
+  }
+  return { image_url: PLACEHOLDER_IMAGE, attributes: [] }
+}
+
+async function fetchPreviewImage(link, opts) {
+  return (await fetchNftPage(link, opts)).image_url
+}
+
+module.exports = { nftLink, fetchNftPage, fetchPreviewImage, PLACEHOLDER_IMAGE }
@@ -0,0 +1,41 @@
+/**
+ * lib/sync/sources/file.js
+ * Fake transfer source for development and tests: a JSON-lines file, one transfer per line
+ *   {"hash":"...","name":"PlushPepe","number":42,"sender_id":"1","receiver_id":"2"}
+ * The cursor is the number of lines already consumed. Append lines (scripts/fake-transfer.js)
+ * while the server runs and the worker picks them up on its next poll.
+ */
+
+const fs = require('fs')
+
+function createFileSource({ file, name = 'file' }) {
+  async function poll(cursor, { limit = 50 } = {}) {
+    const offset = Number(cursor) || 0
+    let text
+    try {
+      text = await fs.promises.readFile(file, 'utf8')
+    } catch (e) {
+      if (e.code === 'ENOENT') return { transfers: [], cursor: String(offset) }
+      throw e
+    }
+
+    // only complete lines: a writer may be in the middle of appending the last one
+    const lines = text.split('\n').slice(0, -1)
+    const transfers = []
+    let next = offset
+    for (const line of lines.slice(offset, offset + limit)) {
+      next++
+      if (!line.trim()) continue
+      try {
+        transfers.push(JSON.parse(line))
+      } catch (e) {
+        console.warn(`sync(${name}): bad line ${next} in ${file}`)
+      }
+    }
+    return { transfers, cursor: String(next), more: next < lines.length }
+  }
+
+  return { name, poll }
+}
+
+module.exports = { createFileSource }
@@ -0,0 +1,46 @@
+/**
+ * lib/telegram/api.js
+ * Minimal Telegram Bot API client: POST <url>/bot<token>/<method> with a JSON body.
+ * `url` is TELEGRAM_API_URL, so tests can point it at a local stub server.
+ */
+
+const defaultFetch = require('node-fetch')
+
+// error_code from the Bot API (403 blocked by the user, 429 flood limit, ...); 0 for network failures
+class BotApiError extends Error {
+  constructor(method, code, description, retryAfter = null) {
+    super(`telegram ${method}: ${code || 'network'} ${description}`)
+    this.code = code
+    this.description = description
+    this.retryAfter = retryAfter
+  }
+}
+
+function createBotApi({ token, url, fetch = defaultFetch }) {
+  async function call(method, params = {}) {
+    let r, j
+    try {
+      r = await fetch(`${url}/bot${token}/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(params),
+        timeout: 10000
+      })
+      j = await r.json()
+    } catch (e) {
+      throw new BotApiError(method, 0, e.message)
+    }
+    if (!j.ok) {
+      throw new BotApiError(method, j.error_code || r.status, j.description || 'error', j.parameters ? j.parameters.retry_after : null)
+    }
+    return j.result
+  }
+
+  function sendMessage(chatId, text, extra = {}) {
+    return call('sendMessage', { chat_id: chatId, text, parse_mode: 'HTML', disable_web_page_preview: true, ...extra })
+  }
+
+  return { call, sendMessage }
+}
+
+module.exports = { createBotApi, BotApiError }
@@ -0,0 +1,186 @@
+/**
+ * lib/telegram/index.js
+ * Bot companion to the Mini App, talking to the Bot API through ./api.js.
+ *
+ *   handleUpdate(update)  webhook updates (routes/telegram.js): commands in private chats
+ *     /start, /help    greeting with a button into the app
+ *     /balance         TON balance, stars and premium expiry
+ *     /mynfts          owned NFTs
+ *     /market          cheapest NFTs on sale
+ *   deliver()             sends pending notifications (nft_sold, auction_outbid, gift_received,
+ *                         giveaway_won, watchlist, price_alert) once, every BOT_NOTIFY_INTERVAL_SEC
+ *                         while started
+ *
+ * Buttons deep-link into the Mini App: TELEGRAM_MINIAPP_URL?startapp=<tab>, the app opens that tab
+ * (Telegram.WebApp.initDataUnsafe.start_param). Without TELEGRAM_MINIAPP_URL messages have no buttons.
+ *
+ * Delivery: a Telegram user id is also the private chat id. 400/403 (chat not found, bot blocked)
+ * are final and stored in notifications.send_error; other failures (429, 5xx, network) end the
+ * batch and the same notification is retried on the next tick.
+ */
+
+const { fromNano } = require('../money')
+
+const MAX_LIST = 10
+const MARKET_LIMIT = 5
+
+const escapeHtml = (text) => String(text == null ? '' : text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+
+const nftTitle = (p) => `<b>${escapeHtml(p.name)} #${escapeHtml(p.number)}</b>`
+
+// notification -> { text, tab } | null for types the bot doesn't send
+function notificationMessage(n) {
+  const p = n.payload || {}
+  switch (n.type) {
+    case 'nft_sold':
+      return { text: `💰 Продан ваш ${nftTitle(p)} за ${fromNano(p.price)} TON (комиссия ${fromNano(p.fee)} TON)`, tab: 'catalog' }
+    case 'auction_outbid':
+      return { text: `⚡ Вашу ставку на ${nftTitle(p)} перебили: ${fromNano(p.amount)} TON`, tab: 'catalog' }
+    case 'gift_received': {
+      const note = p.message ? `\n«${escapeHtml(p.message)}»` : ''
+      return { text: `🎁 Вам подарили ${nftTitle(p)}${note}`, tab: 'gifts' }
+    }
+    case 'giveaway_won': {
+      const prize = p.prize_type === 'ton' ? `${fromNano(p.amount)} TON` : 'NFT'
+      return { text: `🏆 Вы выиграли в розыгрыше «${escapeHtml(p.title)}»: ${prize}`, tab: 'giveaways' }
+    }
+    case 'watchlist':
+      return p.reason === 'price_drop'
+        ? { text: `📉 ${nftTitle(p)} из избранного подешевела: ${fromNano(p.price)} TON (было ${fromNano(p.old_price)} TON)`, tab: 'catalog' }
+        : { text: `⭐ ${nftTitle(p)} из избранного выставлена на продажу за ${fromNano(p.price)} TON`, tab: 'catalog' }
+    case 'price_alert':
+      return p.kind === 'price_drop'
+        ? { text: `🔔 ${nftTitle(p)} продаётся за ${fromNano(p.price)} TON — не дороже ${fromNano(p.max_price)} TON`, tab: 'catalog' }
+        : { text: `🔔 Новый лот в коллекции: ${nftTitle(p)} за ${fromNano(p.price)} TON`, tab: 'catalog' }
+    default:
+      return null
+  }
+}
+
+// '/market@MyBot arg' -> 'market'
+function parseCommand(text) {
+  const m = /^\/([a-z_]+)(?:@\w+)?(?:\s|$)/i.exec(String(text || '').trim())
+  return m ? m[1].toLowerCase() : null
+}
+
+function createBot({ store, config, api, now = () => new Date() }) {
+  let timer = null
+  let running = false
+
+  function appButton(text, tab) {
+    if (!config.miniAppUrl) return {}
+    const sep = config.miniAppUrl.includes('?') ? '&' : '?'
+    return { reply_markup: { inline_keyboard: [[{ text, url: `${config.miniAppUrl}${sep}startapp=${tab}` }]] } }
+  }
+
+  const commands = {
+    async start(from) {
+      await store.profiles.ensure({ id: from.id, first_name: from.first_name || null, username: from.username || null })
+      return {
+        text: `Привет, ${escapeHtml(from.first_name || 'друг')}! Это MarketHub — маркет NFT-подарков.\n` +
+          'Сюда будут приходить уведомления о продажах, ставках, подарках и розыгрышах.\n\n' +
+          '/balance — баланс\n/mynfts — мои NFT\n/market — дешёвые лоты',
+        tab: 'catalog',
+        button: 'Открыть MarketHub'
+      }
+    },
+
+    help(from) {
+      return commands.start(from)
+    },
+
+    async balance(from) {
+      const [profile, balance, premium] = await Promise.all([
+        store.profiles.get(from.id),
+        store.ledger.balance(from.id),
+        store.premium.state(from.id, now().toISOString())
+      ])
+      const stars = Number((profile && profile.stars_balance) || 0)
+      const lines = [`Баланс: <b>${fromNano(balance)} TON</b>`, `Звёзды: <b>${stars} ⭐</b>`]
+      if (premium && premium.active) lines.push(`Premium до ${new Date(premium.premium_until).toLocaleDateString('ru-RU')}`)
+      return { text: lines.join('\n'), tab: 'premium', button: 'Пополнить' }
+    },
+
+    async mynfts(from) {
+      const owned = await store.nfts.list({ where: { owner_id: String(from.id) } })
+      if (!owned.length) return { text: 'У вас пока нет NFT.', tab: 'catalog', button: 'В каталог' }
+      const lines = owned.slice(0, MAX_LIST).map(n => {
+        const state = n.auction_id ? ' — на аукционе' : n.for_sale ? ` — в продаже за ${fromNano(n.price)} TON` : ''
+        return `• ${nftTitle(n)}${state}`
+      })
+      if (owned.length > MAX_LIST) lines.push(`…и ещё ${owned.length - MAX_LIST}`)
+      return { text: `Ваши NFT (${owned.length}):\n${lines.join('\n')}`, tab: 'gifts', button: 'Мои подарки' }
+    },
+
+    async market() {
+      const { nfts } = await store.nfts.search({ status: 'available', sort: 'price_asc', limit: MARKET_LIMIT })
+      if (!nfts.length) return { text: 'Сейчас ничего не продаётся.', tab: 'catalog', button: 'В каталог' }
+      const lines = nfts.map(n => `• ${nftTitle(n)} — ${fromNano(n.price)} TON`)
+      return { text: `Самые дешёвые лоты:\n${lines.join('\n')}`, tab: 'catalog', button: 'Открыть каталог' }
+    }
+  }
+
+  // -> the command handled, or null when the update is ignored
+  async function handleUpdate(update) {
+    const message = update && update.message
+    if (!message || !message.from || !message.chat || message.chat.type !== 'private') return null
+    const name = parseCommand(message.text)
+    if (!name) return null
+    const handler = Object.prototype.hasOwnProperty.call(commands, name)
+      ? commands[name]
+      : () => ({ text: 'Не знаю такой команды. /help — список команд.' })
+    const reply = await handler(message.from)
+    await api.sendMessage(message.chat.id, reply.text, reply.tab ? appButton(reply.button, reply.tab) : {})
+    return name
+  }
+
+  // -> { sent, failed } for this batch
+  async function deliver({ limit = 50 } = {}) {
+    if (running) return null
+    running = true
+    const stats = { sent: 0, failed: 0 }
+    try {
+      for (const n of await store.notifications.pending({ limit })) {
+        const message = notificationMessage(n)
+        if (!message) {
+          await store.notifications.markSent(n.id, { error: `unsupported type ${n.type}`, now: now().toISOString() })
+          stats.failed++
+          continue
+        }
+        try {
+          await api.sendMessage(n.user_id, message.text, appButton('Открыть', message.tab))
+        } catch (e) {
+          if (e.code !== 400 && e.code !== 403) throw e
+          await store.notifications.markSent(n.id, { error: e.description || e.message, now: now().toISOString() })
+          stats.failed++
+          continue
+        }
+        await store.notifications.markSent(n.id, { now: now().toISOString() })
+        stats.sent++
+      }
+    } catch (e) {
+      console.error('bot delivery paused', e.message)
+    } finally {
+      running = false
+    }
+    return stats
+  }
+
+  function start() {
+    if (timer) return
+    timer = setInterval(() => {
+      deliver().catch(e => console.error('bot delivery', e))
+    }, config.botNotifyIntervalSec * 1000)
+    timer.unref()
+  }
+
+  function stop() {
+    clearInterval(timer)
+    timer = null
+  }
+
+  return { handleUpdate, deliver, start, stop }
+}
+
+module.exports = { createBot, notificationMessage, parseCommand }
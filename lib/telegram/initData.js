@@ -0,0 +1,115 @@
+/**
+ * lib/telegram/initData.js
+ * Validation of Mini App initData (https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app).
+ *
+ *   hash       HMAC-SHA256 of the data check string, key = HMAC-SHA256("WebAppData", bot token);
+ *              needs TELEGRAM_BOT_TOKEN
+ *   signature  Ed25519 by Telegram over "<bot_id>:WebAppData\n" + the data check string (without
+ *              hash and signature); needs only the bot id, for services that don't hold the token
+ *
+ * The data check string is every other field as key=value, sorted by key, joined with "\n".
+ * auth_date must be at most INITDATA_MAX_AGE_SEC old, so captured initData can't be replayed forever.
+ *
+ * signInitData() produces hash-signed initData for any user; the server only exposes it in
+ * development mode (DEV_AUTH=1, see POST /api/auth/dev-initdata and scripts/dev-initdata.js).
+ */
+
+const crypto = require('crypto')
+
+// Telegram's Ed25519 keys for `signature` (production / test environment)
+const TELEGRAM_PUBLIC_KEYS = {
+  production: 'e7bf03a2fa4602af4580703d88dda5bb59f32ed8b02a56c187fe7d34caed242d',
+  test: '40055058a4ee38156a06562e52eece92a771bcd8346a8c4615cb7376eddf72ec'
+}
+// auth_date may be this far ahead of the server clock
+const CLOCK_SKEW_SEC = 60
+// SPKI DER prefix of a raw 32-byte Ed25519 public key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex')
+
+function parseInitData(initData) {
+  const params = {}
+  for (const pair of String(initData).split('&').filter(Boolean)) {
+    const idx = pair.indexOf('=')
+    if (idx === -1) continue
+    params[decodeURIComponent(pair.slice(0, idx))] = decodeURIComponent(pair.slice(idx + 1))
+  }
+  return params
+}
+
+function dataCheckString(params, skip) {
+  return Object.keys(params).filter(k => !skip.includes(k)).sort().map(k => `${k}=${params[k]}`).join('\n')
+}
+
+function hmacHash(params, botToken) {
+  const secret = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest()
+  return crypto.createHmac('sha256', secret).update(dataCheckString(params, ['hash'])).digest('hex')
+}
+
+function sameHex(given, expected) {
+  const a = Buffer.from(String(given), 'utf8')
+  const b = Buffer.from(expected, 'utf8')
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+function validSignature(params, botId, publicKeyHex) {
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKeyHex, 'hex')]),
+      format: 'der',
+      type: 'spki'
+    })
+    const message = `${botId}:WebAppData\n${dataCheckString(params, ['hash', 'signature'])}`
+    return crypto.verify(null, Buffer.from(message), key, Buffer.from(params.signature, 'base64url'))
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * opts: { botToken, botId, maxAgeSec, testEnv, now }
+ * -> { ok: true, params, user, auth_date } | { ok: false, error }
+ * The hash is checked when the token is known, otherwise the Ed25519 signature (needs botId).
+ */
+function verifyInitData(initData, { botToken = '', botId = '', maxAgeSec = 86400, testEnv = false, now = () => new Date() } = {}) {
+  if (!initData || typeof initData !== 'string') return { ok: false, error: 'missing initData' }
+  const params = parseInitData(initData)
+
+  if (botToken && params.hash) {
+    if (!sameHex(params.hash, hmacHash(params, botToken))) return { ok: false, error: 'invalid hash' }
+  } else if (botId && params.signature) {
+    const key = testEnv ? TELEGRAM_PUBLIC_KEYS.test : TELEGRAM_PUBLIC_KEYS.production
+    if (!validSignature(params, botId, key)) return { ok: false, error: 'invalid signature' }
+  } else {
+    return { ok: false, error: botToken || botId ? 'missing hash' : 'initData validation not configured' }
+  }
+
+  const authDate = Number(params.auth_date)
+  if (!Number.isInteger(authDate) || authDate <= 0) return { ok: false, error: 'missing auth_date' }
+  const age = Math.floor(now().getTime() / 1000) - authDate
+  if (age < -CLOCK_SKEW_SEC) return { ok: false, error: 'auth_date in the future' }
+  if (age > maxAgeSec) return { ok: false, error: 'initData expired' }
+
+  let user = null
+  if (params.user) {
+    try { user = JSON.parse(params.user) } catch (e) { user = null }
+  }
+  return { ok: true, params, user, auth_date: authDate }
+}
+
+/**
+ * Hash-signed initData as the Telegram client would send it (development and tests only).
+ * fields: extra params such as start_param or query_id
+ */
+function signInitData({ botToken, user, authDate = Math.floor(Date.now() / 1000), fields = {} }) {
+  const params = { ...fields, auth_date: String(authDate), user: JSON.stringify(user) }
+  params.hash = hmacHash(params, botToken)
+  return Object.entries(params).map(([k, v]) => `${encodeURIComponent(k)}=${encodeURIComponent(v)}`).join('&')
+}
+
+// "<bot id>:<secret>" -> bot id
+function botIdOf(botToken) {
+  const m = /^(\d+):/.exec(String(botToken || ''))
+  return m ? m[1] : ''
+}
+
+module.exports = { verifyInitData, signInitData, parseInitData, botIdOf, TELEGRAM_PUBLIC_KEYS }
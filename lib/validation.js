@@ -0,0 +1,76 @@
+/**
+ * lib/validation.js
+ * Request body schemas. validateBody(schema) checks and converts every field before the handler
+ * runs and leaves the result in req.valid; anything else in the body is ignored.
+ *
+ *   { field: { type, required?, ...options, error? } }
+ *   ton     TON amount -> nanoTON (lib/money.js toNano); sign: 'positive' (default) | 'nonzero'
+ *   int     integer in [min, max]
+ *   id      positive integer (row ids)
+ *   user    Telegram user id: digits, or a number
+ *   enum    one of `values`; `default` when absent
+ *   string  trimmed, 1..max characters
+ *
+ * A missing required field -> 400 'missing params'; a malformed one -> 400 `error` or 'invalid <field>'.
+ */
+
+const { toNano } = require('./money')
+
+const CHECKS = {
+  ton(value, { sign = 'positive' }) {
+    const nano = toNano(value)
+    if (nano === null) return undefined
+    if (sign === 'positive' ? nano <= 0 : nano === 0) return undefined
+    return nano
+  },
+  int(value, { min = Number.MIN_SAFE_INTEGER, max = Number.MAX_SAFE_INTEGER }) {
+    const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+    return Number.isSafeInteger(n) && n >= min && n <= max ? n : undefined
+  },
+  id(value) {
+    return CHECKS.int(value, { min: 1 })
+  },
+  user(value) {
+    const id = typeof value === 'number' && Number.isSafeInteger(value) ? String(value) : value
+    return typeof id === 'string' && /^\d{1,20}$/.test(id.trim()) ? id.trim() : undefined
+  },
+  enum(value, { values }) {
+    return values.includes(value) ? value : undefined
+  },
+  string(value, { max = 200 }) {
+    if (typeof value !== 'string') return undefined
+    const text = value.trim()
+    return text && text.length <= max ? text : undefined
+  }
+}
+
+// -> { values } | { error }
+function check(schema, body) {
+  const values = {}
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = body[field]
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) return { error: 'missing params' }
+      if (rule.default !== undefined) values[field] = rule.default
+      continue
+    }
+    const parsed = CHECKS[rule.type](value, rule)
+    if (parsed === undefined) return { error: rule.error || `invalid ${field}` }
+    values[field] = parsed
+  }
+  return { values }
+}
+
+function validateBody(schema) {
+  for (const [field, rule] of Object.entries(schema)) {
+    if (!CHECKS[rule.type]) throw new Error(`validation: unknown type ${rule.type} for ${field}`)
+  }
+  return (req, res, next) => {
+    const { values, error } = check(schema, req.body || {})
+    if (error) return res.status(400).json({ ok: false, error })
+    req.valid = values
+    return next()
+  }
+}
+
+module.exports = { validateBody, check }
@@ -0,0 +1,938 @@
+/**
+ * i18n.js - message catalog and formatting for the MarketHub frontend (loaded before script.js)
+ *
+ * - MESSAGES: every UI string by key, RU and EN; t('key', { vars }) fills {placeholders}
+ * - Language: a manual choice (localStorage) wins, then the Telegram user's language_code from
+ *   initData, then the browser's; anything but Russian falls back to English
+ * - Static markup is translated through data-i18n (text), data-i18n-placeholder and
+ *   data-i18n-title attributes, see applyI18n()
+ * - API errors: the server translates its error codes (lib/i18n.js) into `message` for the
+ *   Accept-Language api() sends; errorText() shows it
+ * - Numbers, TON amounts and dates use the locale of the current language
+ */
+
+const MESSAGES = {
+  ru: {
+    'app.tagline': 'NFT-маркетплейс на TON',
+    'app.refresh': 'Обновить',
+    'app.refreshed': 'Обновлено',
+    'lang.title': 'Язык',
+
+    'tab.catalog': 'Каталог NFT',
+    'tab.gifts': 'Мои подарки',
+    'tab.premium': 'Premium и звёзды',
+    'tab.giveaways': 'Розыгрыши',
+    'tab.activity': 'Лента',
+    'tab.admin': 'Админка',
+
+    'common.loading': 'Загрузка…',
+    'common.networkError': 'Сетевой сбой',
+    'common.cancel': 'Отмена',
+    'common.ok': 'OK',
+    'common.close': 'Закрыть',
+    'common.save': 'Сохранить',
+    'common.create': 'Создать',
+    'common.all': 'Все',
+    'common.cancelAction': 'Отменить',
+    'common.reject': 'Отклонить',
+    'common.signIn': 'Авторизуйтесь в Telegram внутри WebApp.',
+    'common.amountRequired': 'Укажите сумму',
+    'common.reasonOptional': 'Причина (необязательно)',
+    'error.generic': 'Ошибка',
+
+    'auth.openInTelegram': 'Откройте приложение из Telegram, чтобы авторизоваться.',
+    'auth.failed': 'Не удалось войти: {reason}',
+    'auth.networkError': 'Ошибка сети при авторизации',
+    'auth.invited': 'Вы пришли по приглашению — добро пожаловать!',
+
+    'catalog.search': 'Поиск: название или номер',
+    'catalog.status.available': 'В продаже',
+    'catalog.status.auction': 'Аукционы',
+    'catalog.status.owned': 'Проданные',
+    'catalog.minPrice': 'Цена от',
+    'catalog.maxPrice': 'до',
+    'catalog.badPriceRange': 'Неверный диапазон цен',
+    'catalog.loadFailed': 'Не удалось загрузить NFT',
+    'catalog.empty': 'Ничего не найдено',
+    'catalog.loadError': 'Ошибка загрузки каталога',
+    'sort.newest': 'Новые',
+    'sort.price_asc': 'Дешевле',
+    'sort.price_desc': 'Дороже',
+    'sort.number': 'По номеру',
+    'sort.rarity': 'Редкие',
+
+    'collection.all': 'Все коллекции',
+    'collection.floor': 'Минимум',
+    'collection.volume': 'Объём',
+    'collection.owners': 'Владельцы',
+
+    'card.history': 'История продаж',
+    'card.cancelAuction': 'Отменить аукцион',
+    'card.bid': 'Ставка',
+    'card.reprice': 'Цена',
+    'card.delist': 'Снять',
+    'card.sell': 'Продать',
+    'card.auction': 'Аукцион',
+    'card.gift': 'Подарить',
+    'card.buy': 'Купить',
+    'card.owned': 'Не продаётся',
+    'card.offer': 'Предложить',
+    'card.offers': 'Предложения',
+
+    'nft.price': 'Цена',
+    'nft.collection': 'Коллекция',
+    'nft.rarity': 'Редкость',
+    'nft.rarityRank': '{score} · №{rank} в коллекции',
+    'nft.noTraits': 'Атрибуты неизвестны',
+
+    'chart.priceHistory': 'История цен',
+    'chart.range': '{min} – {max} TON',
+    'chart.lastSale': 'Последняя продажа: {price} TON · продаж: {count}',
+    'chart.noSales': 'Продаж ещё не было',
+    'chart.collection30d': 'Коллекция за 30 дней',
+    'chart.floorLegend': 'линия — минимум, столбцы — объём',
+    'chart.floorNow': 'Минимум сейчас {floor} · объём {volume} TON',
+
+    'buy.youHave': 'У вас {stars} ⭐',
+    'buy.alreadySold': 'Лот уже куплен',
+    'buy.inProgress': 'Покупка уже обрабатывается…',
+    'buy.success': 'Покупка успешна',
+    'buy.successStars': 'Покупка успешна: −{stars} ⭐',
+    'buy.insufficientBalance': 'Недостаточно средств, пополните баланс',
+    'buy.opensAt': 'Продажа откроется {date}',
+    'buy.premiumEarlier': 'Premium открывает доступ раньше',
+    'buy.failed': 'Ошибка покупки: {reason}',
+    'buy.networkError': 'Сетевая ошибка при покупке',
+
+    'market.auctionCancelled': 'Аукцион отменён',
+    'market.bidPrompt': 'Ставка (TON)',
+    'market.bidPlaced': 'Ставка принята',
+    'market.newPrice': 'Новая цена (TON)',
+    'market.repriced': 'Цена изменена',
+    'market.delisted': 'Лот снят с продажи',
+    'market.sellPrice': 'Цена продажи (TON)',
+    'market.listed': 'Лот выставлен',
+    'market.offerPrompt': 'Ваше предложение (TON)',
+    'market.offerSent': 'Предложение отправлено',
+    'market.premiumLimit': 'Premium увеличивает лимит',
+    'market.enterPrice': 'Введите цену',
+
+    'auction.bid': 'Ставка: {amount} TON',
+    'auction.start': 'Старт: {amount} TON',
+    'auction.title': 'Аукцион: {name}',
+    'auction.startPrice': 'Стартовая цена (TON)',
+    'auction.step': 'Мин. шаг (TON)',
+    'auction.launch': 'Запустить',
+    'auction.checkPrices': 'Проверьте цены',
+    'auction.started': 'Аукцион запущен',
+    'drop.early': 'Ранний доступ Premium',
+    'drop.start': 'Старт продаж',
+    'countdown.ended': 'завершён',
+    'duration.1h': '1 час',
+    'duration.6h': '6 часов',
+    'duration.24h': '24 часа',
+    'duration.1d': '1 день',
+    'duration.3d': '3 дня',
+    'duration.7d': '7 дней',
+
+    'offers.title': 'Предложения: {name}',
+    'offers.none': 'Предложений пока нет',
+    'offers.from': 'от {user} · {date}',
+    'offers.accept': 'Принять',
+    'offers.sold': 'Продано',
+    'offers.rejected': 'Предложение отклонено',
+    'sales.none': 'Продаж пока не было',
+
+    'gifts.received': 'Полученные',
+    'gifts.sent': 'Отправленные',
+    'gifts.noneReceived': 'Подарков пока нет',
+    'gifts.noneSent': 'Вы ещё ничего не дарили',
+    'gifts.loadError': 'Ошибка загрузки подарков',
+    'gifts.from': 'от {user}',
+    'gifts.to': 'кому {user}',
+    'gifts.pending': 'Ожидает',
+    'gifts.claimed': 'Получен',
+    'gifts.claim': 'Забрать',
+    'gifts.claimedToast': 'Подарок добавлен в инвентарь',
+    'gifts.fromLabel': 'От',
+    'gifts.toLabel': 'Кому',
+    'gifts.status': 'Статус',
+    'gifts.waiting': 'Ожидает получения',
+    'gifts.claimedAt': 'Получен {date}',
+    'gifts.sentAt': 'Отправлен',
+    'gifts.message': 'Сообщение',
+    'gifts.giftTitle': 'Подарить {name}',
+    'gifts.recipient': 'Telegram ID или @username',
+    'gifts.messagePlaceholder': 'Сообщение (необязательно)',
+    'gifts.recipientRequired': 'Укажите получателя',
+    'gifts.sentToast': 'Подарок отправлен',
+
+    'premium.title': 'Premium и звёзды',
+    'premium.intro': 'Оплата в TON: переведите сумму с комментарием из заказа, звёзды или Premium начислятся после подтверждения перевода в сети.',
+    'premium.stars': 'Звёзды',
+    'premium.wallet': 'TON-кошелёк',
+    'premium.invite': 'Пригласить друзей',
+    'premium.renewal': ' (продление)',
+    'premium.perks': 'Комиссия {fee}% · до {listings} лотов · ранний доступ к дропам за {minutes} мин.',
+    'premium.signIn': 'Авторизуйтесь, чтобы увидеть подписку',
+    'premium.until': 'до {date}',
+    'premium.inactive': 'не активен',
+    'premium.plan': 'Тариф',
+
+    'pay.deposit': 'Пополнение баланса',
+    'pay.premiumMonths': 'Premium {months} мес.',
+    'pay.amount': 'Сумма',
+    'pay.address': 'Адрес',
+    'pay.comment': 'Комментарий',
+    'pay.validUntil': 'Действует до',
+    'pay.exactHint': 'Переведите ровно эту сумму с указанным комментарием, иначе платёж не будет найден.',
+    'pay.pay': 'Оплатить',
+    'pay.paid': 'Я оплатил',
+    'pay.topUpDone': 'Баланс пополнен',
+    'pay.starsCredited': 'Начислено ⭐: теперь {stars}',
+    'pay.premiumUntil': 'Premium до {date}',
+    'pay.alreadyPaid': 'Заказ уже оплачен',
+    'pay.sent': 'Перевод отправлен, нажмите «Я оплатил» после подтверждения',
+    'pay.cancelled': 'Перевод отменён',
+
+    'wallet.linked': 'Кошелёк привязан',
+    'wallet.linkFailed': 'Ошибка привязки: {reason}',
+    'wallet.noTonConnect': 'TonConnect недоступен',
+    'wallet.openFailed': 'Не удалось открыть TonConnect',
+    'wallet.linkedTo': 'Привязан:',
+    'wallet.notLinked': 'Кошелёк не привязан',
+    'wallet.change': 'Сменить кошелёк',
+    'wallet.connect': 'Подключить кошелёк',
+    'wallet.unlink': 'Отвязать',
+    'wallet.depositPlaceholder': 'Сумма, от {min} TON',
+    'wallet.deposit': 'Пополнить',
+    'wallet.withdraw': 'Вывести',
+    'wallet.withdrawHint': 'Вывод на привязанный кошелёк после проверки администратором, до {daily} TON в сутки.',
+    'wallet.requestCancelled': 'Заявка отменена',
+    'wallet.unlinked': 'Кошелёк отвязан',
+    'wallet.depositMin': 'Минимум {min} TON',
+    'wallet.withdrawCreated': 'Заявка на вывод создана',
+    'withdrawal.pending': 'на рассмотрении',
+    'withdrawal.approved': 'выплачено',
+    'withdrawal.rejected': 'отклонено',
+    'withdrawal.cancelled': 'отменено',
+
+    'stars.rate': '1 ⭐ = {rate} TON',
+    'stars.amount': 'Количество ⭐',
+    'stars.feesInStars': 'Платить комиссию с продаж звёздами',
+    'stars.quantityRequired': 'Укажите количество',
+    'stars.done': 'Готово: {stars} ⭐',
+    'stars.feesStars': 'Комиссия будет списываться звёздами',
+    'stars.feesTon': 'Комиссия будет списываться в TON',
+    'starsReason.opening': 'Начальный остаток',
+    'starsReason.purchase': 'Покупка за TON',
+    'starsReason.convert_to_ton': 'Обмен на TON',
+    'starsReason.convert_from_ton': 'Обмен из TON',
+    'starsReason.nft_purchase': 'Оплата NFT',
+    'starsReason.market_fee': 'Комиссия с продажи',
+
+    'referral.feeShare': '{share}% комиссии маркетплейса с их сделок',
+    'referral.bonus': '{amount} TON за первую покупку',
+    'referral.terms': 'Вы получаете {terms}.',
+    'referral.and': ' и ',
+    'referral.noRewards': 'Вознаграждения сейчас не начисляются.',
+    'referral.copy': 'Копировать',
+    'referral.share': 'Поделиться',
+    'referral.invited': 'Приглашено',
+    'referral.earned': 'Заработано',
+    'referral.notCounted': 'не засчитан: {reason}',
+    'referral.reject.same_ip': 'тот же IP, что у вас',
+    'referral.none': 'Пока никого',
+    'referral.copied': 'Ссылка скопирована',
+    'referral.shareText': 'Покупай и продавай NFT-подарки в MarketHub',
+
+    'giveaway.minBalance': 'баланс от {amount} TON',
+    'giveaway.collection': 'NFT из коллекции {name}',
+    'giveaway.noConditions': 'без условий',
+    'giveaway.active': 'Активные',
+    'giveaway.ended': 'Завершённые',
+    'giveaway.noneActive': 'Сейчас розыгрышей нет',
+    'giveaway.noneEnded': 'Завершённых розыгрышей нет',
+    'giveaway.loadError': 'Ошибка загрузки розыгрышей',
+    'giveaway.cancelled': 'Отменён',
+    'giveaway.won': 'Вы выиграли!',
+    'giveaway.drawn': 'Итоги подведены',
+    'giveaway.entries': 'Участников: {count}',
+    'giveaway.joined': 'Вы участвуете',
+    'giveaway.join': 'Участвовать',
+    'giveaway.joinedToast': 'Вы участвуете в розыгрыше',
+    'giveaway.prize': 'Приз',
+    'giveaway.conditions': 'Условия',
+    'giveaway.endsAt': 'Окончание',
+    'giveaway.entriesLabel': 'Участников',
+    'giveaway.winners': 'Победители',
+    'giveaway.noEntrants': 'нет участников',
+    'giveaway.seedHash': 'sha256(seed), опубликован до розыгрыша',
+    'giveaway.verify': 'Проверить розыгрыш',
+    'giveaway.verifyOk': 'Seed совпадает с опубликованным хэшем, победители получены повторным розыгрышем.',
+    'giveaway.verifyFail': 'Проверка не пройдена!',
+
+    'notify.giveaway_won': 'Вы выиграли в розыгрыше «{title}»: {prize}',
+    'notify.nft_sold': 'Продан {name} #{number} за {price} TON',
+    'notify.auction_outbid': 'Вашу ставку на {name} #{number} перебили: {amount} TON',
+    'notify.gift_received': 'Вам подарили {name} #{number}',
+    'notify.watchlist_listed': '⭐ {name} #{number} из избранного продаётся за {price} TON',
+    'notify.watchlist_drop': '📉 {name} #{number} из избранного подешевела: {price} TON (было {old} TON)',
+    'notify.price_alert_listing': '🔔 Новый лот в коллекции: {name} #{number} за {price} TON',
+    'notify.price_alert_drop': '🔔 {name} #{number} продаётся за {price} TON — не дороже {max} TON',
+
+    'watch.add': 'В избранное',
+    'watch.remove': 'Убрать из избранного',
+    'watch.added': 'Добавлено в избранное',
+    'watch.removed': 'Убрано из избранного',
+    'watch.none': 'В избранном пока пусто: отмечайте NFT звёздочкой на карточке.',
+
+    'alerts.button': 'Оповещения о ценах',
+    'alerts.kind.price_drop': 'Цена не выше',
+    'alerts.kind.new_listing': 'Новые лоты',
+    'alerts.upTo': '{kind}: до {price} TON',
+    'alerts.maxPrice': 'Максимальная цена (TON)',
+    'alerts.hint.price_drop': 'Сообщим, когда NFT коллекции будет продаваться не дороже этой цены.',
+    'alerts.hint.new_listing': 'Сообщим о каждом новом лоте коллекции; цена необязательна.',
+    'alerts.created': 'Оповещение создано',
+    'alerts.removed': 'Оповещение удалено',
+    'alerts.remove': 'Удалить',
+    'alerts.none': 'Оповещений нет',
+    'alerts.howTo': 'Оповещения создаются на панели коллекции в каталоге.',
+    'alerts.lastTriggered': 'последнее срабатывание {date}',
+    'alerts.notTriggered': 'ещё не срабатывало',
+
+    'activity.feed': 'Лента',
+    'activity.watchlist': 'Избранное',
+    'activity.alerts': 'Оповещения',
+    'activity.more': 'Показать ещё',
+    'activity.none': 'Здесь появятся покупки, продажи, подарки и движения по балансу.',
+    'activity.loadError': 'Ошибка загрузки ленты',
+    'activity.purchase': 'Покупка {nft} у {user}',
+    'activity.sale': 'Продажа {nft} → {user}, комиссия {fee} TON',
+    'activity.gift_received': 'Подарок {nft} от {user}',
+    'activity.gift_sent': 'Подарок {nft} для {user}',
+    'ledgerReason.deposit': 'Пополнение',
+    'ledgerReason.withdrawal': 'Вывод',
+    'ledgerReason.withdrawal_refund': 'Возврат заявки на вывод',
+    'ledgerReason.escrow_hold': 'Резерв под предложение или ставку',
+    'ledgerReason.escrow_release': 'Возврат резерва',
+    'ledgerReason.market_fee': 'Комиссия маркетплейса',
+    'ledgerReason.giveaway_prize': 'Приз розыгрыша',
+    'ledgerReason.referral_reward': 'Реферальное вознаграждение',
+    'ledgerReason.stars_to_ton': 'Обмен звёзд на TON',
+    'ledgerReason.ton_to_stars': 'Обмен TON на звёзды',
+    'ledgerReason.admin_credit': 'Начисление администратором',
+    'ledgerReason.admin_debit': 'Списание администратором',
+
+    'admin.title': 'Админ-панель',
+    'admin.analytics': 'Аналитика: выгрузка',
+    'admin.dataset.sales': 'Продажи',
+    'admin.dataset.daily': 'По дням',
+    'admin.dataset.sellers': 'Топ продавцов',
+    'admin.dataset.buyers': 'Топ покупателей',
+    'admin.analyticsDays': 'Период, дней',
+    'admin.analyticsCollection': 'Коллекция (необязательно)',
+    'admin.stat.users': 'Пользователи',
+    'admin.stat.nfts': 'Лоты',
+    'admin.stat.for_sale': 'В продаже',
+    'admin.stat.hidden': 'Скрыто',
+    'admin.stat.active_auctions': 'Аукционы',
+    'admin.stat.pending_gifts': 'Подарки в ожидании',
+    'admin.stat.pending_withdrawals': 'Заявки на вывод',
+    'admin.stat.sales_24h': 'Продаж за 24ч',
+    'admin.stat.volume_24h': 'Оборот за 24ч',
+    'admin.stat.fees_total': 'Комиссии',
+    'admin.stat.deposits_total': 'Пополнения',
+    'admin.stat.pending_withdrawals_amount': 'К выплате',
+    'admin.starRate': 'Курс: TON за 1 ⭐',
+    'admin.saveRate': 'Сохранить курс',
+    'admin.rateRequired': 'Укажите курс',
+    'admin.users': 'Пользователи',
+    'admin.userQuery': 'ID, @username или имя',
+    'admin.find': 'Найти',
+    'admin.queryRequired': 'Введите запрос',
+    'admin.noUsers': 'Никого не найдено',
+    'admin.lots': 'Лоты',
+    'admin.lotQuery': 'Название или номер',
+    'admin.visible': 'Видимые',
+    'admin.hidden': 'Скрытые',
+    'admin.new': 'Новый',
+    'admin.giveaways': 'Розыгрыши',
+    'admin.newGiveaway': 'Новый розыгрыш',
+    'admin.withdrawals': 'Заявки на вывод',
+    'admin.audit': 'Журнал действий',
+    'admin.auditTarget': 'ID пользователя или лота',
+    'admin.forSale': ' · в продаже {price} TON',
+    'admin.hiddenMark': ' · скрыт',
+    'admin.role': 'Роль: {role}',
+    'admin.premiumUntil': ' · Premium до {date}',
+    'admin.wallet': 'Кошелёк:',
+    'admin.walletNone': 'не привязан',
+    'admin.balance': 'Баланс:',
+    'admin.adjustAmount': 'Сумма TON (минус — списание)',
+    'admin.adjustReason': 'Причина (обязательно)',
+    'admin.adjust': 'Изменить баланс',
+    'admin.noNfts': 'Нет NFT',
+    'admin.operations': 'Операции',
+    'admin.noOperations': 'Нет операций',
+    'admin.amountRequired': 'Введите сумму',
+    'admin.reasonRequired': 'Укажите причину',
+    'admin.newBalance': 'Новый баланс: {balance} TON',
+    'admin.noLots': 'Лотов нет',
+    'admin.state.hidden': 'скрыт',
+    'admin.state.auction': 'аукцион',
+    'admin.state.gift': 'подарок',
+    'admin.state.giveaway': 'розыгрыш',
+    'admin.state.owner': 'владелец {id}',
+    'admin.state.forSale': 'в продаже',
+    'admin.state.notForSale': 'не продаётся',
+    'admin.edit': 'Изменить',
+    'admin.show': 'Показать',
+    'admin.hide': 'Скрыть',
+    'admin.lotTitle': 'Лот #{id}',
+    'admin.newLot': 'Новый лот',
+    'admin.lotName': 'Коллекция (название)',
+    'admin.lotNumber': 'Номер',
+    'admin.lotPrice': 'Цена, TON',
+    'admin.lotLink': 'Ссылка t.me/nft/… (необязательно)',
+    'admin.lotImage': 'URL картинки (необязательно)',
+    'admin.lotAvailable': 'Старт продаж (пусто = сразу, Premium — раньше)',
+    'admin.lotRequired': 'Заполните название и номер',
+    'admin.lotUpdated': 'Лот обновлён',
+    'admin.lotCreated': 'Лот создан',
+    'admin.hideLot': 'Скрыть лот #{id}',
+    'admin.showLot': 'Показать лот #{id}',
+    'admin.lotHidden': 'Лот скрыт',
+    'admin.lotShown': 'Лот снова в каталоге',
+    'admin.noEntries': 'Записей нет',
+    'admin.exportFailed': 'Ошибка выгрузки',
+    'admin.noActiveGiveaways': 'Активных розыгрышей нет',
+    'admin.giveawayEntries': 'участников: {count}',
+    'admin.until': 'до {date}',
+    'admin.draw': 'Разыграть',
+    'admin.winnersToast': 'Победители: {winners}',
+    'admin.giveawayCancelled': 'Розыгрыш отменён',
+    'admin.gaTitle': 'Название',
+    'admin.gaDescription': 'Описание (необязательно)',
+    'admin.gaPrizeTon': 'Приз в TON',
+    'admin.gaPrizeNft': 'Приз NFT (свободный лот)',
+    'admin.gaAmount': 'TON каждому победителю',
+    'admin.gaWinners': 'Победителей',
+    'admin.gaNft': 'ID лота',
+    'admin.gaPremium': 'Только Premium',
+    'admin.gaMinBalance': 'Мин. баланс, TON (необязательно)',
+    'admin.gaCollection': 'Нужна NFT из коллекции: id, например PlushPepe (необязательно)',
+    'admin.gaTitleRequired': 'Введите название',
+    'admin.gaCreated': 'Розыгрыш создан',
+    'admin.noRequests': 'Нет заявок',
+    'admin.paidOut': 'Выплачено',
+    'admin.payoutTitle': 'Выплата #{id}',
+    'admin.rejectTitle': 'Отказ #{id}',
+    'admin.txHash': 'Хэш транзакции выплаты (необязательно)',
+    'admin.requestApproved': 'Заявка подтверждена',
+    'admin.requestRejected': 'Заявка отклонена'
+  },
+
+  en: {
+    'app.tagline': 'NFT Marketplace — TON',
+    'app.refresh': 'Refresh',
+    'app.refreshed': 'Updated',
+    'lang.title': 'Language',
+
+    'tab.catalog': 'NFT Catalog',
+    'tab.gifts': 'My Gifts',
+    'tab.premium': 'Premium & Stars',
+    'tab.giveaways': 'Giveaways',
+    'tab.activity': 'Activity',
+    'tab.admin': 'Admin',
+
+    'common.loading': 'Loading…',
+    'common.networkError': 'Network error',
+    'common.cancel': 'Cancel',
+    'common.ok': 'OK',
+    'common.close': 'Close',
+    'common.save': 'Save',
+    'common.create': 'Create',
+    'common.all': 'All',
+    'common.cancelAction': 'Cancel',
+    'common.reject': 'Reject',
+    'common.signIn': 'Sign in through Telegram inside the WebApp.',
+    'common.amountRequired': 'Enter an amount',
+    'common.reasonOptional': 'Reason (optional)',
+    'error.generic': 'Error',
+
+    'auth.openInTelegram': 'Open the app from Telegram to sign in.',
+    'auth.failed': 'Sign-in failed: {reason}',
+    'auth.networkError': 'Network error while signing in',
+    'auth.invited': 'You joined by invitation — welcome!',
+
+    'catalog.search': 'Search: name or number',
+    'catalog.status.available': 'For sale',
+    'catalog.status.auction': 'Auctions',
+    'catalog.status.owned': 'Sold',
+    'catalog.minPrice': 'Price from',
+    'catalog.maxPrice': 'to',
+    'catalog.badPriceRange': 'Invalid price range',
+    'catalog.loadFailed': 'Could not load NFTs',
+    'catalog.empty': 'Nothing found',
+    'catalog.loadError': 'The catalog failed to load',
+    'sort.newest': 'Newest',
+    'sort.price_asc': 'Cheapest',
+    'sort.price_desc': 'Most expensive',
+    'sort.number': 'By number',
+    'sort.rarity': 'Rarest',
+
+    'collection.all': 'All collections',
+    'collection.floor': 'Floor',
+    'collection.volume': 'Volume',
+    'collection.owners': 'Owners',
+
+    'card.history': 'Sales history',
+    'card.cancelAuction': 'Cancel auction',
+    'card.bid': 'Bid',
+    'card.reprice': 'Price',
+    'card.delist': 'Delist',
+    'card.sell': 'Sell',
+    'card.auction': 'Auction',
+    'card.gift': 'Gift',
+    'card.buy': 'Buy',
+    'card.owned': 'Owned',
+    'card.offer': 'Make offer',
+    'card.offers': 'Offers',
+
+    'nft.price': 'Price',
+    'nft.collection': 'Collection',
+    'nft.rarity': 'Rarity',
+    'nft.rarityRank': '{score} · #{rank} in the collection',
+    'nft.noTraits': 'Traits unknown',
+
+    'chart.priceHistory': 'Price history',
+    'chart.range': '{min} – {max} TON',
+    'chart.lastSale': 'Last sale: {price} TON · {count} sales',
+    'chart.noSales': 'No sales yet',
+    'chart.collection30d': 'Collection, 30 days',
+    'chart.floorLegend': 'line: floor, bars: volume',
+    'chart.floorNow': 'Floor now {floor} · volume {volume} TON',
+
+    'buy.youHave': 'You have {stars} ⭐',
+    'buy.alreadySold': 'This lot is already sold',
+    'buy.inProgress': 'The purchase is already being processed…',
+    'buy.success': 'Purchase complete',
+    'buy.successStars': 'Purchase complete: −{stars} ⭐',
+    'buy.insufficientBalance': 'Insufficient balance, top up first',
+    'buy.opensAt': 'Sale opens {date}',
+    'buy.premiumEarlier': 'Premium gets access earlier',
+    'buy.failed': 'Purchase failed: {reason}',
+    'buy.networkError': 'Network error during the purchase',
+
+    'market.auctionCancelled': 'Auction cancelled',
+    'market.bidPrompt': 'Bid (TON)',
+    'market.bidPlaced': 'Bid placed',
+    'market.newPrice': 'New price (TON)',
+    'market.repriced': 'Price changed',
+    'market.delisted': 'Lot delisted',
+    'market.sellPrice': 'Sale price (TON)',
+    'market.listed': 'Lot listed',
+    'market.offerPrompt': 'Your offer (TON)',
+    'market.offerSent': 'Offer sent',
+    'market.premiumLimit': 'Premium raises the limit',
+    'market.enterPrice': 'Enter a price',
+
+    'auction.bid': 'Bid: {amount} TON',
+    'auction.start': 'Start: {amount} TON',
+    'auction.title': 'Auction: {name}',
+    'auction.startPrice': 'Starting price (TON)',
+    'auction.step': 'Min. increment (TON)',
+    'auction.launch': 'Start',
+    'auction.checkPrices': 'Check the prices',
+    'auction.started': 'Auction started',
+    'drop.early': 'Premium early access',
+    'drop.start': 'Sale starts',
+    'countdown.ended': 'ended',
+    'duration.1h': '1 hour',
+    'duration.6h': '6 hours',
+    'duration.24h': '24 hours',
+    'duration.1d': '1 day',
+    'duration.3d': '3 days',
+    'duration.7d': '7 days',
+
+    'offers.title': 'Offers: {name}',
+    'offers.none': 'No offers yet',
+    'offers.from': 'from {user} · {date}',
+    'offers.accept': 'Accept',
+    'offers.sold': 'Sold',
+    'offers.rejected': 'Offer rejected',
+    'sales.none': 'No sales yet',
+
+    'gifts.received': 'Received',
+    'gifts.sent': 'Sent',
+    'gifts.noneReceived': 'No gifts yet',
+    'gifts.noneSent': "You haven't sent any gifts yet",
+    'gifts.loadError': 'Gifts failed to load',
+    'gifts.from': 'from {user}',
+    'gifts.to': 'to {user}',
+    'gifts.pending': 'Pending',
+    'gifts.claimed': 'Claimed',
+    'gifts.claim': 'Claim',
+    'gifts.claimedToast': 'Gift added to your inventory',
+    'gifts.fromLabel': 'From',
+    'gifts.toLabel': 'To',
+    'gifts.status': 'Status',
+    'gifts.waiting': 'Waiting to be claimed',
+    'gifts.claimedAt': 'Claimed {date}',
+    'gifts.sentAt': 'Sent',
+    'gifts.message': 'Message',
+    'gifts.giftTitle': 'Gift {name}',
+    'gifts.recipient': 'Telegram ID or @username',
+    'gifts.messagePlaceholder': 'Message (optional)',
+    'gifts.recipientRequired': 'Enter a recipient',
+    'gifts.sentToast': 'Gift sent',
+
+    'premium.title': 'Premium & Stars',
+    'premium.intro': 'Pay in TON: send the amount with the comment from the order; stars or Premium are credited once the transfer is confirmed on-chain.',
+    'premium.stars': 'Stars',
+    'premium.wallet': 'TON wallet',
+    'premium.invite': 'Invite friends',
+    'premium.renewal': ' (renewal)',
+    'premium.perks': 'Fee {fee}% · up to {listings} listings · drop access {minutes} min early',
+    'premium.signIn': 'Sign in to see your subscription',
+    'premium.until': 'until {date}',
+    'premium.inactive': 'inactive',
+    'premium.plan': 'Plan',
+
+    'pay.deposit': 'Balance top-up',
+    'pay.premiumMonths': 'Premium {months} mo.',
+    'pay.amount': 'Amount',
+    'pay.address': 'Address',
+    'pay.comment': 'Comment',
+    'pay.validUntil': 'Valid until',
+    'pay.exactHint': 'Send exactly this amount with this comment, otherwise the payment will not be found.',
+    'pay.pay': 'Pay',
+    'pay.paid': "I've paid",
+    'pay.topUpDone': 'Balance topped up',
+    'pay.starsCredited': 'Stars credited: now {stars} ⭐',
+    'pay.premiumUntil': 'Premium until {date}',
+    'pay.alreadyPaid': 'The order is already paid',
+    'pay.sent': "Transfer sent, tap “I've paid” once it is confirmed",
+    'pay.cancelled': 'Transfer cancelled',
+
+    'wallet.linked': 'Wallet linked',
+    'wallet.linkFailed': 'Linking failed: {reason}',
+    'wallet.noTonConnect': 'TonConnect is unavailable',
+    'wallet.openFailed': 'Could not open TonConnect',
+    'wallet.linkedTo': 'Linked:',
+    'wallet.notLinked': 'No wallet linked',
+    'wallet.change': 'Change wallet',
+    'wallet.connect': 'Connect wallet',
+    'wallet.unlink': 'Unlink',
+    'wallet.depositPlaceholder': 'Amount, from {min} TON',
+    'wallet.deposit': 'Top up',
+    'wallet.withdraw': 'Withdraw',
+    'wallet.withdrawHint': 'Withdrawals go to the linked wallet after an admin review, up to {daily} TON per day.',
+    'wallet.requestCancelled': 'Request cancelled',
+    'wallet.unlinked': 'Wallet unlinked',
+    'wallet.depositMin': 'Minimum {min} TON',
+    'wallet.withdrawCreated': 'Withdrawal requested',
+    'withdrawal.pending': 'under review',
+    'withdrawal.approved': 'paid out',
+    'withdrawal.rejected': 'rejected',
+    'withdrawal.cancelled': 'cancelled',
+
+    'stars.rate': '1 ⭐ = {rate} TON',
+    'stars.amount': 'Number of ⭐',
+    'stars.feesInStars': 'Pay sale fees in stars',
+    'stars.quantityRequired': 'Enter a quantity',
+    'stars.done': 'Done: {stars} ⭐',
+    'stars.feesStars': 'Fees will be charged in stars',
+    'stars.feesTon': 'Fees will be charged in TON',
+    'starsReason.opening': 'Opening balance',
+    'starsReason.purchase': 'Bought with TON',
+    'starsReason.convert_to_ton': 'Exchanged to TON',
+    'starsReason.convert_from_ton': 'Exchanged from TON',
+    'starsReason.nft_purchase': 'NFT payment',
+    'starsReason.market_fee': 'Sale fee',
+
+    'referral.feeShare': '{share}% of the marketplace fee on their trades',
+    'referral.bonus': '{amount} TON for their first purchase',
+    'referral.terms': 'You earn {terms}.',
+    'referral.and': ' and ',
+    'referral.noRewards': 'Rewards are paused at the moment.',
+    'referral.copy': 'Copy',
+    'referral.share': 'Share',
+    'referral.invited': 'Invited',
+    'referral.earned': 'Earned',
+    'referral.notCounted': 'not counted: {reason}',
+    'referral.reject.same_ip': 'same IP as yours',
+    'referral.none': 'Nobody yet',
+    'referral.copied': 'Link copied',
+    'referral.shareText': 'Buy and sell NFT gifts on MarketHub',
+
+    'giveaway.minBalance': 'balance from {amount} TON',
+    'giveaway.collection': 'an NFT from {name}',
+    'giveaway.noConditions': 'no conditions',
+    'giveaway.active': 'Active',
+    'giveaway.ended': 'Ended',
+    'giveaway.noneActive': 'No giveaways right now',
+    'giveaway.noneEnded': 'No ended giveaways',
+    'giveaway.loadError': 'Giveaways failed to load',
+    'giveaway.cancelled': 'Cancelled',
+    'giveaway.won': 'You won!',
+    'giveaway.drawn': 'Results are in',
+    'giveaway.entries': 'Entries: {count}',
+    'giveaway.joined': "You're in",
+    'giveaway.join': 'Join',
+    'giveaway.joinedToast': "You've joined the giveaway",
+    'giveaway.prize': 'Prize',
+    'giveaway.conditions': 'Conditions',
+    'giveaway.endsAt': 'Ends',
+    'giveaway.entriesLabel': 'Entries',
+    'giveaway.winners': 'Winners',
+    'giveaway.noEntrants': 'no entrants',
+    'giveaway.seedHash': 'sha256(seed), published before the draw',
+    'giveaway.verify': 'Verify the draw',
+    'giveaway.verifyOk': 'The seed matches the published hash and re-running the draw gives the same winners.',
+    'giveaway.verifyFail': 'Verification failed!',
+
+    'notify.giveaway_won': 'You won the giveaway “{title}”: {prize}',
+    'notify.nft_sold': 'Sold {name} #{number} for {price} TON',
+    'notify.auction_outbid': 'You were outbid on {name} #{number}: {amount} TON',
+    'notify.gift_received': 'You received {name} #{number} as a gift',
+    'notify.watchlist_listed': '⭐ {name} #{number} from your watchlist is for sale at {price} TON',
+    'notify.watchlist_drop': '📉 {name} #{number} from your watchlist dropped to {price} TON (was {old} TON)',
+    'notify.price_alert_listing': '🔔 New in the collection: {name} #{number} for {price} TON',
+    'notify.price_alert_drop': '🔔 {name} #{number} is for sale at {price} TON, within your {max} TON',
+
+    'watch.add': 'Add to watchlist',
+    'watch.remove': 'Remove from watchlist',
+    'watch.added': 'Added to watchlist',
+    'watch.removed': 'Removed from watchlist',
+    'watch.none': 'Your watchlist is empty: star NFTs on their cards.',
+
+    'alerts.button': 'Price alerts',
+    'alerts.kind.price_drop': 'Price at most',
+    'alerts.kind.new_listing': 'New listings',
+    'alerts.upTo': '{kind}: up to {price} TON',
+    'alerts.maxPrice': 'Maximum price (TON)',
+    'alerts.hint.price_drop': 'We will tell you when an NFT of the collection is for sale at this price or less.',
+    'alerts.hint.new_listing': 'We will tell you about every new listing of the collection; the price is optional.',
+    'alerts.created': 'Alert created',
+    'alerts.removed': 'Alert removed',
+    'alerts.remove': 'Remove',
+    'alerts.none': 'No alerts',
+    'alerts.howTo': 'Create alerts from a collection panel in the catalog.',
+    'alerts.lastTriggered': 'last triggered {date}',
+    'alerts.notTriggered': 'not triggered yet',
+
+    'activity.feed': 'Feed',
+    'activity.watchlist': 'Watchlist',
+    'activity.alerts': 'Alerts',
+    'activity.more': 'Show more',
+    'activity.none': 'Your purchases, sales, gifts and balance changes will show up here.',
+    'activity.loadError': 'Failed to load the activity',
+    'activity.purchase': 'Bought {nft} from {user}',
+    'activity.sale': 'Sold {nft} to {user}, fee {fee} TON',
+    'activity.gift_received': 'Gift {nft} from {user}',
+    'activity.gift_sent': 'Gift {nft} to {user}',
+    'ledgerReason.deposit': 'Deposit',
+    'ledgerReason.withdrawal': 'Withdrawal',
+    'ledgerReason.withdrawal_refund': 'Withdrawal refund',
+    'ledgerReason.escrow_hold': 'Held for an offer or bid',
+    'ledgerReason.escrow_release': 'Hold released',
+    'ledgerReason.market_fee': 'Marketplace fee',
+    'ledgerReason.giveaway_prize': 'Giveaway prize',
+    'ledgerReason.referral_reward': 'Referral reward',
+    'ledgerReason.stars_to_ton': 'Stars exchanged to TON',
+    'ledgerReason.ton_to_stars': 'TON exchanged to stars',
+    'ledgerReason.admin_credit': 'Credited by an admin',
+    'ledgerReason.admin_debit': 'Debited by an admin',
+
+    'admin.title': 'Admin Panel',
+    'admin.analytics': 'Analytics export',
+    'admin.dataset.sales': 'Sales',
+    'admin.dataset.daily': 'Daily',
+    'admin.dataset.sellers': 'Top sellers',
+    'admin.dataset.buyers': 'Top buyers',
+    'admin.analyticsDays': 'Period, days',
+    'admin.analyticsCollection': 'Collection (optional)',
+    'admin.stat.users': 'Users',
+    'admin.stat.nfts': 'Lots',
+    'admin.stat.for_sale': 'For sale',
+    'admin.stat.hidden': 'Hidden',
+    'admin.stat.active_auctions': 'Auctions',
+    'admin.stat.pending_gifts': 'Pending gifts',
+    'admin.stat.pending_withdrawals': 'Withdrawal requests',
+    'admin.stat.sales_24h': 'Sales in 24h',
+    'admin.stat.volume_24h': 'Volume in 24h',
+    'admin.stat.fees_total': 'Fees',
+    'admin.stat.deposits_total': 'Deposits',
+    'admin.stat.pending_withdrawals_amount': 'To pay out',
+    'admin.starRate': 'Rate: TON per 1 ⭐',
+    'admin.saveRate': 'Save rate',
+    'admin.rateRequired': 'Enter a rate',
+    'admin.users': 'Users',
+    'admin.userQuery': 'ID, @username or name',
+    'admin.find': 'Search',
+    'admin.queryRequired': 'Enter a search query',
+    'admin.noUsers': 'No one found',
+    'admin.lots': 'Lots',
+    'admin.lotQuery': 'Name or number',
+    'admin.visible': 'Visible',
+    'admin.hidden': 'Hidden',
+    'admin.new': 'New',
+    'admin.giveaways': 'Giveaways',
+    'admin.newGiveaway': 'New giveaway',
+    'admin.withdrawals': 'Withdrawal requests',
+    'admin.audit': 'Audit log',
+    'admin.auditTarget': 'User or lot ID',
+    'admin.forSale': ' · for sale at {price} TON',
+    'admin.hiddenMark': ' · hidden',
+    'admin.role': 'Role: {role}',
+    'admin.premiumUntil': ' · Premium until {date}',
+    'admin.wallet': 'Wallet:',
+    'admin.walletNone': 'not linked',
+    'admin.balance': 'Balance:',
+    'admin.adjustAmount': 'TON amount (negative = debit)',
+    'admin.adjustReason': 'Reason (required)',
+    'admin.adjust': 'Adjust balance',
+    'admin.noNfts': 'No NFTs',
+    'admin.operations': 'Transactions',
+    'admin.noOperations': 'No transactions',
+    'admin.amountRequired': 'Enter an amount',
+    'admin.reasonRequired': 'Enter a reason',
+    'admin.newBalance': 'New balance: {balance} TON',
+    'admin.noLots': 'No lots',
+    'admin.state.hidden': 'hidden',
+    'admin.state.auction': 'auction',
+    'admin.state.gift': 'gift',
+    'admin.state.giveaway': 'giveaway',
+    'admin.state.owner': 'owner {id}',
+    'admin.state.forSale': 'for sale',
+    'admin.state.notForSale': 'not for sale',
+    'admin.edit': 'Edit',
+    'admin.show': 'Show',
+    'admin.hide': 'Hide',
+    'admin.lotTitle': 'Lot #{id}',
+    'admin.newLot': 'New lot',
+    'admin.lotName': 'Collection (name)',
+    'admin.lotNumber': 'Number',
+    'admin.lotPrice': 'Price, TON',
+    'admin.lotLink': 't.me/nft/… link (optional)',
+    'admin.lotImage': 'Image URL (optional)',
+    'admin.lotAvailable': 'Sale start (empty = now, Premium gets in earlier)',
+    'admin.lotRequired': 'Fill in the name and number',
+    'admin.lotUpdated': 'Lot updated',
+    'admin.lotCreated': 'Lot created',
+    'admin.hideLot': 'Hide lot #{id}',
+    'admin.showLot': 'Show lot #{id}',
+    'admin.lotHidden': 'Lot hidden',
+    'admin.lotShown': 'Lot is back in the catalog',
+    'admin.noEntries': 'No entries',
+    'admin.exportFailed': 'Export failed',
+    'admin.noActiveGiveaways': 'No active giveaways',
+    'admin.giveawayEntries': 'entries: {count}',
+    'admin.until': 'until {date}',
+    'admin.draw': 'Draw',
+    'admin.winnersToast': 'Winners: {winners}',
+    'admin.giveawayCancelled': 'Giveaway cancelled',
+    'admin.gaTitle': 'Title',
+    'admin.gaDescription': 'Description (optional)',
+    'admin.gaPrizeTon': 'TON prize',
+    'admin.gaPrizeNft': 'NFT prize (a free lot)',
+    'admin.gaAmount': 'TON per winner',
+    'admin.gaWinners': 'Winners',
+    'admin.gaNft': 'Lot ID',
+    'admin.gaPremium': 'Premium only',
+    'admin.gaMinBalance': 'Min. balance, TON (optional)',
+    'admin.gaCollection': 'Requires an NFT from collection: id, e.g. PlushPepe (optional)',
+    'admin.gaTitleRequired': 'Enter a title',
+    'admin.gaCreated': 'Giveaway created',
+    'admin.noRequests': 'No requests',
+    'admin.paidOut': 'Paid out',
+    'admin.payoutTitle': 'Payout #{id}',
+    'admin.rejectTitle': 'Rejection #{id}',
+    'admin.txHash': 'Payout transaction hash (optional)',
+    'admin.requestApproved': 'Request approved',
+    'admin.requestRejected': 'Request rejected'
+  }
+}
+
+const LANGS = Object.keys(MESSAGES)
+const LOCALES = { ru: 'ru-RU', en: 'en-US' }
+const LANG_KEY = 'markethub.lang'
+
+function detectLang() {
+  let saved = null
+  try { saved = localStorage.getItem(LANG_KEY) } catch (e) { /* storage disabled */ }
+  if (LANGS.includes(saved)) return saved
+  const code = window.Telegram?.WebApp?.initDataUnsafe?.user?.language_code || navigator.language || ''
+  return String(code).toLowerCase().startsWith('ru') ? 'ru' : 'en'
+}
+
+let LANG = detectLang()
+
+// t('buy.opensAt', { date }) -> text in the current language (English, then the key, when missing)
+function t(key, vars = {}) {
+  const text = MESSAGES[LANG][key] ?? MESSAGES.en[key] ?? key
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : m))
+}
+
+// label for a code coming from the API (withdrawal status, ledger reason…); unknown codes stay as they are
+function tCode(prefix, code) {
+  const key = prefix + '.' + code
+  return key in MESSAGES[LANG] || key in MESSAGES.en ? t(key) : code
+}
+
+// manual override; the caller re-renders what is on screen
+function setLang(lang) {
+  if (!LANGS.includes(lang)) return
+  LANG = lang
+  try { localStorage.setItem(LANG_KEY, lang) } catch (e) { /* storage disabled */ }
+  applyI18n(document)
+}
+
+function applyI18n(root) {
+  document.documentElement.lang = LANG
+  root.querySelectorAll('[data-i18n]').forEach(el => { el.textContent = t(el.dataset.i18n) })
+  root.querySelectorAll('[data-i18n-placeholder]').forEach(el => { el.placeholder = t(el.dataset.i18nPlaceholder) })
+  root.querySelectorAll('[data-i18n-title]').forEach(el => { el.title = t(el.dataset.i18nTitle) })
+}
+
+// server errors come translated (lib/i18n.js); the bare code is the last resort
+function errorText(j) {
+  if (j && j.message) return j.message
+  return t('error.generic') + (j && j.error ? ': ' + j.error : '')
+}
+
+function formatNumber(n) {
+  return new Intl.NumberFormat(LOCALES[LANG]).format(Number(n) || 0)
+}
+
+// nanoTON integer -> '1 234,5' / '1,234.5': exact digits, grouping and separator of the locale
+function formatTon(nano) {
+  const n = Math.trunc(Number(nano) || 0)
+  const abs = Math.abs(n)
+  const frac = String(abs % 1e9).padStart(9, '0').replace(/0+$/, '')
+  const decimal = new Intl.NumberFormat(LOCALES[LANG]).formatToParts(1.5).find(p => p.type === 'decimal').value
+  return (n < 0 ? '-' : '') + formatNumber(Math.floor(abs / 1e9)) + (frac ? decimal + frac : '')
+}
+
+// nanoTON -> '2.5' for input fields (what the API parses), never localized
+function tonInput(nano) {
+  const n = Math.trunc(Number(nano) || 0)
+  const abs = Math.abs(n)
+  const frac = String(abs % 1e9).padStart(9, '0').replace(/0+$/, '')
+  return (n < 0 ? '-' : '') + Math.floor(abs / 1e9) + (frac ? '.' + frac : '')
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString(LOCALES[LANG])
+}
+
+function formatDateTime(value) {
+  return new Date(value).toLocaleString(LOCALES[LANG])
+}
+
+function formatTime(value) {
+  return new Date(value).toLocaleTimeString(LOCALES[LANG])
+}
@@ -2,19 +2,34 @@
  * script.js - client logic for MarketHub (static frontend)
  *
  * - Handles splash animation -> main UI
- * - Auth: sends Telegram WebApp initData to /api/auth/verify
- * - Loads /api/nfts and renders 2-up grid
+ * - Auth: sends Telegram WebApp initData to /api/auth/verify, keeps the returned
+ *   access/refresh tokens and sends `Authorization: Bearer` on every API call (see api())
+ * - Loads /api/nfts page by page (infinite scroll) and renders 2-up grid; search bar, status /
+ *   collection chips, price range and sort map to the catalog query parameters
+ * - Collections (/api/collections/:id): stats and traits above the grid while one is selected;
+ *   a card's image or title opens the NFT detail (/api/nfts/:id) with traits and rarity rank, and
+ *   small charts of its sale prices and its collection's floor and volume (/api/analytics)
  * - Buy button calls /api/nft/buy (uses internal balance)
- * - Premium&Stars buttons: placeholder for TonConnect integration
- * - Admin tab visible only to ADMIN_TELEGRAM_ID (returned in user.id)
+ * - Owners can list / delist / reprice their NFTs (/api/market/*), every card shows sale history
+ * - Offers (/api/offers) and timed auctions (/api/auctions): cards show current bid + countdown
+ * - My Gifts tab: received/sent gifts, claim into inventory, re-gift (/api/gifts/*)
+ * - Premium&Stars: TON payment intents (/api/payments), credited after on-chain verification;
+ *   premium plans stack on the current expiry, status and perks come from /api/me;
+ *   stars (/api/stars): second currency for purchases and fees, convertible to/from TON;
+ *   TonConnect wallet linking, deposits and withdrawal requests (/api/wallet)
+ * - Watchlist (star on a card), collection price alerts (collection panel) and the Activity tab:
+ *   purchases, sales, gifts and balance changes (/api/watchlist, /api/alerts, /api/activity);
+ *   alerts arrive live as SSE `notification` events
+ * - Admin tab visible only when the server returns role `admin`
+ * - Strings, numbers and dates go through public/i18n.js (t(), formatTon(), formatDateTime()…);
+ *   api() sends the UI language so error responses carry a translated `message` (errorText())
  *
  * Notes:
  *  - This frontend expects to be opened inside Telegram MiniApp (window.Telegram.WebApp).
- *  - For local testing you can mock initData by calling `window.mockInitData = true`
+ *  - For local testing set `window.mockInitData = true` (or `{ id, first_name }`): with DEV_AUTH=1 the
+ *    server signs initData for that user (POST /api/auth/dev-initdata)
  */
 
-const ADMIN_TELEGRAM_ID = '6828395702'
-
 const $ = (sel) => document.querySelector(sel)
 const $all = (sel) => Array.from(document.querySelectorAll(sel))
 
@@ -24,11 +39,18 @@ const catalog = $('#catalog')
 const balanceAmountEl = $('#balance-amount')
 const toastEl = $('#toast')
 const adminTab = $('#admin-tab')
+const catalogFilters = $('#catalog-filters')
 
 let APP = {
   user: null,
+  role: 'user',
   token: null,
-  balance: 0,
+  refreshToken: null,
+  balance: 0, // nanoTON
+  wallet: null, // linked TON wallet (/api/wallet)
+  me: null, // profile, stars, premium state and perks (/api/me)
+  starRate: null, // nanoTON per star (catalog pages carry it)
+  watchlist: new Set(), // watched NFT ids (/api/watchlist)
   nfts: []
 }
 
@@ -38,224 +60,2253 @@ function showToast(text, timeout = 2500) {
   setTimeout(()=> toastEl.classList.add('hidden'), timeout)
 }
 
+// fetch wrapper: JSON body + bearer token; on 401 tries one token refresh and retries
+// idempotencyKey: money-moving calls send the same key on every retry of one action (lib/idempotency.js)
+async function api(path, { method = 'GET', body, idempotencyKey } = {}) {
+  const send = () => {
+    const headers = { 'Accept-Language': LANG }
+    if (body !== undefined) headers['Content-Type'] = 'application/json'
+    if (APP.token) headers['Authorization'] = 'Bearer ' + APP.token
+    if (idempotencyKey) headers['Idempotency-Key'] = idempotencyKey
+    return fetch(path, { method, headers, body: body !== undefined ? JSON.stringify(body) : undefined })
+  }
+  let r = await send()
+  if (r.status === 401 && APP.refreshToken && await refreshSession()) r = await send()
+  return r.json()
+}
+
+async function refreshSession() {
+  try {
+    const r = await fetch('/api/auth/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept-Language': LANG },
+      body: JSON.stringify({ refresh_token: APP.refreshToken })
+    })
+    const j = await r.json()
+    if (!j.ok) { APP.token = null; APP.refreshToken = null; return false }
+    applySession(j)
+    return true
+  } catch (e) {
+    console.error(e)
+    return false
+  }
+}
+
+function applySession(j) {
+  APP.token = j.token
+  APP.refreshToken = j.refresh_token
+  APP.role = j.role || 'user'
+  adminTab.style.display = APP.role === 'admin' ? 'inline-block' : 'none'
+}
+
+// null when the server isn't in development mode
+async function devInitData(user) {
+  try {
+    const r = await fetch('/api/auth/dev-initdata', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept-Language': LANG },
+      body: JSON.stringify({ user })
+    })
+    const j = await r.json()
+    return j.ok ? j.initData : null
+  } catch (e) {
+    console.error(e)
+    return null
+  }
+}
+
 async function verifyTelegram() {
   // If inside Telegram, get initData from window.Telegram.WebApp.initData
   let initData = window.Telegram && window.Telegram.WebApp && window.Telegram.WebApp.initData ? window.Telegram.WebApp.initData : null
 
-  // For local dev: allow mock
+  // For local dev: initData signed by the server in development mode (DEV_AUTH=1)
   if (!initData && window.mockInitData) {
-    // a minimal initData string that server can accept only if TELEGRAM_BOT_TOKEN isn't checked.
-    initData = 'user=%7B%22id%22%3A12345678%2C%22first_name%22%3A%22Demo%22%7D&hash=fakehash'
+    initData = await devInitData(typeof window.mockInitData === 'object' ? window.mockInitData : { id: 12345678, first_name: 'Demo' })
   }
 
   if (!initData) {
     // still show UI but not authenticated
-    showToast('Откройте приложение из Telegram чтобы авторизоваться.', 3000)
+    showToast(t('auth.openInTelegram'), 3000)
     renderMain()
+    connectLive()
     return
   }
 
   try {
     const r = await fetch('/api/auth/verify', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'Accept-Language': LANG },
       body: JSON.stringify({ initData })
     })
     const j = await r.json()
     if (j.ok) {
       APP.user = j.user
-      APP.token = j.token
-      // show admin tab if matches
-      if (APP.user && String(APP.user.id) === ADMIN_TELEGRAM_ID) {
-        adminTab.style.display = 'inline-block'
-      }
+      // stores tokens and shows admin tab for role `admin`
+      applySession(j)
+      connectLive()
       // fetch initial balance (server-side or mock)
       await refreshBalance()
+      await loadWatchlist()
       await loadNFTs()
+      showNotifications()
+      if (j.referral && j.referral.ok) showToast(t('auth.invited'))
     } else {
-      showToast('Auth failed: ' + (j.error || 'unknown'))
+      showToast(t('auth.failed', { reason: errorText(j) }))
       await loadNFTs() // still load nfts
+      connectLive()
     }
   } catch (e) {
     console.error(e)
-    showToast('Ошибка сети при авторизации')
+    showToast(t('auth.networkError'))
     await loadNFTs()
   }
 }
 
+// ========== Live updates (GET /api/events, lib/realtime.js) ==========
+// catalog cards are replaced in place, the balance follows the ledger; anonymous users get cards only
+const LIVE = { source: null, connected: false, retry: null }
+
+function connectLive() {
+  if (!window.EventSource) return
+  if (LIVE.source) LIVE.source.close()
+  clearTimeout(LIVE.retry)
+  const source = new EventSource('/api/events' + (APP.token ? '?token=' + encodeURIComponent(APP.token) : ''))
+  LIVE.source = source
+  source.addEventListener('hello', () => { LIVE.connected = true })
+  source.addEventListener('nft', (e) => applyNftEvent(JSON.parse(e.data)))
+  source.addEventListener('balance', (e) => {
+    const d = JSON.parse(e.data)
+    setBalance(d.balance)
+    if (APP.me) APP.me.stars = d.stars
+  })
+  source.addEventListener('notification', (e) => showLiveNotification(JSON.parse(e.data)))
+  source.onerror = async () => {
+    LIVE.connected = false
+    // the browser reconnects by itself unless the server refused (expired token): refresh, then reconnect
+    if (source.readyState !== EventSource.CLOSED) return
+    if (APP.refreshToken) await refreshSession()
+    LIVE.retry = setTimeout(connectLive, 5000)
+  }
+}
+
+// only cards on the loaded catalog pages change; new lots show up on the next load
+function applyNftEvent({ type, nft, id }) {
+  const nftId = nft ? nft.id : id
+  const index = APP.nfts.findIndex(n => n.id === nftId)
+  if (index === -1) return
+  const card = catalog.querySelector(`.card[data-nft-id="${nftId}"]`)
+  if (type === 'removed') {
+    APP.nfts.splice(index, 1)
+    if (card) card.remove()
+    return
+  }
+  APP.nfts[index] = nft
+  if (!card) return
+  const fresh = renderNFTCard(nft)
+  fresh.classList.add('flash')
+  card.replaceWith(fresh)
+}
+
+// balance, stars and premium come from GET /api/me; other calls update the balance from their responses
 async function refreshBalance() {
-  // For demo: balance is in /api/nfts? we will infer from a simple call:
-  // Ideally we have an endpoint /api/balance; here we fetch nfts and read mock balances if available
-  // We'll call /api/nfts just to trigger server; balance in mock is stored client-side via /api/admin/add_balance previously.
   try {
-    // attempt to infer balance by calling /api/nfts (server doesn't return balance)
-    // Instead we'll show placeholder for now and rely on server responses to update
-    // Try to fetch a specific endpoint /api/balance (not implemented); fallback to stored APP.balance
-    balanceAmountEl.textContent = (APP.balance !== null) ? (APP.balance + ' TON') : '--'
+    if (APP.token) {
+      const j = await api('/api/me')
+      if (j.ok) {
+        APP.me = j
+        APP.balance = j.balance
+        APP.wallet = j.wallet
+      }
+    }
+    balanceAmountEl.textContent = (APP.balance !== null) ? (formatTon(APP.balance) + ' TON') : '--'
   } catch (e) {
     balanceAmountEl.textContent = '--'
   }
 }
 
+function setBalance(nano) {
+  APP.balance = nano
+  balanceAmountEl.textContent = formatTon(nano) + ' TON'
+}
+
 function renderNFTCard(nft) {
   const div = document.createElement('div')
   div.className = 'card'
+  div.dataset.nftId = nft.id
+  const mine = !!(APP.user && nft.owner_id === String(APP.user.id))
   div.innerHTML = `
-    <div class="img-wrap"><img src="${nft.image_url || '/assets/placeholder1.png'}" alt="${nft.name}"></div>
+    <div class="img-wrap"><img src="${nft.image_url || '/assets/placeholder1.png'}" alt="${escapeHtml(nft.name)}"></div>
+    ${APP.user ? '<button class="watch-btn"></button>' : ''}
     <h4>${escapeHtml(nft.name)} #${escapeHtml(String(nft.number))}</h4>
-    <div class="price-row"><div>${nft.price} </div><div style="opacity:0.7">TON</div></div>
-    <button class="buy-btn" data-id="${nft.id}">${nft.owner_id ? 'Owned' : 'Купить'}</button>
+    <div class="price-row"><div>${formatTon(nft.price)} </div><div style="opacity:0.7">TON${nft.price_stars ? ' · ' + formatNumber(nft.price_stars) + ' ⭐' : ''}</div></div>
+    ${nft.auction ? renderAuctionInfo(nft.auction) : ''}
+    ${dropOpensAt(nft) ? renderDropInfo(nft) : ''}
+    <div class="card-actions"></div>
+    <button class="link-btn history-btn">${t('card.history')}</button>
   `
-  const btn = div.querySelector('.buy-btn')
-  if (nft.owner_id) btn.disabled = true
-  btn.addEventListener('click', async (e) => {
-    if (!APP.user) return showToast('Авторизуйтесь в Telegram внутри WebApp.')
-    if (nft.owner_id) return showToast('Лот уже куплен')
-    // BUY via internal balance
-    try {
-      const r = await fetch('/api/nft/buy', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ buyer_id: APP.user.id, nft_id: nft.id })
+  const actions = div.querySelector('.card-actions')
+  const addAction = (label, onClick) => {
+    const btn = document.createElement('button')
+    btn.className = 'buy-btn'
+    btn.dataset.id = nft.id
+    btn.textContent = label
+    btn.addEventListener('click', onClick)
+    actions.appendChild(btn)
+    return btn
+  }
+
+  const auction = nft.auction
+  if (auction && mine) {
+    const btn = addAction(t('card.cancelAuction'), () => marketAction('/api/auctions/' + auction.id + '/cancel', {}, t('market.auctionCancelled')))
+    if (auction.top_bid_amount) btn.disabled = true
+  } else if (auction) {
+    addAction(t('card.bid'), () => promptPrice(t('market.bidPrompt'), nextMinBid(auction), (amount) => marketAction('/api/auctions/' + auction.id + '/bid', { amount }, t('market.bidPlaced'))))
+  } else if (mine && nft.for_sale) {
+    addAction(t('card.reprice'), () => promptPrice(t('market.newPrice'), nft.price, (price) => marketAction('/api/market/reprice', { nft_id: nft.id, price }, t('market.repriced'))))
+    addAction(t('card.delist'), () => marketAction('/api/market/delist', { nft_id: nft.id }, t('market.delisted')))
+  } else if (mine) {
+    addAction(t('card.sell'), () => promptPrice(t('market.sellPrice'), nft.price, (price) => marketAction('/api/market/list', { nft_id: nft.id, price }, t('market.listed'))))
+    addAction(t('card.auction'), () => promptAuction(nft))
+    addAction(t('card.gift'), () => promptGift(nft))
+  } else {
+    const btn = addAction(nft.for_sale ? t('card.buy') : t('card.owned'), () => buyNFT(nft))
+    if (!nft.for_sale) btn.disabled = true
+    // offers go to an owner; platform stock is bought at its price only (routes/offers.js)
+    if (nft.owner_id) {
+      addAction(t('card.offer'), () => promptPrice(t('market.offerPrompt'), nft.price, (amount) => marketAction('/api/offers', { nft_id: nft.id, amount }, t('market.offerSent'))))
+    }
+  }
+
+  if (mine) {
+    const offersBtn = document.createElement('button')
+    offersBtn.className = 'link-btn'
+    offersBtn.textContent = t('card.offers')
+    offersBtn.addEventListener('click', () => showOffers(nft))
+    div.appendChild(offersBtn)
+  }
+
+  const watchBtn = div.querySelector('.watch-btn')
+  if (watchBtn) initWatchButton(watchBtn, nft.id)
+  div.querySelector('.history-btn').addEventListener('click', () => showSaleHistory(nft))
+  div.querySelector('.img-wrap').addEventListener('click', () => showNftDetail(nft.id))
+  div.querySelector('h4').addEventListener('click', () => showNftDetail(nft.id))
+  return div
+}
+
+async function showNftDetail(nftId) {
+  const body = openModal(`<div class="muted">${t('common.loading')}</div>`)
+  try {
+    const j = await api('/api/nfts/' + nftId)
+    if (!j.ok) { body.querySelector('.muted').textContent = errorText(j); return }
+    const nft = j.nft
+    const traits = (nft.attributes || []).map(a => `
+      <li><span class="muted">${escapeHtml(a.trait)}</span><b>${escapeHtml(a.value)}${a.rarity !== null ? ` <span class="muted">${a.rarity}%</span>` : ''}</b></li>`).join('')
+    body.innerHTML = `
+      <h3>${escapeHtml(nft.name)} #${escapeHtml(String(nft.number))}</h3>
+      <div class="img-wrap gift-detail-img"><img src="${nft.image_url || '/assets/placeholder1.png'}" alt=""></div>
+      <ul class="history">
+        <li><span class="muted">${t('nft.price')}</span><b>${formatTon(nft.price)} TON${nft.price_stars ? ' · ' + formatNumber(nft.price_stars) + ' ⭐' : ''}</b></li>
+        ${nft.collection ? `<li><span class="muted">${t('nft.collection')}</span><button class="link-btn" id="nft-collection">${escapeHtml(nft.collection.name)} · ${nft.collection.count} NFT</button></li>` : ''}
+        ${nft.rarity_rank ? `<li><span class="muted">${t('nft.rarity')}</span><b>${t('nft.rarityRank', { score: nft.rarity_score, rank: nft.rarity_rank })}</b></li>` : ''}
+        ${traits || `<li class="muted">${t('nft.noTraits')}</li>`}
+        ${nft.link ? `<li><a href="${escapeHtml(nft.link)}" target="_blank" rel="noopener">${escapeHtml(nft.link)}</a></li>` : ''}
+      </ul>
+      <div id="nft-charts"></div>
+      <div class="modal-actions">
+        <button class="btn small" id="nft-history">${t('card.history')}</button>
+      </div>
+    `
+    body.querySelector('#nft-history').addEventListener('click', () => showSaleHistory(nft))
+    renderNftCharts(body.querySelector('#nft-charts'), nft)
+    const collectionBtn = body.querySelector('#nft-collection')
+    if (collectionBtn) {
+      collectionBtn.addEventListener('click', () => {
+        closeModal()
+        if (!tabActive('catalog')) return
+        selectCollection(nft.collection.id)
       })
-      const j = await r.json()
-      if (j.ok) {
-        showToast('Покупка успешна')
-        APP.balance = j.balance
-        balanceAmountEl.textContent = APP.balance + ' TON'
-        // reload nfts
-        await loadNFTs()
+    }
+  } catch (e) {
+    console.error(e)
+    body.querySelector('.muted').textContent = t('common.networkError')
+  }
+}
+
+// ========== charts (NFT detail, /api/analytics) ==========
+// inline SVG: a line through `values` (null = gap) over optional `bars` on their own scale
+function miniChart({ values, bars = null, width = 300, height = 64 }) {
+  const pad = 4
+  const x = (i) => pad + (values.length > 1 ? i * (width - 2 * pad) / (values.length - 1) : (width - 2 * pad) / 2)
+  let svg = ''
+  if (bars) {
+    const top = Math.max(...bars, 0)
+    const w = Math.max((width - 2 * pad) / bars.length - 1, 1)
+    bars.forEach((b, i) => {
+      if (!b || !top) return
+      const h = b * (height - 2 * pad) / top
+      svg += `<rect class="chart-bar" x="${(x(i) - w / 2).toFixed(1)}" y="${(height - pad - h).toFixed(1)}" width="${w.toFixed(1)}" height="${h.toFixed(1)}"></rect>`
+    })
+  }
+  const nums = values.filter(v => v !== null)
+  if (nums.length) {
+    const min = Math.min(...nums)
+    const max = Math.max(...nums)
+    const y = (v) => height - pad - (max === min ? (height - 2 * pad) / 2 : (v - min) * (height - 2 * pad) / (max - min))
+    let d = ''
+    let open = false
+    values.forEach((v, i) => {
+      if (v === null) { open = false; return }
+      d += `${open ? 'L' : 'M'}${x(i).toFixed(1)},${y(v).toFixed(1)} `
+      open = true
+    })
+    svg += `<path class="chart-line" d="${d.trim()}"></path>`
+    if (nums.length === 1) {
+      const i = values.findIndex(v => v !== null)
+      svg += `<circle class="chart-dot" cx="${x(i).toFixed(1)}" cy="${y(values[i]).toFixed(1)}" r="3"></circle>`
+    }
+  }
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${svg}</svg>`
+}
+
+async function renderNftCharts(box, nft) {
+  try {
+    const [prices, collection] = await Promise.all([
+      api('/api/analytics/nfts/' + nft.id),
+      nft.collection ? api('/api/analytics/collections/' + encodeURIComponent(nft.collection.id) + '?days=30') : null
+    ])
+    let html = ''
+    if (prices.ok) {
+      html += `<div class="chart-box"><div class="chart-head"><b>${t('chart.priceHistory')}</b>`
+      if (prices.sales_count) {
+        html += `<span class="muted">${t('chart.range', { min: formatTon(prices.min_price), max: formatTon(prices.max_price) })}</span></div>`
+        html += miniChart({ values: prices.points.map(p => p.price) })
+        html += `<div class="muted">${t('chart.lastSale', { price: formatTon(prices.last_price), count: formatNumber(prices.sales_count) })}</div>`
       } else {
-        if (j.error === 'insufficient_balance') {
-          showToast('Недостаточно средств. Обратитесь к администратору.')
-        } else {
-          showToast('Ошибка покупки: ' + (j.error || 'unknown'))
-        }
+        html += `</div><div class="muted">${t('chart.noSales')}</div>`
+      }
+      html += '</div>'
+    }
+    if (collection && collection.ok) {
+      const series = collection.series
+      const volume = series.reduce((sum, d) => sum + d.volume, 0)
+      const floor = collection.collection.floor_price
+      html += `
+        <div class="chart-box">
+          <div class="chart-head"><b>${t('chart.collection30d')}</b><span class="muted">${t('chart.floorLegend')}</span></div>
+          ${miniChart({ values: series.map(d => d.floor_price), bars: series.map(d => d.volume) })}
+          <div class="muted">${t('chart.floorNow', { floor: floor !== null ? formatTon(floor) + ' TON' : '—', volume: formatTon(volume) })}</div>
+        </div>`
+    }
+    box.innerHTML = html
+  } catch (e) {
+    console.error(e)
+  }
+}
+
+// with stars on the account the buyer picks the currency, otherwise it's TON
+function buyNFT(nft) {
+  if (!APP.user) return showToast(t('common.signIn'))
+  if (!nft.for_sale) return showToast(t('buy.alreadySold'))
+  if (!APP.me || !APP.me.stars || !nft.price_stars) return purchaseNFT(nft, 'ton')
+  const body = openModal(`
+    <h3>${escapeHtml(nft.name)} #${escapeHtml(String(nft.number))}</h3>
+    <div class="muted">${t('buy.youHave', { stars: formatNumber(APP.me.stars) })}</div>
+    <div class="modal-actions">
+      <button class="btn small" id="buy-stars" ${APP.me.stars < nft.price_stars ? 'disabled' : ''}>${formatNumber(nft.price_stars)} ⭐</button>
+      <button class="buy-btn" id="buy-ton">${formatTon(nft.price)} TON</button>
+    </div>
+  `)
+  body.querySelector('#buy-stars').addEventListener('click', () => { closeModal(); purchaseNFT(nft, 'stars') })
+  body.querySelector('#buy-ton').addEventListener('click', () => { closeModal(); purchaseNFT(nft, 'ton') })
+}
+
+// one key per purchase attempt: a second tap or a retry after a network error can't buy twice
+const PENDING_BUYS = new Map() // nft id + currency -> Idempotency-Key
+
+function newIdempotencyKey() {
+  return (window.crypto && crypto.randomUUID) ? crypto.randomUUID() : Date.now() + '-' + Math.random().toString(36).slice(2)
+}
+
+async function purchaseNFT(nft, currency) {
+  // BUY via internal balance or stars
+  const attempt = nft.id + ':' + currency
+  if (!PENDING_BUYS.has(attempt)) PENDING_BUYS.set(attempt, newIdempotencyKey())
+  try {
+    const j = await api('/api/nft/buy', { method: 'POST', body: { nft_id: nft.id, currency }, idempotencyKey: PENDING_BUYS.get(attempt) })
+    if (j.error === 'request in progress') return showToast(t('buy.inProgress'))
+    if (j.error === 'rate limited') return showToast(errorText(j))
+    PENDING_BUYS.delete(attempt)
+    if (j.ok) {
+      showToast(currency === 'stars' ? t('buy.successStars', { stars: formatNumber(j.stars_spent) }) : t('buy.success'))
+      if (currency === 'stars' && APP.me) APP.me.stars = j.stars
+      APP.balance = j.balance
+      balanceAmountEl.textContent = formatTon(APP.balance) + ' TON'
+      // the card updates itself through the live channel; reload without it
+      if (!LIVE.connected) await loadNFTs()
+    } else {
+      if (j.error === 'insufficient_balance') {
+        showToast(t('buy.insufficientBalance'))
+      } else if (j.error === 'insufficient_stars') {
+        showToast(errorText(j))
+      } else if (j.error === 'not available yet') {
+        showToast(t('buy.opensAt', { date: formatDateTime(j.available_at) }) + (j.early_access_minutes ? '' : '\n' + t('buy.premiumEarlier')))
+      } else {
+        showToast(t('buy.failed', { reason: errorText(j) }))
       }
-    } catch (err) {
-      console.error(err)
-      showToast('Сетевая ошибка при покупке')
     }
+  } catch (err) {
+    console.error(err)
+    showToast(t('buy.networkError'))
+  }
+}
+
+// list / delist / reprice / offers / bids
+async function marketAction(path, body, okText) {
+  try {
+    const j = await api(path, { method: 'POST', body })
+    if (!j.ok) {
+      if (j.error === 'listing limit') return showToast(errorText(j) + '\n' + t('market.premiumLimit'))
+      return showToast(errorText(j))
+    }
+    showToast(okText)
+    if (typeof j.balance === 'number') {
+      APP.balance = j.balance
+      balanceAmountEl.textContent = formatTon(APP.balance) + ' TON'
+    }
+    if (!LIVE.connected) await loadNFTs()
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+function promptPrice(title, currentNano, onSubmit) {
+  const body = openModal(`
+    <h3>${escapeHtml(title)}</h3>
+    <input id="price-input" inputmode="decimal" value="${tonInput(currentNano)}" />
+    <div class="modal-actions">
+      <button class="btn small" id="price-cancel">${t('common.cancel')}</button>
+      <button class="buy-btn" id="price-ok">${t('common.ok')}</button>
+    </div>
+  `)
+  body.querySelector('#price-cancel').addEventListener('click', closeModal)
+  body.querySelector('#price-ok').addEventListener('click', () => {
+    const price = body.querySelector('#price-input').value.trim().replace(',', '.')
+    if (!price || !(Number(price) > 0)) return showToast(t('market.enterPrice'))
+    closeModal()
+    onSubmit(price)
   })
-  return div
+}
+
+// free-text modal; empty input is allowed (optional fields)
+function promptText(title, placeholder, onSubmit) {
+  const body = openModal(`
+    <h3>${escapeHtml(title)}</h3>
+    <input id="text-input" placeholder="${escapeHtml(placeholder)}" />
+    <div class="modal-actions">
+      <button class="btn small" id="text-cancel">${t('common.cancel')}</button>
+      <button class="buy-btn" id="text-ok">${t('common.ok')}</button>
+    </div>
+  `)
+  body.querySelector('#text-cancel').addEventListener('click', closeModal)
+  body.querySelector('#text-ok').addEventListener('click', () => {
+    const value = body.querySelector('#text-input').value.trim()
+    closeModal()
+    onSubmit(value)
+  })
+}
+
+// ========== auctions ==========
+function nextMinBid(auction) {
+  return auction.top_bid_amount ? auction.top_bid_amount + auction.min_increment : auction.start_price
+}
+
+function renderAuctionInfo(auction) {
+  const label = auction.top_bid_amount
+    ? t('auction.bid', { amount: formatTon(auction.top_bid_amount) })
+    : t('auction.start', { amount: formatTon(auction.start_price) })
+  return `
+    <div class="auction-row">
+      <span>${label}</span>
+      <span class="countdown" data-ends-at="${escapeHtml(auction.ends_at)}">${formatCountdown(auction.ends_at)}</span>
+    </div>`
+}
+
+// primary drops: when the lot can be bought by the current user (premium early access), null = now
+function dropOpensAt(nft) {
+  if (nft.owner_id || !nft.available_at) return null
+  const premium = APP.me && APP.me.premium
+  const early = premium && premium.active ? premium.perks.early_access_minutes || 0 : 0
+  const opensAt = new Date(new Date(nft.available_at).getTime() - early * 60000)
+  return opensAt > new Date() ? opensAt.toISOString() : null
+}
+
+function renderDropInfo(nft) {
+  const opensAt = dropOpensAt(nft)
+  const early = new Date(opensAt) < new Date(nft.available_at)
+  return `
+    <div class="auction-row">
+      <span>${early ? t('drop.early') : t('drop.start')}</span>
+      <span class="countdown" data-ends-at="${escapeHtml(opensAt)}">${formatCountdown(opensAt)}</span>
+    </div>`
+}
+
+function formatCountdown(endsAt) {
+  const left = Math.max(0, Math.floor((new Date(endsAt).getTime() - Date.now()) / 1000))
+  if (!left) return t('countdown.ended')
+  const h = Math.floor(left / 3600)
+  const m = Math.floor((left % 3600) / 60)
+  const sec = String(left % 60).padStart(2, '0')
+  return h ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`
+}
+
+function updateCountdowns() {
+  $all('.countdown[data-ends-at]').forEach(el => { el.textContent = formatCountdown(el.dataset.endsAt) })
+}
+
+function promptAuction(nft) {
+  const body = openModal(`
+    <h3>${escapeHtml(t('auction.title', { name: nft.name + ' #' + nft.number }))}</h3>
+    <div class="form-col">
+      <input id="auction-start" inputmode="decimal" placeholder="${t('auction.startPrice')}" value="${tonInput(nft.price)}" />
+      <input id="auction-step" inputmode="decimal" placeholder="${t('auction.step')}" value="0.1" />
+      <select id="auction-duration">
+        <option value="60">${t('duration.1h')}</option>
+        <option value="360">${t('duration.6h')}</option>
+        <option value="1440" selected>${t('duration.24h')}</option>
+        <option value="4320">${t('duration.3d')}</option>
+      </select>
+    </div>
+    <div class="modal-actions">
+      <button class="btn small" id="auction-cancel">${t('common.cancel')}</button>
+      <button class="buy-btn" id="auction-ok">${t('auction.launch')}</button>
+    </div>
+  `)
+  body.querySelector('#auction-cancel').addEventListener('click', closeModal)
+  body.querySelector('#auction-ok').addEventListener('click', () => {
+    const start_price = body.querySelector('#auction-start').value.trim().replace(',', '.')
+    const min_increment = body.querySelector('#auction-step').value.trim().replace(',', '.')
+    const duration_minutes = Number(body.querySelector('#auction-duration').value)
+    if (!(Number(start_price) > 0) || !(Number(min_increment) > 0)) return showToast(t('auction.checkPrices'))
+    closeModal()
+    marketAction('/api/auctions', { nft_id: nft.id, start_price, min_increment, duration_minutes }, t('auction.started'))
+  })
+}
+
+// ========== offers ==========
+async function showOffers(nft) {
+  const body = openModal(`<h3>${escapeHtml(t('offers.title', { name: nft.name + ' #' + nft.number }))}</h3><div class="muted">${t('common.loading')}</div>`)
+  try {
+    const j = await api('/api/nfts/' + nft.id + '/offers')
+    if (!j.ok) { body.querySelector('.muted').textContent = errorText(j); return }
+    if (!j.offers.length) { body.querySelector('.muted').textContent = t('offers.none'); return }
+    const list = document.createElement('ul')
+    list.className = 'history'
+    j.offers.forEach(o => {
+      const li = document.createElement('li')
+      li.innerHTML = `
+        <b>${formatTon(o.amount)} TON</b>
+        <span class="muted">${escapeHtml(t('offers.from', { user: o.buyer_id, date: formatDateTime(o.created_at) }))}</span>
+        <div class="card-actions">
+          <button class="buy-btn" data-act="accept">${t('offers.accept')}</button>
+          <button class="btn small" data-act="reject">${t('common.reject')}</button>
+        </div>`
+      li.querySelector('[data-act="accept"]').addEventListener('click', () => { closeModal(); marketAction('/api/offers/' + o.id + '/accept', {}, t('offers.sold')) })
+      li.querySelector('[data-act="reject"]').addEventListener('click', () => { closeModal(); marketAction('/api/offers/' + o.id + '/reject', {}, t('offers.rejected')) })
+      list.appendChild(li)
+    })
+    body.querySelector('.muted').replaceWith(list)
+  } catch (e) {
+    console.error(e)
+    body.querySelector('.muted').textContent = t('common.networkError')
+  }
+}
+
+async function showSaleHistory(nft) {
+  const body = openModal(`<h3>${escapeHtml(nft.name)} #${escapeHtml(String(nft.number))}</h3><div class="muted">${t('common.loading')}</div>`)
+  try {
+    const j = await api('/api/nfts/' + nft.id + '/sales')
+    if (!j.ok) { body.querySelector('.muted').textContent = errorText(j); return }
+    const rows = (j.sales || []).map(s => `
+      <li>
+        <span>${formatDateTime(s.created_at)}</span>
+        <b>${formatTon(s.price)} TON</b>
+        <span class="muted">${s.seller_id ? escapeHtml(s.seller_id) : 'MarketHub'} → ${escapeHtml(s.buyer_id)}</span>
+      </li>`).join('')
+    body.querySelector('.muted').outerHTML = rows ? `<ul class="history">${rows}</ul>` : `<div class="muted">${t('sales.none')}</div>`
+  } catch (e) {
+    console.error(e)
+    body.querySelector('.muted').textContent = t('common.networkError')
+  }
+}
+
+// ========== modal ==========
+function openModal(html) {
+  const modal = $('#modal')
+  const body = modal.querySelector('.modal-body')
+  body.innerHTML = html
+  modal.classList.remove('hidden')
+  return body
+}
+
+function closeModal() {
+  $('#modal').classList.add('hidden')
 }
 
 function escapeHtml(s) { return String(s).replace(/[&<>"']/g, (m)=> ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;'}[m])) }
 
+// ========== Catalog: filters + infinite scroll ==========
+const CATALOG = {
+  filters: { q: '', collection: '', status: '', min_price: '', max_price: '', sort: 'newest' },
+  cursor: null,
+  done: false,
+  loading: false,
+  seq: 0 // bumped on every reload so responses for old filters are dropped
+}
+const catalogMore = document.createElement('div')
+catalogMore.className = 'full muted catalog-more'
+
+function catalogQuery() {
+  const params = new URLSearchParams()
+  Object.entries(CATALOG.filters).forEach(([k, v]) => { if (v) params.set(k, v) })
+  if (CATALOG.cursor) params.set('cursor', CATALOG.cursor)
+  return params.toString()
+}
+
+// first page for the current filters
 async function loadNFTs() {
+  CATALOG.seq++
+  CATALOG.cursor = null
+  CATALOG.done = false
+  CATALOG.loading = false
+  APP.nfts = []
   catalog.innerHTML = ''
+  catalogFilters.classList.remove('hidden')
+  await loadMoreNFTs()
+}
+
+async function loadMoreNFTs() {
+  if (CATALOG.loading || CATALOG.done) return
+  const seq = CATALOG.seq
+  CATALOG.loading = true
+  catalogMore.textContent = t('common.loading')
+  catalog.appendChild(catalogMore)
   try {
-    const r = await fetch('/api/nfts')
-    const j = await r.json()
-    if (!j.ok) { showToast('Не удалось загрузить NFT'); return }
-    APP.nfts = j.nfts || []
-    APP.nfts.forEach(nft => {
-      const el = renderNFTCard(nft)
-      catalog.appendChild(el)
-    })
+    const j = await api('/api/nfts?' + catalogQuery())
+    if (seq !== CATALOG.seq) return
+    if (!j.ok) {
+      CATALOG.done = true
+      catalogMore.textContent = ''
+      showToast(j.error === 'invalid price' ? t('catalog.badPriceRange') : t('catalog.loadFailed'))
+      return
+    }
+    APP.starRate = j.star_rate
+    APP.nfts.push(...j.nfts)
+    j.nfts.forEach(nft => catalog.insertBefore(renderNFTCard(nft), catalogMore))
+    CATALOG.cursor = j.next_cursor
+    CATALOG.done = !j.next_cursor
+    catalogMore.textContent = CATALOG.done && !APP.nfts.length ? t('catalog.empty') : ''
+  } catch (e) {
+    console.error(e)
+    catalogMore.textContent = ''
+    showToast(t('catalog.loadError'))
+  } finally {
+    if (seq === CATALOG.seq) CATALOG.loading = false
+  }
+  // the page did not fill the screen: the observer won't fire again, keep loading
+  if (seq === CATALOG.seq && !CATALOG.done && catalogMore.getBoundingClientRect().top < window.innerHeight + 300) {
+    await loadMoreNFTs()
+  }
+}
+
+function setCatalogFilter(key, value) {
+  if (CATALOG.filters[key] === value) return
+  CATALOG.filters[key] = value
+  if (key === 'collection') showCollectionPanel(value)
+  loadNFTs()
+}
+
+// from the NFT detail: same as clicking the collection's chip
+function selectCollection(id) {
+  const box = $('#collection-chips')
+  const chip = Array.from(box.querySelectorAll('.chip')).find(c => c.dataset.collection === id)
+  if (chip) setActiveChip(box, chip)
+  setCatalogFilter('collection', id)
+}
+
+async function showCollectionPanel(id) {
+  const panel = $('#collection-panel')
+  panel.classList.toggle('hidden', !id)
+  panel.innerHTML = ''
+  if (!id) return
+  try {
+    const j = await api('/api/collections/' + encodeURIComponent(id))
+    if (!j.ok || CATALOG.filters.collection !== id) return
+    const c = j.collection
+    const traits = j.traits.map(t => `<span class="trait">${escapeHtml(t.trait)}: ${escapeHtml(t.value)}<span class="muted">${t.rarity}%</span></span>`).join('')
+    panel.innerHTML = `
+      <b>${escapeHtml(c.name)}</b>
+      ${c.description ? `<div class="muted">${escapeHtml(c.description)}</div>` : ''}
+      <div class="collection-stats">
+        <div><b>${c.count}</b><span class="muted">NFT</span></div>
+        <div><b>${c.floor_price !== null ? formatTon(c.floor_price) : '—'}</b><span class="muted">${t('collection.floor')}</span></div>
+        <div><b>${formatTon(c.volume)}</b><span class="muted">${t('collection.volume')}</span></div>
+        <div><b>${formatNumber(c.owners)}</b><span class="muted">${t('collection.owners')}</span></div>
+      </div>
+      ${traits ? `<div class="traits">${traits}</div>` : ''}
+      ${APP.user ? `<button class="btn small" id="collection-alerts">🔔 ${t('alerts.button')}</button>` : ''}
+    `
+    panel.querySelector('#collection-alerts')?.addEventListener('click', () => showCollectionAlerts(c))
+  } catch (e) {
+    console.error(e)
+  }
+}
+
+function setActiveChip(container, btn) {
+  container.querySelectorAll('.chip').forEach(c => c.classList.toggle('active', c === btn))
+}
+
+async function loadCollections() {
+  const box = $('#collection-chips')
+  try {
+    const j = await api('/api/nfts/collections')
+    if (!j.ok || !j.collections.length) return
+    box.innerHTML = ''
+    const addChip = (label, value) => {
+      const btn = document.createElement('button')
+      btn.className = 'chip' + (CATALOG.filters.collection === value ? ' active' : '')
+      btn.dataset.collection = value
+      btn.textContent = label
+      btn.addEventListener('click', () => {
+        setActiveChip(box, btn)
+        setCatalogFilter('collection', value)
+      })
+      box.appendChild(btn)
+    }
+    addChip(t('collection.all'), '')
+    j.collections.forEach(c => addChip(`${c.name} · ${c.count}`, c.id))
   } catch (e) {
     console.error(e)
-    showToast('Ошибка загрузки каталога')
   }
 }
 
+function initCatalogFilters() {
+  let searchTimer = null
+  $('#search').addEventListener('input', (e) => {
+    clearTimeout(searchTimer)
+    searchTimer = setTimeout(() => setCatalogFilter('q', e.target.value.trim()), 300)
+  })
+  $all('#status-chips .chip').forEach(btn => btn.addEventListener('click', () => {
+    setActiveChip($('#status-chips'), btn)
+    setCatalogFilter('status', btn.dataset.status)
+  }))
+  $('#min-price').addEventListener('change', (e) => setCatalogFilter('min_price', e.target.value.trim().replace(',', '.')))
+  $('#max-price').addEventListener('change', (e) => setCatalogFilter('max_price', e.target.value.trim().replace(',', '.')))
+  $('#sort').addEventListener('change', (e) => setCatalogFilter('sort', e.target.value))
+
+  new IntersectionObserver((entries) => {
+    if (entries.some(e => e.isIntersecting)) loadMoreNFTs()
+  }, { rootMargin: '300px' }).observe(catalogMore)
+}
+
 // splash -> main
 function showMain() {
   splash.classList.add('hidden')
   main.classList.remove('hidden')
 }
 
+// language switch: i18n.js re-translates the static markup, rendered views are redrawn here
+function initLangSelect() {
+  const select = $('#lang-select')
+  select.value = LANG
+  select.addEventListener('change', () => {
+    setLang(select.value)
+    if (APP.balance !== null) setBalance(APP.balance)
+    loadCollections()
+    if (CATALOG.filters.collection) showCollectionPanel(CATALOG.filters.collection)
+    $('.tab.active')?.click()
+  })
+}
+
 // tabs
 $all('.tab').forEach(btn=>{
   btn.addEventListener('click', async (e)=>{
     $all('.tab').forEach(t=>t.classList.remove('active'))
     btn.classList.add('active')
     const tab = btn.dataset.tab
+    catalogFilters.classList.toggle('hidden', tab !== 'catalog')
     if (tab === 'catalog') { await loadNFTs() }
-    if (tab === 'gifts') { showToast('My Gifts пока в разработке') }
-    if (tab === 'premium') { showPremium() }
+    if (tab === 'gifts') { await showGifts() }
+    if (tab === 'premium') { await showPremium() }
+    if (tab === 'giveaways') { await showGiveaways() }
+    if (tab === 'activity') { await showActivity() }
     if (tab === 'admin') { showAdmin() }
   })
 })
 
-function showPremium() {
-  // Placeholder UI for premium & stars. Here you'd integrate TonConnect.
-  const html = `
-    <div style="padding:16px">
-      <h3>Premium & Stars</h3>
-      <p>Stars: 1 шт = 0.01 TON</p>
-      <div style="display:flex; gap:8px; margin-top:8px">
-        <button class="btn" id="buy-stars">Купить звезды</button>
-        <button class="btn" id="buy-prem-3">Premium 3м (4 TON)</button>
-      </div>
-      <p style="opacity:0.7; font-size:13px; margin-top:10px">Платежи через TonConnect</p>
-    </div>
-  `
+// ========== My Gifts ==========
+async function showGifts(mode = 'received') {
   catalog.innerHTML = ''
-  const wrap = document.createElement('div')
-  wrap.innerHTML = html
-  catalog.appendChild(wrap)
+  const head = document.createElement('div')
+  head.className = 'full segment'
+  head.innerHTML = `
+    <button class="btn small ${mode === 'received' ? 'active' : ''}" data-mode="received">${t('gifts.received')}</button>
+    <button class="btn small ${mode === 'sent' ? 'active' : ''}" data-mode="sent">${t('gifts.sent')}</button>
+  `
+  head.querySelectorAll('[data-mode]').forEach(b => b.addEventListener('click', () => showGifts(b.dataset.mode)))
+  catalog.appendChild(head)
 
-  // attach handlers
-  $('#buy-stars')?.addEventListener('click', ()=> showToast('TonConnect: открытие покупки звёзд (заглушка)'))
-  $('#buy-prem-3')?.addEventListener('click', ()=> showToast('TonConnect: покупка Premium 3м (заглушка)'))
+  if (!APP.user) {
+    head.insertAdjacentHTML('afterend', `<div class="full muted">${t('common.signIn')}</div>`)
+    return
+  }
+  try {
+    const j = await api('/api/gifts/' + mode)
+    if (!j.ok) return showToast(errorText(j))
+    if (!j.gifts.length) {
+      catalog.insertAdjacentHTML('beforeend', `<div class="full muted">${mode === 'received' ? t('gifts.noneReceived') : t('gifts.noneSent')}</div>`)
+      return
+    }
+    j.gifts.forEach(g => catalog.appendChild(renderGiftCard(g, mode)))
+  } catch (e) {
+    console.error(e)
+    showToast(t('gifts.loadError'))
+  }
 }
 
-function showAdmin() {
-  // only visible for admin via tab visibility; still protect actions server-side
-  const html = `
-    <div style="padding:16px">
-      <h3>Admin Panel</h3>
-      <div style="display:flex; gap:8px; margin-top:8px; flex-direction:column">
-        <input id="admin-user" placeholder="Telegram ID (target)" />
-        <input id="admin-amount" placeholder="Amount (TON)" />
-        <button id="admin-issue">Выдать баланс</button>
-      </div>
-    </div>
+function renderGiftCard(gift, mode) {
+  const nft = gift.nft || { name: 'NFT', number: gift.nft_id }
+  const div = document.createElement('div')
+  div.className = 'card'
+  const who = mode === 'received' ? t('gifts.from', { user: gift.sender_id }) : t('gifts.to', { user: gift.receiver_id })
+  div.innerHTML = `
+    <div class="img-wrap"><img src="${nft.image_url || '/assets/placeholder1.png'}" alt="${escapeHtml(nft.name)}"></div>
+    <h4>${escapeHtml(nft.name)} #${escapeHtml(String(nft.number))}</h4>
+    <div class="muted">${escapeHtml(who)}</div>
+    <div class="gift-status ${gift.status}">${gift.status === 'pending' ? t('gifts.pending') : t('gifts.claimed')}</div>
+    <div class="card-actions"></div>
   `
-  catalog.innerHTML = ''
-  const wrap = document.createElement('div')
-  wrap.innerHTML = html
-  catalog.appendChild(wrap)
+  const actions = div.querySelector('.card-actions')
+  const owned = gift.nft && APP.user && gift.nft.owner_id === String(APP.user.id)
+  if (mode === 'received' && gift.status === 'pending') {
+    const btn = document.createElement('button')
+    btn.className = 'buy-btn'
+    btn.textContent = t('gifts.claim')
+    btn.addEventListener('click', async (e) => {
+      e.stopPropagation()
+      await claimGift(gift)
+    })
+    actions.appendChild(btn)
+  } else if (owned && !gift.nft.auction_id) {
+    const btn = document.createElement('button')
+    btn.className = 'buy-btn'
+    btn.textContent = t('card.gift')
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation()
+      promptGift(gift.nft, () => showGifts(mode))
+    })
+    actions.appendChild(btn)
+  }
+  div.addEventListener('click', () => showGiftDetails(gift.id))
+  return div
+}
+
+async function claimGift(gift) {
+  try {
+    const j = await api('/api/gifts/' + gift.id + '/claim', { method: 'POST', body: {} })
+    if (!j.ok) return showToast(errorText(j))
+    showToast(t('gifts.claimedToast'))
+    await showGifts('received')
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+async function showGiftDetails(giftId) {
+  const body = openModal(`<div class="muted">${t('common.loading')}</div>`)
+  try {
+    const j = await api('/api/gifts/' + giftId)
+    if (!j.ok) { body.querySelector('.muted').textContent = errorText(j); return }
+    const g = j.gift
+    const nft = g.nft || { name: 'NFT', number: g.nft_id }
+    const person = (p) => p ? escapeHtml(p.username ? '@' + p.username : (p.first_name || p.id)) : '—'
+    body.innerHTML = `
+      <h3>${escapeHtml(nft.name)} #${escapeHtml(String(nft.number))}</h3>
+      <div class="img-wrap gift-detail-img"><img src="${nft.image_url || '/assets/placeholder1.png'}" alt=""></div>
+      <ul class="history">
+        <li><span class="muted">${t('gifts.fromLabel')}</span><b>${person(g.sender)}</b></li>
+        <li><span class="muted">${t('gifts.toLabel')}</span><b>${person(g.receiver)}</b></li>
+        <li><span class="muted">${t('gifts.status')}</span><b>${g.status === 'pending' ? t('gifts.waiting') : t('gifts.claimedAt', { date: formatDateTime(g.claimed_at) })}</b></li>
+        <li><span class="muted">${t('gifts.sentAt')}</span><b>${formatDateTime(g.created_at)}</b></li>
+        ${g.message ? `<li><span class="muted">${t('gifts.message')}</span><span>${escapeHtml(g.message)}</span></li>` : ''}
+        ${nft.link ? `<li><a href="${escapeHtml(nft.link)}" target="_blank" rel="noopener">${escapeHtml(nft.link)}</a></li>` : ''}
+      </ul>
+    `
+  } catch (e) {
+    console.error(e)
+    body.querySelector('.muted').textContent = t('common.networkError')
+  }
+}
 
-  $('#admin-issue')?.addEventListener('click', async ()=>{
-    const target = $('#admin-user').value.trim()
-    const amount = Number($('#admin-amount').value)
-    if (!target || !amount) return showToast('Заполните поля')
+function promptGift(nft, onDone) {
+  const body = openModal(`
+    <h3>${escapeHtml(t('gifts.giftTitle', { name: nft.name + ' #' + nft.number }))}</h3>
+    <div class="form-col">
+      <input id="gift-to" placeholder="${t('gifts.recipient')}" />
+      <input id="gift-message" maxlength="280" placeholder="${t('gifts.messagePlaceholder')}" />
+    </div>
+    <div class="modal-actions">
+      <button class="btn small" id="gift-cancel">${t('common.cancel')}</button>
+      <button class="buy-btn" id="gift-ok">${t('card.gift')}</button>
+    </div>
+  `)
+  body.querySelector('#gift-cancel').addEventListener('click', closeModal)
+  body.querySelector('#gift-ok').addEventListener('click', async () => {
+    const to = body.querySelector('#gift-to').value.trim()
+    const message = body.querySelector('#gift-message').value.trim()
+    if (!to) return showToast(t('gifts.recipientRequired'))
+    closeModal()
     try {
-      const r = await fetch('/api/admin/add_balance', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ admin_id: APP.user.id, target_id: target, amount })
-      })
-      const j = await r.json()
-      if (j.ok) {
-        showToast('Баланс выдан: ' + j.balance + ' TON')
-      } else {
-        showToast('Ошибка: ' + (j.error || 'unknown'))
-      }
+      const j = await api('/api/gifts/send', { method: 'POST', body: { nft_id: nft.id, to, message: message || undefined } })
+      if (!j.ok) return showToast(errorText(j))
+      showToast(t('gifts.sentToast'))
+      if (onDone) await onDone()
+      else if (!LIVE.connected) await loadNFTs()
     } catch (e) {
       console.error(e)
-      showToast('Сетевой сбой')
+      showToast(t('common.networkError'))
     }
   })
 }
 
-// init
-async function init() {
-  // splash for ~2 seconds with animation then show main
-  setTimeout(()=> {
-    showMain()
-  }, 1800)
+async function showPremium() {
+  catalog.innerHTML = ''
+  const wrap = document.createElement('div')
+  wrap.className = 'full'
+  wrap.innerHTML = `
+    <div style="padding:16px">
+      <h3>${t('premium.title')}</h3>
+      <div class="muted">${t('premium.intro')}</div>
+      <div id="premium-status" style="margin-top:12px"></div>
+      <div id="premium-offers" class="form-col" style="margin-top:12px"><div class="muted">${t('common.loading')}</div></div>
+      <h3 style="margin-top:20px">${t('premium.stars')}</h3>
+      <div id="stars-section" class="form-col"><div class="muted">${t('common.loading')}</div></div>
+      <h3 style="margin-top:20px">${t('premium.wallet')}</h3>
+      <div id="wallet-section" class="form-col"><div class="muted">${t('common.loading')}</div></div>
+      <h3 style="margin-top:20px">${t('premium.invite')}</h3>
+      <div id="referrals-section" class="form-col"><div class="muted">${t('common.loading')}</div></div>
+    </div>
+  `
+  catalog.appendChild(wrap)
+  renderWalletSection($('#wallet-section'))
+  renderReferralsSection($('#referrals-section'))
+  renderStarsSection($('#stars-section'))
 
-  // verify user (calls server) — this will set APP.user and optionally show admin
-  await verifyTelegram()
+  try {
+    await refreshBalance()
+    renderPremiumStatus($('#premium-status'))
+    const j = await api('/api/payments/prices')
+    if (!j.ok) return showToast(errorText(j))
+    const box = $('#premium-offers')
+    box.innerHTML = ''
+    const addOffer = (label, order, hint) => {
+      const btn = document.createElement('button')
+      btn.className = 'btn'
+      btn.textContent = label
+      btn.addEventListener('click', () => startPayment(order))
+      box.appendChild(btn)
+      if (hint) box.insertAdjacentHTML('beforeend', `<div class="muted">${escapeHtml(hint)}</div>`)
+    }
+    const STAR_PACKS = [100, 500, 1000]
+    STAR_PACKS.forEach(n => addOffer(`${formatNumber(n)} ⭐ — ${formatTon(j.star_price * n)} TON`, { type: 'stars', quantity: n }))
+    const renew = APP.me && APP.me.premium.active ? t('premium.renewal') : ''
+    j.premium.forEach(p => addOffer(`${p.title}${renew} — ${formatTon(p.price)} TON`, { type: 'premium', plan_id: p.plan_id }, perksText(p.perks)))
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+function perksText(perks) {
+  return t('premium.perks', {
+    fee: formatNumber(perks.market_fee_bps / 100),
+    listings: perks.max_listings,
+    minutes: perks.early_access_minutes
+  })
+}
+
+function renderPremiumStatus(box) {
+  const me = APP.me
+  if (!me) { box.innerHTML = `<div class="muted">${t('premium.signIn')}</div>`; return }
+  const p = me.premium
+  box.innerHTML = `
+    <ul class="history">
+      <li><span class="muted">Premium</span><b>${p.active ? t('premium.until', { date: formatDate(p.until) }) : t('premium.inactive')}</b></li>
+      ${p.plan ? `<li><span class="muted">${t('premium.plan')}</span><span>${escapeHtml(p.plan.title)}</span></li>` : ''}
+      <li><span class="muted">${t('premium.stars')}</span><span>${formatNumber(me.stars)} ⭐</span></li>
+    </ul>
+    <div class="muted">${escapeHtml(perksText(p.perks))}</div>
+  `
+}
+
+// order: { type: 'stars', quantity } | { type: 'premium', plan_id }
+async function startPayment(order) {
+  if (!APP.user) return showToast(t('common.signIn'))
+  try {
+    const j = await api('/api/payments/intents', { method: 'POST', body: order })
+    if (!j.ok) return showToast(errorText(j))
+    showPaymentIntent(j.intent)
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+function showPaymentIntent(intent) {
+  const title = intent.type === 'deposit' ? t('pay.deposit')
+    : intent.type === 'stars' ? formatNumber(intent.quantity) + ' ⭐' : t('pay.premiumMonths', { months: intent.quantity })
+  const body = openModal(`
+    <h3>${title}</h3>
+    <ul class="history">
+      <li><span class="muted">${t('pay.amount')}</span><b>${formatTon(intent.amount)} TON</b></li>
+      <li><span class="muted">${t('pay.address')}</span><code class="wrap">${escapeHtml(intent.destination)}</code></li>
+      <li><span class="muted">${t('pay.comment')}</span><code>${escapeHtml(intent.payload)}</code></li>
+      <li><span class="muted">${t('pay.validUntil')}</span><span>${formatTime(intent.expires_at)}</span></li>
+    </ul>
+    <div class="muted">${t('pay.exactHint')}</div>
+    <div class="modal-actions">
+      <button class="btn small" id="pay-send">${t('pay.pay')}</button>
+      <button class="buy-btn" id="pay-verify">${t('pay.paid')}</button>
+    </div>
+  `)
+  body.querySelector('#pay-send').addEventListener('click', () => payWithWallet(intent))
+  body.querySelector('#pay-verify').addEventListener('click', async () => {
+    try {
+      const j = await api('/api/payments/intents/' + intent.id + '/verify', { method: 'POST', body: {} })
+      if (!j.ok) {
+        return showToast(errorText(j))
+      }
+      closeModal()
+      if (intent.type === 'deposit') {
+        if (typeof j.balance === 'number') setBalance(j.balance)
+        showToast(t('pay.topUpDone'))
+        if (tabActive('premium')) await showPremium()
+      } else if (j.profile && intent.type === 'stars') showToast(t('pay.starsCredited', { stars: formatNumber(j.profile.stars_balance) }))
+      else if (j.profile) {
+        showToast(t('pay.premiumUntil', { date: formatDate(j.profile.premium_until) }))
+        await refreshBalance()
+        if (tabActive('premium')) await showPremium()
+      }
+      else showToast(t('pay.alreadyPaid'))
+    } catch (e) {
+      console.error(e)
+      showToast(t('common.networkError'))
+    }
+  })
+}
+
+// ========== TON wallet: TonConnect link, deposit, withdraw ==========
+let tonConnect = null
+
+function tabActive(tab) {
+  const el = document.querySelector('.tab.active')
+  return !!el && el.dataset.tab === tab
+}
+
+// TonConnect UI from unpkg; links the wallet on the server once it returns a ton_proof
+function getTonConnect() {
+  if (tonConnect || !window.TON_CONNECT_UI) return tonConnect
+  tonConnect = new TON_CONNECT_UI.TonConnectUI({ manifestUrl: location.origin + '/tonconnect-manifest.json' })
+  tonConnect.onStatusChange(async (wallet) => {
+    const tonProof = wallet && wallet.connectItems && wallet.connectItems.tonProof
+    if (!tonProof || !('proof' in tonProof)) return
+    try {
+      const j = await api('/api/wallet/link', {
+        method: 'POST',
+        body: { address: wallet.account.address, network: wallet.account.chain, proof: tonProof.proof }
+      })
+      showToast(j.ok ? t('wallet.linked') : t('wallet.linkFailed', { reason: errorText(j) }))
+      if (j.ok) APP.wallet = j.wallet
+      if (tabActive('premium')) await showPremium()
+    } catch (e) {
+      console.error(e)
+      showToast(t('common.networkError'))
+    }
+  })
+  return tonConnect
+}
+
+async function connectWallet() {
+  const tc = getTonConnect()
+  if (!tc) return showToast(t('wallet.noTonConnect'))
+  try {
+    if (tc.connected) await tc.disconnect()
+    tc.setConnectRequestParameters({ state: 'loading' })
+    const j = await api('/api/wallet/proof-payload')
+    if (!j.ok) {
+      tc.setConnectRequestParameters(null)
+      return showToast(errorText(j))
+    }
+    tc.setConnectRequestParameters({ state: 'ready', value: { tonProof: j.payload } })
+    await tc.openModal()
+  } catch (e) {
+    console.error(e)
+    showToast(t('wallet.openFailed'))
+  }
+}
+
+// text comment -> single-cell BOC (base64): 32-bit zero opcode + UTF-8 text, no refs
+function commentPayload(text) {
+  const data = [0, 0, 0, 0, ...new TextEncoder().encode(text)]
+  const cell = [0, data.length * 2, ...data]
+  const boc = [0xb5, 0xee, 0x9c, 0x72, 0x01, 0x01, 1, 1, 0, cell.length, 0, ...cell]
+  return btoa(String.fromCharCode(...boc))
+}
+
+// TonConnect transfer when a wallet is connected, otherwise the ton:// link
+async function payWithWallet(intent) {
+  const tc = getTonConnect()
+  if (!tc || !tc.connected) {
+    window.location.href = intent.link
+    return
+  }
+  try {
+    await tc.sendTransaction({
+      validUntil: Math.floor(Date.now() / 1000) + 600,
+      messages: [{ address: intent.destination, amount: String(intent.amount), payload: commentPayload(intent.payload) }]
+    })
+    showToast(t('pay.sent'))
+  } catch (e) {
+    console.error(e)
+    showToast(t('pay.cancelled'))
+  }
+}
+
+
+
+// stars balance, conversion at the current rate, fees in stars and the stars history
+async function renderStarsSection(box) {
+  if (!APP.user) {
+    box.innerHTML = `<div class="muted">${t('common.signIn')}</div>`
+    return
+  }
+  try {
+    const j = await api('/api/stars')
+    if (!j.ok) { box.innerHTML = ''; return showToast(errorText(j)) }
+    if (APP.me) APP.me.stars = j.stars
+    box.innerHTML = `
+      <div><b>${formatNumber(j.stars)} ⭐</b> <span class="muted">· ${t('stars.rate', { rate: formatTon(j.rate) })}</span></div>
+      <div class="filter-row">
+        <input id="stars-amount" inputmode="numeric" placeholder="${t('stars.amount')}" />
+        <button class="btn small" id="stars-to-ton">⭐ → TON</button>
+        <button class="btn small" id="stars-from-ton">TON → ⭐</button>
+      </div>
+      <label class="muted"><input type="checkbox" id="stars-fees" style="width:auto" ${j.fees_in_stars ? 'checked' : ''}> ${t('stars.feesInStars')}</label>
+      <ul class="history" id="stars-history"></ul>
+    `
+    const list = box.querySelector('#stars-history')
+    j.history.forEach(e => {
+      const li = document.createElement('li')
+      li.innerHTML = `<span>${e.amount > 0 ? '+' : ''}${formatNumber(e.amount)} ⭐</span><span class="muted">${escapeHtml(tCode('starsReason', e.reason))} · ${formatDate(e.created_at)}</span>`
+      list.appendChild(li)
+    })
+
+    const convert = async (direction) => {
+      const stars = box.querySelector('#stars-amount').value.trim()
+      if (!stars) return showToast(t('stars.quantityRequired'))
+      const r = await api('/api/stars/convert', { method: 'POST', body: { direction, stars } })
+      if (!r.ok) {
+        return showToast(errorText(r))
+      }
+      setBalance(r.balance)
+      showToast(t('stars.done', { stars: formatNumber(r.stars) }))
+      renderStarsSection(box)
+    }
+    box.querySelector('#stars-to-ton').addEventListener('click', () => convert('to_ton'))
+    box.querySelector('#stars-from-ton').addEventListener('click', () => convert('to_stars'))
+    box.querySelector('#stars-fees').addEventListener('change', async (e) => {
+      const r = await api('/api/stars/settings', { method: 'POST', body: { fees_in_stars: e.target.checked } })
+      showToast(r.ok ? (r.fees_in_stars ? t('stars.feesStars') : t('stars.feesTon')) : errorText(r))
+    })
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+
+// invite link (start_param ref_<code>), reward terms, invitees and earnings
+async function renderReferralsSection(box) {
+  if (!APP.user) {
+    box.innerHTML = `<div class="muted">${t('common.signIn')}</div>`
+    return
+  }
+  try {
+    const j = await api('/api/referrals')
+    if (!j.ok) { box.innerHTML = ''; return showToast(errorText(j)) }
+    const terms = []
+    if (j.terms.fee_share_bps > 0) terms.push(t('referral.feeShare', { share: formatNumber(j.terms.fee_share_bps / 100) }))
+    if (j.terms.first_purchase_bonus > 0) terms.push(t('referral.bonus', { amount: formatTon(j.terms.first_purchase_bonus) }))
+    box.innerHTML = `
+      <div class="muted">${escapeHtml(terms.length ? t('referral.terms', { terms: terms.join(t('referral.and')) }) : t('referral.noRewards'))}</div>
+      <div class="filter-row">
+        <input id="referral-link" readonly value="${escapeHtml(j.link || j.start_param)}" />
+        <button class="btn small" id="referral-copy">${t('referral.copy')}</button>
+        ${j.link ? `<button class="btn small" id="referral-share">${t('referral.share')}</button>` : ''}
+      </div>
+      <ul class="history">
+        <li><span class="muted">${t('referral.invited')}</span><span>${formatNumber(j.active)}</span></li>
+        <li><span class="muted">${t('referral.earned')}</span><b>${formatTon(j.earnings.total)} TON</b></li>
+      </ul>
+      <ul class="history" id="referral-invitees"></ul>
+    `
+    const list = box.querySelector('#referral-invitees')
+    j.invitees.forEach(i => {
+      const li = document.createElement('li')
+      const name = i.username ? '@' + i.username : (i.first_name || 'id ' + i.id)
+      const state = i.status === 'active'
+        ? `+${formatTon(i.earned)} TON`
+        : t('referral.notCounted', { reason: tCode('referral.reject', i.reason) })
+      li.innerHTML = `<span>${escapeHtml(name)}</span><span class="muted">${escapeHtml(state)} · ${formatDate(i.joined_at)}</span>`
+      list.appendChild(li)
+    })
+    if (!j.invitees.length) list.innerHTML = `<li class="muted">${t('referral.none')}</li>`
+
+    box.querySelector('#referral-copy').addEventListener('click', async () => {
+      try {
+        await navigator.clipboard.writeText(box.querySelector('#referral-link').value)
+        showToast(t('referral.copied'))
+      } catch (e) {
+        box.querySelector('#referral-link').select()
+      }
+    })
+    const share = box.querySelector('#referral-share')
+    if (share) share.addEventListener('click', () => {
+      const url = 'https://t.me/share/url?url=' + encodeURIComponent(j.link) + '&text=' + encodeURIComponent(t('referral.shareText'))
+      if (window.Telegram?.WebApp?.openTelegramLink) window.Telegram.WebApp.openTelegramLink(url)
+      else window.open(url, '_blank')
+    })
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+async function renderWalletSection(box) {
+  if (!APP.user) {
+    box.innerHTML = `<div class="muted">${t('common.signIn')}</div>`
+    return
+  }
+  try {
+    const j = await api('/api/wallet')
+    if (!j.ok) { box.innerHTML = ''; return showToast(errorText(j)) }
+    setBalance(j.balance)
+    APP.wallet = j.wallet
+    box.innerHTML = `
+      <div>${j.wallet ? `${t('wallet.linkedTo')} <code class="wrap">${escapeHtml(j.wallet.friendly)}</code>` : `<span class="muted">${t('wallet.notLinked')}</span>`}</div>
+      <div class="filter-row">
+        <button class="btn small" id="wallet-connect">${j.wallet ? t('wallet.change') : t('wallet.connect')}</button>
+        ${j.wallet ? `<button class="btn small" id="wallet-unlink">${t('wallet.unlink')}</button>` : ''}
+      </div>
+      <div class="filter-row">
+        <input id="deposit-amount" inputmode="decimal" placeholder="${t('wallet.depositPlaceholder', { min: formatTon(j.limits.deposit_min) })}" />
+        <button class="buy-btn" id="wallet-deposit">${t('wallet.deposit')}</button>
+      </div>
+      <div class="filter-row">
+        <input id="withdraw-amount" inputmode="decimal" placeholder="${formatTon(j.limits.min)}–${formatTon(j.limits.max)} TON" ${j.wallet ? '' : 'disabled'} />
+        <button class="buy-btn" id="wallet-withdraw" ${j.wallet ? '' : 'disabled'}>${t('wallet.withdraw')}</button>
+      </div>
+      <div class="muted">${t('wallet.withdrawHint', { daily: formatTon(j.limits.daily) })}</div>
+      <ul class="history" id="withdrawals"></ul>
+    `
+    const list = box.querySelector('#withdrawals')
+    j.withdrawals.forEach(w => {
+      const li = document.createElement('li')
+      li.innerHTML = `<span>${formatTon(w.amount)} TON</span><span class="muted">${escapeHtml(tCode('withdrawal', w.status))}</span>`
+      if (w.status === 'pending') {
+        const btn = document.createElement('button')
+        btn.className = 'link-btn'
+        btn.textContent = t('common.cancelAction')
+        btn.addEventListener('click', async () => {
+          const r = await api('/api/wallet/withdrawals/' + w.id + '/cancel', { method: 'POST', body: {} })
+          showToast(r.ok ? t('wallet.requestCancelled') : errorText(r))
+          renderWalletSection(box)
+        })
+        li.appendChild(btn)
+      }
+      list.appendChild(li)
+    })
+
+    box.querySelector('#wallet-connect').addEventListener('click', connectWallet)
+    box.querySelector('#wallet-unlink')?.addEventListener('click', async () => {
+      const r = await api('/api/wallet/unlink', { method: 'POST', body: {} })
+      if (r.ok && tonConnect && tonConnect.connected) await tonConnect.disconnect()
+      showToast(r.ok ? t('wallet.unlinked') : errorText(r))
+      renderWalletSection(box)
+    })
+    box.querySelector('#wallet-deposit').addEventListener('click', async () => {
+      const amount = box.querySelector('#deposit-amount').value.trim().replace(',', '.')
+      if (!amount) return showToast(t('common.amountRequired'))
+      const r = await api('/api/wallet/deposit', { method: 'POST', body: { amount } })
+      if (!r.ok) return showToast(r.error === 'invalid amount' ? t('wallet.depositMin', { min: formatTon(j.limits.deposit_min) }) : errorText(r))
+      showPaymentIntent(r.intent)
+    })
+    box.querySelector('#wallet-withdraw').addEventListener('click', async () => {
+      const amount = box.querySelector('#withdraw-amount').value.trim().replace(',', '.')
+      if (!amount) return showToast(t('common.amountRequired'))
+      const r = await api('/api/wallet/withdraw', { method: 'POST', body: { amount } })
+      if (!r.ok) return showToast(errorText(r))
+      setBalance(r.balance)
+      showToast(t('wallet.withdrawCreated'))
+      renderWalletSection(box)
+    })
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+// ========== Giveaways ==========
+function giveawayPrize(g) {
+  if (g.prize_type === 'ton') return `${formatTon(g.amount)} TON${g.winners_count > 1 ? ' × ' + g.winners_count : ''}`
+  return g.nft ? `${escapeHtml(g.nft.name)} #${escapeHtml(String(g.nft.number))}` : 'NFT'
+}
+
+function giveawayConditions(c = {}) {
+  const list = []
+  if (c.premium) list.push('Premium')
+  if (c.min_balance) list.push(t('giveaway.minBalance', { amount: formatTon(c.min_balance) }))
+  if (c.collection) list.push(escapeHtml(t('giveaway.collection', { name: c.collection })))
+  return list.length ? list.join(', ') : t('giveaway.noConditions')
+}
+
+async function showGiveaways(mode = 'active') {
+  catalog.innerHTML = ''
+  const head = document.createElement('div')
+  head.className = 'full segment'
+  head.innerHTML = `
+    <button class="btn small ${mode === 'active' ? 'active' : ''}" data-mode="active">${t('giveaway.active')}</button>
+    <button class="btn small ${mode === 'ended' ? 'active' : ''}" data-mode="ended">${t('giveaway.ended')}</button>
+  `
+  head.querySelectorAll('[data-mode]').forEach(b => b.addEventListener('click', () => showGiveaways(b.dataset.mode)))
+  catalog.appendChild(head)
+
+  if (!APP.user) {
+    head.insertAdjacentHTML('afterend', `<div class="full muted">${t('common.signIn')}</div>`)
+    return
+  }
+  try {
+    const j = await api('/api/giveaways?status=' + mode)
+    if (!j.ok) return showToast(errorText(j))
+    if (!j.giveaways.length) {
+      catalog.insertAdjacentHTML('beforeend', `<div class="full muted">${mode === 'active' ? t('giveaway.noneActive') : t('giveaway.noneEnded')}</div>`)
+      return
+    }
+    j.giveaways.forEach(g => catalog.appendChild(renderGiveawayCard(g, mode)))
+  } catch (e) {
+    console.error(e)
+    showToast(t('giveaway.loadError'))
+  }
+}
+
+function renderGiveawayCard(g, mode) {
+  const div = document.createElement('div')
+  div.className = 'card'
+  const image = g.nft ? g.nft.image_url || '/assets/placeholder1.png' : null
+  const state = g.status === 'cancelled' ? t('giveaway.cancelled') : g.status === 'drawn' ? (g.won ? t('giveaway.won') : t('giveaway.drawn')) : null
+  div.innerHTML = `
+    ${image ? `<div class="img-wrap"><img src="${escapeHtml(image)}" alt=""></div>` : '<div class="img-wrap giveaway-ton">TON</div>'}
+    <h4>${escapeHtml(g.title)}</h4>
+    <div class="price-row">${giveawayPrize(g)}</div>
+    <div class="muted">${t('giveaway.entries', { count: formatNumber(g.entries_count) })}</div>
+    ${state
+      ? `<div class="gift-status ${g.won ? 'pending' : ''}">${state}</div>`
+      : `<div class="auction-row"><span class="countdown" data-ends-at="${escapeHtml(g.ends_at)}">${formatCountdown(g.ends_at)}</span></div>`}
+    <div class="card-actions"></div>
+  `
+  if (mode === 'active') {
+    const btn = document.createElement('button')
+    btn.className = 'buy-btn'
+    btn.textContent = g.joined ? t('giveaway.joined') : t('giveaway.join')
+    btn.disabled = g.joined
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation()
+      joinGiveaway(g)
+    })
+    div.querySelector('.card-actions').appendChild(btn)
+  }
+  div.addEventListener('click', () => showGiveawayDetails(g.id))
+  return div
+}
+
+async function joinGiveaway(g) {
+  try {
+    const j = await api('/api/giveaways/' + g.id + '/join', { method: 'POST', body: {} })
+    if (!j.ok) return showToast(errorText(j))
+    showToast(t('giveaway.joinedToast'))
+    await showGiveaways('active')
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+async function showGiveawayDetails(id) {
+  const body = openModal(`<div class="muted">${t('common.loading')}</div>`)
+  try {
+    const j = await api('/api/giveaways/' + id)
+    if (!j.ok) { body.querySelector('.muted').textContent = errorText(j); return }
+    const g = j.giveaway
+    const drawn = g.status === 'drawn'
+    body.innerHTML = `
+      <h3>${escapeHtml(g.title)}</h3>
+      ${g.description ? `<div>${escapeHtml(g.description)}</div>` : ''}
+      <ul class="history">
+        <li><span class="muted">${t('giveaway.prize')}</span><b>${giveawayPrize(g)}</b></li>
+        <li><span class="muted">${t('giveaway.conditions')}</span><span>${giveawayConditions(g.conditions)}</span></li>
+        <li><span class="muted">${t('giveaway.endsAt')}</span><b>${formatDateTime(g.ends_at)}</b></li>
+        <li><span class="muted">${t('giveaway.entriesLabel')}</span><b>${formatNumber(g.entries_count)}</b></li>
+        ${drawn ? `<li><span class="muted">${t('giveaway.winners')}</span><b>${g.winners.length ? g.winners.map(escapeHtml).join(', ') : t('giveaway.noEntrants')}</b></li>` : ''}
+        <li><span class="muted">${t('giveaway.seedHash')}</span><code class="wrap">${escapeHtml(g.seed_hash)}</code></li>
+        ${drawn ? `<li><span class="muted">seed</span><code class="wrap">${escapeHtml(g.seed)}</code></li>` : ''}
+      </ul>
+      <div class="muted" id="giveaway-verify-result"></div>
+      <div class="modal-actions">
+        ${drawn ? `<button class="btn small" id="giveaway-verify">${t('giveaway.verify')}</button>` : ''}
+        <button class="btn small" id="giveaway-close">${t('common.close')}</button>
+      </div>
+    `
+    body.querySelector('#giveaway-close').addEventListener('click', closeModal)
+    body.querySelector('#giveaway-verify')?.addEventListener('click', async () => {
+      const ok = await verifyGiveawayDraw(g)
+      body.querySelector('#giveaway-verify-result').textContent = ok
+        ? t('giveaway.verifyOk')
+        : t('giveaway.verifyFail')
+    })
+  } catch (e) {
+    console.error(e)
+    body.querySelector('.muted').textContent = t('common.networkError')
+  }
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('')
+}
+
+// re-runs the draw from lib/giveaways.js in the browser: sha256(seed) must match the commitment,
+// then round i picks HMAC-SHA256(seed, "<id>:<i>") mod (entrants left)
+async function verifyGiveawayDraw(g) {
+  const enc = new TextEncoder()
+  if (toHex(await crypto.subtle.digest('SHA-256', enc.encode(g.seed))) !== g.seed_hash) return false
+  if (!g.entrants_match) return false
+  const key = await crypto.subtle.importKey('raw', enc.encode(g.seed), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+  const pool = g.entrants.slice()
+  const winners = []
+  for (let round = 0; round < g.winners_count && pool.length; round++) {
+    const digest = toHex(await crypto.subtle.sign('HMAC', key, enc.encode(g.id + ':' + round)))
+    winners.push(pool.splice(Number(BigInt('0x' + digest) % BigInt(pool.length)), 1)[0])
+  }
+  return winners.join(',') === g.winners.join(',')
+}
+
+function notificationText(n) {
+  const p = n.payload || {}
+  if (n.type === 'giveaway_won') {
+    const prize = p.prize_type === 'ton' ? formatTon(p.amount) + ' TON' : 'NFT'
+    return t('notify.giveaway_won', { title: p.title, prize })
+  }
+  if (n.type === 'nft_sold') return t('notify.nft_sold', { name: p.name, number: p.number, price: formatTon(p.price) })
+  if (n.type === 'auction_outbid') return t('notify.auction_outbid', { name: p.name, number: p.number, amount: formatTon(p.amount) })
+  if (n.type === 'gift_received') return t('notify.gift_received', { name: p.name, number: p.number })
+  if (n.type === 'watchlist') {
+    const key = p.reason === 'price_drop' ? 'notify.watchlist_drop' : 'notify.watchlist_listed'
+    return t(key, { name: p.name, number: p.number, price: formatTon(p.price), old: p.old_price !== null ? formatTon(p.old_price) : '' })
+  }
+  if (n.type === 'price_alert') {
+    const key = p.kind === 'price_drop' ? 'notify.price_alert_drop' : 'notify.price_alert_listing'
+    return t(key, { name: p.name, number: p.number, price: formatTon(p.price), max: p.max_price !== null ? formatTon(p.max_price) : '' })
+  }
+  return n.type
+}
+
+// unread notifications after login (sales, outbid bids, gifts, giveaway wins, alerts), then marked read
+async function showNotifications() {
+  try {
+    const j = await api('/api/notifications?unread=1')
+    if (!j.ok || !j.notifications.length) return
+    showToast(j.notifications.map(notificationText).join('\n'), 5000)
+    await api('/api/notifications/read', { method: 'POST', body: { ids: j.notifications.map(n => n.id) } })
+  } catch (e) {
+    console.error(e)
+  }
+}
+
+// SSE `notification` (watchlist / price alerts) while the app is open: shown once, then marked read
+async function showLiveNotification(n) {
+  showToast(notificationText(n), 5000)
+  try {
+    await api('/api/notifications/read', { method: 'POST', body: { ids: [n.id] } })
+  } catch (e) {
+    console.error(e)
+  }
+}
+
+// ========== Watchlist, price alerts, activity (routes/watchlist.js) ==========
+async function loadWatchlist() {
+  try {
+    const j = await api('/api/watchlist')
+    if (j.ok) APP.watchlist = new Set(j.nft_ids)
+    return j
+  } catch (e) {
+    console.error(e)
+    return null
+  }
+}
+
+function initWatchButton(btn, nftId) {
+  const paint = () => {
+    const on = APP.watchlist.has(nftId)
+    btn.classList.toggle('active', on)
+    btn.textContent = on ? '★' : '☆'
+    btn.title = on ? t('watch.remove') : t('watch.add')
+  }
+  paint()
+  btn.addEventListener('click', async (e) => {
+    e.stopPropagation()
+    btn.disabled = true
+    await toggleWatch(nftId)
+    btn.disabled = false
+    paint()
+  })
+}
+
+async function toggleWatch(nftId) {
+  const on = APP.watchlist.has(nftId)
+  try {
+    const j = await api('/api/watchlist/' + (on ? 'remove' : 'add'), { method: 'POST', body: { nft_id: nftId } })
+    if (!j.ok) return showToast(errorText(j))
+    if (on) APP.watchlist.delete(nftId)
+    else APP.watchlist.add(nftId)
+    showToast(on ? t('watch.removed') : t('watch.added'))
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+function alertText(a) {
+  const kind = t('alerts.kind.' + a.kind)
+  return a.max_price !== null ? t('alerts.upTo', { kind, price: formatTon(a.max_price) }) : kind
+}
+
+// the collection's alerts + a form for a new one (from the collection panel)
+async function showCollectionAlerts(collection) {
+  const body = openModal(`
+    <h3>🔔 ${escapeHtml(collection.name)}</h3>
+    <ul class="history" id="alerts-list"><li class="muted">${t('common.loading')}</li></ul>
+    <div class="form-col">
+      <select id="alert-kind">
+        <option value="price_drop">${t('alerts.kind.price_drop')}</option>
+        <option value="new_listing">${t('alerts.kind.new_listing')}</option>
+      </select>
+      <input id="alert-price" inputmode="decimal" placeholder="${t('alerts.maxPrice')}" value="${collection.floor_price !== null ? tonInput(collection.floor_price) : ''}" />
+      <div class="muted" id="alert-hint">${t('alerts.hint.price_drop')}</div>
+    </div>
+    <div class="modal-actions">
+      <button class="btn small" id="alert-close">${t('common.close')}</button>
+      <button class="buy-btn" id="alert-create">${t('common.create')}</button>
+    </div>
+  `)
+  const list = body.querySelector('#alerts-list')
+  const renderList = async () => {
+    try {
+      const j = await api('/api/alerts')
+      if (!j.ok) { list.innerHTML = `<li class="muted">${escapeHtml(errorText(j))}</li>`; return }
+      const mine = j.alerts.filter(a => a.collection_id === collection.id)
+      list.innerHTML = mine.length ? '' : `<li class="muted">${t('alerts.none')}</li>`
+      mine.forEach(a => list.appendChild(renderAlertRow(a, renderList)))
+    } catch (e) {
+      console.error(e)
+      list.innerHTML = `<li class="muted">${t('common.networkError')}</li>`
+    }
+  }
+  const kind = body.querySelector('#alert-kind')
+  kind.addEventListener('change', () => { body.querySelector('#alert-hint').textContent = t('alerts.hint.' + kind.value) })
+  body.querySelector('#alert-close').addEventListener('click', closeModal)
+  body.querySelector('#alert-create').addEventListener('click', async () => {
+    const price = body.querySelector('#alert-price').value.trim().replace(',', '.')
+    if (kind.value === 'price_drop' && !(Number(price) > 0)) return showToast(t('market.enterPrice'))
+    try {
+      const j = await api('/api/alerts', { method: 'POST', body: { collection_id: collection.id, kind: kind.value, max_price: price || null } })
+      if (!j.ok) return showToast(errorText(j))
+      showToast(t('alerts.created'))
+      await renderList()
+    } catch (e) {
+      console.error(e)
+      showToast(t('common.networkError'))
+    }
+  })
+  await renderList()
+}
+
+function renderAlertRow(a, onRemoved) {
+  const li = document.createElement('li')
+  const last = a.triggered_at ? t('alerts.lastTriggered', { date: formatDateTime(a.triggered_at) }) : t('alerts.notTriggered')
+  li.innerHTML = `
+    <span>${a.collection ? escapeHtml(a.collection.name) + ' · ' : ''}${escapeHtml(alertText(a))}</span>
+    <span class="muted">${escapeHtml(last)}</span>
+    <button class="link-btn">${t('alerts.remove')}</button>
+  `
+  li.querySelector('button').addEventListener('click', async () => {
+    try {
+      const j = await api('/api/alerts/' + a.id + '/remove', { method: 'POST', body: {} })
+      if (!j.ok) return showToast(errorText(j))
+      showToast(t('alerts.removed'))
+      await onRemoved()
+    } catch (e) {
+      console.error(e)
+      showToast(t('common.networkError'))
+    }
+  })
+  return li
+}
+
+// Activity tab: feed | watchlist | alerts
+async function showActivity(mode = 'feed') {
+  catalog.innerHTML = ''
+  const head = document.createElement('div')
+  head.className = 'full segment'
+  head.innerHTML = ['feed', 'watchlist', 'alerts']
+    .map(m => `<button class="btn small ${mode === m ? 'active' : ''}" data-mode="${m}">${t('activity.' + m)}</button>`).join('')
+  head.querySelectorAll('[data-mode]').forEach(b => b.addEventListener('click', () => showActivity(b.dataset.mode)))
+  catalog.appendChild(head)
+
+  if (!APP.user) {
+    head.insertAdjacentHTML('afterend', `<div class="full muted">${t('common.signIn')}</div>`)
+    return
+  }
+  try {
+    if (mode === 'watchlist') return await renderWatchlist()
+    if (mode === 'alerts') return await renderAlertsList()
+    await renderActivityFeed()
+  } catch (e) {
+    console.error(e)
+    showToast(t('activity.loadError'))
+  }
+}
+
+// watched NFTs as catalog cards; live updates replace them like catalog cards
+async function renderWatchlist() {
+  const j = await loadWatchlist()
+  if (!j || !j.ok) return showToast(j ? errorText(j) : t('activity.loadError'))
+  APP.nfts = j.nfts
+  if (!j.nfts.length) {
+    catalog.insertAdjacentHTML('beforeend', `<div class="full muted">${t('watch.none')}</div>`)
+    return
+  }
+  j.nfts.forEach(nft => catalog.appendChild(renderNFTCard(nft)))
+}
+
+async function renderAlertsList() {
+  const box = document.createElement('div')
+  box.className = 'full'
+  box.innerHTML = `<div class="muted">${t('alerts.howTo')}</div><ul class="history"></ul>`
+  catalog.appendChild(box)
+  const list = box.querySelector('ul')
+  const j = await api('/api/alerts')
+  if (!j.ok) return showToast(errorText(j))
+  list.innerHTML = j.alerts.length ? '' : `<li class="muted">${t('alerts.none')}</li>`
+  j.alerts.forEach(a => list.appendChild(renderAlertRow(a, () => showActivity('alerts'))))
+}
+
+function activityText(item) {
+  const nft = item.nft ? `${item.nft.name} #${item.nft.number}` : 'NFT'
+  const who = item.counterparty ? (item.counterparty.username ? '@' + item.counterparty.username : (item.counterparty.first_name || 'id ' + item.counterparty.id)) : 'MarketHub'
+  switch (item.kind) {
+    case 'purchase': return t('activity.purchase', { nft, user: who })
+    case 'sale': return t('activity.sale', { nft, user: who, fee: formatTon(item.fee) })
+    case 'gift_received': return t('activity.gift_received', { nft, user: who })
+    case 'gift_sent': return t('activity.gift_sent', { nft, user: who })
+    default: return tCode('ledgerReason', item.reason)
+  }
+}
+
+function renderActivityItem(item) {
+  const li = document.createElement('li')
+  const amount = typeof item.amount === 'number' ? `<b>${item.amount > 0 ? '+' : ''}${formatTon(item.amount)} TON</b>` : ''
+  li.innerHTML = `
+    <span>${escapeHtml(activityText(item))}</span>
+    ${amount}
+    <span class="muted">${formatDateTime(item.at)}</span>
+  `
+  if (item.nft) {
+    li.classList.add('clickable')
+    li.addEventListener('click', () => showNftDetail(item.nft.id))
+  }
+  return li
+}
+
+async function renderActivityFeed() {
+  const box = document.createElement('div')
+  box.className = 'full'
+  box.innerHTML = `<ul class="history"></ul><button class="btn small hidden" id="activity-more">${t('activity.more')}</button>`
+  catalog.appendChild(box)
+  const list = box.querySelector('ul')
+  const more = box.querySelector('#activity-more')
+  let cursor = null
+  const loadPage = async () => {
+    more.disabled = true
+    try {
+      const j = await api('/api/activity?limit=30' + (cursor ? '&cursor=' + encodeURIComponent(cursor) : ''))
+      if (!j.ok) return showToast(errorText(j))
+      j.items.forEach(item => list.appendChild(renderActivityItem(item)))
+      if (!list.children.length) list.innerHTML = `<li class="muted">${t('activity.none')}</li>`
+      cursor = j.next_cursor
+      more.classList.toggle('hidden', !cursor)
+    } finally {
+      more.disabled = false
+    }
+  }
+  more.addEventListener('click', () => loadPage().catch(e => { console.error(e); showToast(t('common.networkError')) }))
+  await loadPage()
+}
+
+// ========== Admin console (routes/admin.js) ==========
+// stat keys of /api/admin/stats, labels 'admin.stat.<key>'
+const ADMIN_STATS = ['users', 'nfts', 'for_sale', 'hidden', 'active_auctions', 'pending_gifts', 'pending_withdrawals', 'sales_24h']
+const ADMIN_TOTALS = ['volume_24h', 'fees_total', 'deposits_total', 'pending_withdrawals_amount']
+
+function showAdmin() {
+  // only visible for admin via tab visibility; still protect actions server-side
+  const html = `
+    <div style="padding:16px" class="admin">
+      <h3>${t('admin.title')}</h3>
+      <div class="stats" id="admin-stats"><div class="muted">${t('common.loading')}</div></div>
+      <div class="filter-row">
+        <input id="admin-star-rate" inputmode="decimal" placeholder="${t('admin.starRate')}" value="${APP.starRate ? tonInput(APP.starRate) : ''}" />
+        <button class="btn small" id="admin-star-rate-save">${t('admin.saveRate')}</button>
+      </div>
+
+      <h3 style="margin-top:20px">${t('admin.users')}</h3>
+      <div class="filter-row">
+        <input id="admin-user-q" placeholder="${t('admin.userQuery')}" />
+        <button class="btn small" id="admin-user-search">${t('admin.find')}</button>
+      </div>
+      <ul class="history" id="admin-users"></ul>
+
+      <h3 style="margin-top:20px">${t('admin.lots')}</h3>
+      <div class="filter-row">
+        <input id="admin-nft-q" placeholder="${t('admin.lotQuery')}" />
+        <select id="admin-nft-hidden">
+          <option value="">${t('common.all')}</option>
+          <option value="0">${t('admin.visible')}</option>
+          <option value="1">${t('admin.hidden')}</option>
+        </select>
+        <button class="btn small" id="admin-nft-new">${t('admin.new')}</button>
+      </div>
+      <ul class="history" id="admin-nfts"><li class="muted">${t('common.loading')}</li></ul>
+
+      <h3 style="margin-top:20px">${t('admin.giveaways')}</h3>
+      <button class="btn small" id="admin-giveaway-new">${t('admin.newGiveaway')}</button>
+      <ul class="history" id="admin-giveaways"><li class="muted">${t('common.loading')}</li></ul>
+
+      <h3 style="margin-top:20px">${t('admin.withdrawals')}</h3>
+      <ul class="history" id="admin-withdrawals"><li class="muted">${t('common.loading')}</li></ul>
+
+      <h3 style="margin-top:20px">${t('admin.analytics')}</h3>
+      <div class="filter-row">
+        <select id="admin-analytics-dataset">
+          ${['sales', 'daily', 'sellers', 'buyers'].map(d => `<option value="${d}">${t('admin.dataset.' + d)}</option>`).join('')}
+        </select>
+        <input id="admin-analytics-days" inputmode="numeric" value="30" title="${t('admin.analyticsDays')}" />
+      </div>
+      <div class="filter-row">
+        <input id="admin-analytics-collection" placeholder="${t('admin.analyticsCollection')}" />
+        <button class="btn small" id="admin-analytics-csv">CSV</button>
+        <button class="btn small" id="admin-analytics-json">JSON</button>
+      </div>
+
+      <h3 style="margin-top:20px">${t('admin.audit')}</h3>
+      <div class="filter-row">
+        <input id="admin-audit-target" placeholder="${t('admin.auditTarget')}" />
+        <button class="btn small" id="admin-audit-csv">CSV</button>
+      </div>
+      <ul class="history" id="admin-audit"><li class="muted">${t('common.loading')}</li></ul>
+    </div>
+  `
+  catalog.innerHTML = ''
+  const wrap = document.createElement('div')
+  wrap.className = 'full'
+  wrap.innerHTML = html
+  catalog.appendChild(wrap)
+
+  loadAdminStats()
+  loadAdminNfts()
+  loadAdminGiveaways()
+  loadWithdrawalQueue()
+  loadAuditLog()
+
+  const searchUsers = () => searchAdminUsers($('#admin-user-q').value.trim())
+  $('#admin-user-search').addEventListener('click', searchUsers)
+  $('#admin-user-q').addEventListener('keydown', (e) => { if (e.key === 'Enter') searchUsers() })
+  let nftTimer = null
+  $('#admin-nft-q').addEventListener('input', () => {
+    clearTimeout(nftTimer)
+    nftTimer = setTimeout(loadAdminNfts, 300)
+  })
+  $('#admin-nft-hidden').addEventListener('change', loadAdminNfts)
+  $('#admin-nft-new').addEventListener('click', () => promptNftLot(null))
+  $('#admin-giveaway-new').addEventListener('click', promptGiveaway)
+  $('#admin-audit-target').addEventListener('change', loadAuditLog)
+  $('#admin-audit-csv').addEventListener('click', downloadAuditCsv)
+  $('#admin-analytics-csv').addEventListener('click', () => downloadAnalytics('csv'))
+  $('#admin-analytics-json').addEventListener('click', () => downloadAnalytics('json'))
+  $('#admin-star-rate-save').addEventListener('click', saveStarRate)
+}
+
+async function saveStarRate() {
+  const ton = $('#admin-star-rate').value.trim().replace(',', '.')
+  if (!ton) return showToast(t('admin.rateRequired'))
+  try {
+    const r = await api('/api/admin/stars/rate', { method: 'POST', body: { ton } })
+    if (!r.ok) return showToast(errorText(r))
+    showToast(t('stars.rate', { rate: formatTon(r.rate) }))
+    loadAuditLog()
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+async function loadAdminStats() {
+  const box = $('#admin-stats')
+  try {
+    const j = await api('/api/admin/stats')
+    if (!j.ok) { box.innerHTML = ''; return showToast(errorText(j)) }
+    box.innerHTML = ADMIN_STATS.map(key => `<div class="stat"><b>${formatNumber(j.stats[key])}</b><span>${t('admin.stat.' + key)}</span></div>`).join('') +
+      ADMIN_TOTALS.map(key => `<div class="stat"><b>${formatTon(j.stats[key])}</b><span>${t('admin.stat.' + key)}, TON</span></div>`).join('')
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+function userLabel(profile, id) {
+  if (!profile) return escapeHtml(id)
+  const name = [profile.first_name, profile.username ? '@' + profile.username : ''].filter(Boolean).join(' ')
+  return escapeHtml(name ? `${name} (${profile.id})` : profile.id)
+}
+
+async function searchAdminUsers(q) {
+  const list = $('#admin-users')
+  if (!q) return showToast(t('admin.queryRequired'))
+  try {
+    const j = await api('/api/admin/users?q=' + encodeURIComponent(q))
+    if (!j.ok) return showToast(errorText(j))
+    list.innerHTML = j.users.length ? '' : `<li class="muted">${t('admin.noUsers')}</li>`
+    j.users.forEach(u => {
+      const li = document.createElement('li')
+      li.innerHTML = `<button class="link-btn">${userLabel(u)}</button>`
+      li.querySelector('button').addEventListener('click', () => showAdminUser(u.id))
+      list.appendChild(li)
+    })
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+// profile, balance, ledger and owned NFTs; credit/debit with a mandatory reason
+async function showAdminUser(id) {
+  try {
+    const j = await api('/api/admin/users/' + encodeURIComponent(id))
+    if (!j.ok) return showToast(errorText(j))
+    const u = j.user
+    const history = u.history.map(e => `
+      <li><span><b>${e.amount > 0 ? '+' : ''}${formatTon(e.amount)} TON</b> · ${escapeHtml(e.reason)}${e.ref ? ' · ' + escapeHtml(e.ref) : ''}</span>
+      <span class="muted">${formatDateTime(e.created_at)}${e.actor_id && e.actor_id !== u.id ? ' · ' + escapeHtml(e.actor_id) : ''}</span></li>
+    `).join('')
+    const nfts = u.nfts.map(n => `<li>${escapeHtml(n.name)} #${n.number}${n.for_sale ? t('admin.forSale', { price: formatTon(n.price) }) : ''}${n.hidden ? t('admin.hiddenMark') : ''}</li>`).join('')
+    const body = openModal(`
+      <h3>${userLabel(u.profile, u.id)}</h3>
+      <div class="muted">${escapeHtml(t('admin.role', { role: u.role }))}${u.profile && u.profile.premium_until ? t('admin.premiumUntil', { date: formatDate(u.profile.premium_until) }) : ''}</div>
+      <div class="muted">${t('admin.wallet')} ${u.wallet ? `<code class="wrap">${escapeHtml(u.wallet.friendly)}</code>` : t('admin.walletNone')}</div>
+      <div style="margin-top:8px">${t('admin.balance')} <b>${formatTon(u.balance)} TON</b></div>
+      <div class="form-col" style="margin-top:8px">
+        <input id="adjust-amount" inputmode="decimal" placeholder="${t('admin.adjustAmount')}" />
+        <input id="adjust-reason" placeholder="${t('admin.adjustReason')}" />
+        <button class="buy-btn" id="adjust-ok">${t('admin.adjust')}</button>
+      </div>
+      <h4>NFT</h4>
+      <ul class="history">${nfts || `<li class="muted">${t('admin.noNfts')}</li>`}</ul>
+      <h4>${t('admin.operations')}</h4>
+      <ul class="history">${history || `<li class="muted">${t('admin.noOperations')}</li>`}</ul>
+      <div class="modal-actions"><button class="btn small" id="user-close">${t('common.close')}</button></div>
+    `)
+    body.querySelector('#user-close').addEventListener('click', closeModal)
+    body.querySelector('#adjust-ok').addEventListener('click', async () => {
+      const amount = body.querySelector('#adjust-amount').value.trim().replace(',', '.')
+      const reason = body.querySelector('#adjust-reason').value.trim()
+      if (!amount || !Number(amount)) return showToast(t('admin.amountRequired'))
+      if (!reason) return showToast(t('admin.reasonRequired'))
+      try {
+        const r = await api('/api/admin/users/' + encodeURIComponent(u.id) + '/adjust', { method: 'POST', body: { amount, reason } })
+        if (!r.ok) return showToast(errorText(r))
+        showToast(t('admin.newBalance', { balance: formatTon(r.balance) }))
+        if (APP.user && String(APP.user.id) === u.id) setBalance(r.balance)
+        showAdminUser(u.id)
+        loadAuditLog()
+      } catch (e) {
+        console.error(e)
+        showToast(t('common.networkError'))
+      }
+    })
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+async function loadAdminNfts() {
+  const list = $('#admin-nfts')
+  if (!list) return
+  const params = new URLSearchParams({ limit: '30' })
+  const q = $('#admin-nft-q').value.trim()
+  const hidden = $('#admin-nft-hidden').value
+  if (q) params.set('q', q)
+  if (hidden) params.set('hidden', hidden)
+  try {
+    const j = await api('/api/admin/nfts?' + params)
+    if (!j.ok) { list.innerHTML = ''; return showToast(errorText(j)) }
+    list.innerHTML = j.nfts.length ? '' : `<li class="muted">${t('admin.noLots')}</li>`
+    j.nfts.forEach(nft => {
+      const state = nft.hidden ? t('admin.state.hidden')
+        : nft.auction_id ? t('admin.state.auction')
+        : nft.gift_id ? t('admin.state.gift')
+        : nft.giveaway_id ? t('admin.state.giveaway')
+        : nft.owner_id ? escapeHtml(t('admin.state.owner', { id: nft.owner_id }))
+        : nft.for_sale ? t('admin.state.forSale') : t('admin.state.notForSale')
+      const li = document.createElement('li')
+      li.innerHTML = `
+        <span>#${nft.id} · <b>${escapeHtml(nft.name)} #${nft.number}</b> · ${formatTon(nft.price)} TON</span>
+        <span class="muted">${state}</span>
+        <span class="card-actions">
+          <button class="btn small" data-act="edit">${t('admin.edit')}</button>
+          <button class="btn small" data-act="${nft.hidden ? 'unhide' : 'hide'}">${nft.hidden ? t('admin.show') : t('admin.hide')}</button>
+        </span>
+      `
+      li.querySelector('[data-act="edit"]').addEventListener('click', () => promptNftLot(nft))
+      li.querySelector('[data-act$="hide"]').addEventListener('click', (e) => setNftHidden(nft, e.target.dataset.act))
+      list.appendChild(li)
+    })
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+// ISO -> value for <input type="datetime-local"> in local time
+function toLocalInput(iso) {
+  const d = new Date(iso)
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16)
+}
+
+// create (nft = null) or edit a lot; the price of owned lots stays with their owner
+function promptNftLot(nft) {
+  const body = openModal(`
+    <h3>${nft ? t('admin.lotTitle', { id: nft.id }) : t('admin.newLot')}</h3>
+    <div class="form-col">
+      <input id="lot-name" placeholder="${t('admin.lotName')}" value="${nft ? escapeHtml(nft.name) : ''}" />
+      <input id="lot-number" inputmode="numeric" placeholder="${t('admin.lotNumber')}" value="${nft ? nft.number : ''}" />
+      <input id="lot-price" inputmode="decimal" placeholder="${t('admin.lotPrice')}" value="${nft ? tonInput(nft.price) : ''}" ${nft && nft.owner_id ? 'disabled' : ''} />
+      <input id="lot-link" placeholder="${t('admin.lotLink')}" value="${nft && nft.link ? escapeHtml(nft.link) : ''}" />
+      <input id="lot-image" placeholder="${t('admin.lotImage')}" value="${nft && nft.image_url ? escapeHtml(nft.image_url) : ''}" />
+      <label class="muted">${t('admin.lotAvailable')}</label>
+      <input id="lot-available" type="datetime-local" value="${nft && nft.available_at ? toLocalInput(nft.available_at) : ''}" ${nft && nft.owner_id ? 'disabled' : ''} />
+    </div>
+    <div class="modal-actions">
+      <button class="btn small" id="lot-cancel">${t('common.cancel')}</button>
+      <button class="buy-btn" id="lot-ok">${t('common.save')}</button>
+    </div>
+  `)
+  body.querySelector('#lot-cancel').addEventListener('click', closeModal)
+  body.querySelector('#lot-ok').addEventListener('click', async () => {
+    const value = (id) => body.querySelector(id).value.trim()
+    const lot = { name: value('#lot-name'), number: value('#lot-number'), link: value('#lot-link') || null, image_url: value('#lot-image') || null }
+    if (!nft || !nft.owner_id) {
+      lot.price = value('#lot-price').replace(',', '.')
+      lot.available_at = value('#lot-available') ? new Date(value('#lot-available')).toISOString() : null
+    }
+    if (!lot.name || lot.number === '') return showToast(t('admin.lotRequired'))
+    try {
+      const r = await api(nft ? '/api/admin/nfts/' + nft.id : '/api/admin/nfts', { method: 'POST', body: lot })
+      if (!r.ok) return showToast(errorText(r))
+      closeModal()
+      showToast(nft ? t('admin.lotUpdated') : t('admin.lotCreated'))
+      loadAdminNfts()
+      loadAuditLog()
+    } catch (e) {
+      console.error(e)
+      showToast(t('common.networkError'))
+    }
+  })
+}
+
+function setNftHidden(nft, act) {
+  promptText(act === 'hide' ? t('admin.hideLot', { id: nft.id }) : t('admin.showLot', { id: nft.id }), t('common.reasonOptional'), async (reason) => {
+    try {
+      const r = await api('/api/admin/nfts/' + nft.id + '/' + act, { method: 'POST', body: { reason: reason || undefined } })
+      if (!r.ok) return showToast(errorText(r))
+      showToast(act === 'hide' ? t('admin.lotHidden') : t('admin.lotShown'))
+      loadAdminNfts()
+      loadAdminStats()
+      loadAuditLog()
+    } catch (e) {
+      console.error(e)
+      showToast(t('common.networkError'))
+    }
+  })
+}
+
+function auditQuery() {
+  const target = $('#admin-audit-target').value.trim()
+  return target ? '?target_id=' + encodeURIComponent(target) : ''
+}
+
+async function loadAuditLog() {
+  const list = $('#admin-audit')
+  if (!list) return
+  try {
+    const j = await api('/api/admin/audit' + auditQuery())
+    if (!j.ok) { list.innerHTML = ''; return showToast(errorText(j)) }
+    list.innerHTML = j.entries.length ? '' : `<li class="muted">${t('admin.noEntries')}</li>`
+    j.entries.forEach(a => {
+      const li = document.createElement('li')
+      li.innerHTML = `
+        <span><b>${escapeHtml(a.action)}</b> · ${escapeHtml(a.target_type || '')} ${escapeHtml(a.target_id || '')}</span>
+        <code class="wrap">${escapeHtml(JSON.stringify(a.details))}</code>
+        <span class="muted">${formatDateTime(a.created_at)} · ${escapeHtml(a.actor_id)}</span>
+      `
+      list.appendChild(li)
+    })
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+// the export needs the bearer token, so it is fetched and saved as a blob instead of a plain link
+// admin exports need the bearer token, so they are fetched and saved from a blob url
+async function downloadExport(path, filename) {
+  try {
+    const r = await fetch(path, { headers: { Authorization: 'Bearer ' + APP.token, 'Accept-Language': LANG } })
+    if (!r.ok) return showToast(t('admin.exportFailed'))
+    const url = URL.createObjectURL(await r.blob())
+    const a = document.createElement('a')
+    a.href = url
+    a.download = filename
+    a.click()
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+function downloadAuditCsv() {
+  return downloadExport('/api/admin/audit.csv' + auditQuery(), 'audit.csv')
+}
+
+// sales | daily | sellers | buyers as CSV or JSON (routes/analytics.js)
+function downloadAnalytics(format) {
+  const dataset = $('#admin-analytics-dataset').value
+  const params = new URLSearchParams({ days: $('#admin-analytics-days').value.trim() || '30' })
+  const collection = $('#admin-analytics-collection').value.trim()
+  if (collection) params.set('collection', collection)
+  return downloadExport(`/api/admin/analytics/${dataset}.${format}?${params}`, `${dataset}.${format}`)
+}
+
+async function loadAdminGiveaways() {
+  const list = $('#admin-giveaways')
+  if (!list) return
+  try {
+    const j = await api('/api/giveaways?status=active')
+    if (!j.ok) { list.innerHTML = ''; return showToast(errorText(j)) }
+    list.innerHTML = j.giveaways.length ? '' : `<li class="muted">${t('admin.noActiveGiveaways')}</li>`
+    j.giveaways.forEach(g => {
+      const ended = new Date(g.ends_at).getTime() <= Date.now()
+      const li = document.createElement('li')
+      li.innerHTML = `
+        <span>#${g.id} · <b>${escapeHtml(g.title)}</b> · ${giveawayPrize(g)}</span>
+        <span class="muted">${t('admin.giveawayEntries', { count: formatNumber(g.entries_count) })} · ${ended ? t('countdown.ended') : t('admin.until', { date: formatDateTime(g.ends_at) })}</span>
+        <span class="card-actions">
+          ${ended ? `<button class="btn small" data-act="draw">${t('admin.draw')}</button>` : ''}
+          <button class="btn small" data-act="cancel">${t('common.cancelAction')}</button>
+        </span>
+      `
+      li.querySelectorAll('[data-act]').forEach(btn => btn.addEventListener('click', async () => {
+        try {
+          const r = await api('/api/admin/giveaways/' + g.id + '/' + btn.dataset.act, { method: 'POST', body: {} })
+          if (!r.ok) return showToast(errorText(r))
+          showToast(btn.dataset.act === 'draw' ? t('admin.winnersToast', { winners: r.giveaway.winners.join(', ') || t('giveaway.noEntrants') }) : t('admin.giveawayCancelled'))
+          loadAdminGiveaways()
+          loadAuditLog()
+        } catch (e) {
+          console.error(e)
+          showToast(t('common.networkError'))
+        }
+      }))
+      list.appendChild(li)
+    })
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+function promptGiveaway() {
+  const body = openModal(`
+    <h3>${t('admin.newGiveaway')}</h3>
+    <div class="form-col">
+      <input id="ga-title" maxlength="100" placeholder="${t('admin.gaTitle')}" />
+      <input id="ga-description" maxlength="1000" placeholder="${t('admin.gaDescription')}" />
+      <select id="ga-prize">
+        <option value="ton">${t('admin.gaPrizeTon')}</option>
+        <option value="nft">${t('admin.gaPrizeNft')}</option>
+      </select>
+      <input id="ga-amount" inputmode="decimal" placeholder="${t('admin.gaAmount')}" />
+      <input id="ga-winners" inputmode="numeric" placeholder="${t('admin.gaWinners')}" value="1" />
+      <input id="ga-nft" inputmode="numeric" placeholder="${t('admin.gaNft')}" class="hidden" />
+      <select id="ga-duration">
+        <option value="60">${t('duration.1h')}</option>
+        <option value="1440">${t('duration.1d')}</option>
+        <option value="4320">${t('duration.3d')}</option>
+        <option value="10080">${t('duration.7d')}</option>
+      </select>
+      <label class="muted"><input type="checkbox" id="ga-premium" style="width:auto"> ${t('admin.gaPremium')}</label>
+      <input id="ga-min-balance" inputmode="decimal" placeholder="${t('admin.gaMinBalance')}" />
+      <input id="ga-collection" placeholder="${t('admin.gaCollection')}" />
+    </div>
+    <div class="modal-actions">
+      <button class="btn small" id="ga-cancel">${t('common.cancel')}</button>
+      <button class="buy-btn" id="ga-ok">${t('common.create')}</button>
+    </div>
+  `)
+  const value = (id) => body.querySelector(id).value.trim()
+  body.querySelector('#ga-prize').addEventListener('change', () => {
+    const nft = value('#ga-prize') === 'nft'
+    body.querySelector('#ga-nft').classList.toggle('hidden', !nft)
+    body.querySelector('#ga-amount').classList.toggle('hidden', nft)
+    body.querySelector('#ga-winners').classList.toggle('hidden', nft)
+  })
+  body.querySelector('#ga-cancel').addEventListener('click', closeModal)
+  body.querySelector('#ga-ok').addEventListener('click', async () => {
+    const prize = value('#ga-prize')
+    const giveaway = {
+      title: value('#ga-title'),
+      description: value('#ga-description') || undefined,
+      prize_type: prize,
+      duration_minutes: Number(value('#ga-duration')),
+      conditions: {
+        premium: body.querySelector('#ga-premium').checked,
+        min_balance: value('#ga-min-balance').replace(',', '.') || undefined,
+        collection: value('#ga-collection') || undefined
+      }
+    }
+    if (prize === 'nft') giveaway.nft_id = Number(value('#ga-nft'))
+    else Object.assign(giveaway, { amount: value('#ga-amount').replace(',', '.'), winners_count: Number(value('#ga-winners')) })
+    if (!giveaway.title) return showToast(t('admin.gaTitleRequired'))
+    try {
+      const r = await api('/api/admin/giveaways', { method: 'POST', body: giveaway })
+      if (!r.ok) return showToast(errorText(r))
+      closeModal()
+      showToast(t('admin.gaCreated'))
+      loadAdminGiveaways()
+      loadAdminNfts()
+      loadAuditLog()
+    } catch (e) {
+      console.error(e)
+      showToast(t('common.networkError'))
+    }
+  })
+}
+
+// pending withdrawals: approve after paying out (optional tx hash) or reject (refunds the user)
+async function loadWithdrawalQueue() {
+  const list = $('#admin-withdrawals')
+  try {
+    const j = await api('/api/admin/withdrawals')
+    if (!j.ok) { list.innerHTML = ''; return showToast(errorText(j)) }
+    list.innerHTML = j.withdrawals.length ? '' : `<li class="muted">${t('admin.noRequests')}</li>`
+    j.withdrawals.forEach(w => {
+      const li = document.createElement('li')
+      li.innerHTML = `
+        <span>#${w.id} · ${escapeHtml(w.user_id)} · <b>${formatTon(w.amount)} TON</b><br><code class="wrap">${escapeHtml(w.friendly)}</code></span>
+        <span class="card-actions">
+          <button class="btn small" data-act="approve">${t('admin.paidOut')}</button>
+          <button class="btn small" data-act="reject">${t('common.reject')}</button>
+        </span>
+      `
+      li.querySelectorAll('[data-act]').forEach(btn => btn.addEventListener('click', () => {
+        const approve = btn.dataset.act === 'approve'
+        promptText(
+          approve ? t('admin.payoutTitle', { id: w.id }) : t('admin.rejectTitle', { id: w.id }),
+          approve ? t('admin.txHash') : t('common.reasonOptional'),
+          async (value) => {
+            const body = approve ? { tx_hash: value || undefined } : { note: value || undefined }
+            try {
+              const r = await api('/api/admin/withdrawals/' + w.id + '/' + btn.dataset.act, { method: 'POST', body })
+              showToast(r.ok ? (approve ? t('admin.requestApproved') : t('admin.requestRejected')) : errorText(r))
+              loadWithdrawalQueue()
+            } catch (e) {
+              console.error(e)
+              showToast(t('common.networkError'))
+            }
+          })
+      }))
+      list.appendChild(li)
+    })
+  } catch (e) {
+    console.error(e)
+    showToast(t('common.networkError'))
+  }
+}
+
+// bot buttons open the app with ?startapp=<tab> (lib/telegram); invite links (ref_<code>) match no tab,
+// the server reads those from initData
+function openStartTab() {
+  const tab = window.Telegram?.WebApp?.initDataUnsafe?.start_param
+  if (!tab || tab === 'catalog') return
+  const btn = document.querySelector(`.tab[data-tab="${CSS.escape(tab)}"]`)
+  if (btn && btn.style.display !== 'none') btn.click()
+}
+
+// init
+async function init() {
+  // splash for ~2 seconds with animation then show main
+  setTimeout(()=> {
+    showMain()
+  }, 1800)
+
+  applyI18n(document)
+  initLangSelect()
+  initCatalogFilters()
+  loadCollections()
+
+  // verify user (calls server) — this will set APP.user and optionally show admin
+  await verifyTelegram()
+  openStartTab()
+
+  setInterval(updateCountdowns, 1000)
+
+  $('#modal')?.addEventListener('click', (e) => { if (e.target.id === 'modal') closeModal() })
 
   // attach refresh button
   $('#btn-refresh')?.addEventListener('click', async ()=> {
     await refreshBalance()
     await loadNFTs()
-    showToast('Обновлено')
+    showToast(t('app.refreshed'))
   })
 }
 
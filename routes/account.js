@@ -0,0 +1,99 @@
+/**
+ * routes/account.js
+ * The signed-in user's account and the premium plans. Perks of the active plan are resolved by
+ * lib/premium.js; prices are nanoTON, plan prices in admin requests are TON.
+ *
+ *    GET  /api/me            -> { profile, role, balance, stars, premium: { active, until, plan, perks }, wallet }  [auth]
+ *    GET  /api/premium/plans -> active plans in display order
+ *    POST /api/admin/plans/:id { title, months, price, perks, active?, sort? } -> create or replace a plan   [admin]
+ *         perks: { market_fee_bps, max_listings, early_access_minutes }
+ */
+
+const express = require('express')
+const { toNano } = require('../lib/money')
+const { parseAddress, toFriendly } = require('../lib/payments/address')
+
+const PERK_KEYS = ['market_fee_bps', 'max_listings', 'early_access_minutes']
+const PLAN_ID = /^[a-z0-9_]{1,40}$/
+
+function createAccountRouter({ store, auth, entitlements }) {
+  const router = express.Router()
+  const { requireAuth, requireRole } = auth
+
+  router.get('/me', requireAuth, async (req, res) => {
+    const id = req.user.id
+    try {
+      const [profile, balance, premium, wallet] = await Promise.all([
+        store.profiles.get(id),
+        store.ledger.balance(id),
+        entitlements.forUser(id),
+        store.wallets.get(id)
+      ])
+      const plan = premium.plan_id ? await store.premium.plan(premium.plan_id) : null
+      return res.json({
+        ok: true,
+        profile,
+        role: req.user.role,
+        balance,
+        stars: Number((profile && profile.stars_balance) || 0),
+        premium: { active: premium.active, until: premium.until, plan: plan && { id: plan.id, title: plan.title }, perks: premium.perks },
+        wallet: wallet && { ...wallet, friendly: toFriendly(parseAddress(wallet.address), { testOnly: wallet.network === '-3' }) }
+      })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/premium/plans', async (req, res) => {
+    try {
+      return res.json({ ok: true, plans: await store.premium.plans() })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  // -> { plan } | { error }
+  function parsePlan(body) {
+    const title = typeof body.title === 'string' ? body.title.trim() : ''
+    if (!title || title.length > 100) return { error: 'invalid title' }
+    const months = Number(body.months)
+    if (!Number.isInteger(months) || months < 1 || months > 36) return { error: 'invalid months' }
+    const price = toNano(body.price)
+    if (price === null || price <= 0) return { error: 'invalid price' }
+    if (typeof body.perks !== 'object' || body.perks === null) return { error: 'invalid perks' }
+    const perks = {}
+    for (const key of PERK_KEYS) {
+      const value = Number(body.perks[key])
+      if (!Number.isInteger(value) || value < 0) return { error: `invalid ${key}` }
+      perks[key] = value
+    }
+    const sort = body.sort === undefined ? 0 : Number(body.sort)
+    if (!Number.isInteger(sort)) return { error: 'invalid sort' }
+    return { plan: { title, months, price, perks, active: body.active !== false, sort } }
+  }
+
+  router.post('/admin/plans/:id', requireAuth, requireRole('admin'), async (req, res) => {
+    const id = String(req.params.id)
+    if (!PLAN_ID.test(id)) return res.status(400).json({ ok: false, error: 'invalid id' })
+    const { plan, error } = parsePlan(req.body)
+    if (error) return res.status(400).json({ ok: false, error })
+    try {
+      const before = await store.premium.plan(id)
+      const saved = await store.premium.savePlan({ id, ...plan })
+      await store.audit.record({
+        actor_id: req.user.id,
+        action: before ? 'plan.update' : 'plan.create',
+        target_type: 'plan',
+        target_id: id,
+        details: { before, after: plan }
+      })
+      return res.json({ ok: true, plan: saved })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createAccountRouter }
@@ -0,0 +1,318 @@
+/**
+ * routes/admin.js
+ * Admin console: dashboard stats, user lookup, audited balance adjustments, NFT lot management
+ * and the audit log. Every state-changing admin action is written to `audit_log` (010_admin.sql).
+ * Amounts in requests are TON, responses are nanoTON. All routes require role `admin`.
+ * Balance credits/debits take an Idempotency-Key header (lib/idempotency.js).
+ *
+ *    GET  /api/admin/stats                       -> counters and totals for the dashboard
+ *    GET  /api/admin/users?q=                    -> search by id, @username or first name
+ *    GET  /api/admin/users/:id                   -> profile, role, balance, ledger, owned NFTs, wallet
+ *    POST /api/admin/users/:id/adjust { amount, reason } -> signed amount: credit (> 0) or debit (< 0)
+ *    POST /api/admin/add_balance { target_id, amount, reason } -> credit only (kept for older clients);
+ *         any Telegram id, also one that has not opened the Mini App yet (no profile row needed)
+ *    GET  /api/admin/nfts?q=&hidden=1|0&before=&limit= -> all lots incl. hidden, newest first
+ *    POST /api/admin/nfts       { name, number, price, link?, image_url?, available_at?, attributes? } -> new unowned lot (on sale)
+ *    POST /api/admin/nfts/:id   { name?, number?, price?, link?, image_url?, available_at?, attributes? } -> edit; price of unowned lots only
+ *         available_at: ISO time a primary lot can be bought from (a drop), premium earlier; null = now
+ *         attributes: [{ trait, value, rarity? (% of the collection) }]; on create read from the t.me/nft page if omitted
+ *         image_url: remote urls are stored as a cached thumbnail (lib/images.js)
+ *    POST /api/admin/nfts/:id/hide   { reason? } -> out of the catalog and off sale
+ *    POST /api/admin/nfts/:id/unhide { reason? }
+ *    GET  /api/admin/audit?actor_id=&action=&target_type=&target_id=&before=&limit=
+ *    GET  /api/admin/audit.csv  (same filters)   -> CSV download
+ */
+
+const express = require('express')
+const { toNano } = require('../lib/money')
+const { toCsv } = require('../lib/csv')
+const { nftLink, fetchNftPage } = require('../lib/sync/preview')
+const { normalizeAttributes } = require('../lib/collections')
+const { validateBody } = require('../lib/validation')
+const { parseAddress, toFriendly } = require('../lib/payments/address')
+
+const STATUS = {
+  'user not found': 404,
+  'nft not found': 404,
+  'owned by user': 409,
+  'in auction': 409,
+  'gift pending': 409,
+  'in giveaway': 409,
+  'nft busy': 409,
+  'already hidden': 409,
+  'not hidden': 409,
+  'link already used': 409
+}
+const MAX_LIMIT = 100
+const CSV_LIMIT = 10000
+const AUDIT_CSV_COLUMNS = ['id', 'created_at', 'actor_id', 'action', 'target_type', 'target_id', 'details']
+
+function createAdminRouter({ store, auth, config, realtime, images, moneyGuard, now = () => new Date() }) {
+  const router = express.Router()
+  const { requireAuth, requireRole } = auth
+  const adminOnly = [requireAuth, requireRole('admin')]
+
+  function send(res, result) {
+    if (result.ok) return res.json(result)
+    return res.status(STATUS[result.error] || 400).json(result)
+  }
+
+  function parseLimit(value, fallback, max = MAX_LIMIT) {
+    if (value === undefined) return fallback
+    const limit = Number(value)
+    return Number.isInteger(limit) && limit >= 1 && limit <= max ? limit : null
+  }
+
+  function parseReason(reason) {
+    const text = typeof reason === 'string' ? reason.trim() : ''
+    return text ? text.slice(0, 500) : null
+  }
+
+  async function roleOf(userId) {
+    if (config.adminIds.includes(String(userId))) return 'admin'
+    return (await store.admins.roleOf(userId)) || 'user'
+  }
+
+  // validated patch for POST /admin/nfts(/:id) -> { patch } | { error }
+  function parseNftFields(body, { create }) {
+    const patch = {}
+    if (body.name !== undefined || create) {
+      const name = typeof body.name === 'string' ? body.name.trim() : ''
+      if (!name || name.length > 100) return { error: 'invalid name' }
+      patch.name = name
+    }
+    if (body.number !== undefined || create) {
+      const number = Number(body.number)
+      if (!Number.isInteger(number) || number < 0) return { error: 'invalid number' }
+      patch.number = number
+    }
+    if (body.price !== undefined || create) {
+      const price = toNano(body.price)
+      if (price === null || price < 0) return { error: 'invalid price' }
+      patch.price = price
+    }
+    for (const key of ['link', 'image_url']) {
+      if (body[key] === undefined) continue
+      if (body[key] !== null && (typeof body[key] !== 'string' || body[key].length > 500)) return { error: `invalid ${key}` }
+      patch[key] = body[key] || null
+    }
+    if (body.available_at !== undefined) {
+      if (body.available_at && Number.isNaN(Date.parse(body.available_at))) return { error: 'invalid available_at' }
+      patch.available_at = body.available_at ? new Date(body.available_at).toISOString() : null
+    }
+    if (body.attributes !== undefined) {
+      const attributes = normalizeAttributes(body.attributes)
+      if (!attributes) return { error: 'invalid attributes' }
+      patch.attributes = attributes
+    }
+    return { patch }
+  }
+
+  // ---------- dashboard ----------
+
+  router.get('/admin/stats', adminOnly, async (req, res) => {
+    try {
+      return res.json({ ok: true, stats: await store.admins.stats(now().toISOString()) })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  // ---------- users ----------
+
+  router.get('/admin/users', adminOnly, async (req, res) => {
+    const q = String(req.query.q || '').slice(0, 100)
+    if (!q.trim()) return res.status(400).json({ ok: false, error: 'missing q' })
+    try {
+      return res.json({ ok: true, users: await store.profiles.search(q) })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/admin/users/:id', adminOnly, async (req, res) => {
+    const id = String(req.params.id)
+    try {
+      const [profile, balance, history, owned, wallet, role] = await Promise.all([
+        store.profiles.get(id),
+        store.ledger.balance(id),
+        store.ledger.history(id, { limit: 100 }),
+        store.nfts.list({ where: { owner_id: id } }),
+        store.wallets.get(id),
+        roleOf(id)
+      ])
+      if (!profile && !history.length) return res.status(404).json({ ok: false, error: 'user not found' })
+      return res.json({
+        ok: true,
+        user: { id, profile, role, balance, history, nfts: owned, wallet: wallet && { ...wallet, friendly: toFriendly(parseAddress(wallet.address)) } }
+      })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  // `known`: the user must have a profile (the console's adjust); add_balance pre-credits any id
+  async function adjust(req, res, userId, amount, { known = true } = {}) {
+    const note = parseReason(req.body.reason)
+    if (!note) return res.status(400).json({ ok: false, error: 'missing reason' })
+    try {
+      if (known && !(await store.profiles.get(userId))) return res.status(404).json({ ok: false, error: 'user not found' })
+      return send(res, await store.admins.adjustBalance({ admin_id: req.user.id, user_id: userId, amount, note }))
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  }
+
+  const ADJUST_SCHEMA = { amount: { type: 'ton', sign: 'nonzero', required: true } }
+  router.post('/admin/users/:id/adjust', adminOnly, validateBody(ADJUST_SCHEMA), moneyGuard('admin.adjust'), (req, res) => {
+    return adjust(req, res, String(req.params.id), req.valid.amount)
+  })
+
+  const ADD_BALANCE_SCHEMA = {
+    target_id: { type: 'user', required: true, error: 'invalid target_id' },
+    amount: { type: 'ton', sign: 'positive', required: true }
+  }
+  router.post('/admin/add_balance', adminOnly, validateBody(ADD_BALANCE_SCHEMA), moneyGuard('admin.add_balance'), (req, res) => {
+    return adjust(req, res, req.valid.target_id, req.valid.amount, { known: false })
+  })
+
+  // ---------- NFT lots ----------
+
+  router.get('/admin/nfts', adminOnly, async (req, res) => {
+    const limit = parseLimit(req.query.limit, 50)
+    if (limit === null) return res.status(400).json({ ok: false, error: 'invalid limit' })
+    const hidden = req.query.hidden === '1' ? true : req.query.hidden === '0' ? false : null
+    const before = req.query.before ? Number(req.query.before) : null
+    if (before !== null && !Number.isInteger(before)) return res.status(400).json({ ok: false, error: 'invalid before' })
+    try {
+      const { nfts, next } = await store.nfts.search({
+        q: req.query.q ? String(req.query.q).slice(0, 100) : undefined,
+        hidden,
+        after: before ? { id: before } : null,
+        limit
+      })
+      return res.json({ ok: true, nfts, next_before: next ? next.id : null })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/admin/nfts', adminOnly, async (req, res) => {
+    const { patch, error } = parseNftFields(req.body, { create: true })
+    if (error) return res.status(400).json({ ok: false, error })
+    try {
+      const link = patch.link || nftLink(patch.name, patch.number)
+      if (await store.nfts.findByLink(link)) return res.status(409).json({ ok: false, error: 'link already used' })
+      const page = patch.image_url && patch.attributes ? null : await fetchNftPage(link)
+      const nft = await store.nfts.create({
+        ...patch,
+        link,
+        image_url: await images.localUrl(patch.image_url || page.image_url),
+        attributes: patch.attributes || page.attributes,
+        owner_id: null
+      })
+      await store.audit.record({
+        actor_id: req.user.id,
+        action: 'nft.create',
+        target_type: 'nft',
+        target_id: nft.id,
+        details: { name: nft.name, number: nft.number, price: nft.price, available_at: nft.available_at }
+      })
+      realtime.nftChanged(nft.id, 'listing')
+      return res.json({ ok: true, nft })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/admin/nfts/:id', adminOnly, async (req, res) => {
+    const { patch, error } = parseNftFields(req.body, { create: false })
+    if (error) return res.status(400).json({ ok: false, error })
+    if (!Object.keys(patch).length) return res.status(400).json({ ok: false, error: 'nothing to change' })
+    try {
+      if (patch.image_url) patch.image_url = await images.localUrl(patch.image_url)
+      const result = await store.nfts.edit(req.params.id, patch)
+      if (!result.ok) return send(res, result)
+      const changed = Object.keys(result.before)
+      if (changed.length) {
+        await store.audit.record({
+          actor_id: req.user.id,
+          action: 'nft.update',
+          target_type: 'nft',
+          target_id: result.nft.id,
+          details: { before: result.before, after: Object.fromEntries(changed.map(k => [k, result.nft[k]])) }
+        })
+        realtime.nftChanged(result.nft.id, changed.includes('price') ? 'price' : 'nft')
+      }
+      return res.json({ ok: true, nft: result.nft })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  for (const [path, hidden] of [['hide', true], ['unhide', false]]) {
+    router.post(`/admin/nfts/:id/${path}`, adminOnly, async (req, res) => {
+      try {
+        const result = await store.nfts.setHidden(req.params.id, hidden)
+        if (result.ok) {
+          await store.audit.record({
+            actor_id: req.user.id,
+            action: `nft.${path}`,
+            target_type: 'nft',
+            target_id: result.nft.id,
+            details: { reason: parseReason(req.body.reason) }
+          })
+          realtime.nftChanged(result.nft.id, 'listing')
+        }
+        return send(res, result)
+      } catch (e) {
+        return res.status(500).json({ ok: false, error: String(e) })
+      }
+    })
+  }
+
+  // ---------- audit log ----------
+
+  function auditFilters(query) {
+    const filters = {}
+    for (const key of ['actor_id', 'action', 'target_type', 'target_id']) {
+      if (query[key]) filters[key] = String(query[key])
+    }
+    if (query.before) {
+      const before = Number(query.before)
+      if (!Number.isInteger(before)) return { error: 'invalid before' }
+      filters.before = before
+    }
+    return filters
+  }
+
+  router.get('/admin/audit', adminOnly, async (req, res) => {
+    const filters = auditFilters(req.query)
+    const limit = parseLimit(req.query.limit, 50)
+    if (filters.error || limit === null) return res.status(400).json({ ok: false, error: filters.error || 'invalid limit' })
+    try {
+      const entries = await store.audit.list({ ...filters, limit })
+      return res.json({ ok: true, entries, next_before: entries.length === limit ? entries[entries.length - 1].id : null })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/admin/audit.csv', adminOnly, async (req, res) => {
+    const filters = auditFilters(req.query)
+    const limit = parseLimit(req.query.limit, CSV_LIMIT, CSV_LIMIT)
+    if (filters.error || limit === null) return res.status(400).json({ ok: false, error: filters.error || 'invalid limit' })
+    try {
+      const entries = await store.audit.list({ ...filters, limit })
+      res.set('Content-Type', 'text/csv; charset=utf-8')
+      res.set('Content-Disposition', `attachment; filename="audit-${now().toISOString().slice(0, 10)}.csv"`)
+      return res.send(toCsv(entries, AUDIT_CSV_COLUMNS))
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createAdminRouter }
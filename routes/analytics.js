@@ -0,0 +1,145 @@
+/**
+ * routes/analytics.js
+ * Market analytics over recorded sales and sampled collection floors (lib/analytics.js).
+ * Amounts are nanoTON; `days` is the period ending today (UTC), default 30, at most 365.
+ *
+ *    GET /api/analytics/nfts/:id              -> { points: [{ at, price }], last_price, min_price, max_price, sales_count }
+ *    GET /api/analytics/collections/:id?days= -> { collection, series, sales } series: one point per day
+ *        { day, sales, volume, min_price, max_price, avg_price, floor_price, floor_low }; sales: latest 20
+ *    GET /api/analytics/market?days=          -> { series (no floor), totals: { sales, volume } }
+ *    GET /api/analytics/top?side=sellers|buyers&days=&collection=&limit=10 -> { traders: [{ user_id, first_name,
+ *        username, trades, volume }] } by volume; primary sales count for buyers only
+ *    GET /api/admin/analytics/:dataset.:format?days=&collection=   [admin]
+ *        dataset: sales (newest first, up to 10000) | daily | sellers | buyers; format: csv | json
+ */
+
+const express = require('express')
+const { toCsv } = require('../lib/csv')
+const { dailySeries, priceHistory, periodStart, dayOf, MAX_DAYS } = require('../lib/analytics')
+
+const MAX_TOP = 50
+const RECENT_SALES = 20
+const EXPORT_LIMIT = 10000
+const SIDES = { sellers: 'seller', buyers: 'buyer' }
+const EXPORT_COLUMNS = {
+  sales: ['id', 'created_at', 'nft_id', 'name', 'number', 'collection_id', 'seller_id', 'buyer_id', 'price', 'fee'],
+  daily: ['day', 'sales', 'volume', 'min_price', 'max_price', 'avg_price', 'floor_price', 'floor_low'],
+  traders: ['user_id', 'username', 'first_name', 'trades', 'volume']
+}
+
+function createAnalyticsRouter({ store, auth, now = () => new Date() }) {
+  const router = express.Router()
+  const { requireAuth, requireRole } = auth
+
+  // ?days= -> { days, fromDay, toDay, from } | { error }
+  function parsePeriod(query) {
+    const days = query.days === undefined ? 30 : Number(query.days)
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) return { error: 'invalid days' }
+    const today = now()
+    const fromDay = periodStart(days, today)
+    return { days, fromDay, toDay: dayOf(today), from: `${fromDay}T00:00:00.000Z` }
+  }
+
+  // daily series of the market or one collection (with its floor)
+  async function series(period, collection = null) {
+    const [daily, floors] = await Promise.all([
+      store.analytics.daily({ collection, from: period.from }),
+      collection ? store.analytics.floors(collection, { fromDay: period.fromDay }) : null
+    ])
+    return dailySeries({ daily, floors, fromDay: period.fromDay, toDay: period.toDay })
+  }
+
+  async function topTraders(side, period, { collection = null, limit = 10 } = {}) {
+    const rows = await store.analytics.topTraders({ side, collection, from: period.from, limit })
+    const people = await store.profiles.byIds(rows.map(r => r.user_id))
+    return rows.map(r => {
+      const p = people.find(x => x.id === r.user_id) || {}
+      return { user_id: r.user_id, first_name: p.first_name || null, username: p.username || null, trades: Number(r.trades), volume: Number(r.volume) }
+    })
+  }
+
+  router.get('/analytics/nfts/:id', async (req, res) => {
+    try {
+      const nft = await store.nfts.get(req.params.id)
+      if (!nft || nft.hidden) return res.status(404).json({ ok: false, error: 'nft not found' })
+      const sales = await store.market.sales(nft.id, { limit: 200 })
+      return res.json({ ok: true, nft_id: nft.id, ...priceHistory(sales) })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/analytics/collections/:id', async (req, res) => {
+    const period = parsePeriod(req.query)
+    if (period.error) return res.status(400).json({ ok: false, error: period.error })
+    try {
+      const collection = await store.collections.get(req.params.id)
+      if (!collection) return res.status(404).json({ ok: false, error: 'collection not found' })
+      const [points, sales] = await Promise.all([
+        series(period, collection.id),
+        store.analytics.sales({ collection: collection.id, limit: RECENT_SALES })
+      ])
+      return res.json({ ok: true, collection, days: period.days, series: points, sales })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/analytics/market', async (req, res) => {
+    const period = parsePeriod(req.query)
+    if (period.error) return res.status(400).json({ ok: false, error: period.error })
+    try {
+      const points = await series(period)
+      const totals = points.reduce((t, p) => ({ sales: t.sales + p.sales, volume: t.volume + p.volume }), { sales: 0, volume: 0 })
+      return res.json({ ok: true, days: period.days, series: points, totals })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/analytics/top', async (req, res) => {
+    const side = SIDES[req.query.side || 'sellers']
+    if (!side) return res.status(400).json({ ok: false, error: 'invalid side' })
+    const period = parsePeriod(req.query)
+    if (period.error) return res.status(400).json({ ok: false, error: period.error })
+    const limit = req.query.limit === undefined ? 10 : Number(req.query.limit)
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TOP) return res.status(400).json({ ok: false, error: 'invalid limit' })
+    try {
+      const traders = await topTraders(side, period, { collection: req.query.collection ? String(req.query.collection) : null, limit })
+      return res.json({ ok: true, side: req.query.side || 'sellers', days: period.days, traders })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/admin/analytics/:dataset.:format', requireAuth, requireRole('admin'), async (req, res) => {
+    const { dataset, format } = req.params
+    if (!['sales', 'daily', ...Object.keys(SIDES)].includes(dataset)) return res.status(400).json({ ok: false, error: 'invalid dataset' })
+    if (!['csv', 'json'].includes(format)) return res.status(400).json({ ok: false, error: 'invalid format' })
+    const period = parsePeriod(req.query)
+    if (period.error) return res.status(400).json({ ok: false, error: period.error })
+    const collection = req.query.collection ? String(req.query.collection) : null
+    try {
+      let rows
+      if (dataset === 'sales') rows = await store.analytics.sales({ collection, from: period.from, limit: EXPORT_LIMIT })
+      else if (dataset === 'daily') rows = await series(period, collection)
+      else rows = await topTraders(SIDES[dataset], period, { collection, limit: EXPORT_LIMIT })
+
+      const name = `${dataset}${collection ? '-' + collection.replace(/[^A-Za-z0-9_-]/g, '') : ''}-${period.toDay}`
+      if (format === 'json') {
+        res.set('Content-Disposition', `attachment; filename="${name}.json"`)
+        return res.json({ ok: true, dataset, days: period.days, collection, rows })
+      }
+      const columns = EXPORT_COLUMNS[dataset] || EXPORT_COLUMNS.traders
+      res.set('Content-Type', 'text/csv; charset=utf-8')
+      res.set('Content-Disposition', `attachment; filename="${name}.csv"`)
+      return res.send(toCsv(rows, collection || dataset !== 'daily' ? columns : columns.filter(c => !c.startsWith('floor_'))))
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createAnalyticsRouter }
@@ -0,0 +1,114 @@
+/**
+ * routes/auctions.js
+ * Timed English auctions. The current top bid is held in escrow; a bid inside the last
+ * AUCTION_SNIPE_SEC seconds extends the auction. Ended auctions are settled by lib/auctions.js.
+ *
+ *    POST /api/auctions            { nft_id, start_price, min_increment, duration_minutes }  [auth, owner]
+ *                                  -> counts towards the listing limit (lib/premium.js)
+ *    POST /api/auctions/:id/bid    { amount }  -> amounts in TON                            [auth]
+ *    POST /api/auctions/:id/cancel             -> only while there are no bids              [auth, seller]
+ *    GET  /api/auctions                        -> active auctions, ending soonest first
+ *    GET  /api/auctions/:id                    -> auction + bid history
+ */
+
+const express = require('express')
+const { toNano } = require('../lib/money')
+
+const STATUS = { 'nft not found': 404, 'auction not found': 404, 'not owner': 403, hidden: 403, 'listing limit': 403 }
+const MIN_DURATION_MIN = 5
+const MAX_DURATION_MIN = 7 * 24 * 60
+
+function createAuctionsRouter({ store, auth, config, entitlements, realtime, now = () => new Date() }) {
+  const router = express.Router()
+  const { requireAuth } = auth
+
+  function send(res, result) {
+    if (result.ok) return res.json(result)
+    return res.status(STATUS[result.error] || 400).json(result)
+  }
+
+  // the auctioned card changes for everyone (lib/realtime.js)
+  function sendChanged(res, result, type) {
+    if (result.ok) realtime.nftChanged(result.auction.nft_id, type)
+    return send(res, result)
+  }
+
+  function positiveNano(value) {
+    const nano = toNano(value)
+    return nano === null || nano <= 0 ? null : nano
+  }
+
+  router.post('/auctions', requireAuth, async (req, res) => {
+    const { nft_id, start_price, min_increment, duration_minutes } = req.body
+    if (typeof nft_id === 'undefined' || typeof start_price === 'undefined' || typeof duration_minutes === 'undefined') {
+      return res.status(400).json({ ok: false, error: 'missing params' })
+    }
+    const start = positiveNano(start_price)
+    const increment = positiveNano(typeof min_increment === 'undefined' ? '0.1' : min_increment)
+    const minutes = Number(duration_minutes)
+    if (start === null || increment === null) return res.status(400).json({ ok: false, error: 'invalid price' })
+    if (!Number.isInteger(minutes) || minutes < MIN_DURATION_MIN || minutes > MAX_DURATION_MIN) {
+      return res.status(400).json({ ok: false, error: 'invalid duration' })
+    }
+    try {
+      const limited = await entitlements.checkListingLimit(req.user.id)
+      if (limited) return send(res, limited)
+      return sendChanged(res, await store.auctions.create({
+        nft_id,
+        seller_id: req.user.id,
+        start_price: start,
+        min_increment: increment,
+        ends_at: new Date(now().getTime() + minutes * 60000).toISOString()
+      }), 'listing')
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/auctions/:id/bid', requireAuth, async (req, res) => {
+    const nano = positiveNano(req.body.amount)
+    if (nano === null) return res.status(400).json({ ok: false, error: 'invalid amount' })
+    try {
+      return sendChanged(res, await store.auctions.bid({
+        auction_id: req.params.id,
+        bidder_id: req.user.id,
+        amount: nano,
+        now: now().toISOString(),
+        snipe_sec: config.auctionSnipeSec
+      }), 'bid')
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/auctions/:id/cancel', requireAuth, async (req, res) => {
+    try {
+      return sendChanged(res, await store.auctions.cancel({ auction_id: req.params.id, seller_id: req.user.id, now: now().toISOString() }), 'listing')
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/auctions', async (req, res) => {
+    try {
+      return res.json({ ok: true, auctions: await store.auctions.active() })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/auctions/:id', async (req, res) => {
+    try {
+      const auction = await store.auctions.get(req.params.id)
+      if (!auction) return res.status(404).json({ ok: false, error: 'auction not found' })
+      const bids = await store.auctions.bids(auction.id)
+      return res.json({ ok: true, auction, bids })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createAuctionsRouter }
@@ -0,0 +1,132 @@
+/**
+ * routes/catalog.js
+ * Public NFT catalog: search, filters, sorting and cursor pagination; collections and NFT details.
+ *
+ *    GET /api/nfts              -> one page of NFTs + next_cursor (null on the last page)
+ *        ?q=pepe 42             name words / NFT number
+ *        &collection=PlushPepe  collection id (slug of the t.me/nft link)
+ *        &min_price=1&max_price=5  TON
+ *        &status=available|auction|owned
+ *        &sort=newest|price_asc|price_desc|number|rarity (rarest first)
+ *        &limit=30 (max 100)    &cursor=<next_cursor of the previous page>
+ *    GET /api/nfts/collections  -> [{ id, name, image_url, count, floor_price, listed, owners, volume, sales_count }]
+ *    GET /api/collections/:id   -> { collection (same shape), traits: [{ trait, value, count, rarity }] }
+ *    GET /api/nfts/:id          -> one NFT in the catalog shape + collection, rarity_rank (1 = rarest)
+ *
+ * Traits are nfts.attributes: [{ trait, value, rarity }] (rarity = % of the collection, see
+ * lib/collections.js); rarity_score is the sum of 100 / rarity.
+ *
+ * NFTs in an active auction carry an `auction` summary (current bid, end time). Every NFT also
+ * carries `price_stars` (price at the current star rate, rounded up); the page has `star_rate`.
+ */
+
+const express = require('express')
+const { toNano } = require('../lib/money')
+const { CATALOG_SORTS } = require('../lib/storage/repositories')
+
+const STATUSES = ['available', 'auction', 'owned']
+const MAX_LIMIT = 100
+
+// cursors are opaque to clients: base64url JSON of the sort and the last (value, id)
+function encodeCursor(sort, next) {
+  return Buffer.from(JSON.stringify({ s: sort, v: next.value, i: next.id })).toString('base64url')
+}
+
+function decodeCursor(sort, cursor) {
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+    if (c.s !== sort || typeof c.i !== 'number') return null
+    return { value: c.v, id: c.i }
+  } catch (e) {
+    return null
+  }
+}
+
+function createCatalogRouter({ store }) {
+  const router = express.Router()
+
+  function parseQuery(query) {
+    const { q, collection, min_price, max_price, status, cursor } = query
+    const sort = query.sort || 'newest'
+    if (!CATALOG_SORTS[sort]) return { error: 'invalid sort' }
+    if (status && !STATUSES.includes(status)) return { error: 'invalid status' }
+
+    const limit = query.limit === undefined ? 30 : Number(query.limit)
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) return { error: 'invalid limit' }
+
+    const prices = {}
+    for (const [key, value] of Object.entries({ min_price, max_price })) {
+      if (value === undefined || value === '') continue
+      const nano = toNano(value)
+      if (nano === null || nano < 0) return { error: 'invalid price' }
+      prices[key] = nano
+    }
+
+    let after = null
+    if (cursor) {
+      after = decodeCursor(sort, cursor)
+      if (!after) return { error: 'invalid cursor' }
+    }
+
+    return {
+      q: q ? String(q).slice(0, 100) : undefined,
+      collection: collection || undefined,
+      status: status || undefined,
+      sort,
+      limit,
+      after,
+      ...prices
+    }
+  }
+
+  router.get('/nfts/collections', async (req, res) => {
+    try {
+      return res.json({ ok: true, collections: await store.collections.list() })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/collections/:id', async (req, res) => {
+    try {
+      const collection = await store.collections.get(req.params.id)
+      if (!collection) return res.status(404).json({ ok: false, error: 'collection not found' })
+      const traits = await store.collections.traits(collection.id)
+      return res.json({ ok: true, collection, traits })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/nfts/:id(\\d+)', async (req, res) => {
+    try {
+      const found = await store.nfts.get(req.params.id)
+      if (!found || found.hidden) return res.status(404).json({ ok: false, error: 'nft not found' })
+      const { nfts: [nft], star_rate } = await store.nfts.withCatalogFields([found])
+      const [collection, rarity_rank] = await Promise.all([
+        nft.collection_id ? store.collections.get(nft.collection_id) : null,
+        store.nfts.rarityRank(nft)
+      ])
+      return res.json({ ok: true, nft: { ...nft, collection, rarity_rank }, star_rate })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/nfts', async (req, res) => {
+    const params = parseQuery(req.query)
+    if (params.error) return res.status(400).json({ ok: false, error: params.error })
+
+    try {
+      const page = await store.nfts.search(params)
+      const { nfts, star_rate } = await store.nfts.withCatalogFields(page.nfts)
+      return res.json({ ok: true, nfts, star_rate, next_cursor: page.next ? encodeCursor(params.sort, page.next) : null })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createCatalogRouter }
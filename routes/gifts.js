@@ -0,0 +1,111 @@
+/**
+ * routes/gifts.js
+ * "My Gifts": NFT gifts received from the sync worker or from other users.
+ * A pending gift has to be claimed before the NFT shows up in the receiver's inventory;
+ * owned NFTs can be re-gifted to any Telegram user (numeric id or @username of a known profile).
+ *
+ *    GET  /api/gifts/received?status=pending|claimed  -> gifts to me, with `nft`   [auth]
+ *    GET  /api/gifts/sent                             -> gifts from me, with `nft` [auth]
+ *    GET  /api/gifts/:id                              -> details (sender/receiver only) [auth]
+ *    POST /api/gifts/:id/claim                        -> move NFT into my inventory  [auth]
+ *    POST /api/gifts/send   { nft_id, to, message }   -> re-gift an owned NFT        [auth]
+ */
+
+const express = require('express')
+
+const STATUS = { 'nft not found': 404, 'gift not found': 404, 'user not found': 404, 'not owner': 403, 'not authorized': 403 }
+const MAX_MESSAGE = 280
+
+function createGiftsRouter({ store, auth, realtime, now = () => new Date() }) {
+  const router = express.Router()
+  const { requireAuth } = auth
+
+  function send(res, result) {
+    if (result.ok) return res.json(result)
+    return res.status(STATUS[result.error] || 400).json(result)
+  }
+
+  // a gift changes the card's owner (lib/realtime.js)
+  function sendChanged(res, result) {
+    if (result.ok) realtime.nftChanged(result.nft.id)
+    return send(res, result)
+  }
+
+  // '12345' | '@name' | 'name' -> user id, or null when the username is unknown
+  async function resolveReceiver(to) {
+    const value = String(to).trim()
+    if (/^\d+$/.test(value)) return value
+    const profile = await store.profiles.findByUsername(value.replace(/^@/, ''))
+    return profile ? profile.id : null
+  }
+
+  async function profileSummary(id) {
+    if (!id) return null
+    const p = await store.profiles.get(id)
+    return p ? { id: p.id, first_name: p.first_name, username: p.username } : { id }
+  }
+
+  router.get('/gifts/received', requireAuth, async (req, res) => {
+    const { status } = req.query
+    if (status && status !== 'pending' && status !== 'claimed') return res.status(400).json({ ok: false, error: 'invalid status' })
+    try {
+      const gifts = await store.gifts.withNfts(await store.gifts.received(req.user.id, { status }))
+      return res.json({ ok: true, gifts })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/gifts/sent', requireAuth, async (req, res) => {
+    try {
+      const gifts = await store.gifts.withNfts(await store.gifts.sent(req.user.id))
+      return res.json({ ok: true, gifts })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/gifts/send', requireAuth, async (req, res) => {
+    const { nft_id, to, message } = req.body
+    if (typeof nft_id === 'undefined' || !to) return res.status(400).json({ ok: false, error: 'missing params' })
+    if (message && String(message).length > MAX_MESSAGE) return res.status(400).json({ ok: false, error: 'message too long' })
+    try {
+      const receiver = await resolveReceiver(to)
+      if (!receiver) return res.status(404).json({ ok: false, error: 'user not found' })
+      return sendChanged(res, await store.gifts.send({ nft_id, sender_id: req.user.id, receiver_id: receiver, message: message ? String(message) : null, now: now().toISOString() }))
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/gifts/:id', requireAuth, async (req, res) => {
+    try {
+      const gift = await store.gifts.get(req.params.id)
+      if (!gift) return res.status(404).json({ ok: false, error: 'gift not found' })
+      if (gift.receiver_id !== req.user.id && gift.sender_id !== req.user.id) return res.status(403).json({ ok: false, error: 'not authorized' })
+      const [withNft] = await store.gifts.withNfts([gift])
+      return res.json({
+        ok: true,
+        gift: {
+          ...withNft,
+          sender: await profileSummary(gift.sender_id),
+          receiver: await profileSummary(gift.receiver_id)
+        }
+      })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/gifts/:id/claim', requireAuth, async (req, res) => {
+    try {
+      return sendChanged(res, await store.gifts.claim({ gift_id: req.params.id, user_id: req.user.id, now: now().toISOString() }))
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createGiftsRouter }
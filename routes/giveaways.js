@@ -0,0 +1,206 @@
+/**
+ * routes/giveaways.js
+ * Giveaways: admins put up an NFT lot or TON, users join until the end time, then lib/giveaways.js
+ * draws the winners (commit-reveal) and the prizes are transferred. Amounts in requests are TON.
+ *
+ *    GET  /api/giveaways?status=active|ended -> list with entry counts and `joined`          [auth]
+ *    GET  /api/giveaways/:id                 -> details; after the draw also seed + entrants  [auth]
+ *    POST /api/giveaways/:id/join            -> entry conditions are checked on join         [auth]
+ *    POST /api/admin/giveaways { title, description, prize_type: nft|ton, nft_id | amount,
+ *                                winners_count, duration_minutes, conditions }               [admin]
+ *         conditions: { premium: true, min_balance: TON, collection: collection id }
+ *         A TON prize (amount x winners_count) is reserved from the treasury (TREASURY_ID) on
+ *         creation; what nobody wins, or the whole prize on cancel, goes back to it.
+ *    POST /api/admin/giveaways/:id/cancel    -> active only; an NFT prize goes back on sale  [admin]
+ *    POST /api/admin/giveaways/:id/draw      -> draw an ended giveaway without waiting       [admin]
+ *
+ * The seed stays secret until the draw; responses only carry seed_hash before that.
+ */
+
+const express = require('express')
+const { toNano } = require('../lib/money')
+const { createSeed, entriesHash } = require('../lib/giveaways')
+
+const STATUS = {
+  'giveaway not found': 404,
+  'nft not found': 404,
+  'collection not found': 404,
+  'giveaway ended': 409,
+  'giveaway not active': 409,
+  'giveaway not ended': 409,
+  'already joined': 409,
+  'owned by user': 409,
+  'nft busy': 409,
+  'treasury balance too low': 409,
+  'premium required': 403,
+  'balance too low': 403,
+  'collection required': 403
+}
+const MIN_DURATION_MIN = 5
+const MAX_DURATION_MIN = 30 * 24 * 60
+const MAX_WINNERS = 100
+
+function createGiveawaysRouter({ store, auth, config, drawer, realtime, now = () => new Date() }) {
+  const router = express.Router()
+  const { requireAuth, requireRole } = auth
+
+  function send(res, result) {
+    if (result.ok) return res.json(result)
+    return res.status(STATUS[result.error] || 400).json(result)
+  }
+
+  // public shape: the seed only once drawn, plus the NFT prize, entry count and `joined`
+  async function views(list, userId) {
+    const nftIds = list.map(g => g.nft_id).filter(id => id != null)
+    const [nfts, joined, counts] = await Promise.all([
+      store.nfts.byIds(nftIds),
+      store.giveaways.joined(userId, list.map(g => g.id)),
+      Promise.all(list.map(g => store.giveaways.countEntries(g.id)))
+    ])
+    const byId = new Map(nfts.map(n => [n.id, n]))
+    return list.map((g, i) => {
+      const { seed, ...rest } = g
+      return {
+        ...rest,
+        seed: g.status === 'drawn' ? seed : null,
+        nft: g.nft_id != null ? byId.get(g.nft_id) || null : null,
+        entries_count: counts[i],
+        joined: joined.has(g.id),
+        won: (g.winners || []).includes(String(userId))
+      }
+    })
+  }
+
+  router.get('/giveaways', requireAuth, async (req, res) => {
+    const status = req.query.status || 'active'
+    if (!['active', 'ended'].includes(status)) return res.status(400).json({ ok: false, error: 'invalid status' })
+    try {
+      const list = await store.giveaways.list({ status })
+      return res.json({ ok: true, giveaways: await views(list, req.user.id) })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/giveaways/:id', requireAuth, async (req, res) => {
+    try {
+      const giveaway = await store.giveaways.get(req.params.id)
+      if (!giveaway) return res.status(404).json({ ok: false, error: 'giveaway not found' })
+      const [view] = await views([giveaway], req.user.id)
+      // the draw input, published with the revealed seed so it can be re-run
+      if (giveaway.status === 'drawn') {
+        const entrants = await store.giveaways.entrants(giveaway.id)
+        view.entrants = entrants
+        view.entrants_match = entriesHash(entrants) === giveaway.entries_hash
+      }
+      return res.json({ ok: true, giveaway: view })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/giveaways/:id/join', requireAuth, async (req, res) => {
+    try {
+      return send(res, await store.giveaways.join({ giveaway_id: req.params.id, user_id: req.user.id, now: now().toISOString() }))
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  // ---------- admin ----------
+
+  function parseConditions(input = {}) {
+    if (typeof input !== 'object' || input === null) return { error: 'invalid conditions' }
+    const conditions = {}
+    if (input.premium) conditions.premium = true
+    if (input.min_balance !== undefined && input.min_balance !== '' && input.min_balance !== null) {
+      const min = toNano(input.min_balance)
+      if (min === null || min < 0) return { error: 'invalid min_balance' }
+      if (min > 0) conditions.min_balance = min
+    }
+    if (input.collection) conditions.collection = String(input.collection).slice(0, 100)
+    return { conditions }
+  }
+
+  router.post('/admin/giveaways', requireAuth, requireRole('admin'), async (req, res) => {
+    const { description, prize_type, nft_id, duration_minutes } = req.body
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : ''
+    if (!title || title.length > 100) return res.status(400).json({ ok: false, error: 'invalid title' })
+    if (!['nft', 'ton'].includes(prize_type)) return res.status(400).json({ ok: false, error: 'invalid prize_type' })
+
+    const winners = prize_type === 'nft' ? 1 : Number(req.body.winners_count || 1)
+    if (!Number.isInteger(winners) || winners < 1 || winners > MAX_WINNERS) return res.status(400).json({ ok: false, error: 'invalid winners_count' })
+    let amount = 0
+    if (prize_type === 'ton') {
+      amount = toNano(req.body.amount)
+      if (amount === null || amount <= 0) return res.status(400).json({ ok: false, error: 'invalid amount' })
+    } else if (nft_id === undefined) {
+      return res.status(400).json({ ok: false, error: 'missing nft_id' })
+    }
+    const minutes = Number(duration_minutes)
+    if (!Number.isInteger(minutes) || minutes < MIN_DURATION_MIN || minutes > MAX_DURATION_MIN) {
+      return res.status(400).json({ ok: false, error: 'invalid duration' })
+    }
+    const { conditions, error } = parseConditions(req.body.conditions)
+    if (error) return res.status(400).json({ ok: false, error })
+
+    try {
+      const result = await store.giveaways.create({
+        admin_id: req.user.id,
+        title,
+        description: description ? String(description).slice(0, 1000) : null,
+        prize_type,
+        nft_id: prize_type === 'nft' ? nft_id : null,
+        amount,
+        winners_count: winners,
+        conditions,
+        ends_at: new Date(now().getTime() + minutes * 60000).toISOString(),
+        ...createSeed(),
+        treasury_id: config.treasuryId
+      })
+      if (!result.ok) return send(res, result)
+      // an NFT prize leaves the market until the draw
+      if (result.giveaway.nft_id != null) realtime.nftChanged(result.giveaway.nft_id, 'listing')
+      const [view] = await views([result.giveaway], req.user.id)
+      return res.json({ ok: true, giveaway: view })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/admin/giveaways/:id/cancel', requireAuth, requireRole('admin'), async (req, res) => {
+    try {
+      const result = await store.giveaways.cancel({ giveaway_id: req.params.id, admin_id: req.user.id })
+      if (!result.ok) return send(res, result)
+      if (result.giveaway.nft_id != null) realtime.nftChanged(result.giveaway.nft_id, 'listing')
+      const [view] = await views([result.giveaway], req.user.id)
+      return res.json({ ok: true, giveaway: view })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/admin/giveaways/:id/draw', requireAuth, requireRole('admin'), async (req, res) => {
+    try {
+      const giveaway = await store.giveaways.get(req.params.id)
+      if (!giveaway) return res.status(404).json({ ok: false, error: 'giveaway not found' })
+      const result = await drawer.draw(giveaway)
+      if (!result.ok) return send(res, result)
+      await store.audit.record({
+        actor_id: req.user.id,
+        action: 'giveaway.draw',
+        target_type: 'giveaway',
+        target_id: giveaway.id,
+        details: { winners: result.giveaway.winners }
+      })
+      const [view] = await views([result.giveaway], req.user.id)
+      return res.json({ ok: true, giveaway: view })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createGiveawaysRouter }
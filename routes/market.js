@@ -0,0 +1,90 @@
+/**
+ * routes/market.js
+ * Secondary market: owners list, delist and reprice NFTs they hold; sale history per NFT.
+ * Buying (primary or listed) stays at POST /api/nft/buy.
+ *
+ *    POST /api/market/list     { nft_id, price } -> put an owned NFT up for sale   [auth]
+ *                                                   (listing limit: lib/premium.js)
+ *    POST /api/market/delist   { nft_id }        -> cancel the listing              [auth]
+ *    POST /api/market/reprice  { nft_id, price } -> change the listing price        [auth]
+ *    GET  /api/nfts/:id/sales                    -> sale history, newest first
+ *
+ * Prices in requests are TON ("2.5"); stored and returned as nanoTON.
+ */
+
+const express = require('express')
+const { toNano } = require('../lib/money')
+
+const STATUS = { 'nft not found': 404, 'not owner': 403, hidden: 403, 'listing limit': 403 }
+
+function createMarketRouter({ store, auth, entitlements, realtime, now = () => new Date() }) {
+  const router = express.Router()
+  const { requireAuth } = auth
+
+  function send(res, result) {
+    if (result.ok) return res.json(result)
+    return res.status(STATUS[result.error] || 400).json(result)
+  }
+
+  // successful listing changes update the card for everyone (lib/realtime.js)
+  function sendChanged(res, result, type) {
+    if (result.ok) realtime.nftChanged(result.nft.id, type)
+    return send(res, result)
+  }
+
+  function parsePrice(price) {
+    const nano = toNano(price)
+    return nano === null || nano <= 0 ? null : nano
+  }
+
+  router.post('/market/list', requireAuth, async (req, res) => {
+    const { nft_id, price } = req.body
+    if (typeof nft_id === 'undefined' || typeof price === 'undefined') return res.status(400).json({ ok: false, error: 'missing params' })
+    const nano = parsePrice(price)
+    if (nano === null) return res.status(400).json({ ok: false, error: 'invalid price' })
+    try {
+      const limited = await entitlements.checkListingLimit(req.user.id)
+      if (limited) return send(res, limited)
+      return sendChanged(res, await store.market.list({ nft_id, seller_id: req.user.id, price: nano, now: now().toISOString() }), 'listing')
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/market/delist', requireAuth, async (req, res) => {
+    const { nft_id } = req.body
+    if (typeof nft_id === 'undefined') return res.status(400).json({ ok: false, error: 'missing nft_id' })
+    try {
+      return sendChanged(res, await store.market.delist({ nft_id, seller_id: req.user.id }), 'listing')
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/market/reprice', requireAuth, async (req, res) => {
+    const { nft_id, price } = req.body
+    if (typeof nft_id === 'undefined' || typeof price === 'undefined') return res.status(400).json({ ok: false, error: 'missing params' })
+    const nano = parsePrice(price)
+    if (nano === null) return res.status(400).json({ ok: false, error: 'invalid price' })
+    try {
+      return sendChanged(res, await store.market.reprice({ nft_id, seller_id: req.user.id, price: nano }), 'price')
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/nfts/:id/sales', async (req, res) => {
+    try {
+      const nft = await store.nfts.get(req.params.id)
+      if (!nft) return res.status(404).json({ ok: false, error: 'nft not found' })
+      const sales = await store.market.sales(nft.id)
+      return res.json({ ok: true, sales })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createMarketRouter }
@@ -0,0 +1,40 @@
+/**
+ * routes/notifications.js
+ * Per-user notifications (sales, outbid bids, gifts, giveaway wins). The app shows unread ones on
+ * start; the bot also sends each one as a message (lib/telegram).
+ *
+ *    GET  /api/notifications?unread=1   -> newest first                     [auth]
+ *    POST /api/notifications/read { ids? } -> mark read; all unread without ids [auth]
+ */
+
+const express = require('express')
+
+function createNotificationsRouter({ store, auth, now = () => new Date() }) {
+  const router = express.Router()
+  const { requireAuth } = auth
+
+  router.get('/notifications', requireAuth, async (req, res) => {
+    try {
+      const notifications = await store.notifications.forUser(req.user.id, { unread: req.query.unread === '1' })
+      return res.json({ ok: true, notifications })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/notifications/read', requireAuth, async (req, res) => {
+    const { ids } = req.body
+    if (ids !== undefined && (!Array.isArray(ids) || !ids.every(Number.isInteger))) {
+      return res.status(400).json({ ok: false, error: 'invalid ids' })
+    }
+    try {
+      return res.json({ ok: true, marked: await store.notifications.markRead(req.user.id, ids || null, now().toISOString()) })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createNotificationsRouter }
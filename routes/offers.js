@@ -0,0 +1,98 @@
+/**
+ * routes/offers.js
+ * Offers on owned NFTs. The offered amount is held in escrow until the offer is accepted,
+ * rejected, cancelled, or expires because the NFT was sold another way.
+ * Offers are for NFTs owned by users only: platform stock (no owner) has no one to accept them
+ * and is bought at its fixed price (POST /api/nft/buy); offering on it answers 'not owned'.
+ *
+ *    POST /api/offers              { nft_id, amount } -> make an offer (amount in TON; Idempotency-Key) [auth]
+ *    POST /api/offers/:id/accept                      -> owner sells at the offer price  [auth]
+ *    POST /api/offers/:id/reject                      -> owner declines, escrow refunded [auth]
+ *    POST /api/offers/:id/cancel                      -> buyer withdraws, escrow refunded[auth]
+ *    GET  /api/offers/mine                            -> { made, received }              [auth]
+ *    GET  /api/nfts/:id/offers                        -> active offers, best first
+ */
+
+const express = require('express')
+const { validateBody } = require('../lib/validation')
+
+const STATUS = { 'nft not found': 404, 'offer not found': 404, 'not owner': 403, 'not authorized': 403 }
+
+function createOffersRouter({ store, auth, config, realtime, moneyGuard, now = () => new Date() }) {
+  const router = express.Router()
+  const { requireAuth } = auth
+
+  function send(res, result) {
+    if (result.ok) return res.json(result)
+    return res.status(STATUS[result.error] || 400).json(result)
+  }
+
+  const OFFER_SCHEMA = {
+    nft_id: { type: 'id', required: true },
+    amount: { type: 'ton', sign: 'positive', required: true }
+  }
+  router.post('/offers', requireAuth, validateBody(OFFER_SCHEMA), moneyGuard('offer.create'), async (req, res) => {
+    const { nft_id, amount } = req.valid
+    try {
+      return send(res, await store.offers.create({ nft_id, buyer_id: req.user.id, amount }))
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/offers/:id/accept', requireAuth, async (req, res) => {
+    try {
+      const result = await store.offers.accept({
+        offer_id: req.params.id,
+        owner_id: req.user.id,
+        fee_bps: config.marketFeeBps,
+        treasury_id: config.treasuryId,
+        now: now().toISOString()
+      })
+      if (result.ok) realtime.nftChanged(result.nft.id, 'sale')
+      return send(res, result)
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/offers/:id/reject', requireAuth, async (req, res) => {
+    try {
+      return send(res, await store.offers.reject({ offer_id: req.params.id, owner_id: req.user.id, now: now().toISOString() }))
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/offers/:id/cancel', requireAuth, async (req, res) => {
+    try {
+      return send(res, await store.offers.cancel({ offer_id: req.params.id, buyer_id: req.user.id, now: now().toISOString() }))
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/offers/mine', requireAuth, async (req, res) => {
+    try {
+      const { made, received } = await store.offers.forUser(req.user.id)
+      return res.json({ ok: true, made, received })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/nfts/:id/offers', async (req, res) => {
+    try {
+      const nft = await store.nfts.get(req.params.id)
+      if (!nft) return res.status(404).json({ ok: false, error: 'nft not found' })
+      const offers = await store.offers.forNft(nft.id)
+      return res.json({ ok: true, offers })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createOffersRouter }
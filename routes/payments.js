@@ -0,0 +1,112 @@
+/**
+ * routes/payments.js
+ * Stars and premium paid in TON. The client creates an intent, sends the transfer (TonConnect or
+ * the returned ton:// link) with the intent's payload as comment, then asks for verification.
+ * Nothing is credited until lib/payments matches a confirmed transfer to the intent.
+ *
+ *    GET  /api/payments/prices                           -> star price (currency_rates), active premium plans
+ *    POST /api/payments/intents  { type, quantity | plan_id } -> new intent + ton:// link [auth]
+ *                                                           (stars: count, premium: a plan id)
+ *                                                           Idempotency-Key: a retry gets the same intent
+ *    GET  /api/payments/intents                          -> my recent intents          [auth]
+ *    GET  /api/payments/intents/:id                      -> intent status              [auth]
+ *    POST /api/payments/intents/:id/verify               -> look for the transfer now  [auth]
+ *    POST /api/ton/purchase                              -> 410 'endpoint removed'
+ *
+ * Amounts are nanoTON. An intent is `pending` until paid; `expired` is reported once expires_at passed.
+ *
+ * The old POST /api/ton/purchase { user_id, type, amount, tx_hash } credited stars/premium from
+ * unverified body fields. It is removed, not wrapped: the transfer has to carry the payload of an
+ * intent that exists before it is sent, so one call can't both create and verify. Clients create
+ * an intent, pay, then verify; the Idempotency-Key replay that covered the old endpoint applies
+ * to POST /api/payments/intents.
+ */
+
+const express = require('express')
+const { transferLink } = require('../lib/payments')
+
+const STATUS = { 'intent not found': 404, 'plan not found': 404, 'payments disabled': 503, 'rate unavailable': 503, 'not paid yet': 409, 'already paid': 409, 'tx already used': 409 }
+
+function createPaymentsRouter({ store, auth, payments, moneyGuard, now = () => new Date() }) {
+  const router = express.Router()
+  const { requireAuth } = auth
+
+  function send(res, result) {
+    if (result.ok) return res.json(result)
+    return res.status(STATUS[result.error] || 400).json(result)
+  }
+
+  function view(intent) {
+    const expired = intent.status === 'pending' && new Date(intent.expires_at) < now()
+    return { ...intent, status: expired ? 'expired' : intent.status, link: transferLink(intent) }
+  }
+
+  async function ownIntent(req) {
+    const intent = await store.payments.get(req.params.id)
+    return intent && intent.user_id === req.user.id ? intent : null
+  }
+
+  router.get('/payments/prices', async (req, res) => {
+    try {
+      const [plans, starPrice] = await Promise.all([store.premium.plans(), store.stars.rate()])
+      const premium = plans.map(p => ({ plan_id: p.id, title: p.title, months: p.months, price: p.price, perks: p.perks }))
+      return res.json({ ok: true, star_price: starPrice, premium })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/payments/intents', requireAuth, moneyGuard('payment.intent'), async (req, res) => {
+    const { type } = req.body
+    const quantity = Number(req.body.quantity)
+    if (type !== 'stars' && type !== 'premium') return res.status(400).json({ ok: false, error: 'unknown type' })
+    try {
+      const plan_id = typeof req.body.plan_id === 'string' ? req.body.plan_id : null
+      const result = await payments.createIntent({ user_id: req.user.id, type, quantity, plan_id })
+      if (!result.ok) return send(res, result)
+      return res.json({ ok: true, intent: view(result.intent) })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/payments/intents', requireAuth, async (req, res) => {
+    try {
+      const intents = await store.payments.forUser(req.user.id)
+      return res.json({ ok: true, intents: intents.map(view) })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/payments/intents/:id', requireAuth, async (req, res) => {
+    try {
+      const intent = await ownIntent(req)
+      if (!intent) return res.status(404).json({ ok: false, error: 'intent not found' })
+      return res.json({ ok: true, intent: view(intent) })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  // removed endpoint (see above): say where to go instead of a bare 404
+  router.post('/ton/purchase', (req, res) => {
+    return res.status(410).json({ ok: false, error: 'endpoint removed', use: '/api/payments/intents' })
+  })
+
+  router.post('/payments/intents/:id/verify', requireAuth, async (req, res) => {
+    try {
+      const intent = await ownIntent(req)
+      if (!intent) return res.status(404).json({ ok: false, error: 'intent not found' })
+      const result = await payments.verify(intent)
+      if (!result.ok) return send(res, result)
+      return res.json({ ...result, intent: view(result.intent) })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createPaymentsRouter }
@@ -0,0 +1,40 @@
+/**
+ * routes/referrals.js
+ * Referral program (lib/referrals.js). Attribution happens in POST /api/auth/verify.
+ *
+ *    GET /api/referrals -> own code + invite link, reward terms, invitees and earnings  [auth]
+ */
+
+const express = require('express')
+const { inviteLink, referralTerms, START_PREFIX } = require('../lib/referrals')
+
+function createReferralsRouter({ store, auth, config }) {
+  const router = express.Router()
+  const { requireAuth } = auth
+
+  router.get('/referrals', requireAuth, async (req, res) => {
+    try {
+      const code = await store.referrals.code(req.user.id)
+      const [invitees, earnings] = await Promise.all([
+        store.referrals.forReferrer(req.user.id),
+        store.referrals.earnings(req.user.id)
+      ])
+      return res.json({
+        ok: true,
+        code,
+        start_param: `${START_PREFIX}${code}`,
+        link: inviteLink(config, code),
+        terms: referralTerms(config),
+        invitees,
+        active: invitees.filter(i => i.status === 'active').length,
+        earnings
+      })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createReferralsRouter }
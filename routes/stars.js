@@ -0,0 +1,95 @@
+/**
+ * routes/stars.js
+ * Stars as a second currency (db/migrations/013_stars.sql). The rate is nanoTON per star;
+ * every movement is a stars_ledger entry, conversions also write the TON ledger.
+ * NFTs are paid in stars through POST /api/nft/buy { nft_id, currency: 'stars' }.
+ *
+ *    GET  /api/stars                                   -> { stars, rate, fees_in_stars, history }  [auth]
+ *    POST /api/stars/convert { direction: to_ton|to_stars, stars } -> { stars, balance, rate }    [auth]
+ *         (Idempotency-Key accepted)
+ *    POST /api/stars/settings { fees_in_stars }        -> pay market fees on my sales in stars    [auth]
+ *    POST /api/admin/stars/rate { ton }                -> TON per star, e.g. "0.01"               [admin]
+ */
+
+const express = require('express')
+const { toNano } = require('../lib/money')
+const { validateBody } = require('../lib/validation')
+
+const STATUS = { insufficient_stars: 409, insufficient_balance: 409, 'rate unavailable': 503 }
+const MAX_CONVERT = 10000000
+
+function createStarsRouter({ store, auth, moneyGuard, now = () => new Date() }) {
+  const router = express.Router()
+  const { requireAuth, requireRole } = auth
+
+  function send(res, result) {
+    if (result.ok) return res.json(result)
+    return res.status(STATUS[result.error] || 400).json(result)
+  }
+
+  router.get('/stars', requireAuth, async (req, res) => {
+    try {
+      const [profile, rate, history] = await Promise.all([
+        store.profiles.get(req.user.id),
+        store.stars.rate(),
+        store.stars.history(req.user.id)
+      ])
+      return res.json({
+        ok: true,
+        stars: Number((profile && profile.stars_balance) || 0),
+        rate,
+        fees_in_stars: !!(profile && profile.stars_for_fees),
+        history
+      })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  const CONVERT_SCHEMA = {
+    direction: { type: 'enum', values: ['to_ton', 'to_stars'], required: true },
+    stars: { type: 'int', min: 1, max: MAX_CONVERT, required: true, error: 'invalid amount' }
+  }
+  router.post('/stars/convert', requireAuth, validateBody(CONVERT_SCHEMA), moneyGuard('stars.convert'), async (req, res) => {
+    const { direction, stars } = req.valid
+    try {
+      return send(res, await store.stars.convert({ user_id: req.user.id, direction, stars }))
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/stars/settings', requireAuth, async (req, res) => {
+    if (typeof req.body.fees_in_stars !== 'boolean') return res.status(400).json({ ok: false, error: 'invalid fees_in_stars' })
+    try {
+      await store.profiles.ensure({ id: req.user.id })
+      const profile = await store.stars.setFeesInStars(req.user.id, req.body.fees_in_stars)
+      return res.json({ ok: true, fees_in_stars: !!profile.stars_for_fees })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/admin/stars/rate', requireAuth, requireRole('admin'), async (req, res) => {
+    const rate = toNano(req.body.ton)
+    if (rate === null || rate <= 0) return res.status(400).json({ ok: false, error: 'invalid rate' })
+    try {
+      const before = await store.stars.rate()
+      await store.stars.setRate({ rate, admin_id: req.user.id, now: now().toISOString() })
+      await store.audit.record({
+        actor_id: req.user.id,
+        action: 'stars.rate',
+        target_type: 'currency',
+        target_id: 'stars',
+        details: { before, after: rate }
+      })
+      return res.json({ ok: true, rate })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createStarsRouter }
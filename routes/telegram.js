@@ -0,0 +1,55 @@
+/**
+ * routes/telegram.js
+ * Bot webhook and its registration (lib/telegram). Both need TELEGRAM_BOT_TOKEN; the webhook is
+ * only accepted with TELEGRAM_WEBHOOK_SECRET, which Telegram echoes in X-Telegram-Bot-Api-Secret-Token.
+ *
+ *    POST /api/telegram/webhook           <- Bot API updates; always 200 once the secret matches
+ *    POST /api/admin/bot/webhook { url? } -> setWebhook (default url: PUBLIC_URL + /api/telegram/webhook) [admin]
+ */
+
+const express = require('express')
+const crypto = require('crypto')
+
+function sameSecret(given, expected) {
+  const a = Buffer.from(String(given || ''))
+  const b = Buffer.from(expected)
+  return a.length === b.length && crypto.timingSafeEqual(a, b)
+}
+
+function createTelegramRouter({ store, auth, config, bot, api }) {
+  const router = express.Router()
+  const { requireAuth, requireRole } = auth
+
+  router.post('/telegram/webhook', async (req, res) => {
+    if (!bot || !config.telegramWebhookSecret) return res.status(404).json({ ok: false, error: 'webhook disabled' })
+    if (!sameSecret(req.get('X-Telegram-Bot-Api-Secret-Token'), config.telegramWebhookSecret)) {
+      return res.status(401).json({ ok: false, error: 'invalid secret' })
+    }
+    // Telegram redelivers anything that isn't answered with 200, so failures are only logged
+    try {
+      await bot.handleUpdate(req.body)
+    } catch (e) {
+      console.error('bot update failed', req.body && req.body.update_id, e.message)
+    }
+    return res.json({ ok: true })
+  })
+
+  router.post('/admin/bot/webhook', requireAuth, requireRole('admin'), async (req, res) => {
+    if (!bot) return res.status(409).json({ ok: false, error: 'bot disabled' })
+    if (!config.telegramWebhookSecret) return res.status(409).json({ ok: false, error: 'missing TELEGRAM_WEBHOOK_SECRET' })
+    const base = config.publicUrl || `${req.protocol}://${req.get('host')}`
+    const url = req.body.url ? String(req.body.url) : `${base}/api/telegram/webhook`
+    if (!/^https:\/\//.test(url)) return res.status(400).json({ ok: false, error: 'webhook url must be https' })
+    try {
+      await api.call('setWebhook', { url, secret_token: config.telegramWebhookSecret, allowed_updates: ['message'] })
+      await store.audit.record({ actor_id: req.user.id, action: 'bot.webhook', target_type: 'bot', target_id: 'webhook', details: { url } })
+      return res.json({ ok: true, url })
+    } catch (e) {
+      return res.status(502).json({ ok: false, error: e.description || String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createTelegramRouter }
@@ -0,0 +1,186 @@
+/**
+ * routes/wallet.js
+ * TON wallet linking (TonConnect ton_proof), deposits into the internal balance and withdrawals
+ * through the admin approval queue. Amounts in requests are TON, responses are nanoTON.
+ *
+ *    GET  /api/wallet                       -> linked wallet, balance, limits, my withdrawals [auth]
+ *    GET  /api/wallet/proof-payload         -> payload for TonConnect's tonProof request     [auth]
+ *    POST /api/wallet/link   { address, network, proof }  -> verify proof, link wallet       [auth]
+ *    POST /api/wallet/unlink                                                                [auth]
+ *    POST /api/wallet/deposit  { amount }   -> payment intent (verify: /api/payments/intents/:id/verify) [auth]
+ *    POST /api/wallet/withdraw { amount }   -> hold the amount, queue for approval (Idempotency-Key) [auth]
+ *    POST /api/wallet/withdrawals/:id/cancel -> pending only, refunds                        [auth]
+ *    GET  /api/admin/withdrawals?status=pending                                             [admin]
+ *    POST /api/admin/withdrawals/:id/approve { tx_hash, note } -> paid out by the admin      [admin]
+ *    POST /api/admin/withdrawals/:id/reject  { note }          -> refunds                    [admin]
+ */
+
+const express = require('express')
+const { toNano } = require('../lib/money')
+const { createProofPayload, checkProof } = require('../lib/payments/proof')
+const { parseAddress, toFriendly } = require('../lib/payments/address')
+const { transferLink } = require('../lib/payments')
+
+const STATUS = {
+  'withdrawal not found': 404,
+  'not authorized': 403,
+  'no wallet': 409,
+  'not pending': 409,
+  'wallet linked to another account': 409,
+  'payments disabled': 503
+}
+
+function createWalletRouter({ store, auth, config, payments, tonClient, moneyGuard, now = () => new Date() }) {
+  const router = express.Router()
+  const { requireAuth, requireRole } = auth
+
+  function send(res, result) {
+    if (result.ok) return res.json(result)
+    return res.status(STATUS[result.error] || 400).json(result)
+  }
+
+  function limits() {
+    return {
+      min: toNano(config.withdrawMinTon),
+      max: toNano(config.withdrawMaxTon),
+      daily: toNano(config.withdrawDailyTon),
+      deposit_min: toNano(config.depositMinTon)
+    }
+  }
+
+  function walletView(wallet) {
+    if (!wallet) return null
+    const parsed = parseAddress(wallet.address)
+    return { ...wallet, friendly: toFriendly(parsed, { testOnly: wallet.network === '-3' }) }
+  }
+
+  function parseAmount(amount) {
+    const nano = toNano(amount)
+    return nano === null || nano <= 0 ? null : nano
+  }
+
+  router.get('/wallet', requireAuth, async (req, res) => {
+    try {
+      const [wallet, balance, withdrawals] = await Promise.all([
+        store.wallets.get(req.user.id),
+        store.ledger.balance(req.user.id),
+        store.withdrawals.forUser(req.user.id)
+      ])
+      return res.json({ ok: true, wallet: walletView(wallet), balance, limits: limits(), withdrawals, deposit_address: config.tonWallet || null })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/wallet/proof-payload', requireAuth, (req, res) => {
+    return res.json({ ok: true, payload: createProofPayload(config.jwtSecret, req.user.id, now().getTime()) })
+  })
+
+  router.post('/wallet/link', requireAuth, async (req, res) => {
+    const { address, network, proof } = req.body
+    if (!address || !proof) return res.status(400).json({ ok: false, error: 'missing params' })
+    try {
+      const checked = await checkProof({
+        secret: config.jwtSecret,
+        userId: req.user.id,
+        address,
+        proof,
+        domain: config.tonProofDomain || req.get('host'),
+        publicKey: (a) => tonClient.publicKey(a),
+        now: now().getTime()
+      })
+      if (!checked.ok) return send(res, checked)
+      const result = await store.wallets.link({
+        user_id: req.user.id,
+        address: checked.address,
+        public_key: checked.public_key,
+        network: network ? String(network) : null,
+        now: now().toISOString()
+      })
+      if (!result.ok) return send(res, result)
+      return res.json({ ok: true, wallet: walletView(result.wallet) })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/wallet/unlink', requireAuth, async (req, res) => {
+    try {
+      if (!(await store.wallets.unlink(req.user.id))) return res.status(409).json({ ok: false, error: 'no wallet' })
+      return res.json({ ok: true })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/wallet/deposit', requireAuth, async (req, res) => {
+    const amount = parseAmount(req.body.amount)
+    if (amount === null) return res.status(400).json({ ok: false, error: 'invalid amount' })
+    try {
+      const result = await payments.createIntent({ user_id: req.user.id, type: 'deposit', amount })
+      if (!result.ok) return send(res, result)
+      return res.json({ ok: true, intent: { ...result.intent, link: transferLink(result.intent) } })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/wallet/withdraw', requireAuth, moneyGuard('wallet.withdraw'), async (req, res) => {
+    const amount = parseAmount(req.body.amount)
+    if (amount === null) return res.status(400).json({ ok: false, error: 'invalid amount' })
+    try {
+      return send(res, await store.withdrawals.request({ user_id: req.user.id, amount, ...limits(), now: now().toISOString() }))
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/wallet/withdrawals/:id/cancel', requireAuth, async (req, res) => {
+    try {
+      return send(res, await store.withdrawals.close({ withdrawal_id: req.params.id, actor_id: req.user.id, status: 'cancelled', now: now().toISOString() }))
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  // ---------- admin approval queue ----------
+
+  router.get('/admin/withdrawals', requireAuth, requireRole('admin'), async (req, res) => {
+    const status = req.query.status || 'pending'
+    if (!['pending', 'approved', 'rejected', 'cancelled'].includes(status)) return res.status(400).json({ ok: false, error: 'invalid status' })
+    try {
+      const withdrawals = await store.withdrawals.queue({ status })
+      return res.json({ ok: true, withdrawals: withdrawals.map(w => ({ ...w, friendly: toFriendly(parseAddress(w.destination)) })) })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  // closes the withdrawal and records the decision in the audit log
+  async function resolve(req, res, status) {
+    const { tx_hash = null, note = null } = req.body
+    try {
+      const result = await store.withdrawals.close({ withdrawal_id: req.params.id, actor_id: req.user.id, status, tx_hash, note, now: now().toISOString() })
+      if (result.ok) {
+        const w = result.withdrawal
+        await store.audit.record({
+          actor_id: req.user.id,
+          action: status === 'approved' ? 'withdrawal.approve' : 'withdrawal.reject',
+          target_type: 'withdrawal',
+          target_id: w.id,
+          details: { user_id: w.user_id, amount: w.amount, tx_hash, note }
+        })
+      }
+      return send(res, result)
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  }
+
+  router.post('/admin/withdrawals/:id/approve', requireAuth, requireRole('admin'), (req, res) => resolve(req, res, 'approved'))
+  router.post('/admin/withdrawals/:id/reject', requireAuth, requireRole('admin'), (req, res) => resolve(req, res, 'rejected'))
+
+  return router
+}
+
+module.exports = { createWalletRouter }
@@ -0,0 +1,157 @@
+/**
+ * routes/watchlist.js
+ * Watchlist, collection price alerts (lib/alerts.js) and the per-user activity feed. Matching
+ * alerts arrive as notifications of type 'watchlist' / 'price_alert' (GET /api/notifications,
+ * SSE event: notification). Prices are nanoTON in responses, TON in requests.
+ *
+ *    GET  /api/watchlist                 -> { nft_ids, nfts } watched NFTs in the catalog shape, newest first  [auth]
+ *    POST /api/watchlist/add { nft_id }    -> add (again: resets the price seen)                 [auth]
+ *    POST /api/watchlist/remove { nft_id } -> remove                                              [auth]
+ *    GET  /api/alerts                    -> the user's alerts with their collection               [auth]
+ *    POST /api/alerts { collection_id, kind: new_listing|price_drop, max_price? } -> create      [auth]
+ *         max_price is required for price_drop, optional (no limit) for new_listing
+ *    POST /api/alerts/:id/remove         -> remove                                              [auth]
+ *    GET  /api/activity?limit=30&cursor= -> { items, next_cursor } purchases, sales, gifts and balance changes  [auth]
+ *         item: { kind: purchase|sale|gift_received|gift_sent|balance, id, at, nft, counterparty,
+ *                 price?, fee?, amount? (signed nanoTON), reason? (ledger), status?, message? (gifts) }
+ */
+
+const express = require('express')
+const { toNano } = require('../lib/money')
+const { MAX_WATCHLIST, MAX_ALERTS, ALERT_KINDS } = require('../lib/alerts')
+
+const MAX_ACTIVITY_LIMIT = 100
+const ACTIVITY_KINDS = ['purchase', 'sale', 'gift_received', 'gift_sent', 'balance']
+
+// activity cursors: base64url JSON of the last id read per source
+function encodeCursor(after) {
+  return Buffer.from(JSON.stringify(after)).toString('base64url')
+}
+
+function decodeCursor(cursor) {
+  try {
+    const c = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'))
+    if (!c || typeof c !== 'object' || Array.isArray(c)) return null
+    const ok = Object.entries(c).every(([k, v]) => ACTIVITY_KINDS.includes(k) && Number.isInteger(v))
+    return ok ? c : null
+  } catch (e) {
+    return null
+  }
+}
+
+function createWatchlistRouter({ store, auth }) {
+  const router = express.Router()
+  const { requireAuth } = auth
+
+  const nftIdOf = (body) => (Number.isInteger(body.nft_id) && body.nft_id > 0 ? body.nft_id : null)
+
+  router.get('/watchlist', requireAuth, async (req, res) => {
+    try {
+      const rows = await store.watchlist.forUser(req.user.id, { limit: MAX_WATCHLIST })
+      const ids = rows.map(w => Number(w.nft_id))
+      const found = await store.nfts.byIds(ids)
+      const list = ids.map(id => found.find(n => n.id === id)).filter(n => n && !n.hidden)
+      const { nfts, star_rate } = await store.nfts.withCatalogFields(list)
+      return res.json({ ok: true, nft_ids: ids, nfts, star_rate })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/watchlist/add', requireAuth, async (req, res) => {
+    const nftId = nftIdOf(req.body)
+    if (!nftId) return res.status(400).json({ ok: false, error: 'invalid nft_id' })
+    try {
+      const nft = await store.nfts.get(nftId)
+      if (!nft || nft.hidden) return res.status(404).json({ ok: false, error: 'nft not found' })
+      if (await store.watchlist.count(req.user.id) >= MAX_WATCHLIST) {
+        return res.status(403).json({ ok: false, error: 'watchlist limit', max_watchlist: MAX_WATCHLIST })
+      }
+      await store.watchlist.add(req.user.id, nft)
+      return res.json({ ok: true, nft_id: nft.id })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/watchlist/remove', requireAuth, async (req, res) => {
+    const nftId = nftIdOf(req.body)
+    if (!nftId) return res.status(400).json({ ok: false, error: 'invalid nft_id' })
+    try {
+      const removed = await store.watchlist.remove(req.user.id, nftId)
+      return res.json({ ok: true, removed })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/alerts', requireAuth, async (req, res) => {
+    try {
+      const [alerts, collections] = await Promise.all([store.alerts.forUser(req.user.id), store.collections.list()])
+      const byId = new Map(collections.map(c => [c.id, c]))
+      return res.json({
+        ok: true,
+        max_alerts: MAX_ALERTS,
+        alerts: alerts.map(a => {
+          const c = byId.get(a.collection_id)
+          return { ...a, collection: c ? { id: c.id, name: c.name, image_url: c.image_url, floor_price: c.floor_price } : null }
+        })
+      })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/alerts', requireAuth, async (req, res) => {
+    const { collection_id, kind } = req.body
+    if (!collection_id || typeof collection_id !== 'string') return res.status(400).json({ ok: false, error: 'missing collection_id' })
+    if (!ALERT_KINDS.includes(kind)) return res.status(400).json({ ok: false, error: 'invalid kind' })
+    let maxPrice = null
+    if (req.body.max_price !== undefined && req.body.max_price !== null && req.body.max_price !== '') {
+      maxPrice = toNano(req.body.max_price)
+      if (maxPrice === null || maxPrice <= 0) return res.status(400).json({ ok: false, error: 'invalid price' })
+    }
+    if (kind === 'price_drop' && maxPrice === null) return res.status(400).json({ ok: false, error: 'missing max_price' })
+    try {
+      const collection = await store.collections.get(collection_id)
+      if (!collection) return res.status(404).json({ ok: false, error: 'collection not found' })
+      if (await store.alerts.count(req.user.id) >= MAX_ALERTS) {
+        return res.status(403).json({ ok: false, error: 'alert limit', max_alerts: MAX_ALERTS })
+      }
+      const alert = await store.alerts.create({ user_id: req.user.id, collection_id: collection.id, kind, max_price: maxPrice })
+      return res.json({ ok: true, alert })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.post('/alerts/:id/remove', requireAuth, async (req, res) => {
+    try {
+      const removed = await store.alerts.remove(req.user.id, req.params.id)
+      if (!removed) return res.status(404).json({ ok: false, error: 'alert not found' })
+      return res.json({ ok: true })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  router.get('/activity', requireAuth, async (req, res) => {
+    const limit = req.query.limit === undefined ? 30 : Number(req.query.limit)
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ACTIVITY_LIMIT) return res.status(400).json({ ok: false, error: 'invalid limit' })
+    let after = {}
+    if (req.query.cursor) {
+      after = decodeCursor(req.query.cursor)
+      if (!after) return res.status(400).json({ ok: false, error: 'invalid cursor' })
+    }
+    try {
+      const { items, next } = await store.activity.feed(req.user.id, { after, limit })
+      return res.json({ ok: true, items, next_cursor: next ? encodeCursor(next) : null })
+    } catch (e) {
+      return res.status(500).json({ ok: false, error: String(e) })
+    }
+  })
+
+  return router
+}
+
+module.exports = { createWatchlistRouter }
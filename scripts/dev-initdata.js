@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+/**
+ * scripts/dev-initdata.js
+ * Prints initData signed with the configured bot token (TELEGRAM_BOT_TOKEN, or the development
+ * token with DEV_AUTH=1) for the body of POST /api/auth/verify.
+ *
+ *   npm run dev-initdata -- <user id> [first name] [start_param]
+ */
+
+require('dotenv').config()
+
+const { loadConfig } = require('../lib/config')
+const { signInitData } = require('../lib/telegram/initData')
+
+const [id, firstName = 'Dev', startParam] = process.argv.slice(2)
+if (!/^\d+$/.test(id || '')) {
+  console.error('usage: npm run dev-initdata -- <user id> [first name] [start_param]')
+  process.exit(1)
+}
+
+const { initDataToken } = loadConfig()
+if (!initDataToken) {
+  console.error('no bot token: set TELEGRAM_BOT_TOKEN or DEV_AUTH=1')
+  process.exit(1)
+}
+
+const fields = startParam ? { start_param: startParam } : {}
+console.log(signInitData({ botToken: initDataToken, user: { id: Number(id), first_name: firstName }, fields }))
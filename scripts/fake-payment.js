@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * scripts/fake-payment.js
+ * Appends an incoming transfer to the stub TON client feed (TON_CLIENT=stub, lib/payments/clients/stub.js).
+ *
+ *   npm run fake-payment -- <payload> <amount TON> [hash]
+ *
+ * The transfer goes to TON_WALLET_ADDRESS; the hash defaults to a random one (pass one to test reuse).
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+require('dotenv').config()
+
+const { loadConfig } = require('../lib/config')
+const { toNano } = require('../lib/money')
+
+const [payload, amount, hash] = process.argv.slice(2)
+const nano = toNano(amount || '')
+if (!payload || nano === null || nano <= 0) {
+  console.error('usage: npm run fake-payment -- <payload> <amount TON> [hash]')
+  process.exit(1)
+}
+
+const { tonStubFile, tonWallet } = loadConfig()
+if (!tonWallet) {
+  console.error('TON_WALLET_ADDRESS is not set')
+  process.exit(1)
+}
+const transfer = {
+  hash: hash || crypto.randomBytes(32).toString('base64'),
+  to: tonWallet,
+  amount: nano,
+  comment: payload,
+  utime: Math.floor(Date.now() / 1000),
+  from: 'stub-sender'
+}
+fs.mkdirSync(path.dirname(tonStubFile), { recursive: true })
+fs.appendFileSync(tonStubFile, JSON.stringify(transfer) + '\n')
+console.log(`${tonStubFile}: ${JSON.stringify(transfer)}`)
@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+/**
+ * scripts/fake-transfer.js
+ * Appends a transfer to the fake sync feed (SYNC_SOURCE=file, lib/sync/sources/file.js).
+ *
+ *   npm run fake-transfer -- <name> <number> <sender_id> <receiver_id> [hash]
+ *
+ * The hash defaults to a random one; pass an existing hash to check deduplication.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+require('dotenv').config()
+
+const { loadConfig } = require('../lib/config')
+
+const [name, number, sender_id, receiver_id, hash] = process.argv.slice(2)
+if (!name || !number || !sender_id || !receiver_id) {
+  console.error('usage: npm run fake-transfer -- <name> <number> <sender_id> <receiver_id> [hash]')
+  process.exit(1)
+}
+
+const { syncFile } = loadConfig()
+const transfer = {
+  hash: hash || crypto.randomBytes(16).toString('hex'),
+  name,
+  number: Number(number),
+  sender_id,
+  receiver_id
+}
+fs.mkdirSync(path.dirname(syncFile), { recursive: true })
+fs.appendFileSync(syncFile, JSON.stringify(transfer) + '\n')
+console.log(`${syncFile}: ${JSON.stringify(transfer)}`)
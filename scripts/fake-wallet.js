@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+/**
+ * scripts/fake-wallet.js
+ * Creates a wallet on the stub TON chain (TON_CLIENT=stub) and signs a TonConnect proof for it,
+ * printing the body for POST /api/wallet/link.
+ *
+ *   npm run fake-wallet -- <payload from /api/wallet/proof-payload> [domain, default localhost:3000]
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+require('dotenv').config()
+
+const { loadConfig } = require('../lib/config')
+const { proofHash } = require('../lib/payments/proof')
+const { toRaw } = require('../lib/payments/address')
+
+const [payload, domain = 'localhost:3000'] = process.argv.slice(2)
+if (!payload) {
+  console.error('usage: npm run fake-wallet -- <payload> [domain]')
+  process.exit(1)
+}
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519')
+const publicHex = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url').toString('hex')
+const address = { workchain: 0, hash: crypto.randomBytes(32) }
+
+const { tonStubFile } = loadConfig()
+fs.mkdirSync(path.dirname(tonStubFile), { recursive: true })
+fs.appendFileSync(tonStubFile, JSON.stringify({ address: toRaw(address), public_key: publicHex }) + '\n')
+
+const proof = {
+  timestamp: Math.floor(Date.now() / 1000),
+  domain: { lengthBytes: Buffer.byteLength(domain), value: domain },
+  payload
+}
+proof.signature = crypto.sign(null, proofHash(address, proof), privateKey).toString('base64')
+console.log(JSON.stringify({ address: toRaw(address), network: '-239', proof }))
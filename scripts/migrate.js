@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+/**
+ * scripts/migrate.js
+ * Creates the tables the server expects and optionally seeds demo data.
+ *
+ *   npm run migrate   -> apply db/migrations/*.sql
+ *   npm run seed      -> migrate, then insert db/seed.js fixtures
+ *
+ * Supabase/Postgres: needs DATABASE_URL (Supabase: Settings -> Database -> Connection string).
+ * Local store: tables are created on first write, so migrating records the schema version in the
+ * data file and runs the optional `NNN_name.local.js` sibling (data backfills) of each .sql file
+ * (db/migrate.js). Applied files are tracked in `schema_migrations` in both cases.
+ */
+
+const fs = require('fs')
+const path = require('path')
+require('dotenv').config()
+
+const { loadConfig } = require('../lib/config')
+const { createStorage } = require('../lib/storage')
+const { seed } = require('../db/seed')
+const { MIGRATIONS_DIR, migrationFiles, migrateLocal } = require('../db/migrate')
+
+async function migratePostgres(databaseUrl) {
+  const { Client } = require('pg')
+  const client = new Client({ connectionString: databaseUrl })
+  await client.connect()
+  try {
+    await client.query('create table if not exists schema_migrations (name text primary key, applied_at timestamptz not null default now())')
+    const { rows } = await client.query('select name from schema_migrations')
+    const applied = new Set(rows.map(r => r.name))
+    for (const file of migrationFiles()) {
+      if (applied.has(file)) continue
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8')
+      await client.query('begin')
+      try {
+        await client.query(sql)
+        await client.query('insert into schema_migrations (name) values ($1)', [file])
+        await client.query('commit')
+        console.log(`applied ${file}`)
+      } catch (e) {
+        await client.query('rollback')
+        throw new Error(`${file}: ${e.message}`)
+      }
+    }
+    // make PostgREST see new tables/functions
+    await client.query("notify pgrst, 'reload schema'")
+  } finally {
+    await client.end()
+  }
+}
+
+async function main() {
+  const config = loadConfig()
+  const withSeed = process.argv.includes('--seed')
+
+  if (config.storage === 'supabase') {
+    if (!config.databaseUrl) throw new Error('DATABASE_URL is required to migrate a Supabase/Postgres database')
+    await migratePostgres(config.databaseUrl)
+  }
+
+  const store = createStorage(config)
+  try {
+    if (store.backend === 'local') await migrateLocal(store)
+    if (withSeed) {
+      await seed(store)
+      console.log('seeded demo data')
+    }
+  } finally {
+    await store.close()
+  }
+  console.log(`storage: ${store.backend}${store.backend === 'local' ? ` (${config.dataFile})` : ''}`)
+}
+
+main().catch(e => {
+  console.error(e.message || e)
+  process.exit(1)
+})
@@ -1,368 +1,79 @@
 /**
  * server.js
- * Minimal Express server for MarketHub
+ * MarketHub server: loads .env, builds the app (app.js, endpoints are listed there) and listens on PORT.
  *
- * - Serves static files from /public
- * - Endpoints:
- *    POST /api/auth/verify      -> validate Telegram initData (light)
- *    GET  /api/nfts             -> list NFTs
- *    POST /api/nft/buy          -> buy NFT using internal balance
- *    POST /api/admin/add_balance-> admin issues balance
- *    POST /api/sync-nfts        -> (manual) sync mock incoming NFT -> create t.me/nft link
- *    POST /api/ton/purchase     -> (optional) TonConnect callback mock
- *
- * Environment (.env):
+ * Environment (.env), read by lib/config.js:
  *   PORT
  *   TELEGRAM_BOT_TOKEN
+ *   TELEGRAM_BOT_ID    (for Ed25519-signed initData without the token; default: from the token)
+ *   TELEGRAM_TEST_ENV  (1 = initData signatures from Telegram's test environment)
+ *   INITDATA_MAX_AGE_SEC (initData older than this is rejected, default 86400)
+ *   DEV_AUTH           (1 = development mode: dev initData signer, works without TELEGRAM_BOT_TOKEN;
+ *                       ignored with NODE_ENV=production)
+ *   TELEGRAM_API_URL   (Bot API base url, default https://api.telegram.org; a local stub for tests)
+ *   TELEGRAM_WEBHOOK_SECRET (secret_token of the bot webhook; unset = webhook disabled)
+ *   TELEGRAM_MINIAPP_URL (e.g. https://t.me/<bot>/<app>; bot buttons open it with ?startapp=<tab>)
+ *   BOT_NOTIFY         (0 = don't send notifications as bot messages), BOT_NOTIFY_INTERVAL_SEC (default 5)
  *   SUPABASE_URL
  *   SUPABASE_SERVICE_ROLE_KEY
  *   JWT_SECRET
- *   ADMIN_TELEGRAM_ID (default 6828395702)
+ *   ADMIN_TELEGRAM_IDS (comma-separated; ADMIN_TELEGRAM_ID still accepted, default 6828395702)
+ *   STORAGE            ('supabase' | 'local'; default: supabase when its credentials are set)
+ *   MARKET_FEE_BPS     (fee on secondary sales, basis points, default 250 = 2.5%)
+ *   TREASURY_ID        (ledger account that receives fees, default 'treasury')
+ *   MAX_LISTINGS       (listings + active auctions per user without premium, default 10)
+ *   AUCTION_SNIPE_SEC  (bids in the last N seconds extend the auction, default 120)
+ *   AUCTION_SETTLE_INTERVAL_SEC (how often ended auctions are settled, default 15)
+ *   REALTIME_POLL_MS   (how often the ledgers are checked for balance events, default 1000)
+ *   SYNC_SOURCE        (NFT sync worker source: 'file' = fake JSON-lines feed; unset = worker off)
+ *   SYNC_FILE          (transfers file for SYNC_SOURCE=file, default data/sync-transfers.jsonl)
+ *   SYNC_INTERVAL_SEC  (poll interval, default 30; failures back off up to SYNC_BACKOFF_MAX_SEC, default 600)
+ *   SYNC_BATCH         (transfers per poll, default 50)
+ *   TON_WALLET_ADDRESS (receives stars/premium payments; unset = payments disabled)
+ *   TON_CLIENT         ('toncenter' | 'stub' = transfers from TON_STUB_FILE, default data/ton-transfers.jsonl)
+ *   TONCENTER_API_URL, TONCENTER_API_KEY
+ *   DEPOSIT_MIN_TON (0.1), WITHDRAW_MIN_TON (1), WITHDRAW_MAX_TON (500), WITHDRAW_DAILY_TON (1000 per 24h)
+ *   PUBLIC_URL         (app url for /tonconnect-manifest.json; default: request origin)
+ *   TONPROOF_DOMAIN    (domain wallets sign in TonConnect proofs; default: PUBLIC_URL host, else request Host)
+ *   PAYMENT_INTENT_TTL_MIN (default 30), PAYMENT_POLL_SEC (how often open intents are checked, default 20)
+ *   GIVEAWAY_DRAW_INTERVAL_SEC (how often ended giveaways are drawn, default 15)
+ *   REFERRAL_FEE_SHARE_BPS (referrer's share of the fee on invitees' sales, bps of the fee, default 2000, max 5000)
+ *   REFERRAL_BONUS_TON (paid to the referrer on an invitee's first purchase, default 0)
+ *   REFERRAL_INTERVAL_SEC (how often new sales are checked for referral rewards, default 30)
+ *   ANALYTICS_FLOOR_INTERVAL_SEC (how often all collection floors are sampled, default 3600; also on card changes)
+ *   IMAGE_CACHE_DIR    (NFT thumbnails, default data/images), IMAGE_THUMB_SIZE (px, default 320)
+ *   IMAGE_MAX_BYTES    (largest source image, default 5 MB), IMAGE_MAX_AGE_SEC (refresh after, default 7 days)
+ *   IMAGE_RETRY_SEC    (first retry of a failed download, doubling, default 60), IMAGE_REFRESH_INTERVAL_SEC (60)
+ *   RATE_LIMIT_IP_PER_MIN (600), RATE_LIMIT_USER_PER_MIN (240), RATE_LIMIT_MONEY_PER_MIN (20, buys/credits/payments)
+ *   TRUST_PROXY        (proxy hops in front of the server, or 'true'; needed for per-ip limits behind a proxy)
+ *   IDEMPOTENCY_TTL_HOURS (how long Idempotency-Key responses are replayed, default 24)
+ *   DATA_FILE          (local store file, default data/markethub.json)
+ *   DATABASE_URL       (Postgres connection string, only for `npm run migrate`)
  *
- * NOTE:
- *  - Use SUPABASE_SERVICE_ROLE_KEY only on server & never publish it publicly.
- *  - `sync-nfts` here is a placeholder: replace with real worker that watches TON/Telegram transactions.
  */
 
-const express = require('express')
-const cors = require('cors')
-const cookieParser = require('cookie-parser')
-const crypto = require('crypto')
-const fetch = require('node-fetch')
-const cheerio = require('cheerio')
 require('dotenv').config()
 
-const { createClient } = require('@supabase/supabase-js')
-const jwt = require('jsonwebtoken')
-
-const app = express()
-app.use(cors())
-app.use(express.json({ limit: '1mb' }))
-app.use(cookieParser())
-
-const PORT = process.env.PORT || 3000
-const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || ''
-const SUPABASE_URL = process.env.SUPABASE_URL || ''
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || ''
-const JWT_SECRET = process.env.JWT_SECRET || 'change-me'
-const ADMIN_TELEGRAM_ID = (process.env.ADMIN_TELEGRAM_ID || '6828395702').toString()
-
-let supabase = null
-let useSupabase = false
-if (SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY) {
-  supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY)
-  useSupabase = true
-  console.log('Supabase: enabled')
-} else {
-  console.log('Supabase: disabled (running with in-memory mock)')
-}
-
-// ========== In-memory fallback DB ==========
-const mockDB = {
-  profiles: {
-    // example
-    '12345678': { id: '12345678', first_name: 'Demo', username: 'demo_user', premium_until: null, stars_balance: 0 }
-  },
-  balances: {
-    '12345678': 20.0 // internal balance in TON
-  },
-  nfts: [
-    // example NFTs (image_url can be updated by sync)
-    { id: 1, name: 'Desk Calendar', number: 4567, price: 2.5, link: 'https://t.me/nft/DeskCalendar-4567', image_url: '/assets/placeholder1.png', owner_id: null },
-    { id: 2, name: 'Abstract Soul', number: 12, price: 1.2, link: 'https://t.me/nft/AbstractSoul-12', image_url: '/assets/placeholder2.png', owner_id: null },
-    { id: 3, name: 'Blue Planet', number: 77, price: 3.0, link: 'https://t.me/nft/BluePlanet-77', image_url: '/assets/placeholder3.png', owner_id: null },
-    { id: 4, name: 'Fragment #9', number: 9, price: 0.5, link: 'https://t.me/nft/Fragment-9', image_url: '/assets/placeholder4.png', owner_id: null }
-  ],
-  gifts: []
-}
-
-// ========= Helper: parse Telegram initData query-string =========
-function parseQueryString(qs) {
-  const pairs = String(qs).split('&').filter(Boolean)
-  const obj = {}
-  for (const p of pairs) {
-    const idx = p.indexOf('=')
-    if (idx === -1) continue
-    const k = decodeURIComponent(p.slice(0, idx))
-    const v = decodeURIComponent(p.slice(idx + 1))
-    obj[k] = v
-  }
-  return obj
-}
-
-// Validate Telegram WebApp initData (follow Telegram docs)
-function checkInitData(initDataString) {
-  if (!TELEGRAM_BOT_TOKEN) return false // can't validate without bot token
-  try {
-    const params = parseQueryString(initDataString)
-    const hash = params.hash
-    if (!hash) return false
-    // build data_check_string
-    const items = []
-    Object.keys(params).filter(k => k !== 'hash').sort().forEach(k => items.push(`${k}=${params[k]}`))
-    const dataCheckString = items.join('\n')
-    // secret key: HMAC-SHA256 of bot token using key 'WebAppData' per earlier pattern
-    const secret = crypto.createHmac('sha256', 'WebAppData').update(TELEGRAM_BOT_TOKEN).digest()
-    const hmac = crypto.createHmac('sha256', secret).update(dataCheckString).digest('hex')
-    return hmac === hash
-  } catch (e) {
-    console.error('checkInitData err', e)
-    return false
-  }
-}
-
-// ============= Serve static files =============
-app.use('/', express.static('public', { extensions: ['html'] }))
-app.use('/assets', express.static('public/assets'))
-
-// ============= API: auth verify =============
-app.post('/api/auth/verify', async (req, res) => {
-  const { initData } = req.body
-  if (!initData) return res.status(400).json({ ok: false, error: 'missing initData' })
-
-  const valid = checkInitData(initData)
-  if (!valid) return res.status(401).json({ ok: false, error: 'invalid initData' })
-
-  // parse user (initData may include user field)
-  const params = parseQueryString(initData)
-  let user = null
-  if (params.user) {
-    try { user = JSON.parse(params.user) } catch (e) { user = null }
-  }
-
-  if (user && useSupabase) {
-    // upsert basic profile on server
-    try {
-      await supabase.from('profiles').upsert({
-        id: user.id.toString(),
-        first_name: user.first_name || null,
-        username: user.username || null
-      }, { onConflict: ['id'] })
-    } catch (e) {
-      console.warn('supabase upsert profile failed', e)
-    }
-  } else if (user) {
-    mockDB.profiles[user.id] = mockDB.profiles[user.id] || { id: user.id.toString(), first_name: user.first_name, username: user.username, premium_until: null, stars_balance: 0 }
-  }
-
-  // create app JWT (short-lived)
-  const token = jwt.sign({ sub: user ? user.id : 'anon' }, JWT_SECRET, { expiresIn: '1h' })
-
-  return res.json({ ok: true, user, token })
-})
-
-// ============= API: list NFTs =============
-app.get('/api/nfts', async (req, res) => {
-  if (useSupabase) {
-    try {
-      const { data, error } = await supabase.from('nfts').select('*')
-      if (error) return res.status(500).json({ ok: false, error })
-      return res.json({ ok: true, nfts: data })
-    } catch (e) {
-      return res.status(500).json({ ok: false, error: String(e) })
-    }
-  } else {
-    return res.json({ ok: true, nfts: mockDB.nfts })
-  }
-})
-
-// ============= API: buy NFT (using internal balance) =============
-/**
- * body: { token (optional), buyer_id, nft_id }
- * - Verify buyer_id (for production: use token/session)
- * - Check balance; if enough, deduct and set owner_id
- */
-app.post('/api/nft/buy', async (req, res) => {
-  const { buyer_id, nft_id } = req.body
-  if (!buyer_id || typeof nft_id === 'undefined') return res.status(400).json({ ok: false, error: 'missing buyer_id or nft_id' })
-
-  const userId = buyer_id.toString()
-
-  // fetch NFT
-  let nft = null
-  if (useSupabase) {
-    const { data } = await supabase.from('nfts').select('*').eq('id', nft_id).limit(1).maybeSingle()
-    nft = data
-  } else {
-    nft = mockDB.nfts.find(x => x.id === Number(nft_id))
-  }
-  if (!nft) return res.status(404).json({ ok: false, error: 'nft not found' })
-  if (nft.owner_id) return res.status(400).json({ ok: false, error: 'already owned' })
-
-  // get balance
-  let balance = 0
-  if (useSupabase) {
-    const { data } = await supabase.from('balances').select('amount').eq('user_id', userId).limit(1).maybeSingle()
-    balance = data ? Number(data.amount) : 0
-  } else {
-    balance = mockDB.balances[userId] || 0
-  }
+const { loadConfig } = require('./lib/config')
+const { createApp } = require('./app')
 
-  if (balance < Number(nft.price)) {
-    return res.json({ ok: false, error: 'insufficient_balance', balance })
-  }
+const config = loadConfig()
+const { app, store, start, close } = createApp({ config })
+console.log(store.backend === 'supabase' ? 'Storage: supabase' : `Storage: local file ${config.dataFile}`)
+if (config.devAuth) console.warn('DEV_AUTH: /api/auth/dev-initdata signs initData for any user — development only')
 
-  // deduct and set owner
-  const newBalance = (Number(balance) - Number(nft.price)).toFixed(8)
-  if (useSupabase) {
-    // transaction: update balances and nfts
-    try {
-      await supabase.from('balances').upsert({ user_id: userId, amount: newBalance }, { onConflict: ['user_id'] })
-      await supabase.from('nfts').update({ owner_id: userId }).eq('id', nft_id)
-      return res.json({ ok: true, balance: Number(newBalance) })
-    } catch (e) {
-      return res.status(500).json({ ok: false, error: String(e) })
-    }
-  } else {
-    mockDB.balances[userId] = Number(newBalance)
-    const idx = mockDB.nfts.findIndex(x => x.id === Number(nft_id))
-    if (idx !== -1) mockDB.nfts[idx].owner_id = userId
-    return res.json({ ok: true, balance: Number(newBalance) })
-  }
-})
-
-// ============= API: admin add balance ============
-/**
- * body: { admin_id, target_id, amount }
- * only allowed if admin_id === ADMIN_TELEGRAM_ID
- */
-app.post('/api/admin/add_balance', async (req, res) => {
-  const { admin_id, target_id, amount } = req.body
-  if (!admin_id || !target_id || typeof amount === 'undefined') return res.status(400).json({ ok: false, error: 'missing params' })
-  if (String(admin_id) !== ADMIN_TELEGRAM_ID) return res.status(403).json({ ok: false, error: 'not authorized' })
-
-  const tid = String(target_id)
-  if (useSupabase) {
-    try {
-      // get current
-      const { data } = await supabase.from('balances').select('amount').eq('user_id', tid).limit(1).maybeSingle()
-      const cur = data ? Number(data.amount) : 0
-      const updated = Number(cur) + Number(amount)
-      await supabase.from('balances').upsert({ user_id: tid, amount: updated }, { onConflict: ['user_id'] })
-      return res.json({ ok: true, balance: updated })
-    } catch (e) {
-      return res.status(500).json({ ok: false, error: String(e) })
-    }
-  } else {
-    const cur = mockDB.balances[tid] || 0
-    mockDB.balances[tid] = Number(cur) + Number(amount)
-    return res.json({ ok: true, balance: mockDB.balances[tid] })
-  }
-})
-
-// ============= API: sync-nfts (placeholder/manual) ============
-/**
- * For real integration you should run a worker that watches TON/Telegram for incoming NFT gifts,
- * then creates/updates rows in `nfts` or `gifts` table with:
- *   - name, number, sender_id, receiver_id, link, image_url
- *
- * This endpoint shows how to convert a simple payload into a t.me/nft link and (optionally)
- * fetch preview image (og:image) from that link, then store into DB.
- *
- * body: { name, number, sender_id, receiver_id }
- */
-app.post('/api/sync-nfts', async (req, res) => {
-  const { name, number, sender_id, receiver_id } = req.body
-  if (!name || typeof number === 'undefined' || !sender_id || !receiver_id) {
-    return res.status(400).json({ ok: false, error: 'missing params' })
-  }
-
-  const link = `https://t.me/nft/${encodeURIComponent(name)}-${encodeURIComponent(number)}`
-  let image_url = null
-
-  // Try to fetch OG image (best effort); many Telegram t.me pages include og:image meta
-  try {
-    const r = await fetch(link, { timeout: 5000 })
-    if (r.ok) {
-      const text = await r.text()
-      const $ = cheerio.load(text)
-      const og = $('meta[property="og:image"]').attr('content') || $('meta[name="twitter:image"]').attr('content')
-      if (og) image_url = og
-    }
-  } catch (e) {
-    // ignore fetch errors; we'll fallback to placeholder
-    // console.warn('og fetch failed', e)
-  }
-
-  if (!image_url) image_url = '/assets/placeholder1.png'
-
-  const newNft = {
-    id: Date.now(), // simple id
-    name,
-    number,
-    price: 1.0,
-    link,
-    image_url,
-    owner_id: null,
-    sender_id: String(sender_id),
-    receiver_id: String(receiver_id),
-    created_at: new Date().toISOString()
-  }
-
-  if (useSupabase) {
-    try {
-      await supabase.from('nfts').insert(newNft)
-      return res.json({ ok: true, nft: newNft })
-    } catch (e) {
-      return res.status(500).json({ ok: false, error: String(e) })
-    }
-  } else {
-    mockDB.nfts.unshift(newNft)
-    return res.json({ ok: true, nft: newNft })
-  }
-})
-
-// ============= API: Ton purchase callback (optional) =============
-/**
- * When TonConnect purchase is confirmed client can call backend to credit stars/premium:
- * body: { user_id, type: 'stars'|'premium', amount, tx_hash }
- * This endpoint is intentionally simple — in production verify tx_hash on-chain or via TON indexer.
- */
-app.post('/api/ton/purchase', async (req, res) => {
-  const { user_id, type, amount } = req.body
-  if (!user_id || !type || typeof amount === 'undefined') return res.status(400).json({ ok: false, error: 'missing params' })
-
-  if (type === 'stars') {
-    // add stars to profile
-    if (useSupabase) {
-      try {
-        const { data } = await supabase.from('profiles').select('stars_balance').eq('id', String(user_id)).limit(1).maybeSingle()
-        const cur = data ? Number(data.stars_balance || 0) : 0
-        const updated = cur + Number(amount)
-        await supabase.from('profiles').update({ stars_balance: updated }).eq('id', String(user_id))
-        return res.json({ ok: true, stars_balance: updated })
-      } catch (e) { return res.status(500).json({ ok: false, error: String(e) }) }
-    } else {
-      const pid = String(user_id)
-      mockDB.profiles[pid] = mockDB.profiles[pid] || { id: pid, stars_balance: 0 }
-      mockDB.profiles[pid].stars_balance = (mockDB.profiles[pid].stars_balance || 0) + Number(amount)
-      return res.json({ ok: true, stars_balance: mockDB.profiles[pid].stars_balance })
-    }
-  }
-
-  if (type === 'premium') {
-    // amount is months; set premium_until
-    const months = Number(amount)
-    const until = new Date()
-    until.setMonth(until.getMonth() + months)
-    if (useSupabase) {
-      try {
-        await supabase.from('profiles').update({ premium_until: until.toISOString() }).eq('id', String(user_id))
-        return res.json({ ok: true, premium_until: until.toISOString() })
-      } catch (e) { return res.status(500).json({ ok: false, error: String(e) }) }
-    } else {
-      const pid = String(user_id)
-      mockDB.profiles[pid] = mockDB.profiles[pid] || {}
-      mockDB.profiles[pid].premium_until = until.toISOString()
-      return res.json({ ok: true, premium_until: until.toISOString() })
-    }
-  }
+// ============= Start server =============
+start()
+if (config.syncSource) console.log(`NFT sync: ${config.syncSource} source, every ${config.syncIntervalSec}s`)
 
-  return res.status(400).json({ ok: false, error: 'unknown type' })
+app.listen(config.port, () => {
+  console.log(`MarketHub server running on port ${config.port}`)
+  console.log(`Admin Telegram IDs: ${config.adminIds.join(', ')}`)
 })
 
-// ============= Start server =============
-app.listen(PORT, () => {
-  console.log(`MarketHub server running on port ${PORT}`)
-  console.log(`Admin Telegram ID: ${ADMIN_TELEGRAM_ID}`)
-})
+// stop the workers and flush the local store before exit
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    close().finally(() => process.exit(0))
+  })
+}
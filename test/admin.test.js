@@ -0,0 +1,95 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./helpers')
+const { USERS, BALANCES, NFTS } = require('./fixtures')
+const { toNano } = require('../lib/money')
+
+// POST /api/admin/users/:id/adjust (routes/admin.js)
+const adjust = (h, token, userId, body, key) =>
+  h.post(`/api/admin/users/${userId}/adjust`, body, { token, headers: key ? { 'Idempotency-Key': key } : {} })
+
+test('admin credit', async (t) => {
+  const h = await startApp()
+  t.after(() => h.close())
+  const admin = await h.login(USERS.admin)
+  const carol = await h.login(USERS.carol)
+
+  await t.test('credits the balance and records it in the audit log', async () => {
+    const r = await adjust(h, admin, USERS.carol.id, { amount: '2.5', reason: 'support refund' }, 'credit-1')
+    assert.equal(r.status, 200)
+    assert.equal(r.body.ok, true)
+    assert.equal(r.body.balance, BALANCES.carol + toNano('2.5'))
+    assert.equal(await h.balance(USERS.carol.id), BALANCES.carol + toNano('2.5'))
+
+    const audit = await h.get(`/api/admin/audit?action=balance.adjust&target_id=${USERS.carol.id}`, { token: admin })
+    assert.equal(audit.body.entries.length, 1)
+    assert.equal(audit.body.entries[0].actor_id, USERS.admin.id)
+    assert.equal(Number(audit.body.entries[0].details.amount), toNano('2.5'))
+  })
+
+  await t.test('a retried Idempotency-Key does not credit twice', async () => {
+    const retry = await adjust(h, admin, USERS.carol.id, { amount: '2.5', reason: 'support refund' }, 'credit-1')
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true')
+    assert.equal(await h.balance(USERS.carol.id), BALANCES.carol + toNano('2.5'))
+
+    const reused = await adjust(h, admin, USERS.carol.id, { amount: '5', reason: 'support refund' }, 'credit-1')
+    assert.equal(reused.status, 422)
+  })
+
+  await t.test('the credited user can buy with it', async () => {
+    const nft = await h.nft(NFTS.planet)
+    const r = await h.post('/api/nft/buy', { nft_id: nft.id }, { token: carol })
+    assert.equal(r.body.ok, true)
+    assert.equal(await h.balance(USERS.carol.id), BALANCES.carol + toNano('2.5') - nft.price)
+  })
+
+  await t.test('debits can not overdraw', async () => {
+    const before = await h.balance(USERS.carol.id)
+    const r = await adjust(h, admin, USERS.carol.id, { amount: '-100', reason: 'chargeback' })
+    assert.equal(r.body.ok, false)
+    assert.equal(r.body.error, 'insufficient_balance')
+    assert.equal(await h.balance(USERS.carol.id), before)
+  })
+
+  await t.test('invalid requests', async () => {
+    assert.equal((await adjust(h, admin, USERS.carol.id, { amount: 'ten', reason: 'x' })).status, 400)
+    assert.equal((await adjust(h, admin, USERS.carol.id, { amount: '1' })).body.error, 'missing reason')
+    assert.equal((await adjust(h, admin, '424242', { amount: '1', reason: 'x' })).status, 404)
+  })
+
+  await t.test('add_balance pre-credits a user who has not opened the app yet', async () => {
+    const r = await h.post('/api/admin/add_balance', { target_id: '424242', amount: '1', reason: 'welcome bonus' }, { token: admin })
+    assert.equal(r.body.ok, true)
+    assert.equal(await h.balance('424242'), toNano('1'))
+    const invalid = await h.post('/api/admin/add_balance', { target_id: 'abc', amount: '1', reason: 'x' }, { token: admin })
+    assert.equal(invalid.status, 400)
+    assert.equal(invalid.body.error, 'invalid target_id')
+  })
+
+  await t.test('users can not credit themselves', async () => {
+    const before = await h.balance(USERS.carol.id)
+    const r = await adjust(h, carol, USERS.carol.id, { amount: '100', reason: 'free money' })
+    assert.equal(r.status, 403)
+    assert.equal(r.body.error, 'not authorized')
+    assert.equal(r.body.message, 'You are not allowed to do this')
+    assert.equal(await h.balance(USERS.carol.id), before)
+  })
+})
+
+test('admin credit: concurrent credits and purchases keep the ledger consistent', async (t) => {
+  const h = await startApp()
+  t.after(() => h.close())
+  const admin = await h.login(USERS.admin)
+  const dave = await h.login(USERS.dave)
+  const nfts = await Promise.all([NFTS.calendar, NFTS.fragment].map(n => h.nft(n)))
+
+  const credits = [1, 2, 3].map(i => adjust(h, admin, USERS.dave.id, { amount: '1', reason: `bonus ${i}` }, `bonus-${i}`))
+  const buys = nfts.map(nft => h.post('/api/nft/buy', { nft_id: nft.id }, { token: dave }))
+  const results = await Promise.all([...credits, ...buys])
+
+  assert.ok(results.slice(0, 3).every(r => r.body.ok))
+  const bought = nfts.filter((nft, i) => results[3 + i].body.ok)
+  const spent = bought.reduce((sum, nft) => sum + nft.price, 0)
+  assert.equal(await h.balance(USERS.dave.id), BALANCES.dave + toNano('3') - spent)
+  for (const nft of bought) assert.equal((await h.store.nfts.get(nft.id)).owner_id, USERS.dave.id)
+})
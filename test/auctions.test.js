@@ -0,0 +1,61 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp, createClock } = require('./helpers')
+const { USERS, BALANCES, NFTS } = require('./fixtures')
+const { toNano } = require('../lib/money')
+
+const bid = (h, token, auctionId, amount) => h.post(`/api/auctions/${auctionId}/bid`, { amount }, { token })
+
+test('auctions: bidding and settling on the app clock', async (t) => {
+  const clock = createClock()
+  const h = await startApp({ clock })
+  t.after(() => h.close())
+  const [alice, bob, carol] = await Promise.all([h.login(USERS.alice), h.login(USERS.bob), h.login(USERS.carol)])
+  const pepe = await h.nft(NFTS.pepe)
+  const start = clock.now().getTime()
+  let auction
+
+  await t.test('the end time is set from the clock', async () => {
+    const r = await h.post('/api/auctions', { nft_id: pepe.id, start_price: '1', min_increment: '0.1', duration_minutes: 5 }, { token: carol })
+    assert.equal(r.body.ok, true)
+    auction = r.body.auction
+    assert.equal(auction.ends_at, new Date(start + 5 * 60000).toISOString())
+  })
+
+  await t.test('a bid in the last AUCTION_SNIPE_SEC extends the auction', async () => {
+    assert.equal((await bid(h, alice, auction.id, '1.5')).body.ok, true)
+    assert.equal(await h.balance(USERS.alice.id), BALANCES.alice - toNano('1.5'))
+
+    clock.advance(4 * 60)
+    assert.equal((await bid(h, bob, auction.id, '1.6')).body.ok, true)
+    assert.equal(await h.balance(USERS.alice.id), BALANCES.alice, 'the outbid escrow is refunded')
+    const { body } = await h.get(`/api/auctions/${auction.id}`)
+    assert.equal(body.auction.ends_at, new Date(clock.now().getTime() + h.config.auctionSnipeSec * 1000).toISOString())
+  })
+
+  await t.test('is not settled before the extended end', async () => {
+    clock.advance(70)
+    assert.deepEqual(await h.workers.auctions.settleDue(), [])
+    assert.equal((await bid(h, alice, auction.id, '2')).body.ok, true)
+  })
+
+  await t.test('after the end bids are refused and the settler pays the seller', async () => {
+    clock.advance(h.config.auctionSnipeSec + 1)
+    const late = await bid(h, bob, auction.id, '3')
+    assert.equal(late.body.ok, false)
+    assert.equal(late.body.error, 'auction ended')
+
+    const settled = await h.workers.auctions.settleDue()
+    assert.equal(settled.length, 1)
+    assert.equal(settled[0].sold, true)
+    assert.equal(settled[0].auction.settled_at, clock.now().toISOString())
+
+    const price = toNano('2')
+    const fee = Math.floor(price * h.config.marketFeeBps / 10000)
+    assert.equal((await h.nft(NFTS.pepe)).owner_id, USERS.alice.id)
+    assert.equal(await h.balance(USERS.alice.id), BALANCES.alice - price)
+    assert.equal(await h.balance(USERS.bob.id), BALANCES.bob)
+    assert.equal(await h.balance(USERS.carol.id), BALANCES.carol + price - fee)
+    assert.deepEqual(await h.workers.auctions.settleDue(), [])
+  })
+})
@@ -0,0 +1,88 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./helpers')
+const { USERS } = require('./fixtures')
+
+test('auth: verify', async (t) => {
+  const h = await startApp()
+  t.after(() => h.close())
+
+  await t.test('signed initData issues tokens and creates the profile', async () => {
+    const newcomer = { id: 2001, first_name: 'Nina', username: 'nina' }
+    const r = await h.post('/api/auth/verify', { initData: h.initDataFor(newcomer) })
+    assert.equal(r.status, 200)
+    assert.equal(r.body.ok, true)
+    assert.equal(r.body.role, 'user')
+    assert.equal(r.body.user.id, 2001)
+    assert.ok(r.body.token && r.body.refresh_token)
+
+    const me = await h.get('/api/me', { token: r.body.token })
+    assert.equal(me.status, 200)
+    assert.equal(me.body.profile.id, '2001')
+    assert.equal(me.body.profile.username, 'nina')
+    assert.equal(me.body.balance, 0)
+  })
+
+  await t.test('ADMIN_TELEGRAM_IDS sign in as admin', async () => {
+    const r = await h.post('/api/auth/verify', { initData: h.initDataFor(USERS.admin) })
+    assert.equal(r.status, 200)
+    assert.equal(r.body.role, 'admin')
+  })
+
+  await t.test('tampered initData is rejected', async () => {
+    const initData = h.initDataFor(USERS.alice).replace(encodeURIComponent('"id":1001'), encodeURIComponent('"id":999'))
+    assert.notEqual(initData, h.initDataFor(USERS.alice))
+    const r = await h.post('/api/auth/verify', { initData })
+    assert.equal(r.status, 401)
+    assert.equal(r.body.error, 'invalid initData')
+    assert.equal(r.body.reason, 'invalid hash')
+  })
+
+  await t.test('initData signed with another bot token is rejected', async () => {
+    const r = await h.post('/api/auth/verify', { initData: h.initDataFor(USERS.alice, { botToken: '654321:other-bot' }) })
+    assert.equal(r.status, 401)
+    assert.equal(r.body.reason, 'invalid hash')
+  })
+
+  await t.test('missing initData', async () => {
+    const r = await h.post('/api/auth/verify', {})
+    assert.equal(r.status, 400)
+    assert.equal(r.body.error, 'missing initData')
+  })
+})
+
+test('auth: clock-based expiry', async (t) => {
+  const h = await startApp({ env: { INITDATA_MAX_AGE_SEC: '3600' } })
+  t.after(() => h.close())
+
+  await t.test('initData older than INITDATA_MAX_AGE_SEC is rejected', async () => {
+    const initData = h.initDataFor(USERS.alice)
+    h.clock.advance(3601)
+    const r = await h.post('/api/auth/verify', { initData })
+    assert.equal(r.status, 401)
+    assert.equal(r.body.reason, 'initData expired')
+  })
+
+  await t.test('access tokens expire after an hour; the refresh token renews them', async () => {
+    const r = await h.post('/api/auth/verify', { initData: h.initDataFor(USERS.alice) })
+    const { token, refresh_token } = r.body
+    assert.equal((await h.get('/api/me', { token })).status, 200)
+
+    h.clock.advance(2 * 3600)
+    const expired = await h.get('/api/me', { token })
+    assert.equal(expired.status, 401)
+    assert.equal(expired.body.error, 'token expired')
+
+    const refreshed = await h.post('/api/auth/refresh', { refresh_token })
+    assert.equal(refreshed.status, 200)
+    const me = await h.get('/api/me', { token: refreshed.body.token })
+    assert.equal(me.status, 200)
+    assert.equal(me.body.profile.id, USERS.alice.id)
+  })
+
+  await t.test('requests without a token are rejected', async () => {
+    const r = await h.get('/api/me')
+    assert.equal(r.status, 401)
+    assert.equal(r.body.error, 'missing token')
+  })
+})
@@ -0,0 +1,183 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp, createClock } = require('./helpers')
+const { USERS, BALANCES, NFTS } = require('./fixtures')
+const { toNano } = require('../lib/money')
+
+// POST /api/nft/buy; each test gets a fresh app, so balances start at the fixtures
+async function setup(t) {
+  const h = await startApp()
+  t.after(() => h.close())
+  return h
+}
+
+const buy = (h, token, nft, headers = {}) => h.post('/api/nft/buy', { nft_id: nft.id }, { token, headers })
+
+test('buy: primary sale debits the buyer and transfers the NFT', async (t) => {
+  const h = await setup(t)
+  const token = await h.login(USERS.alice)
+  const nft = await h.nft(NFTS.calendar)
+
+  const r = await buy(h, token, nft)
+  assert.equal(r.status, 200)
+  assert.equal(r.body.ok, true)
+  assert.equal(r.body.balance, BALANCES.alice - nft.price)
+  assert.equal(await h.balance(USERS.alice.id), BALANCES.alice - nft.price)
+
+  const after = await h.nft(NFTS.calendar)
+  assert.equal(after.owner_id, USERS.alice.id)
+  assert.equal(after.for_sale, false)
+
+  const sales = await h.get(`/api/nfts/${nft.id}/sales`)
+  assert.equal(sales.body.sales.length, 1)
+  assert.equal(sales.body.sales[0].buyer_id, USERS.alice.id)
+  assert.equal(sales.body.sales[0].seller_id, null)
+  assert.equal(Number(sales.body.sales[0].price), nft.price)
+})
+
+test('buy: secondary sale pays the seller minus the market fee', async (t) => {
+  const h = await setup(t)
+  const token = await h.login(USERS.alice)
+  const nft = await h.nft(NFTS.soul)
+  const fee = nft.price * h.config.marketFeeBps / 10000
+
+  const r = await buy(h, token, nft)
+  assert.equal(r.body.ok, true)
+  assert.equal(await h.balance(USERS.alice.id), BALANCES.alice - nft.price)
+  assert.equal(await h.balance(USERS.bob.id), BALANCES.bob + nft.price - fee)
+  assert.equal(await h.balance(h.config.treasuryId), fee)
+  assert.equal((await h.nft(NFTS.soul)).owner_id, USERS.alice.id)
+})
+
+test('buy: the seller\'s premium fee perk counts only until premium_until on the app clock', async (t) => {
+  const clock = createClock()
+  const h = await startApp({ clock })
+  t.after(() => h.close())
+  // premium without a subscription row gets the first plan's perks (market_fee_bps 100)
+  await h.store.profiles.update(USERS.bob.id, { premium_until: new Date(clock.now().getTime() + 3600 * 1000).toISOString() })
+  clock.advance(2 * 3600)
+
+  const nft = await h.nft(NFTS.soul)
+  assert.equal((await buy(h, await h.login(USERS.alice), nft)).body.ok, true)
+  const fee = nft.price * h.config.marketFeeBps / 10000
+  assert.equal(await h.balance(USERS.bob.id), BALANCES.bob + nft.price - fee)
+  assert.equal(await h.balance(h.config.treasuryId), fee)
+})
+
+test('buy: rejected purchases change nothing', async (t) => {
+  const h = await setup(t)
+  const carol = await h.login(USERS.carol)
+  const bob = await h.login(USERS.bob)
+
+  await t.test('insufficient balance', async () => {
+    const r = await buy(h, carol, await h.nft(NFTS.planet))
+    assert.equal(r.body.ok, false)
+    assert.equal(r.body.error, 'insufficient_balance')
+    assert.equal(await h.balance(USERS.carol.id), BALANCES.carol)
+    assert.equal((await h.nft(NFTS.planet)).owner_id, null)
+  })
+
+  await t.test('own listing', async () => {
+    const r = await buy(h, bob, await h.nft(NFTS.soul))
+    assert.equal(r.status, 400)
+    assert.equal(r.body.error, 'own nft')
+  })
+
+  await t.test('not for sale', async () => {
+    const r = await buy(h, bob, await h.nft(NFTS.pepe))
+    assert.equal(r.status, 400)
+    assert.equal(r.body.error, 'already owned')
+    assert.equal(await h.balance(USERS.bob.id), BALANCES.bob)
+  })
+
+  await t.test('unknown NFT and invalid body', async () => {
+    assert.equal((await buy(h, bob, { id: 9999 })).status, 404)
+    const r = await h.post('/api/nft/buy', { nft_id: 'abc' }, { token: bob })
+    assert.equal(r.status, 400)
+    assert.equal(r.body.error, 'invalid nft_id')
+  })
+
+  await t.test('no token', async () => {
+    const r = await h.post('/api/nft/buy', { nft_id: 1 })
+    assert.equal(r.status, 401)
+  })
+})
+
+test('buy: a retried Idempotency-Key replays the first response', async (t) => {
+  const h = await setup(t)
+  const token = await h.login(USERS.alice)
+  const nft = await h.nft(NFTS.fragment)
+  const headers = { 'Idempotency-Key': 'buy-fragment-1' }
+
+  const first = await buy(h, token, nft, headers)
+  const retry = await buy(h, token, nft, headers)
+  assert.equal(first.body.ok, true)
+  assert.deepEqual(retry.body, first.body)
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true')
+  assert.equal(await h.balance(USERS.alice.id), BALANCES.alice - nft.price)
+})
+
+test('buy: the same Idempotency-Key sent twice at once buys once', async (t) => {
+  const h = await setup(t)
+  const token = await h.login(USERS.alice)
+  const nft = await h.nft(NFTS.fragment)
+  const headers = { 'Idempotency-Key': 'double-tap' }
+
+  const results = await Promise.all([buy(h, token, nft, headers), buy(h, token, nft, headers)])
+  // the second one is either told the first is still running or gets its response replayed
+  assert.ok(results.some(r => r.status === 200 && r.body.ok))
+  for (const r of results) assert.ok(r.body.ok || (r.status === 409 && r.body.error === 'request in progress'), r.text)
+  assert.equal(await h.balance(USERS.alice.id), BALANCES.alice - nft.price)
+})
+
+test('buy: concurrent purchases', async (t) => {
+  const h = await setup(t)
+
+  await t.test('two buyers, one NFT: exactly one wins', async () => {
+    const [alice, bob] = await Promise.all([h.login(USERS.alice), h.login(USERS.bob)])
+    const nft = await h.nft(NFTS.planet)
+    const results = await Promise.all([buy(h, alice, nft), buy(h, bob, nft)])
+
+    const won = results.filter(r => r.body.ok)
+    assert.equal(won.length, 1)
+    const winner = results[0].body.ok ? USERS.alice : USERS.bob
+    const loser = winner === USERS.alice ? USERS.bob : USERS.alice
+    assert.equal((await h.nft(NFTS.planet)).owner_id, winner.id)
+    assert.equal(await h.balance(winner.id), BALANCES[winner.username] - nft.price)
+    assert.equal(await h.balance(loser.id), BALANCES[loser.username])
+    assert.equal((await h.get(`/api/nfts/${nft.id}/sales`)).body.sales.length, 1)
+  })
+
+  await t.test('one buyer, two NFTs it can only afford one of: the balance never goes negative', async () => {
+    const dave = await h.login(USERS.dave)
+    const calendar = await h.nft(NFTS.calendar)
+    const fragment = await h.nft(NFTS.fragment)
+    const soul = await h.nft(NFTS.soul)
+    // 3 TON: calendar (2.5) + soul (1.2) don't fit together
+    const results = await Promise.all([buy(h, dave, calendar), buy(h, dave, soul)])
+    assert.equal(results.filter(r => r.body.ok).length, 1)
+    assert.equal(results.filter(r => r.body.error === 'insufficient_balance').length, 1)
+    const balance = await h.balance(USERS.dave.id)
+    assert.ok(balance >= 0)
+    assert.ok(balance === BALANCES.dave - calendar.price || balance === BALANCES.dave - soul.price)
+
+    // the rest still buys what it can afford
+    const r = await buy(h, dave, fragment)
+    assert.equal(r.body.ok, balance >= fragment.price)
+  })
+})
+
+test('buy: three buyers racing for one NFT, two requests each', async (t) => {
+  const h = await setup(t)
+  const buyers = [USERS.alice, USERS.bob, USERS.dave]
+  const tokens = await Promise.all(buyers.map(u => h.login(u)))
+  const nft = await h.nft(NFTS.fragment)
+
+  const results = await Promise.all(tokens.flatMap(token => [buy(h, token, nft), buy(h, token, nft)]))
+  assert.equal(results.filter(r => r.body.ok).length, 1)
+
+  const owner = (await h.nft(NFTS.fragment)).owner_id
+  const spent = await Promise.all(buyers.map(async u => BALANCES[u.username] - await h.balance(u.id)))
+  assert.deepEqual(spent, buyers.map(u => (u.id === owner ? nft.price : 0)))
+  assert.equal(spent.reduce((a, b) => a + b, 0), toNano('0.5'))
+})
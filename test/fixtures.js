@@ -0,0 +1,52 @@
+/**
+ * test/fixtures.js
+ * Data every test app starts with, inserted by db/seed.js seed(): users with opening balances and
+ * NFTs on the primary market, one listed by its owner and one owned but not for sale.
+ * Amounts are nanoTON.
+ */
+
+const { toNano } = require('../lib/money')
+
+const USERS = {
+  admin: { id: '999', first_name: 'Admin', username: 'admin' },
+  alice: { id: '1001', first_name: 'Alice', username: 'alice' },
+  bob: { id: '1002', first_name: 'Bob', username: 'bob' },
+  carol: { id: '1003', first_name: 'Carol', username: 'carol' },
+  dave: { id: '1004', first_name: 'Dave', username: 'dave' }
+}
+
+const BALANCES = {
+  alice: toNano('10'),
+  bob: toNano('5'),
+  carol: toNano('1'),
+  dave: toNano('3')
+}
+
+const nft = (name, number, price, extra = {}) => ({
+  name,
+  number,
+  price: toNano(price),
+  link: `https://t.me/nft/${name.replace(/\W/g, '')}-${number}`,
+  image_url: '/assets/placeholder1.png',
+  owner_id: null,
+  attributes: [{ trait: 'Model', value: 'Test', rarity: 1 }],
+  ...extra
+})
+
+const NFTS = {
+  calendar: nft('Desk Calendar', 1, '2.5'),
+  planet: nft('Blue Planet', 2, '3'),
+  fragment: nft('Fragment', 3, '0.5'),
+  // secondary market: listed by bob
+  soul: nft('Abstract Soul', 4, '1.2', { owner_id: USERS.bob.id, for_sale: true, listed_at: '2026-01-01T00:00:00.000Z' }),
+  // owned by carol, not for sale
+  pepe: nft('Plush Pepe', 5, '4', { owner_id: USERS.carol.id })
+}
+
+const fixtures = {
+  profiles: Object.values(USERS).map(u => ({ ...u, premium_until: null, stars_balance: 0 })),
+  ledger: Object.entries(BALANCES).map(([name, amount]) => ({ user_id: USERS[name].id, amount, reason: 'seed' })),
+  nfts: Object.values(NFTS)
+}
+
+module.exports = { USERS, BALANCES, NFTS, fixtures }
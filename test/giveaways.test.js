@@ -0,0 +1,129 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp, createClock } = require('./helpers')
+const crypto = require('crypto')
+const { USERS, BALANCES, NFTS, fixtures } = require('./fixtures')
+const { toNano } = require('../lib/money')
+const { drawWinners } = require('../lib/giveaways')
+
+const TREASURY = toNano('3')
+const data = { ...fixtures, ledger: [...fixtures.ledger, { user_id: 'treasury', amount: TREASURY, reason: 'seed' }] }
+
+const create = (h, token, body) =>
+  h.post('/api/admin/giveaways', { title: 'Giveaway', duration_minutes: 5, ...body }, { token })
+
+test('giveaways: TON prizes are reserved from the treasury', async (t) => {
+  const clock = createClock()
+  const h = await startApp({ clock, data })
+  t.after(() => h.close())
+  const admin = await h.login(USERS.admin)
+  const alice = await h.login(USERS.alice)
+
+  await t.test('a prize the treasury can not cover is rejected', async () => {
+    const r = await create(h, admin, { prize_type: 'ton', amount: '2', winners_count: 2 })
+    assert.equal(r.status, 409)
+    assert.equal(r.body.error, 'treasury balance too low')
+    assert.equal(await h.balance('treasury'), TREASURY)
+  })
+
+  await t.test('settle pays the winners and refunds the prizes nobody won', async () => {
+    const r = await create(h, admin, { prize_type: 'ton', amount: '1', winners_count: 2 })
+    assert.equal(r.body.ok, true)
+    assert.equal(await h.balance('treasury'), TREASURY - toNano('2'))
+
+    const id = r.body.giveaway.id
+    assert.equal((await h.post(`/api/giveaways/${id}/join`, {}, { token: alice })).body.ok, true)
+    assert.equal((await h.post(`/api/admin/giveaways/${id}/draw`, {}, { token: admin })).body.error, 'giveaway not ended')
+
+    clock.advance(5 * 60 + 1)
+    const drawn = await h.post(`/api/admin/giveaways/${id}/draw`, {}, { token: admin })
+    assert.equal(drawn.body.ok, true)
+    assert.deepEqual(drawn.body.giveaway.winners, [USERS.alice.id])
+    assert.equal(await h.balance(USERS.alice.id), BALANCES.alice + toNano('1'))
+    assert.equal(await h.balance('treasury'), TREASURY - toNano('1'))
+  })
+
+  await t.test('cancel refunds the whole reserve', async () => {
+    const before = await h.balance('treasury')
+    const r = await create(h, admin, { prize_type: 'ton', amount: '0.5', winners_count: 2 })
+    assert.equal(await h.balance('treasury'), before - toNano('1'))
+
+    const cancelled = await h.post(`/api/admin/giveaways/${r.body.giveaway.id}/cancel`, {}, { token: admin })
+    assert.equal(cancelled.body.ok, true)
+    assert.equal(await h.balance('treasury'), before)
+  })
+})
+
+test('giveaways: the drawer settles NFT prizes when they end', async (t) => {
+  const clock = createClock()
+  const h = await startApp({ clock })
+  t.after(() => h.close())
+  const [admin, alice, bob] = await Promise.all([h.login(USERS.admin), h.login(USERS.alice), h.login(USERS.bob)])
+  const [calendar, planet] = await Promise.all([h.nft(NFTS.calendar), h.nft(NFTS.planet)])
+  let won, empty
+
+  await t.test('the prize is taken off the market', async () => {
+    won = (await create(h, admin, { prize_type: 'nft', nft_id: calendar.id })).body.giveaway
+    empty = (await create(h, admin, { prize_type: 'nft', nft_id: planet.id, duration_minutes: 10 })).body.giveaway
+    assert.equal((await h.nft(NFTS.calendar)).for_sale, false)
+    for (const token of [alice, bob]) assert.equal((await h.post(`/api/giveaways/${won.id}/join`, {}, { token })).body.ok, true)
+    assert.equal(won.seed, null)
+  })
+
+  await t.test('only ended giveaways are drawn', async () => {
+    clock.advance(5 * 60 + 1)
+    const drawn = await h.workers.giveaways.drawDue()
+    assert.deepEqual(drawn.map(r => r.giveaway.id), [won.id])
+    assert.equal(drawn[0].giveaway.drawn_at, clock.now().toISOString())
+  })
+
+  await t.test('the winner gets the NFT and the draw can be repeated from the revealed seed', async () => {
+    const { giveaway } = (await h.get(`/api/giveaways/${won.id}`, { token: bob })).body
+    assert.equal(giveaway.status, 'drawn')
+    assert.equal(crypto.createHash('sha256').update(giveaway.seed).digest('hex'), giveaway.seed_hash)
+    assert.equal(giveaway.entrants_match, true)
+    const winners = drawWinners({ seed: giveaway.seed, giveawayId: giveaway.id, entries: giveaway.entrants, count: 1 })
+    assert.deepEqual(giveaway.winners, winners)
+
+    const nft = await h.nft(NFTS.calendar)
+    assert.equal(nft.owner_id, winners[0])
+    assert.equal(nft.giveaway_id, null)
+    assert.equal(nft.for_sale, false)
+  })
+
+  await t.test('without entrants the NFT goes back on sale', async () => {
+    clock.advance(5 * 60)
+    const drawn = await h.workers.giveaways.drawDue()
+    assert.deepEqual(drawn.map(r => r.giveaway.id), [empty.id])
+    assert.deepEqual(drawn[0].giveaway.winners, [])
+    const nft = await h.nft(NFTS.planet)
+    assert.equal(nft.owner_id, null)
+    assert.equal(nft.giveaway_id, null)
+    assert.equal(nft.for_sale, true)
+    assert.deepEqual(await h.workers.giveaways.drawDue(), [])
+  })
+})
+
+test('giveaways: the collection condition', async (t) => {
+  const h = await startApp({ data })
+  t.after(() => h.close())
+  const admin = await h.login(USERS.admin)
+
+  await t.test('must name an existing collection', async () => {
+    const r = await create(h, admin, { prize_type: 'ton', amount: '0.1', conditions: { collection: 'NoSuchCollection' } })
+    assert.equal(r.status, 404)
+    assert.equal(r.body.error, 'collection not found')
+  })
+
+  await t.test('is checked against the collection of the NFTs the user owns', async () => {
+    const r = await create(h, admin, { prize_type: 'ton', amount: '0.1', conditions: { collection: 'PlushPepe' } })
+    assert.equal(r.body.ok, true)
+    const id = r.body.giveaway.id
+
+    const carol = await h.post(`/api/giveaways/${id}/join`, {}, { token: await h.login(USERS.carol) })
+    assert.equal(carol.body.ok, true)
+    const bob = await h.post(`/api/giveaways/${id}/join`, {}, { token: await h.login(USERS.bob) })
+    assert.equal(bob.status, 403)
+    assert.equal(bob.body.error, 'collection required')
+  })
+})
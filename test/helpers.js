@@ -0,0 +1,117 @@
+/**
+ * test/helpers.js
+ * Integration test harness: startApp() builds the app (app.js) around a fresh in-memory store,
+ * migrated and seeded with test/fixtures.js, and listens on a random local port. Background
+ * workers are not started; tests trigger them through their endpoints or run one pass directly
+ * (h.workers, see app.js).
+ *
+ *   const h = await startApp({ env?, clock?, fetch? })
+ *   h.login(USERS.alice)            -> access token, through POST /api/auth/verify with initData
+ *                                      signed by the test bot token like the Telegram client does
+ *   h.post(path, body, { token, headers }) / h.get(path, { token }) -> { status, body, headers }
+ *   h.clock.advance(sec)            moves the app's clock (token and initData expiry, end times, workers)
+ *   h.workers.auctions.settleDue()  one pass of a background worker
+ *   h.close()
+ */
+
+const { loadConfig } = require('../lib/config')
+const { createStorage } = require('../lib/storage')
+const { signInitData } = require('../lib/telegram/initData')
+const { migrateLocal } = require('../db/migrate')
+const { seed } = require('../db/seed')
+const { createApp } = require('../app')
+const { USERS, fixtures } = require('./fixtures')
+
+const BOT_TOKEN = '123456:test-bot-token'
+
+// environment of every test app (lib/config.js); `env` of startApp() is applied on top
+const TEST_ENV = {
+  TELEGRAM_BOT_TOKEN: BOT_TOKEN,
+  JWT_SECRET: 'test-secret',
+  ADMIN_TELEGRAM_IDS: USERS.admin.id,
+  STORAGE: 'local',
+  TON_CLIENT: 'stub',
+  RATE_LIMIT_IP_PER_MIN: '10000',
+  RATE_LIMIT_USER_PER_MIN: '10000',
+  RATE_LIMIT_MONEY_PER_MIN: '10000'
+}
+
+// a clock that only moves when told to
+function createClock(start = Date.now()) {
+  let t = start
+  return {
+    now: () => new Date(t),
+    advance(sec) {
+      t += sec * 1000
+    }
+  }
+}
+
+function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server))
+    server.on('error', reject)
+  })
+}
+
+async function startApp({ env = {}, clock = createClock(), fetch, data = fixtures } = {}) {
+  const config = { ...loadConfig({ ...TEST_ENV, ...env }), dataFile: null }
+  const store = createStorage(config, { now: clock.now })
+  await migrateLocal(store, { log: () => {} })
+  await seed(store, data)
+
+  const built = createApp({ config, store, now: clock.now, fetch })
+  const server = await listen(built.app)
+  const url = `http://127.0.0.1:${server.address().port}`
+
+  async function request(method, path, { body, token, headers = {} } = {}) {
+    const r = await globalThis.fetch(url + path, {
+      method,
+      headers: {
+        ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        ...(token ? { Authorization: 'Bearer ' + token } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    })
+    const text = await r.text()
+    let json = null
+    try { json = JSON.parse(text) } catch (e) { json = null }
+    return { status: r.status, headers: r.headers, body: json, text }
+  }
+
+  // initData as the Telegram client sends it (numeric user id), signed now by the app's clock
+  function initDataFor(user, { botToken = BOT_TOKEN, fields } = {}) {
+    return signInitData({ botToken, user: { ...user, id: Number(user.id) }, authDate: Math.floor(clock.now().getTime() / 1000), fields })
+  }
+
+  async function login(user) {
+    const r = await request('POST', '/api/auth/verify', { body: { initData: initDataFor(user) } })
+    if (r.status !== 200) throw new Error(`login ${user.id}: ${r.status} ${r.text}`)
+    return r.body.token
+  }
+
+  async function close() {
+    server.closeAllConnections()
+    await new Promise(resolve => server.close(resolve))
+    await built.close()
+  }
+
+  return {
+    config,
+    store,
+    clock,
+    workers: built.workers,
+    url,
+    request,
+    get: (path, opts) => request('GET', path, opts),
+    post: (path, body, opts) => request('POST', path, { ...opts, body }),
+    initDataFor,
+    login,
+    balance: (userId) => store.ledger.balance(userId),
+    nft: (fixture) => store.db.get('nfts', { link: fixture.link }),
+    close
+  }
+}
+
+module.exports = { startApp, createClock, BOT_TOKEN, TEST_ENV }
@@ -0,0 +1,65 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp, createClock } = require('./helpers')
+const { USERS, BALANCES, NFTS } = require('./fixtures')
+const { toNano } = require('../lib/money')
+
+const offer = (h, token, nftId, amount) => h.post('/api/offers', { nft_id: nftId, amount }, { token })
+
+test('offers: escrow, accept and the other offers on the NFT', async (t) => {
+  const clock = createClock()
+  const h = await startApp({ clock })
+  t.after(() => h.close())
+  const [alice, bob, carol, dave] = await Promise.all([h.login(USERS.alice), h.login(USERS.bob), h.login(USERS.carol), h.login(USERS.dave)])
+  const soul = await h.nft(NFTS.soul)
+  let fromAlice, fromDave
+
+  await t.test('only NFTs owned by users take offers', async () => {
+    const r = await offer(h, alice, (await h.nft(NFTS.calendar)).id, '1')
+    assert.equal(r.body.error, 'not owned')
+    assert.equal((await offer(h, bob, soul.id, '1')).body.error, 'own nft')
+  })
+
+  await t.test('an offer holds the amount in escrow', async () => {
+    fromAlice = (await offer(h, alice, soul.id, '1')).body.offer
+    fromDave = (await offer(h, dave, soul.id, '0.8')).body.offer
+    assert.equal(await h.balance(USERS.alice.id), BALANCES.alice - toNano('1'))
+    assert.equal(await h.balance(USERS.dave.id), BALANCES.dave - toNano('0.8'))
+    assert.equal((await offer(h, alice, soul.id, '1.1')).body.error, 'offer exists')
+    assert.equal((await offer(h, carol, soul.id, '2')).body.error, 'insufficient_balance')
+  })
+
+  await t.test('only the owner accepts', async () => {
+    const r = await h.post(`/api/offers/${fromAlice.id}/accept`, {}, { token: dave })
+    assert.equal(r.status, 403)
+    assert.equal(r.body.error, 'not owner')
+  })
+
+  await t.test('accepting sells the NFT at the offer, minus the fee, and expires the rest', async () => {
+    clock.advance(60)
+    const r = await h.post(`/api/offers/${fromAlice.id}/accept`, {}, { token: bob })
+    assert.equal(r.body.ok, true)
+    assert.equal(r.body.offer.status, 'accepted')
+    assert.equal(r.body.offer.resolved_at, clock.now().toISOString())
+
+    const price = toNano('1')
+    const fee = Math.floor(price * h.config.marketFeeBps / 10000)
+    const nft = await h.nft(NFTS.soul)
+    assert.equal(nft.owner_id, USERS.alice.id)
+    assert.equal(nft.for_sale, false)
+    assert.equal(await h.balance(USERS.alice.id), BALANCES.alice - price)
+    assert.equal(await h.balance(USERS.bob.id), BALANCES.bob + price - fee)
+    assert.equal(await h.balance(h.config.treasuryId), fee)
+
+    assert.equal(await h.balance(USERS.dave.id), BALANCES.dave, 'the other offer is refunded')
+    const { made } = (await h.get('/api/offers/mine', { token: dave })).body
+    assert.equal(made[0].status, 'expired')
+    assert.equal(made[0].resolved_at, clock.now().toISOString())
+  })
+
+  await t.test('a resolved offer can not be accepted again', async () => {
+    const r = await h.post(`/api/offers/${fromAlice.id}/accept`, {}, { token: alice })
+    assert.equal(r.body.error, 'offer not active')
+    assert.equal((await h.post(`/api/offers/${fromDave.id}/cancel`, {}, { token: dave })).body.error, 'offer not active')
+  })
+})
@@ -0,0 +1,100 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { startApp, createClock } = require('./helpers')
+const { USERS, BALANCES } = require('./fixtures')
+const { toNano } = require('../lib/money')
+
+const WALLET = '0:' + 'a'.repeat(64)
+
+// the stub TON client's chain (lib/payments/clients/stub.js): one JSON line per incoming transfer
+function createChain(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'markethub-ton-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  const file = path.join(dir, 'transfers.jsonl')
+  return {
+    file,
+    pay(intent, { hash, at, amount = intent.amount }) {
+      const line = { hash, to: WALLET, amount, comment: intent.payload, utime: Math.floor(at.getTime() / 1000), from: '0:' + 'b'.repeat(64) }
+      fs.appendFileSync(file, JSON.stringify(line) + '\n')
+    }
+  }
+}
+
+const verify = (h, token, intent) => h.post(`/api/payments/intents/${intent.id}/verify`, {}, { token })
+
+test('payments: intents verified against the TON client', async (t) => {
+  const clock = createClock()
+  const chain = createChain(t)
+  const h = await startApp({ clock, env: { TON_WALLET_ADDRESS: WALLET, TON_STUB_FILE: chain.file } })
+  t.after(() => h.close())
+  const alice = await h.login(USERS.alice)
+  const bob = await h.login(USERS.bob)
+
+  await t.test('a premium intent is confirmed by the transfer carrying its payload', async () => {
+    const r = await h.post('/api/payments/intents', { type: 'premium', plan_id: 'premium_1m' }, { token: alice })
+    assert.equal(r.body.ok, true)
+    const intent = r.body.intent
+    assert.equal(intent.destination, WALLET)
+    assert.equal(intent.amount, toNano('1.5'))
+
+    const early = await verify(h, alice, intent)
+    assert.equal(early.status, 409)
+    assert.equal(early.body.error, 'not paid yet')
+
+    chain.pay(intent, { hash: 'tx-premium', at: clock.now() })
+    const paid = await verify(h, alice, intent)
+    assert.equal(paid.body.ok, true)
+    assert.equal(paid.body.intent.status, 'paid')
+    assert.equal(paid.body.intent.paid_at, clock.now().toISOString())
+    const until = new Date(clock.now())
+    until.setMonth(until.getMonth() + 1)
+    assert.equal(paid.body.profile.premium_until, until.toISOString())
+
+    const again = await verify(h, alice, intent)
+    assert.equal(again.body.ok, true, 'verifying a paid intent is a no-op')
+  })
+
+  await t.test('a deposit credits the balance; a transfer can confirm only one intent', async () => {
+    const r = await h.post('/api/wallet/deposit', { amount: '2' }, { token: bob })
+    const intent = r.body.intent
+    chain.pay(intent, { hash: 'tx-deposit', at: clock.now() })
+    const paid = await verify(h, bob, intent)
+    assert.equal(paid.body.ok, true)
+    assert.equal(await h.balance(USERS.bob.id), BALANCES.bob + toNano('2'))
+
+    // the same transaction hash replayed with another intent's payload
+    const second = (await h.post('/api/wallet/deposit', { amount: '2' }, { token: bob })).body.intent
+    chain.pay(second, { hash: 'tx-deposit', at: clock.now() })
+    const replayed = await verify(h, bob, second)
+    assert.equal(replayed.status, 409)
+    assert.equal(replayed.body.error, 'tx already used')
+    assert.equal(await h.balance(USERS.bob.id), BALANCES.bob + toNano('2'))
+  })
+
+  await t.test('an underpaid transfer does not confirm the intent', async () => {
+    const intent = (await h.post('/api/wallet/deposit', { amount: '1' }, { token: bob })).body.intent
+    chain.pay(intent, { hash: 'tx-short', at: clock.now(), amount: toNano('0.5') })
+    const r = await verify(h, bob, intent)
+    assert.equal(r.body.ok, false)
+    assert.equal(r.body.error, 'amount mismatch')
+  })
+
+  await t.test('a transfer sent after the intent expired is rejected', async () => {
+    const intent = (await h.post('/api/payments/intents', { type: 'stars', quantity: 50 }, { token: alice })).body.intent
+    clock.advance(h.config.paymentIntentTtlMin * 60 + 1)
+    assert.equal((await h.get(`/api/payments/intents/${intent.id}`, { token: alice })).body.intent.status, 'expired')
+
+    chain.pay(intent, { hash: 'tx-late', at: clock.now() })
+    const r = await verify(h, alice, intent)
+    assert.equal(r.body.ok, false)
+    assert.equal(r.body.error, 'expired')
+  })
+
+  await t.test('intents are private to their owner', async () => {
+    const intent = (await h.post('/api/payments/intents', { type: 'stars', quantity: 10 }, { token: alice })).body.intent
+    assert.equal((await verify(h, bob, intent)).status, 404)
+  })
+})
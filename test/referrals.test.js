@@ -0,0 +1,42 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp } = require('./helpers')
+const { USERS, BALANCES, NFTS } = require('./fixtures')
+const { toNano } = require('../lib/money')
+
+const BONUS = toNano('1')
+const EVE = { id: '2001', first_name: 'Eve', username: 'eve' }
+const FRANK = { id: '2002', first_name: 'Frank', username: 'frank' }
+
+test('referrals: the first-purchase bonus is paid only when the treasury covers it', async (t) => {
+  const h = await startApp({ env: { REFERRAL_BONUS_TON: '1' } })
+  t.after(() => h.close())
+  const admin = await h.login(USERS.admin)
+  // alice never signs in here, so the invitees don't share her (test) ip
+  const code = await h.store.referrals.code(USERS.alice.id)
+
+  // a new user opening the invite link, credited and buying a primary lot
+  async function inviteeBuys(user, nft, amount) {
+    const r = await h.post('/api/auth/verify', { initData: h.initDataFor(user, { fields: { start_param: `ref_${code}` } }) })
+    assert.equal(r.body.referral.status, 'active')
+    await h.post('/api/admin/add_balance', { target_id: user.id, amount, reason: 'test' }, { token: admin })
+    assert.equal((await h.post('/api/nft/buy', { nft_id: (await h.nft(nft)).id }, { token: r.body.token })).body.ok, true)
+  }
+
+  await t.test('an empty treasury skips the bonus instead of going negative', async () => {
+    await inviteeBuys(EVE, NFTS.fragment, '1')
+    const stats = await h.workers.referrals.processDue()
+    assert.deepEqual(stats, { sales: 1, rewards: 0, amount: 0, unpaid: BONUS })
+    assert.equal(await h.balance(h.config.treasuryId), 0)
+    assert.equal(await h.balance(USERS.alice.id), BALANCES.alice)
+  })
+
+  await t.test('a funded treasury pays it', async () => {
+    await h.store.admins.adjustBalance({ admin_id: USERS.admin.id, user_id: h.config.treasuryId, amount: BONUS, note: 'test' })
+    await inviteeBuys(FRANK, NFTS.calendar, '3')
+    const stats = await h.workers.referrals.processDue()
+    assert.deepEqual(stats, { sales: 1, rewards: 1, amount: BONUS, unpaid: 0 })
+    assert.equal(await h.balance(h.config.treasuryId), 0)
+    assert.equal(await h.balance(USERS.alice.id), BALANCES.alice + BONUS)
+  })
+})
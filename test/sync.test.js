@@ -0,0 +1,131 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const sharp = require('sharp')
+const { Response } = require('node-fetch')
+const { startApp } = require('./helpers')
+const { USERS } = require('./fixtures')
+
+// t.me/nft pages and their images, served by an injected fetch instead of the network
+function fakeTelegram({ image }) {
+  const calls = []
+  async function fetch(url) {
+    calls.push(url)
+    const page = /^https:\/\/t\.me\/nft\/([\w%]+)-(\d+)$/.exec(url)
+    if (page) {
+      const name = decodeURIComponent(page[1])
+      return new Response(`<html><head><meta property="og:image" content="https://cdn.test/${name}.png"></head>
+        <body><table class="tgme_gift_table">
+          <tr><th>Owner</th><td>someone</td></tr>
+          <tr><th>Model</th><td>${name} Classic <mark>1.5%</mark></td></tr>
+          <tr><th>Backdrop</th><td>Onyx Black <mark>2%</mark></td></tr>
+        </table></body></html>`, { status: 200, headers: { 'Content-Type': 'text/html' } })
+    }
+    if (url.startsWith('https://cdn.test/') && image) {
+      return new Response(image, { status: 200, headers: { 'Content-Type': 'image/png', 'Content-Length': String(image.length) } })
+    }
+    return new Response('not found', { status: 404 })
+  }
+  return { fetch, calls }
+}
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'markethub-test-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+const pngImage = () => sharp({ create: { width: 8, height: 8, channels: 3, background: '#3366ff' } }).png().toBuffer()
+
+test('sync: manual ingestion of a gift', async (t) => {
+  const dir = tempDir(t)
+  const telegram = fakeTelegram({ image: await pngImage() })
+  const h = await startApp({ env: { IMAGE_CACHE_DIR: dir }, fetch: telegram.fetch })
+  t.after(() => h.close())
+  const admin = await h.login(USERS.admin)
+  const alice = await h.login(USERS.alice)
+
+  let giftId
+  await t.test('creates the NFT with traits, a cached image and a pending gift', async () => {
+    const r = await h.post('/api/sync-nfts', { name: 'PlushPepe', number: 42, sender_id: USERS.bob.id, receiver_id: USERS.alice.id }, { token: admin })
+    assert.equal(r.status, 200, r.text)
+    assert.equal(r.body.ok, true)
+    assert.equal(r.body.nft.link, 'https://t.me/nft/PlushPepe-42')
+    assert.deepEqual(r.body.nft.attributes.map(a => [a.trait, a.value, a.rarity]), [['Model', 'PlushPepe Classic', 1.5], ['Backdrop', 'Onyx Black', 2]])
+    assert.deepEqual(telegram.calls, ['https://t.me/nft/PlushPepe-42', 'https://cdn.test/PlushPepe.png'])
+
+    assert.match(r.body.nft.image_url, /^\/assets\/nft\/[0-9a-f]{32}\.webp$/)
+    const image = await globalThis.fetch(h.url + r.body.nft.image_url)
+    assert.equal(image.status, 200)
+    assert.equal(image.headers.get('content-type'), 'image/webp')
+    assert.equal(fs.readdirSync(dir).length, 1)
+
+    const received = await h.get('/api/gifts/received?status=pending', { token: alice })
+    assert.equal(received.body.gifts.length, 1)
+    giftId = received.body.gifts[0].id
+    assert.equal(received.body.gifts[0].sender_id, USERS.bob.id)
+  })
+
+  await t.test('the NFT can not arrive again while its gift is pending', async () => {
+    const r = await h.post('/api/sync-nfts', { name: 'PlushPepe', number: 42, sender_id: USERS.bob.id, receiver_id: USERS.carol.id }, { token: admin })
+    assert.equal(r.status, 409)
+    assert.equal(r.body.error, 'gift pending')
+  })
+
+  await t.test('the receiver claims it', async () => {
+    const r = await h.post(`/api/gifts/${giftId}/claim`, {}, { token: alice })
+    assert.equal(r.status, 200, r.text)
+    assert.equal(r.body.nft.owner_id, USERS.alice.id)
+  })
+
+  await t.test('admin only, all params required', async () => {
+    const body = { name: 'PlushPepe', number: 43, sender_id: USERS.bob.id, receiver_id: USERS.alice.id }
+    assert.equal((await h.post('/api/sync-nfts', body, { token: alice })).status, 403)
+    assert.equal((await h.post('/api/sync-nfts', { ...body, receiver_id: undefined }, { token: admin })).status, 400)
+  })
+})
+
+test('sync: worker polling a transfer file', async (t) => {
+  const dir = tempDir(t)
+  const file = path.join(dir, 'transfers.jsonl')
+  // no image this time: downloads fail and are left to the retry worker
+  const telegram = fakeTelegram({ image: null })
+  const h = await startApp({ env: { IMAGE_CACHE_DIR: dir, SYNC_SOURCE: 'file', SYNC_FILE: file }, fetch: telegram.fetch })
+  t.after(() => h.close())
+  const admin = await h.login(USERS.admin)
+  const bob = await h.login(USERS.bob)
+  const transfer = (hash, number) => JSON.stringify({ hash, name: 'SnowGlobe', number, sender_id: USERS.alice.id, receiver_id: USERS.bob.id }) + '\n'
+  const run = () => h.post('/api/admin/sync/run', {}, { token: admin })
+
+  await t.test('ingests new transfers and skips invalid lines', async () => {
+    fs.writeFileSync(file, transfer('h1', 1) + transfer('h2', 2) + '{"hash":"h3"}\n')
+    const r = await run()
+    assert.equal(r.status, 200, r.text)
+    assert.equal(r.body.ingested, 2)
+    assert.equal(r.body.invalid, 1)
+
+    const received = await h.get('/api/gifts/received', { token: bob })
+    assert.deepEqual(received.body.gifts.map(g => g.nft.number).sort(), [1, 2])
+    const image = await h.store.images.get(received.body.gifts[0].nft.image_url.match(/([0-9a-f]{32})\.webp$/)[1])
+    assert.equal(image.status, 'failed')
+  })
+
+  await t.test('the cursor and transfer hashes prevent double ingestion', async () => {
+    assert.equal((await run()).body.ingested, 0)
+    fs.appendFileSync(file, transfer('h1', 1) + transfer('h4', 4))
+    const r = await run()
+    assert.equal(r.body.ingested, 1)
+    assert.equal(r.body.duplicates, 1)
+
+    const status = await h.get('/api/admin/sync', { token: admin })
+    assert.equal(status.body.enabled, true)
+    assert.equal(status.body.cursor, '5')
+    assert.equal((await h.get('/api/gifts/received', { token: bob })).body.gifts.length, 3)
+  })
+
+  await t.test('admin only', async () => {
+    assert.equal((await h.post('/api/admin/sync/run', {}, { token: bob })).status, 403)
+  })
+})
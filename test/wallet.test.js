@@ -0,0 +1,75 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { startApp, createClock } = require('./helpers')
+const { USERS, BALANCES } = require('./fixtures')
+const { toNano } = require('../lib/money')
+
+const LIMITS = { WITHDRAW_MIN_TON: '1', WITHDRAW_MAX_TON: '3', WITHDRAW_DAILY_TON: '4' }
+
+const withdraw = (h, token, amount) => h.post('/api/wallet/withdraw', { amount }, { token })
+
+test('withdrawals: limits and the approval queue', async (t) => {
+  const clock = createClock()
+  const h = await startApp({ clock, env: LIMITS })
+  t.after(() => h.close())
+  let [admin, alice, bob] = await Promise.all([h.login(USERS.admin), h.login(USERS.alice), h.login(USERS.bob)])
+  // linking goes through a TonConnect proof (POST /api/wallet/link); the wallet row is enough here
+  await h.store.wallets.link({ user_id: USERS.alice.id, address: '0:' + 'c'.repeat(64), public_key: 'd'.repeat(64), network: '-239' })
+
+  await t.test('need a linked wallet', async () => {
+    const r = await withdraw(h, bob, '1')
+    assert.equal(r.status, 409)
+    assert.equal(r.body.error, 'no wallet')
+  })
+
+  await t.test('per request minimum and maximum', async () => {
+    assert.equal((await withdraw(h, alice, '0.5')).body.error, 'below minimum')
+    assert.equal((await withdraw(h, alice, '3.5')).body.error, 'above maximum')
+    assert.equal(await h.balance(USERS.alice.id), BALANCES.alice)
+  })
+
+  let first
+  await t.test('the daily limit counts pending and approved withdrawals', async () => {
+    first = await withdraw(h, alice, '3')
+    assert.equal(first.body.ok, true)
+    assert.equal(first.body.balance, BALANCES.alice - toNano('3'))
+
+    const over = await withdraw(h, alice, '1.5')
+    assert.equal(over.body.error, 'daily limit')
+    assert.equal(over.body.left, toNano('1'))
+
+    assert.equal((await withdraw(h, alice, '1')).body.ok, true)
+    assert.equal((await withdraw(h, alice, '1')).body.error, 'daily limit')
+    assert.equal(await h.balance(USERS.alice.id), BALANCES.alice - toNano('4'))
+  })
+
+  await t.test('a rejected withdrawal is refunded and frees the limit', async () => {
+    const r = await h.post(`/api/admin/withdrawals/${first.body.withdrawal.id}/reject`, { note: 'test' }, { token: admin })
+    assert.equal(r.body.ok, true)
+    assert.equal(await h.balance(USERS.alice.id), BALANCES.alice - toNano('1'))
+    assert.equal((await withdraw(h, alice, '3')).body.ok, true)
+  })
+
+  await t.test('the window is the last 24 hours', async () => {
+    assert.equal((await withdraw(h, alice, '1')).body.error, 'daily limit')
+    clock.advance(24 * 3600 + 1)
+    // access tokens have expired by now
+    ;[admin, alice, bob] = await Promise.all([h.login(USERS.admin), h.login(USERS.alice), h.login(USERS.bob)])
+    assert.equal((await withdraw(h, alice, '1')).body.ok, true)
+  })
+
+  await t.test('approving pays out without a refund; only pending ones can be closed', async () => {
+    const queue = (await h.get('/api/admin/withdrawals', { token: admin })).body.withdrawals
+    assert.equal(queue.length, 3)
+    const balance = await h.balance(USERS.alice.id)
+    const approved = await h.post(`/api/admin/withdrawals/${queue[0].id}/approve`, { tx_hash: 'payout-1' }, { token: admin })
+    assert.equal(approved.body.withdrawal.status, 'approved')
+    assert.equal(approved.body.withdrawal.resolved_at, clock.now().toISOString())
+    assert.equal(await h.balance(USERS.alice.id), balance)
+
+    const again = await h.post(`/api/admin/withdrawals/${queue[0].id}/reject`, {}, { token: admin })
+    assert.equal(again.status, 409)
+    assert.equal(again.body.error, 'not pending')
+    assert.equal((await h.post(`/api/wallet/withdrawals/${queue[1].id}/cancel`, {}, { token: bob })).status, 403)
+  })
+})